@@ -0,0 +1,36 @@
+/**
+ * Task attachment limits
+ * ATTACHMENT_MAX_SIZE_MB and ATTACHMENT_ALLOWED_TYPES (comma separated MIME types)
+ * override the defaults below.
+ */
+export const DEFAULT_ATTACHMENT_MAX_SIZE_MB = 10;
+
+export const DEFAULT_ATTACHMENT_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/zip'
+];
+
+/**
+ * Get the upload limits for task attachments
+ * @returns {Object} - maxSize in bytes and the accepted mimeTypes
+ */
+export const getAttachmentUploadLimits = () => {
+  const maxSizeMb = parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || DEFAULT_ATTACHMENT_MAX_SIZE_MB;
+  const mimeTypes = process.env.ATTACHMENT_ALLOWED_TYPES
+    ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+    : DEFAULT_ATTACHMENT_TYPES;
+
+  return { maxSize: maxSizeMb * 1024 * 1024, mimeTypes };
+};
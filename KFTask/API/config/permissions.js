@@ -0,0 +1,87 @@
+/**
+ * Permission registry
+ * Every permission the API checks is listed here. Roles are stored in the
+ * database (roles / role_permissions) and can only be granted permissions from this list.
+ *
+ * A role may be granted either the permission itself (applies to every resource)
+ * or, for permissions listed in OWNABLE_PERMISSIONS, `<permission>:own`, which
+ * only applies to resources the user owns (decided by the route's resource loader).
+ * The wildcard '*' grants everything and is used by the admin role.
+ */
+export const PERMISSIONS = {
+  'user:invite': 'Invite users with non-privileged roles (own: consultants into the own organisation only)',
+  'user:create-privileged': 'Invite users with the admin or vendor role',
+  'user:read': 'View details, projects and working relationships of users',
+  'user:update': 'Update user profiles',
+  'user:update-status': 'Activate, deactivate or suspend users',
+  'user:unlock': 'Unlock accounts locked after failed logins',
+  'user:delete': 'Delete users',
+
+  'session:manage': 'View and revoke sessions of other users',
+  'security:manage': 'Change security settings such as the two-factor policy',
+  'role:manage': 'Create, update and delete roles',
+
+  'project:access-all': 'See and manage every project without being on its team',
+  'project:update': 'Update projects',
+  'project:delete': 'Delete projects',
+  'project:manage-team': 'Add and remove project team members',
+  'template:manage': 'Update and delete project templates',
+
+  'task:update': 'Update tasks',
+  'task:delete': 'Delete tasks',
+  'task:verify': 'Verify or reject completed tasks',
+  'workflow:manage': 'Change the default task workflow',
+
+  'vendor:read': 'List and view vendor profiles',
+  'vendor:create': 'Create vendor profiles',
+  'vendor:update': 'Update vendor profiles',
+  'vendor:delete': 'Delete vendor profiles',
+  'vendor:view-consultants': 'List the consultants of the own organisation',
+  'vendor:assign-consultant': 'Assign tasks to consultants',
+
+  'report:user-performance': 'View the user performance report',
+
+  'audit:read': 'View and export the audit trail',
+
+  'trash:purge': 'Permanently delete what is in the trash before the retention period is over'
+};
+
+/**
+ * Permissions that can be granted for owned resources only (`<permission>:own`)
+ */
+export const OWNABLE_PERMISSIONS = [
+  'user:invite',
+  'user:read',
+  'user:update',
+  'project:update',
+  'project:delete',
+  'project:manage-team',
+  'template:manage',
+  'task:update',
+  'task:delete',
+  'task:verify',
+  'vendor:read',
+  'vendor:update',
+  'vendor:assign-consultant',
+  'audit:read'
+];
+
+export const WILDCARD_PERMISSION = '*';
+export const OWN_SUFFIX = ':own';
+
+/**
+ * Check whether a value can be granted to a role
+ * @param {String} permission - Permission key, `<key>:own` or '*'
+ * @returns {Boolean}
+ */
+export const isValidPermission = (permission) => {
+  if (permission === WILDCARD_PERMISSION || Object.hasOwn(PERMISSIONS, permission)) {
+    return true;
+  }
+  if (permission.endsWith(OWN_SUFFIX)) {
+    return OWNABLE_PERMISSIONS.includes(permission.slice(0, -OWN_SUFFIX.length));
+  }
+  return false;
+};
+
+export default { PERMISSIONS, OWNABLE_PERMISSIONS, WILDCARD_PERMISSION, OWN_SUFFIX, isValidPermission };
@@ -0,0 +1,141 @@
+import { validationResult } from 'express-validator';
+import ApiTokenModel from '../models/apiToken.model.js';
+import { WILDCARD_PERMISSION, isValidPermission } from '../config/permissions.js';
+import { hasPermission } from '../utils/permission.utils.js';
+import { logAudit, logEntityChange } from '../utils/audit.utils.js';
+import { generateApiToken } from '../utils/auth.utils.js';
+
+/**
+ * API Token Controller
+ * Handles personal API tokens used by scripts and integrations
+ */
+const ApiTokenController = {
+  /**
+   * List the API tokens of the current user
+   * session:manage allows listing the tokens of another user with ?user_id
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - List of tokens (never the secrets)
+   */
+  async getTokens(req, res) {
+    try {
+      let userId = req.user.id;
+
+      if (req.query.user_id) {
+        const requestedUserId = parseInt(req.query.user_id);
+        if (isNaN(requestedUserId) || requestedUserId <= 0) {
+          return res.status(400).json({ message: 'Invalid user ID' });
+        }
+        if (requestedUserId !== req.user.id && !await hasPermission(req.user, 'session:manage')) {
+          return res.status(403).json({ message: 'You do not have permission to view these tokens' });
+        }
+        userId = requestedUserId;
+      }
+
+      const tokens = await ApiTokenModel.findByUser(userId);
+      return res.status(200).json({ tokens });
+    } catch (error) {
+      console.error('Get API tokens error:', error);
+      return res.status(500).json({ message: 'Server error while fetching API tokens' });
+    }
+  },
+
+  /**
+   * Create an API token for the current user
+   * The token acts as the user, limited to the given scopes; it is returned only once
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - New token including the secret
+   */
+  async createToken(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, scopes = [WILDCARD_PERMISSION], readOnly = false, expiresAt } = req.body;
+
+      const invalidScopes = scopes.filter(scope => !isValidPermission(scope));
+      if (invalidScopes.length > 0) {
+        return res.status(400).json({ message: `Unknown permission(s): ${invalidScopes.join(', ')}` });
+      }
+
+      if (expiresAt && new Date(expiresAt) <= new Date()) {
+        return res.status(400).json({ message: 'Expiry date must be in the future' });
+      }
+
+      const { token, token_prefix, token_hash } = generateApiToken();
+      const apiToken = await ApiTokenModel.create({
+        user_id: req.user.id,
+        name,
+        token_prefix,
+        token_hash,
+        scopes: [...new Set(scopes)],
+        read_only: readOnly,
+        expires_at: expiresAt ? new Date(expiresAt) : null
+      });
+
+      await logEntityChange(req, 'api_token', 'create', {
+        after: apiToken,
+        description: `Created API token ${apiToken.id} (${name})`
+      });
+
+      return res.status(201).json({
+        message: 'API token created. Copy it now, it will not be shown again.',
+        token,
+        apiToken
+      });
+    } catch (error) {
+      console.error('Create API token error:', error);
+      return res.status(500).json({ message: 'Server error while creating API token' });
+    }
+  },
+
+  /**
+   * Revoke an API token
+   * Users can revoke their own tokens, session:manage allows revoking any token
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Success message
+   */
+  async revokeToken(req, res) {
+    try {
+      const tokenId = parseInt(req.params.id);
+
+      if (isNaN(tokenId) || tokenId <= 0) {
+        return res.status(400).json({ message: 'Invalid token ID' });
+      }
+
+      const apiToken = await ApiTokenModel.findById(tokenId);
+      if (!apiToken) {
+        return res.status(404).json({ message: 'API token not found' });
+      }
+
+      if (apiToken.user_id !== req.user.id && !await hasPermission(req.user, 'session:manage')) {
+        return res.status(404).json({ message: 'API token not found' });
+      }
+
+      const revoked = await ApiTokenModel.revoke(tokenId);
+      if (!revoked) {
+        return res.status(400).json({ message: 'API token is already revoked' });
+      }
+
+      await logAudit({
+        entityType: 'api_token',
+        entityId: tokenId,
+        actorId: req.user.id,
+        action: 'revoke',
+        description: `Revoked API token ${tokenId} (${apiToken.name}) of user ${apiToken.user_id}`,
+        ipAddress: req.ip
+      });
+
+      return res.status(200).json({ message: 'API token revoked successfully' });
+    } catch (error) {
+      console.error('Revoke API token error:', error);
+      return res.status(500).json({ message: 'Server error while revoking API token' });
+    }
+  }
+};
+
+export default ApiTokenController;
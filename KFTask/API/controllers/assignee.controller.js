@@ -0,0 +1,166 @@
+import { validationResult } from 'express-validator';
+import db from '../config/db.js';
+import TaskModel from '../models/task.model.js';
+import UserModel from '../models/user.model.js';
+import { ensureAssigneesOnProject } from '../utils/projectAccess.utils.js';
+import { logAudit, diffChanges } from '../utils/audit.utils.js';
+
+/**
+ * Reduce assignments to what the audit trail records
+ * @param {Array} assignees - Rows from TaskModel.getAssignees
+ * @returns {Object} - Snapshot for diffChanges
+ */
+const assigneeSnapshot = (assignees) => ({
+  assignees: assignees.map(({ user_id, role }) => ({ user_id, role }))
+});
+
+/**
+ * Assignee Controller
+ * Handles the owner and collaborators of a task. Routes load the task first (req.resource)
+ * and check task:update on it.
+ */
+const AssigneeController = {
+  /**
+   * List the assignees of a task, the owner first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - List of assignees
+   */
+  async getAssignees(req, res) {
+    try {
+      const assignees = await TaskModel.getAssignees(req.resource.id);
+      return res.status(200).json({ assignees });
+    } catch (error) {
+      console.error('Get assignees error:', error);
+      return res.status(500).json({ message: 'Server error while fetching assignees' });
+    }
+  },
+
+  /**
+   * Assign a user to a task, or change the role of an assignee.
+   * A new owner replaces the current one, who stays on the task as a collaborator.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Assignees after the change
+   */
+  async addAssignee(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const task = req.resource;
+      const userId = parseInt(req.body.user_id);
+      const role = req.body.role || 'collaborator';
+
+      const user = await UserModel.findById(userId);
+      if (!user) {
+        return res.status(400).json({ message: 'User not found' });
+      }
+      if (user.status !== 'active') {
+        return res.status(400).json({ message: 'Cannot assign a task to an inactive user' });
+      }
+
+      const client = await db.pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const before = await TaskModel.getAssignees(task.id, client);
+        const current = before.find(assignee => assignee.user_id === userId);
+        if (current && current.role === role) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ message: `User is already assigned to this task as ${role}` });
+        }
+
+        await TaskModel.addAssignee(task.id, userId, role, req.user.id, client);
+        await ensureAssigneesOnProject(task.project_id, [task.id], client);
+
+        const assignees = await TaskModel.getAssignees(task.id, client);
+
+        await logAudit({
+          entityType: 'task',
+          entityId: task.id,
+          actorId: req.user.id,
+          action: current ? 'assignee_update' : 'assignee_add',
+          description: `${user.first_name} ${user.last_name} ${current ? 'is now' : 'assigned as'} ${role} of task ${task.id}`,
+          changes: diffChanges(assigneeSnapshot(before), assigneeSnapshot(assignees)),
+          ipAddress: req.ip
+        }, client);
+
+        await client.query('COMMIT');
+
+        return res.status(current ? 200 : 201).json({
+          message: current ? 'Assignee updated successfully' : 'Assignee added successfully',
+          assignees
+        });
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error('Add assignee error:', error);
+      return res.status(500).json({ message: 'Server error while assigning task' });
+    }
+  },
+
+  /**
+   * Remove a user from a task. Removing the owner leaves the task without one.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Assignees after the change
+   */
+  async removeAssignee(req, res) {
+    try {
+      const task = req.resource;
+      const userId = parseInt(req.params.userId);
+      if (isNaN(userId) || userId <= 0) {
+        return res.status(400).json({ message: 'Invalid user ID' });
+      }
+
+      const client = await db.pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const before = await TaskModel.getAssignees(task.id, client);
+        const removed = await TaskModel.removeAssignee(task.id, userId, client);
+        if (!removed) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ message: 'User is not assigned to this task' });
+        }
+
+        const assignees = await TaskModel.getAssignees(task.id, client);
+        const removedAssignee = before.find(assignee => assignee.user_id === userId);
+
+        await logAudit({
+          entityType: 'task',
+          entityId: task.id,
+          actorId: req.user.id,
+          action: 'assignee_remove',
+          description: `${removedAssignee.name} (${removed.role}) removed from task ${task.id}`,
+          changes: diffChanges(assigneeSnapshot(before), assigneeSnapshot(assignees)),
+          ipAddress: req.ip
+        }, client);
+
+        await client.query('COMMIT');
+
+        return res.status(200).json({
+          message: 'Assignee removed successfully',
+          assignees
+        });
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error('Remove assignee error:', error);
+      return res.status(500).json({ message: 'Server error while removing assignee' });
+    }
+  }
+};
+
+export default AssigneeController;
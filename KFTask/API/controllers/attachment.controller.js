@@ -0,0 +1,205 @@
+import crypto from 'crypto';
+import path from 'path';
+import AttachmentModel from '../models/attachment.model.js';
+import { hasPermissionOn } from '../utils/permission.utils.js';
+import { hasProjectRole } from '../utils/projectAccess.utils.js';
+import { logAudit } from '../utils/audit.utils.js';
+import { getStorageDriver, getDefaultStorageDriverName, removeStoredFiles } from '../utils/storage.utils.js';
+
+/**
+ * Build the storage key for a new attachment.
+ * The key never contains the uploaded name, which is kept in file_name.
+ * @param {Number} taskId - Task ID
+ * @param {String} originalName - Uploaded file name
+ * @returns {String} - Storage key
+ */
+const buildStorageKey = (taskId, originalName) => {
+  const extension = path.extname(originalName).toLowerCase().replace(/[^a-z0-9.]/g, '');
+  return `tasks/${taskId}/${crypto.randomBytes(16).toString('hex')}${extension}`;
+};
+
+/**
+ * Build a Content-Disposition header that survives any file name
+ * @param {String} fileName - Original file name
+ * @returns {String} - Header value
+ */
+const contentDisposition = (fileName) => {
+  const asciiName = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+/**
+ * Remove fields that only matter to the server before an attachment is returned
+ * @param {Object} attachment - Attachment row
+ * @returns {Object} - Attachment for API responses
+ */
+const toResponse = ({ file_path, storage_driver, ...attachment }) => attachment;
+
+/**
+ * Attachment Controller
+ * Handles files attached to tasks. Routes load the task first (req.resource),
+ * so only users who can see the task reach these handlers.
+ */
+const AttachmentController = {
+  /**
+   * List the attachments of a task
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - List of attachments
+   */
+  async getAttachments(req, res) {
+    try {
+      const attachments = await AttachmentModel.findByTask(req.resource.id);
+      return res.status(200).json({ attachments: attachments.map(toResponse) });
+    } catch (error) {
+      console.error('Get attachments error:', error);
+      return res.status(500).json({ message: 'Server error while fetching attachments' });
+    }
+  },
+
+  /**
+   * Upload an attachment to a task
+   * @param {Object} req - Express request object (req.file is the upload)
+   * @param {Object} res - Express response object
+   * @returns {Object} - New attachment
+   */
+  async uploadAttachment(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: 'Upload a file in the "file" field' });
+      }
+
+      const task = req.resource;
+      const driverName = getDefaultStorageDriverName();
+      const key = buildStorageKey(task.id, req.file.originalname);
+
+      await getStorageDriver(driverName).put(key, req.file.buffer, { contentType: req.file.mimetype });
+
+      let attachment;
+      try {
+        attachment = await AttachmentModel.create({
+          task_id: task.id,
+          file_name: req.file.originalname,
+          file_path: key,
+          file_type: req.file.mimetype,
+          file_size: req.file.size,
+          storage_driver: driverName,
+          uploaded_by: req.user.id
+        });
+      } catch (error) {
+        // Do not leave a file behind that no row points to
+        await removeStoredFiles([{ storage_driver: driverName, file_path: key }]);
+        throw error;
+      }
+
+      await logAudit({
+        entityType: 'task',
+        entityId: task.id,
+        actorId: req.user.id,
+        action: 'attachment_add',
+        description: `Attached "${attachment.file_name}" (${attachment.file_size} bytes) to task ${task.id}`,
+        ipAddress: req.ip
+      });
+
+      return res.status(201).json({
+        message: 'Attachment uploaded successfully',
+        attachment: toResponse(attachment)
+      });
+    } catch (error) {
+      console.error('Upload attachment error:', error);
+      return res.status(500).json({ message: 'Server error while uploading attachment' });
+    }
+  },
+
+  /**
+   * Download an attachment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Stream} - File contents
+   */
+  async downloadAttachment(req, res) {
+    try {
+      const attachmentId = parseInt(req.params.attachmentId);
+      if (isNaN(attachmentId) || attachmentId <= 0) {
+        return res.status(400).json({ message: 'Invalid attachment ID' });
+      }
+
+      const attachment = await AttachmentModel.findByTaskAndId(req.resource.id, attachmentId);
+      if (!attachment) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+
+      const stream = await getStorageDriver(attachment.storage_driver).get(attachment.file_path);
+      if (!stream) {
+        console.error(`Stored file missing for attachment ${attachment.id}: ${attachment.file_path}`);
+        return res.status(404).json({ message: 'Attachment file not found' });
+      }
+
+      res.setHeader('Content-Type', attachment.file_type || 'application/octet-stream');
+      res.setHeader('Content-Disposition', contentDisposition(attachment.file_name));
+      if (attachment.file_size !== null) {
+        res.setHeader('Content-Length', attachment.file_size);
+      }
+
+      stream.on('error', (error) => {
+        console.error('Download attachment stream error:', error);
+        res.destroy(error);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      console.error('Download attachment error:', error);
+      return res.status(500).json({ message: 'Server error while downloading attachment' });
+    }
+  },
+
+  /**
+   * Delete an attachment
+   * The uploader can delete their own attachments; otherwise task:update on the task is needed
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Success message
+   */
+  async deleteAttachment(req, res) {
+    try {
+      const task = req.resource;
+      const attachmentId = parseInt(req.params.attachmentId);
+      if (isNaN(attachmentId) || attachmentId <= 0) {
+        return res.status(400).json({ message: 'Invalid attachment ID' });
+      }
+
+      const attachment = await AttachmentModel.findByTaskAndId(task.id, attachmentId);
+      if (!attachment) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+
+      if (attachment.uploaded_by !== req.user.id) {
+        const ownerIds = [task.created_by, ...task.assignee_ids];
+        if (hasProjectRole(task.my_role, 'manager')) {
+          ownerIds.push(req.user.id);
+        }
+        if (!await hasPermissionOn(req.user, 'task:update', ownerIds)) {
+          return res.status(403).json({ message: 'You can only delete attachments you uploaded' });
+        }
+      }
+
+      await AttachmentModel.delete(attachment.id);
+      await removeStoredFiles([attachment]);
+
+      await logAudit({
+        entityType: 'task',
+        entityId: task.id,
+        actorId: req.user.id,
+        action: 'attachment_delete',
+        description: `Deleted attachment "${attachment.file_name}" from task ${task.id}`,
+        ipAddress: req.ip
+      });
+
+      return res.status(200).json({ message: 'Attachment deleted successfully' });
+    } catch (error) {
+      console.error('Delete attachment error:', error);
+      return res.status(500).json({ message: 'Server error while deleting attachment' });
+    }
+  }
+};
+
+export default AttachmentController;
@@ -0,0 +1,141 @@
+import { validationResult } from 'express-validator';
+import { Parser } from 'json2csv';
+import AuditModel from '../models/audit.model.js';
+import { getPermissionScope } from '../utils/permission.utils.js';
+import { logUserAction } from '../utils/audit.utils.js';
+
+// Upper bound for a single CSV export; narrow the filters to export more
+const EXPORT_LIMIT = 10000;
+
+/**
+ * Build audit filters from the query string
+ * @param {Object} query - req.query
+ * @returns {Object} - Filters for AuditModel
+ */
+const buildFilters = (query) => {
+  const filters = {
+    entity_type: query.entity_type,
+    entity_id: query.entity_id ? parseInt(query.entity_id) : null,
+    actor_id: query.actor_id ? parseInt(query.actor_id) : null,
+    action: query.action,
+    search: query.search,
+    start_date: query.start_date,
+    end_date: query.end_date
+  };
+
+  // Remove undefined filters
+  Object.keys(filters).forEach(key => {
+    if (filters[key] === undefined || filters[key] === null || filters[key] === '') {
+      delete filters[key];
+    }
+  });
+
+  return filters;
+};
+
+/**
+ * Audit Controller
+ * Handles reading and exporting the audit trail
+ */
+const AuditController = {
+  /**
+   * Get audit entries with pagination and filters
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - List of audit entries
+   */
+  async getAuditLogs(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // audit:read:own only shows the user's own entries and those of their consultants
+      const scope = await getPermissionScope(req.user, 'audit:read');
+      if (scope === false) {
+        return res.status(403).json({ message: 'Forbidden: You do not have permission to access this resource' });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const offset = (page - 1) * limit;
+
+      const filters = buildFilters(req.query);
+      if (scope) {
+        filters.visible_to = scope;
+      }
+
+      const logs = await AuditModel.findAll(limit, offset, filters);
+      const total = await AuditModel.countTotal(filters);
+
+      return res.status(200).json({
+        logs,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get audit logs error:', error);
+      return res.status(500).json({ message: 'Server error while fetching audit logs' });
+    }
+  },
+
+  /**
+   * Export audit entries matching the filters as CSV
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {String} - CSV file
+   */
+  async exportAuditLogs(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // audit:read:own only shows the user's own entries and those of their consultants
+      const scope = await getPermissionScope(req.user, 'audit:read');
+      if (scope === false) {
+        return res.status(403).json({ message: 'Forbidden: You do not have permission to access this resource' });
+      }
+
+      const filters = buildFilters(req.query);
+      if (scope) {
+        filters.visible_to = scope;
+      }
+
+      const total = await AuditModel.countTotal(filters);
+      if (total > EXPORT_LIMIT) {
+        return res.status(400).json({
+          message: `The export would contain ${total} entries, the limit is ${EXPORT_LIMIT}. Narrow the filters and try again.`
+        });
+      }
+
+      const logs = await AuditModel.findAll(null, 0, filters);
+      const fields = [
+        'id', 'created_at', 'entity_type', 'entity_id', 'action', 'description',
+        'actor_id', 'actor_name', 'actor_email', 'ip_address', 'changes'
+      ];
+      const csv = new Parser({ fields }).parse(logs.map(log => ({
+        ...log,
+        changes: log.changes ? JSON.stringify(log.changes) : ''
+      })));
+
+      await logUserAction(req.user.id, 'audit_export', `Exported ${logs.length} audit entries with filters: ${JSON.stringify(filters)}`, req.ip);
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit_${timestamp}.csv"`);
+      return res.status(200).send(csv);
+    } catch (error) {
+      console.error('Export audit logs error:', error);
+      return res.status(500).json({ message: 'Server error while exporting audit logs' });
+    }
+  }
+};
+
+export default AuditController;
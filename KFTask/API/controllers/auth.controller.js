@@ -2,10 +2,147 @@
 // const { validationResult } = require('express-validator');
 // const UserModel = require('../models/user.model');
 // const db = require('../config/db');
-import jwt from 'jsonwebtoken';
 import { validationResult } from 'express-validator';
 import UserModel from '../models/user.model.js';
-import db from '../config/db.js';
+import SessionModel from '../models/session.model.js';
+import ApiTokenModel from '../models/apiToken.model.js';
+import PasswordResetModel from '../models/passwordReset.model.js';
+import LoginAttemptModel from '../models/loginAttempt.model.js';
+import RecoveryCodeModel from '../models/recoveryCode.model.js';
+import { sendMail, buildAppUrl } from '../utils/mail.utils.js';
+import { logUserAction, logAudit } from '../utils/audit.utils.js';
+import { hasPermission } from '../utils/permission.utils.js';
+import {
+  hashToken,
+  generateToken,
+  getRefreshTokenExpiry,
+  signAccessToken,
+  startSession,
+  getLoginThrottleSettings
+} from '../utils/auth.utils.js';
+import {
+  isTwoFactorRequired,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  verifySecondFactor
+} from '../utils/twoFactor.utils.js';
+
+/**
+ * Check whether an IP has failed too many logins recently and set Retry-After if so
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} throttle - Settings from getLoginThrottleSettings
+ * @returns {Promise<Boolean>} - True if the request must be refused
+ */
+const isIpThrottled = async (req, res, throttle) => {
+  const recentIpFailures = await LoginAttemptModel.countRecentFailuresByIp(req.ip, throttle.ipWindowMinutes);
+  if (recentIpFailures < throttle.ipMaxAttempts) {
+    return false;
+  }
+  res.set('Retry-After', String(throttle.ipWindowMinutes * 60));
+  return true;
+};
+
+/**
+ * Refuse a login for a locked or inactive account
+ * @param {Object} user - User row
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - Error response, null if the account may log in
+ */
+const rejectUnavailableAccount = async (user, req, res) => {
+  if (user.locked_until && new Date(user.locked_until) > new Date()) {
+    await LoginAttemptModel.record({ email: user.email, user_id: user.id, ip_address: req.ip, success: false });
+    return res.status(423).json({
+      message: 'Account is temporarily locked because of too many failed login attempts',
+      lockedUntil: user.locked_until
+    });
+  }
+
+  if (user.status !== 'active') {
+    return res.status(403).json({ 
+      message: 'Your account is inactive or suspended. Please contact an administrator.'
+    });
+  }
+
+  return null;
+};
+
+/**
+ * Count a failed password or second factor against the account and lock it at the threshold
+ * @param {Object} user - User row
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} throttle - Settings from getLoginThrottleSettings
+ * @param {String} message - Message returned when the account is not (yet) locked
+ * @returns {Promise<Object>} - 401 or 423 response
+ */
+const rejectFailedLogin = async (user, req, res, throttle, message) => {
+  const failure = await UserModel.registerFailedLogin(user.id, throttle.maxAttempts, throttle.lockoutMinutes);
+  await LoginAttemptModel.record({ email: user.email, user_id: user.id, ip_address: req.ip, success: false });
+  await logUserAction(
+    user.id,
+    'login_failed',
+    `Failed login attempt ${failure.failed_login_attempts} of ${throttle.maxAttempts}`,
+    req.ip
+  );
+
+  if (failure.just_locked) {
+    await logUserAction(
+      user.id,
+      'account_locked',
+      `Account locked for ${throttle.lockoutMinutes} minutes after ${failure.failed_login_attempts} failed login attempts`,
+      req.ip
+    );
+    return res.status(423).json({
+      message: 'Account is temporarily locked because of too many failed login attempts',
+      lockedUntil: failure.locked_until
+    });
+  }
+
+  return res.status(401).json({ message });
+};
+
+/**
+ * Finish a successful login: reset the failure counter, start a session and return the tokens
+ * @param {Object} user - User row
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {String} description - Description for the login log entry
+ * @param {Object} extra - Additional response fields
+ * @returns {Promise<Object>} - Login response
+ */
+const completeLogin = async (user, req, res, description, extra = {}) => {
+  if (user.failed_login_attempts > 0 || user.locked_until) {
+    await UserModel.clearFailedLogins(user.id);
+  }
+  await LoginAttemptModel.record({ email: user.email, user_id: user.id, ip_address: req.ip, success: true });
+
+  // Start a server-side session and generate the token pair
+  const { token, refreshToken, refreshTokenExpiresAt } = await startSession(user, req);
+
+  // Log login activity
+  await logUserAction(user.id, 'login', description, req.ip);
+
+  // Return user info and token
+  return res.status(200).json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    refreshTokenExpiresAt,
+    mustChangePassword: Boolean(user.must_change_password),
+    twoFactorSetupRequired: !user.totp_enabled && await isTwoFactorRequired(user.role),
+    ...extra,
+    user: {
+      id: user.id,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      role: user.role,
+      status: user.status
+    }
+  });
+};
 
 /**
  * Auth Controller
@@ -16,7 +153,7 @@ const AuthController = {
    * User login
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
-   * @returns {Object} - JWT token and user info
+   * @returns {Object} - JWT token, refresh token and user info
    */
   async login(req, res) {
     try {
@@ -26,61 +163,47 @@ const AuthController = {
       }
 
       const { email, password } = req.body;
+      const throttle = getLoginThrottleSettings();
+
+      // Throttle IPs that keep failing, whatever account they target
+      if (await isIpThrottled(req, res, throttle)) {
+        return res.status(429).json({
+          message: 'Too many failed login attempts. Please try again later.'
+        });
+      }
 
       // Find user by email
       const user = await UserModel.findByEmail(email);
       
       if (!user) {
+        await LoginAttemptModel.record({ email, ip_address: req.ip, success: false });
+        await logUserAction(null, 'login_failed', `Failed login for unknown email ${email}`, req.ip);
         return res.status(401).json({ message: 'Invalid email or password' });
       }
- 
 
-      // Check if user is active
-      if (user.status !== 'active') {
-        return res.status(403).json({ 
-          message: 'Your account is inactive or suspended. Please contact an administrator.'
-        });
+      // Refuse locked or inactive accounts before looking at the password
+      const blocked = await rejectUnavailableAccount(user, req, res);
+      if (blocked) {
+        return blocked;
       }
 
       // Check password
       const isPasswordValid = await UserModel.comparePassword(password, user.password);
       
       if (!isPasswordValid) {
-        return res.status(401).json({ message: 'Invalid email or password' });
+        return rejectFailedLogin(user, req, res, throttle, 'Invalid email or password');
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { 
-          id: user.id, 
-          email: user.email, 
-          role: user.role,
-          firstName: user.first_name,
-          lastName: user.last_name
-        }, 
-        process.env.JWT_SECRET, 
-        { expiresIn: process.env.JWT_EXPIRES_IN }
-      );
-
-      // Log login activity
-      await db.query(
-        'INSERT INTO user_logs (user_id, action, description, ip_address) VALUES ($1, $2, $3, $4)',
-        [user.id, 'login', 'User logged in', req.ip]
-      );
+      // Accounts with two-factor authentication get a challenge instead of tokens
+      if (user.totp_enabled) {
+        return res.status(200).json({
+          message: 'Two-factor authentication required',
+          twoFactorRequired: true,
+          challengeToken: signTwoFactorChallenge(user)
+        });
+      }
 
-      // Return user info and token
-      return res.status(200).json({
-        message: 'Login successful',
-        token,
-        user: {
-          id: user.id,
-          email: user.email,
-          firstName: user.first_name,
-          lastName: user.last_name,
-          role: user.role,
-          status: user.status
-        }
-      });
+      return completeLogin(user, req, res, 'User logged in');
     } catch (error) {
       console.error('Login error:', error);
       return res.status(500).json({ message: 'Server error during login' });
@@ -88,84 +211,59 @@ const AuthController = {
   },
 
   /**
-   * Register new user
+   * Complete a login with a second factor
+   * Accepts the challenge returned by /login together with a TOTP code or a recovery code
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
-   * @returns {Object} - New user info
+   * @returns {Object} - JWT token, refresh token and user info
    */
-async register(req, res) {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+  async loginTwoFactor(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const { 
-      first_name, 
-      last_name, 
-      email, 
-      password, 
-      role,
-      department,
-      position,
-      designation,
-      type,
-      working_type,
-      working_for,
-       
-      profile_image,
-      phone_no,
-    } = req.body;
-
-    // Check if email already exists
-    const existingUser = await UserModel.findByEmail(email);
-    if (existingUser) {
-      return res.status(400).json({ message: 'Email is already registered' });
-    }
+      const { challengeToken, code, recoveryCode } = req.body;
+      const throttle = getLoginThrottleSettings();
 
-    // Only allow admin to create users with admin/manager role
-    const requestingUserRole = req.user?.role;
-    if ((role === 'admin' || role === 'vendor') && requestingUserRole !== 'admin') {
-      return res.status(403).json({ 
-        message: 'You do not have permission to create users with this role' 
-      });
-    }
+      if (await isIpThrottled(req, res, throttle)) {
+        return res.status(429).json({
+          message: 'Too many failed login attempts. Please try again later.'
+        });
+      }
 
-    // Create new user with all fields
-    const newUser = await UserModel.create({
-      first_name,
-      last_name,
-      email,
-      password,
-      role: role || 'employee',
-      department,
-      position,
-      designation,
-      type,
-      working_type,
-      working_for,
-      profile_image,
-      phone_no
+      const challenge = verifyTwoFactorChallenge(challengeToken);
+      const user = challenge ? await UserModel.findByEmail(challenge.email) : null;
 
-    });
+      if (!user || user.id !== challenge.id || !user.totp_enabled) {
+        return res.status(401).json({ message: 'Two-factor challenge is invalid or has expired. Please log in again.' });
+      }
 
-    // Log user creation
-    if (req.user) {
-      await db.query(
-        'INSERT INTO user_logs (user_id, action, description, ip_address) VALUES ($1, $2, $3, $4)',
-        [req.user.id, 'user_create', `Created new user: ${newUser.id}`, req.ip]
-      );
-    }
+      const blocked = await rejectUnavailableAccount(user, req, res);
+      if (blocked) {
+        return blocked;
+      }
 
-    return res.status(201).json({
-      message: 'User registered successfully',
-      user: newUser
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    return res.status(500).json({ message: 'Server error during registration' });
-  }
-},
+      const method = await verifySecondFactor(user, { code, recoveryCode });
+      if (!method) {
+        return rejectFailedLogin(user, req, res, throttle, 'Invalid two-factor code');
+      }
+
+      if (method === 'recovery_code') {
+        const remaining = await RecoveryCodeModel.countUnused(user.id);
+        await logUserAction(user.id, 'recovery_code_used', `Recovery code used, ${remaining} left`, req.ip);
+        return completeLogin(user, req, res, 'User logged in with a recovery code', {
+          recoveryCodesRemaining: remaining
+        });
+      }
+
+      return completeLogin(user, req, res, 'User logged in with two-factor authentication');
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      return res.status(500).json({ message: 'Server error during login' });
+    }
+  },
 
   /**
    * Get current logged-in user profile
@@ -202,12 +300,14 @@ async register(req, res) {
    */
   async logout(req, res) {
     try {
+      // End the session so the access and refresh tokens stop working
+      if (req.user?.sessionId) {
+        await SessionModel.revoke(req.user.sessionId, 'logout');
+      }
+
       // Log logout activity
       if (req.user) {
-        await db.query(
-          'INSERT INTO user_logs (user_id, action, description, ip_address) VALUES ($1, $2, $3, $4)',
-          [req.user.id, 'logout', 'User logged out', req.ip]
-        );
+        await logUserAction(req.user.id, 'logout', 'User logged out', req.ip);
       }
       
       return res.status(200).json({ message: 'Logged out successfully' });
@@ -246,20 +346,261 @@ async register(req, res) {
         return res.status(401).json({ message: 'Current password is incorrect' });
       }
 
+      if (newPassword === currentPassword) {
+        return res.status(400).json({ message: 'New password must be different from the current password' });
+      }
+
       // Update password
       await UserModel.updatePassword(userId, newPassword);
 
+      // Sign out every other device that used the old password
+      await SessionModel.revokeAllForUser(userId, 'password_change', req.user.sessionId);
+
       // Log password change
-      await db.query(
-        'INSERT INTO user_logs (user_id, action, description, ip_address) VALUES ($1, $2, $3, $4)',
-        [userId, 'password_change', 'User changed password', req.ip]
-      );
+      await logUserAction(userId, 'password_change', 'User changed password', req.ip);
 
       return res.status(200).json({ message: 'Password updated successfully' });
     } catch (error) {
       console.error('Password change error:', error);
       return res.status(500).json({ message: 'Server error during password change' });
     }
+  },
+
+  /**
+   * Exchange a refresh token for a new token pair.
+   * The refresh token is rotated on every use; presenting an already rotated
+   * token revokes the whole session because it means the token was copied.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - New JWT token and refresh token
+   */
+  async refresh(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { refreshToken } = req.body;
+      const session = await SessionModel.findByRefreshTokenHash(hashToken(refreshToken));
+
+      if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+        return res.status(401).json({ message: 'Invalid or expired refresh token' });
+      }
+
+      if (session.token_match === 'previous') {
+        await SessionModel.revoke(session.id, 'refresh_token_reuse');
+        await logUserAction(session.user_id, 'session_revoked', `Session ${session.id} revoked after refresh token reuse`, req.ip);
+        return res.status(401).json({ message: 'Invalid or expired refresh token' });
+      }
+
+      const user = await UserModel.findById(session.user_id);
+      if (!user || user.status !== 'active') {
+        await SessionModel.revoke(session.id, 'user_inactive');
+        return res.status(403).json({ 
+          message: 'Your account is inactive or suspended. Please contact an administrator.'
+        });
+      }
+
+      const newRefreshToken = generateToken();
+      const rotated = await SessionModel.rotate(
+        session.id,
+        hashToken(newRefreshToken),
+        getRefreshTokenExpiry(),
+        req.ip
+      );
+
+      if (!rotated) {
+        return res.status(401).json({ message: 'Invalid or expired refresh token' });
+      }
+
+      return res.status(200).json({
+        message: 'Token refreshed successfully',
+        token: signAccessToken(user, session.id),
+        refreshToken: newRefreshToken,
+        refreshTokenExpiresAt: rotated.expires_at
+      });
+    } catch (error) {
+      console.error('Refresh token error:', error);
+      return res.status(500).json({ message: 'Server error during token refresh' });
+    }
+  },
+
+  /**
+   * List active sessions of the current user (admins may pass ?user_id=)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - List of sessions
+   */
+  async getSessions(req, res) {
+    try {
+      let userId = req.user.id;
+
+      if (req.query.user_id) {
+        const requestedUserId = parseInt(req.query.user_id);
+        if (isNaN(requestedUserId) || requestedUserId <= 0) {
+          return res.status(400).json({ message: 'Invalid user ID' });
+        }
+        if (requestedUserId !== req.user.id && !await hasPermission(req.user, 'session:manage')) {
+          return res.status(403).json({ message: 'You do not have permission to view these sessions' });
+        }
+        userId = requestedUserId;
+      }
+
+      const sessions = await SessionModel.findActiveByUser(userId);
+
+      return res.status(200).json({
+        sessions: sessions.map(session => ({
+          ...session,
+          current: session.id === req.user.sessionId
+        }))
+      });
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      return res.status(500).json({ message: 'Server error while fetching sessions' });
+    }
+  },
+
+  /**
+   * Revoke a single session
+   * Users can revoke their own sessions, admins can revoke any session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Success message
+   */
+  async revokeSession(req, res) {
+    try {
+      const sessionId = parseInt(req.params.id);
+
+      if (isNaN(sessionId) || sessionId <= 0) {
+        return res.status(400).json({ message: 'Invalid session ID' });
+      }
+
+      const session = await SessionModel.findById(sessionId);
+      if (!session) {
+        return res.status(404).json({ message: 'Session not found' });
+      }
+
+      if (session.user_id !== req.user.id && !await hasPermission(req.user, 'session:manage')) {
+        return res.status(404).json({ message: 'Session not found' });
+      }
+
+      const revoked = await SessionModel.revoke(sessionId, 'revoked');
+      if (!revoked) {
+        return res.status(400).json({ message: 'Session is already revoked' });
+      }
+
+      await logAudit({
+        entityType: 'user',
+        entityId: session.user_id,
+        actorId: req.user.id,
+        action: 'session_revoked',
+        description: `Revoked session ${sessionId} of user ${session.user_id}`,
+        ipAddress: req.ip
+      });
+
+      return res.status(200).json({ message: 'Session revoked successfully' });
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      return res.status(500).json({ message: 'Server error while revoking session' });
+    }
+  },
+
+  /**
+   * Request a password reset email
+   * Always answers the same way so the endpoint cannot be used to discover accounts
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Generic success message
+   */
+  async forgotPassword(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { email } = req.body;
+      const genericResponse = {
+        message: 'If an account exists for this email, a password reset link has been sent'
+      };
+
+      const user = await UserModel.findByEmail(email);
+      if (!user || user.status !== 'active') {
+        return res.status(200).json(genericResponse);
+      }
+
+      // Only the newest link is valid
+      await PasswordResetModel.invalidateForUser(user.id);
+
+      const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+      const resetToken = generateToken(32);
+
+      await PasswordResetModel.create({
+        user_id: user.id,
+        token_hash: hashToken(resetToken),
+        expires_at: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+        requested_ip: req.ip
+      });
+
+      const resetLink = buildAppUrl(`/reset-password?token=${resetToken}`);
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your KF Task Manager password',
+        text: [
+          `Hello ${user.first_name},`,
+          '',
+          'We received a request to reset your password. Use the link below to choose a new one:',
+          resetLink,
+          '',
+          `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+          'If you did not request a password reset you can ignore this email.'
+        ].join('\n')
+      });
+
+      await logUserAction(user.id, 'password_reset_request', 'Password reset requested', req.ip);
+
+      return res.status(200).json(genericResponse);
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      return res.status(500).json({ message: 'Server error while requesting password reset' });
+    }
+  },
+
+  /**
+   * Reset password using a one-time reset token
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Success message
+   */
+  async resetPassword(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { token, newPassword } = req.body;
+
+      const resetToken = await PasswordResetModel.consume(hashToken(token));
+      if (!resetToken) {
+        return res.status(400).json({ message: 'Password reset link is invalid or has expired' });
+      }
+
+      await UserModel.updatePassword(resetToken.user_id, newPassword);
+
+      // Whoever knew the old password is signed out everywhere, including tokens they may have created
+      await SessionModel.revokeAllForUser(resetToken.user_id, 'password_reset');
+      await ApiTokenModel.revokeAllForUser(resetToken.user_id);
+
+      await logUserAction(resetToken.user_id, 'password_reset', 'Password reset with reset link', req.ip);
+
+      return res.status(200).json({ message: 'Password has been reset. Please log in with your new password.' });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      return res.status(500).json({ message: 'Server error during password reset' });
+    }
   }
 };
 
@@ -0,0 +1,102 @@
+import { validationResult } from 'express-validator';
+import BoardModel from '../models/board.model.js';
+import WorkflowModel from '../models/workflow.model.js';
+import { findState } from '../utils/workflow.utils.js';
+import { logEntityChange } from '../utils/audit.utils.js';
+
+/**
+ * Board Controller
+ * Handles the Kanban board of a project (loaded by the route as req.resource).
+ * Tasks are moved on the board with PATCH /api/tasks/{id}/move (TaskController.moveTask).
+ */
+const BoardController = {
+  /**
+   * Get the board of a project: one column per workflow state, tasks in rank order
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Columns with their tasks and WIP limits
+   */
+  async getBoard(req, res) {
+    try {
+      const project = req.resource;
+      const [workflow, tasks, wipLimits] = await Promise.all([
+        WorkflowModel.findForProject(project.id),
+        BoardModel.findTasks(project.id),
+        BoardModel.getWipLimits(project.id)
+      ]);
+
+      const columns = workflow.states.map(state => {
+        const columnTasks = tasks.filter(task => task.status === state.status);
+        const wipLimit = wipLimits[state.status] ?? null;
+        return {
+          status: state.status,
+          name: state.name,
+          category: state.category,
+          wip_limit: wipLimit,
+          task_count: columnTasks.length,
+          over_limit: wipLimit !== null && columnTasks.length > wipLimit,
+          tasks: columnTasks
+        };
+      });
+
+      return res.status(200).json({
+        project_id: project.id,
+        workflow: { id: workflow.id, name: workflow.name, is_default: workflow.is_default },
+        columns,
+        // Tasks moved in from another project can keep a status this workflow does not have
+        unmapped_tasks: tasks.filter(task => !findState(workflow, task.status))
+      });
+    } catch (error) {
+      console.error('Get board error:', error);
+      return res.status(500).json({ message: 'Server error while fetching board' });
+    }
+  },
+
+  /**
+   * Set or remove the WIP limits of a project's board columns
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - All WIP limits of the project
+   */
+  async updateWipLimits(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const project = req.resource;
+      const { limits } = req.body;
+      const workflow = await WorkflowModel.findForProject(project.id);
+      const unknownStatuses = limits.map(limit => limit.status).filter(status => !findState(workflow, status));
+      if (unknownStatuses.length > 0) {
+        return res.status(400).json({
+          message: `Unknown status(es): ${unknownStatuses.join(', ')}`,
+          allowed_statuses: workflow.states.map(state => state.status)
+        });
+      }
+
+      const before = await BoardModel.getWipLimits(project.id);
+      const wipLimits = await BoardModel.setWipLimits(project.id, limits, req.user.id);
+
+      // Limits that were added or removed show up as changes from or to null
+      const statuses = [...new Set([...Object.keys(before), ...Object.keys(wipLimits)])];
+      await logEntityChange(req, 'project', 'wip_limits_update', {
+        before: Object.fromEntries(statuses.map(status => [status, before[status] ?? null])),
+        after: Object.fromEntries(statuses.map(status => [status, wipLimits[status] ?? null])),
+        entityId: project.id,
+        description: `WIP limits of project ${project.id} updated`
+      });
+
+      return res.status(200).json({
+        message: 'WIP limits updated successfully',
+        wip_limits: wipLimits
+      });
+    } catch (error) {
+      console.error('Update WIP limits error:', error);
+      return res.status(500).json({ message: 'Server error while updating WIP limits' });
+    }
+  }
+};
+
+export default BoardController;
@@ -0,0 +1,166 @@
+import { validationResult } from 'express-validator';
+import ChecklistModel from '../models/checklist.model.js';
+import { logAudit, diffChanges } from '../utils/audit.utils.js';
+
+/**
+ * Parse the checklist item ID route parameter
+ * @param {String} value - Raw parameter
+ * @returns {Number|null} - Item ID, null if invalid
+ */
+const parseItemId = (value) => {
+  const id = parseInt(value);
+  return isNaN(id) || id <= 0 ? null : id;
+};
+
+/**
+ * Checklist Controller
+ * Handles the checklist items of a task. Routes load the task first (req.resource),
+ * so only users who can see the task reach these handlers.
+ */
+const ChecklistController = {
+  /**
+   * Get the checklist of a task
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Checklist items
+   */
+  async getChecklist(req, res) {
+    try {
+      const items = await ChecklistModel.findByTask(req.resource.id);
+      return res.status(200).json({ items });
+    } catch (error) {
+      console.error('Get checklist error:', error);
+      return res.status(500).json({ message: 'Server error while fetching checklist' });
+    }
+  },
+
+  /**
+   * Add an item to the end of a task's checklist
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - New checklist item
+   */
+  async addChecklistItem(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const task = req.resource;
+      const item = await ChecklistModel.create({
+        task_id: task.id,
+        title: req.body.title,
+        created_by: req.user.id
+      });
+
+      await logAudit({
+        entityType: 'task',
+        entityId: task.id,
+        actorId: req.user.id,
+        action: 'checklist_add',
+        description: `Added checklist item "${item.title}" to task ${task.id}`,
+        ipAddress: req.ip
+      });
+
+      return res.status(201).json({
+        message: 'Checklist item added successfully',
+        item
+      });
+    } catch (error) {
+      console.error('Add checklist item error:', error);
+      return res.status(500).json({ message: 'Server error while adding checklist item' });
+    }
+  },
+
+  /**
+   * Rename, reorder or tick off a checklist item
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Updated checklist item
+   */
+  async updateChecklistItem(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const task = req.resource;
+      const itemId = parseItemId(req.params.itemId);
+      if (!itemId) {
+        return res.status(400).json({ message: 'Invalid checklist item ID' });
+      }
+
+      const existingItem = await ChecklistModel.findByTaskAndId(task.id, itemId);
+      if (!existingItem) {
+        return res.status(404).json({ message: 'Checklist item not found' });
+      }
+
+      const item = await ChecklistModel.update(itemId, req.body, req.user.id);
+
+      const changes = diffChanges(
+        { title: existingItem.title, is_done: existingItem.is_done, position: existingItem.position },
+        { title: item.title, is_done: item.is_done, position: item.position }
+      );
+      if (changes) {
+        await logAudit({
+          entityType: 'task',
+          entityId: task.id,
+          actorId: req.user.id,
+          action: 'checklist_update',
+          description: `Updated checklist item "${item.title}" of task ${task.id}`,
+          changes,
+          ipAddress: req.ip
+        });
+      }
+
+      return res.status(200).json({
+        message: 'Checklist item updated successfully',
+        item
+      });
+    } catch (error) {
+      console.error('Update checklist item error:', error);
+      return res.status(500).json({ message: 'Server error while updating checklist item' });
+    }
+  },
+
+  /**
+   * Delete a checklist item
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Success message
+   */
+  async deleteChecklistItem(req, res) {
+    try {
+      const task = req.resource;
+      const itemId = parseItemId(req.params.itemId);
+      if (!itemId) {
+        return res.status(400).json({ message: 'Invalid checklist item ID' });
+      }
+
+      const item = await ChecklistModel.findByTaskAndId(task.id, itemId);
+      if (!item) {
+        return res.status(404).json({ message: 'Checklist item not found' });
+      }
+
+      await ChecklistModel.delete(item.id);
+
+      await logAudit({
+        entityType: 'task',
+        entityId: task.id,
+        actorId: req.user.id,
+        action: 'checklist_delete',
+        description: `Deleted checklist item "${item.title}" from task ${task.id}`,
+        ipAddress: req.ip
+      });
+
+      return res.status(200).json({ message: 'Checklist item deleted successfully' });
+    } catch (error) {
+      console.error('Delete checklist item error:', error);
+      return res.status(500).json({ message: 'Server error while deleting checklist item' });
+    }
+  }
+};
+
+export default ChecklistController;
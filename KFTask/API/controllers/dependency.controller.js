@@ -0,0 +1,130 @@
+import { validationResult } from 'express-validator';
+import TaskModel from '../models/task.model.js';
+import DependencyModel from '../models/dependency.model.js';
+import { getTaskRole } from '../utils/projectAccess.utils.js';
+import { logAudit } from '../utils/audit.utils.js';
+
+/**
+ * Dependency Controller
+ * Handles finish-to-start dependencies between tasks of the same project.
+ * Routes load the dependent task first (req.resource).
+ */
+const DependencyController = {
+  /**
+   * Get the tasks a task waits for (blocked_by) and the tasks waiting for it (blocks)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - blocked_by and blocks lists
+   */
+  async getDependencies(req, res) {
+    try {
+      const [blockedBy, blocks] = await Promise.all([
+        DependencyModel.findBlockers(req.resource.id),
+        DependencyModel.findDependents(req.resource.id)
+      ]);
+      return res.status(200).json({ blocked_by: blockedBy, blocks });
+    } catch (error) {
+      console.error('Get dependencies error:', error);
+      return res.status(500).json({ message: 'Server error while fetching dependencies' });
+    }
+  },
+
+  /**
+   * Make a task wait for another task of the same project
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - New dependency
+   */
+  async addDependency(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const task = req.resource;
+      const dependsOnTaskId = parseInt(req.body.depends_on_task_id);
+
+      if (!task.project_id) {
+        return res.status(400).json({ message: 'Only tasks in a project can have dependencies' });
+      }
+      if (dependsOnTaskId === task.id) {
+        return res.status(400).json({ message: 'A task cannot depend on itself' });
+      }
+
+      // Tasks the user cannot see look the same as missing ones
+      const dependsOnTask = await TaskModel.findById(dependsOnTaskId);
+      if (!dependsOnTask || !await getTaskRole(req.user, dependsOnTask)) {
+        return res.status(400).json({ message: 'Task to depend on not found' });
+      }
+      if (dependsOnTask.project_id !== task.project_id) {
+        return res.status(400).json({ message: 'Dependencies can only link tasks of the same project' });
+      }
+
+      if (await DependencyModel.dependsOn(dependsOnTaskId, task.id)) {
+        return res.status(400).json({
+          message: `Task ${dependsOnTaskId} already depends on task ${task.id}; this dependency would create a cycle`
+        });
+      }
+
+      const dependency = await DependencyModel.create(task.id, dependsOnTaskId, req.user.id);
+      if (!dependency) {
+        return res.status(400).json({ message: 'Task already depends on this task' });
+      }
+
+      await logAudit({
+        entityType: 'task',
+        entityId: task.id,
+        actorId: req.user.id,
+        action: 'dependency_add',
+        description: `Task ${task.id} now waits for task ${dependsOnTaskId} ("${dependsOnTask.title}")`,
+        ipAddress: req.ip
+      });
+
+      return res.status(201).json({
+        message: 'Dependency added successfully',
+        dependency
+      });
+    } catch (error) {
+      console.error('Add dependency error:', error);
+      return res.status(500).json({ message: 'Server error while adding dependency' });
+    }
+  },
+
+  /**
+   * Remove a dependency of a task
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Success message
+   */
+  async removeDependency(req, res) {
+    try {
+      const task = req.resource;
+      const dependsOnTaskId = parseInt(req.params.dependsOnTaskId);
+      if (isNaN(dependsOnTaskId) || dependsOnTaskId <= 0) {
+        return res.status(400).json({ message: 'Invalid task ID' });
+      }
+
+      const dependency = await DependencyModel.delete(task.id, dependsOnTaskId);
+      if (!dependency) {
+        return res.status(404).json({ message: 'Dependency not found' });
+      }
+
+      await logAudit({
+        entityType: 'task',
+        entityId: task.id,
+        actorId: req.user.id,
+        action: 'dependency_remove',
+        description: `Task ${task.id} no longer waits for task ${dependsOnTaskId}`,
+        ipAddress: req.ip
+      });
+
+      return res.status(200).json({ message: 'Dependency removed successfully' });
+    } catch (error) {
+      console.error('Remove dependency error:', error);
+      return res.status(500).json({ message: 'Server error while removing dependency' });
+    }
+  }
+};
+
+export default DependencyController;
@@ -0,0 +1,319 @@
+import { validationResult } from 'express-validator';
+import db from '../config/db.js';
+import UserModel from '../models/user.model.js';
+import InviteModel from '../models/invite.model.js';
+import { getPermissionScope } from '../utils/permission.utils.js';
+import { logAudit, logEntityChange, diffChanges } from '../utils/audit.utils.js';
+import { hashToken } from '../utils/auth.utils.js';
+import { generateInviteNonce, verifyInviteToken, deliverInvite, prepareInvite } from '../utils/invite.utils.js';
+
+/**
+ * Invite Controller
+ * Handles invite-based onboarding: invites are created by admins and vendors,
+ * the invitee accepts through the emailed link and chooses their own password
+ */
+const InviteController = {
+  /**
+   * Get invites with pagination and filters
+   * With user:invite:own only the invites sent by the user or for their organisation are listed
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - List of invites
+   */
+  async getInvites(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const scope = await getPermissionScope(req.user, 'user:invite');
+      if (scope === false) {
+        return res.status(403).json({ message: 'Forbidden: You do not have permission to access this resource' });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const offset = (page - 1) * limit;
+
+      const filters = {
+        status: req.query.status,
+        search: req.query.search
+      };
+      if (scope) {
+        filters.visible_to = scope;
+      }
+
+      const invites = await InviteModel.findAll(limit, offset, filters);
+      const total = await InviteModel.countTotal(filters);
+
+      return res.status(200).json({
+        invites,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get invites error:', error);
+      return res.status(500).json({ message: 'Server error while fetching invites' });
+    }
+  },
+
+  /**
+   * Invite a new user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - New invite
+   */
+  async createInvite(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const scope = await getPermissionScope(req.user, 'user:invite');
+      if (scope === false) {
+        return res.status(403).json({ message: 'Forbidden: You do not have permission to access this resource' });
+      }
+
+      const prepared = await prepareInvite(req.user, scope, req.body);
+      if (!prepared.invite) {
+        return res.status(prepared.status).json({ message: prepared.message });
+      }
+
+      const { nonce, token_hash, expires_at } = generateInviteNonce();
+      const invite = await InviteModel.create({ ...prepared.invite, token_hash, expires_at });
+
+      await logEntityChange(req, 'invite', 'create', {
+        after: invite,
+        description: `Invited ${invite.email} as ${invite.role}`
+      });
+
+      const mailSent = await deliverInvite(invite, nonce, req.user);
+
+      return res.status(201).json({
+        message: mailSent
+          ? 'Invite sent successfully'
+          : 'Invite created, but the email could not be sent. Try resending it.',
+        mailSent,
+        invite
+      });
+    } catch (error) {
+      console.error('Create invite error:', error);
+      return res.status(500).json({ message: 'Server error while creating invite' });
+    }
+  },
+
+  /**
+   * Send a fresh link for an open invite. Earlier links stop working and the expiry starts over.
+   * @param {Object} req - Express request object (req.resource is the invite)
+   * @param {Object} res - Express response object
+   * @returns {Object} - Updated invite
+   */
+  async resendInvite(req, res) {
+    try {
+      const existing = req.resource;
+
+      if (existing.status === 'accepted' || existing.status === 'revoked') {
+        return res.status(400).json({ message: `Invite has already been ${existing.status}` });
+      }
+
+      const { nonce, token_hash, expires_at } = generateInviteNonce();
+      const invite = await InviteModel.renew(existing.id, token_hash, expires_at);
+      if (!invite) {
+        return res.status(400).json({ message: 'Invite is no longer open' });
+      }
+
+      await logAudit({
+        entityType: 'invite',
+        entityId: invite.id,
+        actorId: req.user.id,
+        action: 'resend',
+        description: `Resent invite to ${invite.email}`,
+        ipAddress: req.ip
+      });
+
+      const mailSent = await deliverInvite(invite, nonce, req.user);
+
+      return res.status(200).json({
+        message: mailSent ? 'Invite resent successfully' : 'The email could not be sent. Try again later.',
+        mailSent,
+        invite
+      });
+    } catch (error) {
+      console.error('Resend invite error:', error);
+      return res.status(500).json({ message: 'Server error while resending invite' });
+    }
+  },
+
+  /**
+   * Revoke an open invite so its link can no longer be used
+   * @param {Object} req - Express request object (req.resource is the invite)
+   * @param {Object} res - Express response object
+   * @returns {Object} - Success message
+   */
+  async revokeInvite(req, res) {
+    try {
+      const invite = req.resource;
+
+      const revoked = await InviteModel.revoke(invite.id);
+      if (!revoked) {
+        return res.status(400).json({ message: `Invite has already been ${invite.status}` });
+      }
+
+      await logAudit({
+        entityType: 'invite',
+        entityId: invite.id,
+        actorId: req.user.id,
+        action: 'revoke',
+        description: `Revoked invite to ${invite.email}`,
+        ipAddress: req.ip
+      });
+
+      return res.status(200).json({ message: 'Invite revoked successfully' });
+    } catch (error) {
+      console.error('Revoke invite error:', error);
+      return res.status(500).json({ message: 'Server error while revoking invite' });
+    }
+  },
+
+  /**
+   * Show what an invite link is for, so the invitee can review it before accepting
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Invite details without internal fields
+   */
+  async getInviteByToken(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const decoded = verifyInviteToken(req.query.token);
+      const invite = decoded ? await InviteModel.findPendingByLink(decoded.inviteId, hashToken(decoded.nonce)) : null;
+      if (!invite) {
+        return res.status(400).json({ message: 'Invite link is invalid or has expired' });
+      }
+
+      const vendor = invite.working_for ? await UserModel.findActiveVendor(invite.working_for) : null;
+
+      return res.status(200).json({
+        invite: {
+          email: invite.email,
+          firstName: invite.first_name,
+          lastName: invite.last_name,
+          role: invite.role,
+          department: invite.department,
+          position: invite.position,
+          workingFor: vendor ? (vendor.company_name || `${vendor.first_name} ${vendor.last_name}`) : null,
+          expiresAt: invite.expires_at
+        }
+      });
+    } catch (error) {
+      console.error('Get invite by token error:', error);
+      return res.status(500).json({ message: 'Server error while fetching invite' });
+    }
+  },
+
+  /**
+   * Accept an invite: create the account with the password chosen by the invitee
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - New user info
+   */
+  async acceptInvite(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { token, password, first_name, last_name, phone_no } = req.body;
+      const invalidLink = { message: 'Invite link is invalid or has expired' };
+
+      const decoded = verifyInviteToken(token);
+      if (!decoded) {
+        return res.status(400).json(invalidLink);
+      }
+
+      const client = await db.pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const invite = await InviteModel.lockForAcceptance(decoded.inviteId, hashToken(decoded.nonce), client);
+        if (!invite) {
+          await client.query('ROLLBACK');
+          return res.status(400).json(invalidLink);
+        }
+
+        // The vendor may have been deactivated since the invite was sent
+        if (invite.working_for && !await UserModel.findActiveVendor(invite.working_for)) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ message: 'The organisation this invite is for is no longer active' });
+        }
+
+        if (await UserModel.findByEmail(invite.email, { includeDeleted: true })) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ message: 'Email is already registered' });
+        }
+
+        // Invites sent before names were required may not have them
+        const firstName = first_name || invite.first_name;
+        const lastName = last_name || invite.last_name;
+        if (!firstName || !lastName) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ message: 'First name and last name are required to accept this invite' });
+        }
+
+        const newUser = await UserModel.create({
+          first_name: firstName,
+          last_name: lastName,
+          email: invite.email,
+          password,
+          role: invite.role,
+          department: invite.department,
+          position: invite.position,
+          designation: invite.designation,
+          type: invite.type,
+          working_type: invite.working_type,
+          working_for: invite.working_for,
+          phone_no: phone_no || invite.phone_no
+        }, client);
+
+        await InviteModel.markAccepted(invite.id, newUser.id, client);
+
+        await logAudit({
+          entityType: 'user',
+          entityId: newUser.id,
+          actorId: newUser.id,
+          action: 'create',
+          description: `Accepted invite ${invite.id} from user ${invite.invited_by}`,
+          changes: diffChanges(null, newUser),
+          ipAddress: req.ip
+        }, client);
+
+        await client.query('COMMIT');
+
+        return res.status(201).json({
+          message: 'Invite accepted. You can now log in with your new password.',
+          user: newUser
+        });
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error('Accept invite error:', error);
+      return res.status(500).json({ message: 'Server error while accepting invite' });
+    }
+  }
+};
+
+export default InviteController;
@@ -0,0 +1,207 @@
+import { validationResult } from 'express-validator';
+import MilestoneModel from '../models/milestone.model.js';
+import { toDateString } from '../utils/date.utils.js';
+import { logAudit, logEntityChange } from '../utils/audit.utils.js';
+
+/**
+ * Milestone Controller
+ * Handles the milestones of a project (e.g. releases) and the tasks that lead up to them.
+ * Project routes load the project, milestone routes the milestone, as req.resource.
+ */
+const MilestoneController = {
+  /**
+   * Get the milestones of a project
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Milestones by due date with their progress
+   */
+  async getProjectMilestones(req, res) {
+    try {
+      const milestones = await MilestoneModel.findByProject(req.resource.id);
+      return res.status(200).json({ milestones });
+    } catch (error) {
+      console.error('Get milestones error:', error);
+      return res.status(500).json({ message: 'Server error while fetching milestones' });
+    }
+  },
+
+  /**
+   * Create a milestone in a project
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - New milestone
+   */
+  async createMilestone(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const project = req.resource;
+      const milestone = await MilestoneModel.create(project.id, req.body, req.user.id);
+
+      await logEntityChange(req, 'milestone', 'create', {
+        after: milestone,
+        description: `Milestone "${milestone.name}" created in project ${project.id}`
+      });
+
+      return res.status(201).json({
+        message: 'Milestone created successfully',
+        milestone
+      });
+    } catch (error) {
+      console.error('Create milestone error:', error);
+      return res.status(500).json({ message: 'Server error while creating milestone' });
+    }
+  },
+
+  /**
+   * Get a milestone with its tasks
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Milestone
+   */
+  async getMilestoneById(req, res) {
+    try {
+      const milestone = req.resource;
+      milestone.tasks = await MilestoneModel.findTasks(milestone.id);
+      return res.status(200).json({ milestone });
+    } catch (error) {
+      console.error('Get milestone by ID error:', error);
+      return res.status(500).json({ message: 'Server error while fetching milestone' });
+    }
+  },
+
+  /**
+   * Update a milestone; set status to completed to mark it reached
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Updated milestone
+   */
+  async updateMilestone(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existingMilestone = req.resource;
+      const milestone = await MilestoneModel.update(existingMilestone.id, {
+        name: req.body.name ?? existingMilestone.name,
+        description: req.body.description !== undefined ? req.body.description : existingMilestone.description,
+        due_date: req.body.due_date !== undefined ? req.body.due_date : toDateString(existingMilestone.due_date),
+        status: req.body.status ?? existingMilestone.status
+      });
+
+      await logEntityChange(req, 'milestone', 'update', {
+        before: existingMilestone,
+        after: milestone,
+        description: `Milestone "${milestone.name}" updated`
+      });
+
+      return res.status(200).json({
+        message: 'Milestone updated successfully',
+        milestone
+      });
+    } catch (error) {
+      console.error('Update milestone error:', error);
+      return res.status(500).json({ message: 'Server error while updating milestone' });
+    }
+  },
+
+  /**
+   * Delete a milestone; its tasks are kept
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Success message
+   */
+  async deleteMilestone(req, res) {
+    try {
+      const milestone = req.resource;
+      await MilestoneModel.delete(milestone.id);
+
+      await logEntityChange(req, 'milestone', 'delete', {
+        before: milestone,
+        description: `Milestone "${milestone.name}" deleted`
+      });
+
+      return res.status(200).json({ message: 'Milestone deleted successfully' });
+    } catch (error) {
+      console.error('Delete milestone error:', error);
+      return res.status(500).json({ message: 'Server error while deleting milestone' });
+    }
+  },
+
+  /**
+   * Put tasks of the milestone's project in the milestone
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - IDs of the tasks added and of the ones skipped
+   */
+  async addTasks(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const milestone = req.resource;
+      const taskIds = [...new Set(req.body.task_ids)];
+      const addedIds = await MilestoneModel.addTasks(milestone, taskIds);
+
+      if (addedIds.length > 0) {
+        await logAudit({
+          entityType: 'milestone',
+          entityId: milestone.id,
+          actorId: req.user.id,
+          action: 'add_tasks',
+          description: `Task(s) ${addedIds.join(', ')} added to milestone "${milestone.name}"`,
+          ipAddress: req.ip
+        });
+      }
+
+      return res.status(200).json({
+        message: `${addedIds.length} task(s) added to the milestone`,
+        added_task_ids: addedIds,
+        // Tasks that do not exist or belong to another project
+        skipped_task_ids: taskIds.filter(id => !addedIds.includes(id))
+      });
+    } catch (error) {
+      console.error('Add milestone tasks error:', error);
+      return res.status(500).json({ message: 'Server error while adding tasks to milestone' });
+    }
+  },
+
+  /**
+   * Take a task out of the milestone
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Success message
+   */
+  async removeTask(req, res) {
+    try {
+      const milestone = req.resource;
+      const taskId = parseInt(req.params.taskId);
+      if (!await MilestoneModel.removeTask(milestone.id, taskId)) {
+        return res.status(404).json({ message: 'Task is not in this milestone' });
+      }
+
+      await logAudit({
+        entityType: 'milestone',
+        entityId: milestone.id,
+        actorId: req.user.id,
+        action: 'remove_task',
+        description: `Task ${taskId} removed from milestone "${milestone.name}"`,
+        ipAddress: req.ip
+      });
+
+      return res.status(200).json({ message: 'Task removed from milestone successfully' });
+    } catch (error) {
+      console.error('Remove milestone task error:', error);
+      return res.status(500).json({ message: 'Server error while removing task from milestone' });
+    }
+  }
+};
+
+export default MilestoneController;
@@ -3,7 +3,13 @@
 // const db = require('../config/db');
 import { validationResult } from 'express-validator';
 import ProjectModel from '../models/project.model.js';
+import UserModel from '../models/user.model.js';
+import DependencyModel from '../models/dependency.model.js';
 import db from '../config/db.js';
+import { getAccessScope, hasProjectRole, ensureProjectMember } from '../utils/projectAccess.utils.js';
+import { logAudit, logEntityChange, diffChanges } from '../utils/audit.utils.js';
+import { computeCriticalPath } from '../utils/criticalPath.utils.js';
+import { ListQueryError, parseListOptions, toPagination } from '../utils/listQuery.utils.js';
 
 /**
  * Project Controller
@@ -18,9 +24,7 @@ const ProjectController = {
    */
   async getAllProjects(req, res) {
     try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
-      const offset = (page - 1) * limit;
+      const listOptions = parseListOptions(req.query);
 
       // Build filters object from query parameters
       const filters = {
@@ -31,8 +35,7 @@ const ProjectController = {
         priority: req.query.priority,
         project_type: req.query.project_type, // Added project_type filter
         search: req.query.search,
-        sort_by: req.query.sort_by,
-        sort_order: req.query.sort_order
+        accessible_to: await getAccessScope(req.user)
       };
 
       // Remove undefined filters
@@ -42,26 +45,23 @@ const ProjectController = {
         }
       });
 
-      const projects = await ProjectModel.findAll(limit, offset, filters);
-      const total = await ProjectModel.countTotal(filters);
+      const result = await ProjectModel.findPage(filters, listOptions);
 
       return res.status(200).json({
-        projects,
-        pagination: {
-          total,
-          page,
-          limit,
-          pages: Math.ceil(total / limit)
-        }
+        projects: result.rows,
+        pagination: toPagination(result, listOptions)
       });
     } catch (error) {
+      if (error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
       console.error('Get all projects error:', error);
       return res.status(500).json({ message: 'Server error while fetching projects' });
     }
   },
 async getAllProjectIdsAndTitles(req, res) {
   try {
-    const projects = await ProjectModel.getAllProjectIdsAndTitles();
+    const projects = await ProjectModel.getAllProjectIdsAndTitles(await getAccessScope(req.user));
     return res.status(200).json({ projects });
   } catch (error) {
     console.error('Get all project IDs and titles error:', error);
@@ -71,6 +71,7 @@ async getAllProjectIdsAndTitles(req, res) {
 ,
   /**
    * Get project by ID
+   * The project is loaded by the route, which answers 404 to non-members
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @returns {Object} - Project details
@@ -78,12 +79,7 @@ async getAllProjectIdsAndTitles(req, res) {
   async getProjectById(req, res) {
     try {
       const projectId = parseInt(req.params.id);
-      
-      const project = await ProjectModel.findById(projectId);
-      
-      if (!project) {
-        return res.status(404).json({ message: 'Project not found' });
-      }
+      const project = req.resource;
 
       // Get team members for project
       const teamMembers = await ProjectModel.getTeamMembers(projectId);
@@ -150,10 +146,16 @@ async createProject(req, res) {
         project_type: safeProjectType,
       });
 
-      await client.query(
-        'INSERT INTO project_logs (project_id, user_id, action, description) VALUES ($1, $2, $3, $4)',
-        [newProject.id, req.user.id, 'create', `Project "${title}" created`]
-      );
+      // The creator owns the project; a different manager joins the team as manager
+      await ensureProjectMember(newProject.id, req.user.id, 'owner', client);
+      if (newProject.manager_id !== req.user.id) {
+        await ensureProjectMember(newProject.id, newProject.manager_id, 'manager', client);
+      }
+
+      await logEntityChange(req, 'project', 'create', {
+        after: newProject,
+        description: `Project "${title}" created`
+      }, client);
 
       await client.query('COMMIT');
 
@@ -175,10 +177,10 @@ async createProject(req, res) {
   }
 },
 /**
- * Get projects made by current user or assigned to current user
+ * Get projects the current user is a team member of
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object  
- * @returns {Object} - List of user's projects with id, title, start_date, end_date
+ * @returns {Object} - List of user's projects with id, title, start_date, end_date, project_role
  */
 async getMyProjects(req, res) {
   try {
@@ -200,15 +202,8 @@ async getMyProjects(req, res) {
 async getProjectTasks(req, res) {
   try {
     const projectId = parseInt(req.params.id);
-   
-
-    // Check if project exists
-    const project = await ProjectModel.findById(projectId);
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
-    }
+    const project = req.resource;
 
- 
 
     // Get tasks for the project
     const tasks = await ProjectModel.getProjectTasks(projectId);
@@ -230,6 +225,31 @@ async getProjectTasks(req, res) {
   }
 },
 
+/**
+ * Get the critical path of a project: the longest chain of task dependencies
+ * by estimated hours, with the slack of every task
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - Critical path and task schedule
+ */
+async getCriticalPath(req, res) {
+  try {
+    const projectId = req.resource.id;
+    const [tasks, dependencies] = await Promise.all([
+      DependencyModel.findProjectTasks(projectId),
+      DependencyModel.findByProject(projectId)
+    ]);
+
+    return res.status(200).json({
+      project_id: projectId,
+      ...computeCriticalPath(tasks, dependencies)
+    });
+  } catch (error) {
+    console.error('Get critical path error:', error);
+    return res.status(500).json({ message: 'Server error while computing critical path' });
+  }
+},
+
 
 /**
  * Update a project (Simplified version - similar to create)
@@ -246,17 +266,6 @@ async updateProject(req, res) {
 
     const projectId = parseInt(req.params.id);
 
-    // Check if project exists
-    const existingProject = await ProjectModel.findById(projectId);
-    if (!existingProject) {
-      return res.status(404).json({ message: 'Project not found' });
-    }
-
-    // Check permission: only admin or manager
-    if (req.user.role !== 'admin' && existingProject.manager_id !== req.user.id) {
-      return res.status(403).json({ message: 'You do not have permission to update this project' });
-    }
-
     const {
       title,
       description,
@@ -291,11 +300,17 @@ async updateProject(req, res) {
         project_type
       });
 
+      // A new project manager joins the team as manager
+      if (manager_id) {
+        await ensureProjectMember(projectId, manager_id, 'manager', client);
+      }
+
       // Log project update
-      await client.query(
-        'INSERT INTO project_logs (project_id, user_id, action, description) VALUES ($1, $2, $3, $4)',
-        [projectId, req.user.id, 'update', `Project "${updatedProject.title}" updated`]
-      );
+      await logEntityChange(req, 'project', 'update', {
+        before: req.resource,
+        after: updatedProject,
+        description: `Project "${updatedProject.title}" updated`
+      }, client);
 
       await client.query('COMMIT');
 
@@ -321,42 +336,91 @@ async updateProject(req, res) {
 
   /**
    * Delete a project
+   * The project goes to the trash together with its tasks; daily updates are kept.
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @returns {Object} - Success message
    */
   async deleteProject(req, res) {
     try {
-      const projectId = parseInt(req.params.id);
+      // Move the project and its tasks to the trash
+      await ProjectModel.softDelete(req.resource.id, req.user.id);
 
-      // Check if project exists
-      const project = await ProjectModel.findById(projectId);
-      if (!project) {
-        return res.status(404).json({ message: 'Project not found' });
+      // Log project deletion
+      await logEntityChange(req, 'project', 'delete', {
+        before: req.resource,
+        description: `Project "${req.resource.title}" deleted`
+      });
+
+      return res.status(200).json({ message: 'Project deleted successfully' });
+    } catch (error) {
+      console.error('Delete project error:', error);
+      return res.status(500).json({ message: 'Server error while deleting project' });
+    }
+  },
+
+  /**
+   * Get the project trash: deleted projects the user is a member of, most recently deleted first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Deleted projects with pagination
+   */
+  async getDeletedProjects(req, res) {
+    try {
+      const listOptions = parseListOptions(req.query);
+      const result = await ProjectModel.findTrashPage({
+        deleted_by: req.query.deleted_by ? parseInt(req.query.deleted_by) : null,
+        search: req.query.search,
+        accessible_to: await getAccessScope(req.user)
+      }, listOptions);
+
+      return res.status(200).json({
+        projects: result.rows,
+        pagination: toPagination(result, listOptions)
+      });
+    } catch (error) {
+      if (error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
       }
+      console.error('Get deleted projects error:', error);
+      return res.status(500).json({ message: 'Server error while fetching deleted projects' });
+    }
+  },
 
-      // Only admin or the project manager can delete the project
-      if (
-        req.user.role !== 'admin' && 
-        project.manager_id !== req.user.id
-      ) {
-        return res.status(403).json({
-          message: 'You do not have permission to delete this project'
-        });
+  /**
+   * Restore a project from the trash together with the tasks deleted with it
+   * @param {Object} req - Express request object (req.resource is the deleted project)
+   * @param {Object} res - Express response object
+   * @returns {Object} - Restored project and the number of restored tasks
+   */
+  async restoreProject(req, res) {
+    try {
+      const restored = await ProjectModel.restore(req.resource.id);
+      if (!restored) {
+        return res.status(404).json({ message: 'Project not found' });
       }
+      const { restored_task_count } = restored;
+      const project = await ProjectModel.findById(restored.id);
 
-      // Delete project
-      await ProjectModel.delete(projectId);
+      await logEntityChange(req, 'project', 'restore', {
+        entityId: project.id,
+        description: `Project "${project.title}" restored from the trash with ${restored_task_count} task(s)`
+      });
 
-      return res.status(200).json({ message: 'Project deleted successfully' });
+      return res.status(200).json({
+        message: 'Project restored successfully',
+        project,
+        restored_task_count: parseInt(restored_task_count)
+      });
     } catch (error) {
-      console.error('Delete project error:', error);
-      return res.status(500).json({ message: 'Server error while deleting project' });
+      console.error('Restore project error:', error);
+      return res.status(500).json({ message: 'Server error while restoring project' });
     }
   },
 
   /**
-   * Add team member to project
+   * Add team member to project, or change the project role of an existing member.
+   * Only owners can grant or take away the owner role, and the last owner cannot be demoted.
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @returns {Object} - Team member details
@@ -369,36 +433,39 @@ async updateProject(req, res) {
       }
 
       const projectId = parseInt(req.params.id);
-      const { user_id, role } = req.body;
+      const { user_id, role = 'contributor' } = req.body;
+      const project = req.resource;
 
-      // Check if project exists
-      const project = await ProjectModel.findById(projectId);
-      if (!project) {
-        return res.status(404).json({ message: 'Project not found' });
+      const user = await UserModel.findById(user_id);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
       }
 
-      // Only admin or the project manager can add team members
-      if (
-        req.user.role !== 'admin' && 
-        project.manager_id !== req.user.id
-      ) {
-        return res.status(403).json({
-          message: 'You do not have permission to modify project team'
-        });
+      const existingMember = await ProjectModel.getTeamMember(projectId, user_id);
+      const touchesOwner = role === 'owner' || existingMember?.role === 'owner';
+
+      if (touchesOwner && !hasProjectRole(project.my_role, 'owner')) {
+        return res.status(403).json({ message: 'Only project owners can grant or change the owner role' });
+      }
+
+      if (existingMember?.role === 'owner' && role !== 'owner'
+        && await ProjectModel.countTeamMembersWithRole(projectId, 'owner') <= 1) {
+        return res.status(400).json({ message: 'A project must keep at least one owner' });
       }
 
       // Add team member
-      const teamMember = await ProjectModel.addTeamMember(
-        projectId, 
-        user_id, 
-        role || 'member'
-      );
+      const teamMember = await ProjectModel.addTeamMember(projectId, user_id, role);
 
       // Log team member addition
-      await db.query(
-        'INSERT INTO project_logs (project_id, user_id, action, description) VALUES ($1, $2, $3, $4)',
-        [projectId, req.user.id, 'add_team_member', `Team member (${user_id}) added to project`]
-      );
+      await logAudit({
+        entityType: 'project',
+        entityId: projectId,
+        actorId: req.user.id,
+        action: 'add_team_member',
+        description: `Team member (${user_id}) added to project as ${role}`,
+        changes: diffChanges({ [`team_member_${user_id}`]: existingMember?.role ?? null }, { [`team_member_${user_id}`]: role }),
+        ipAddress: req.ip
+      });
 
       return res.status(200).json({
         message: 'Team member added successfully',
@@ -420,21 +487,20 @@ async updateProject(req, res) {
     try {
       const projectId = parseInt(req.params.id);
       const userId = parseInt(req.params.userId);
+      const project = req.resource;
 
-      // Check if project exists
-      const project = await ProjectModel.findById(projectId);
-      if (!project) {
-        return res.status(404).json({ message: 'Project not found' });
+      const member = await ProjectModel.getTeamMember(projectId, userId);
+      if (!member) {
+        return res.status(404).json({ message: 'Team member not found in project' });
       }
 
-      // Only admin or the project manager can remove team members
-      if (
-        req.user.role !== 'admin' && 
-        project.manager_id !== req.user.id
-      ) {
-        return res.status(403).json({
-          message: 'You do not have permission to modify project team'
-        });
+      if (member.role === 'owner') {
+        if (!hasProjectRole(project.my_role, 'owner')) {
+          return res.status(403).json({ message: 'Only project owners can remove an owner' });
+        }
+        if (await ProjectModel.countTeamMembersWithRole(projectId, 'owner') <= 1) {
+          return res.status(400).json({ message: 'A project must keep at least one owner' });
+        }
       }
 
       // Remove team member
@@ -445,10 +511,15 @@ async updateProject(req, res) {
       }
 
       // Log team member removal
-      await db.query(
-        'INSERT INTO project_logs (project_id, user_id, action, description) VALUES ($1, $2, $3, $4)',
-        [projectId, req.user.id, 'remove_team_member', `Team member (${userId}) removed from project`]
-      );
+      await logAudit({
+        entityType: 'project',
+        entityId: projectId,
+        actorId: req.user.id,
+        action: 'remove_team_member',
+        description: `Team member (${userId}) removed from project`,
+        changes: diffChanges({ [`team_member_${userId}`]: member.role }, { [`team_member_${userId}`]: null }),
+        ipAddress: req.ip
+      });
 
       return res.status(200).json({ message: 'Team member removed successfully' });
     } catch (error) {
@@ -545,7 +616,7 @@ async getProjectPriorities(req, res) {
    */
   async getProjectStats(req, res) {
     try {
-      const stats = await ProjectModel.getProjectStats();
+      const stats = await ProjectModel.getProjectStats(await getAccessScope(req.user));
       return res.status(200).json({ stats });
     } catch (error) {
       console.error('Get project stats error:', error);
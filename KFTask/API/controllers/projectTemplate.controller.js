@@ -0,0 +1,298 @@
+import { validationResult } from 'express-validator';
+import db from '../config/db.js';
+import ProjectTemplateModel from '../models/projectTemplate.model.js';
+import ProjectModel from '../models/project.model.js';
+import TaskModel from '../models/task.model.js';
+import UserModel from '../models/user.model.js';
+import WorkflowModel from '../models/workflow.model.js';
+import { ensureProjectMember } from '../utils/projectAccess.utils.js';
+import { resolveRoleAssignees } from '../utils/template.utils.js';
+import { getInitialStatus } from '../utils/workflow.utils.js';
+import { addDays, daysBetween, toDateString } from '../utils/date.utils.js';
+import { logEntityChange } from '../utils/audit.utils.js';
+
+/**
+ * Project Template Controller
+ * Handles reusable project templates: task lists with due date offsets that new projects start from
+ */
+const ProjectTemplateController = {
+  /**
+   * Get all project templates
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - List of templates
+   */
+  async getTemplates(req, res) {
+    try {
+      const templates = await ProjectTemplateModel.findAll();
+      return res.status(200).json({ templates });
+    } catch (error) {
+      console.error('Get templates error:', error);
+      return res.status(500).json({ message: 'Server error while fetching templates' });
+    }
+  },
+
+  /**
+   * Get a template with its tasks (loaded by the route)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Template
+   */
+  async getTemplateById(req, res) {
+    try {
+      return res.status(200).json({ template: req.resource });
+    } catch (error) {
+      console.error('Get template by ID error:', error);
+      return res.status(500).json({ message: 'Server error while fetching template' });
+    }
+  },
+
+  /**
+   * Create a template
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - New template
+   */
+  async createTemplate(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const template = await ProjectTemplateModel.save(null, req.body, req.user.id);
+
+      await logEntityChange(req, 'template', 'create', {
+        after: template,
+        description: `Template "${template.name}" created with ${template.tasks.length} task(s)`
+      });
+
+      return res.status(201).json({
+        message: 'Template created successfully',
+        template
+      });
+    } catch (error) {
+      console.error('Create template error:', error);
+      return res.status(500).json({ message: 'Server error while creating template' });
+    }
+  },
+
+  /**
+   * Replace a template and its tasks
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Updated template
+   */
+  async updateTemplate(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existingTemplate = req.resource;
+      const template = await ProjectTemplateModel.save(existingTemplate.id, req.body, req.user.id);
+
+      await logEntityChange(req, 'template', 'update', {
+        before: existingTemplate,
+        after: template,
+        description: `Template "${template.name}" updated`
+      });
+
+      return res.status(200).json({
+        message: 'Template updated successfully',
+        template
+      });
+    } catch (error) {
+      console.error('Update template error:', error);
+      return res.status(500).json({ message: 'Server error while updating template' });
+    }
+  },
+
+  /**
+   * Delete a template. Projects created from it are not affected.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Success message
+   */
+  async deleteTemplate(req, res) {
+    try {
+      const template = req.resource;
+      await ProjectTemplateModel.delete(template.id);
+
+      await logEntityChange(req, 'template', 'delete', {
+        before: template,
+        description: `Template "${template.name}" deleted`
+      });
+
+      return res.status(200).json({ message: 'Template deleted successfully' });
+    } catch (error) {
+      console.error('Delete template error:', error);
+      return res.status(500).json({ message: 'Server error while deleting template' });
+    }
+  },
+
+  /**
+   * Create a project from a template. Task due dates are the template offsets from start_date;
+   * each task goes to the team member holding its default role.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - New project and the number of tasks created
+   */
+  async createProjectFromTemplate(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const templateId = parseInt(req.params.templateId);
+      const template = templateId ? await ProjectTemplateModel.findById(templateId) : null;
+      if (!template) {
+        return res.status(404).json({ message: 'Template not found' });
+      }
+
+      const {
+        title,
+        description,
+        client_id,
+        start_date,
+        end_date,
+        budget,
+        manager_id,
+        department,
+        priority,
+        project_type,
+        team_members = []
+      } = req.body;
+
+      const managerId = manager_id || req.user.id;
+      for (const userId of [managerId, ...team_members.map(member => member.user_id)]) {
+        if (!await UserModel.findById(userId)) {
+          return res.status(400).json({ message: `User ${userId} not found` });
+        }
+      }
+
+      // Earlier entries win when a default role is held by several members
+      const members = [
+        { user_id: req.user.id, role: 'owner' },
+        ...(managerId !== req.user.id ? [{ user_id: managerId, role: 'manager' }] : []),
+        ...team_members.filter(member => member.user_id !== req.user.id && member.user_id !== managerId)
+      ];
+      const roleAssignees = resolveRoleAssignees(members);
+      const startDate = toDateString(start_date);
+
+      const client = await db.pool.connect();
+      let newProject;
+      try {
+        await client.query('BEGIN');
+
+        newProject = await ProjectModel.create({
+          title,
+          description: description ?? template.description,
+          client_id,
+          start_date: startDate,
+          end_date: end_date || (template.duration_days !== null ? addDays(startDate, template.duration_days) : null),
+          status: 'planning',
+          budget,
+          manager_id: managerId,
+          department,
+          priority: priority || template.priority,
+          project_type: project_type ?? template.project_type
+        }, client);
+
+        for (const member of members) {
+          await ensureProjectMember(newProject.id, member.user_id, member.role, client);
+        }
+
+        // A new project has no workflow of its own yet
+        const initialStatus = getInitialStatus(await WorkflowModel.findDefault(client));
+        for (const task of template.tasks) {
+          await TaskModel.create({
+            title: task.title,
+            description: task.description,
+            project_id: newProject.id,
+            assignee_id: task.default_role ? roleAssignees[task.default_role] : null,
+            status: initialStatus,
+            priority: task.priority,
+            due_date: task.due_offset_days !== null ? addDays(startDate, task.due_offset_days) : null,
+            estimated_hours: task.estimated_hours,
+            created_by: req.user.id
+          }, client);
+        }
+
+        await logEntityChange(req, 'project', 'create', {
+          after: newProject,
+          description: `Project "${title}" created from template "${template.name}" with ${template.tasks.length} task(s)`
+        }, client);
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      const project = await ProjectModel.findById(newProject.id);
+      project.team_members = await ProjectModel.getTeamMembers(newProject.id);
+
+      return res.status(201).json({
+        message: 'Project created from template successfully',
+        project,
+        tasks_created: template.tasks.length
+      });
+    } catch (error) {
+      console.error('Create project from template error:', error);
+      return res.status(500).json({ message: 'Server error while creating project from template' });
+    }
+  },
+
+  /**
+   * Save a project (loaded by the route) as a new template. Its open and closed tasks are
+   * copied; cancelled ones are left out.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - New template
+   */
+  async saveProjectAsTemplate(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const project = req.resource;
+      const tasks = await ProjectTemplateModel.findProjectTasks(project);
+      if (tasks.length === 0) {
+        return res.status(400).json({ message: 'Project has no tasks to save as a template' });
+      }
+
+      const template = await ProjectTemplateModel.save(null, {
+        name: req.body.name || project.title,
+        description: req.body.description ?? project.description,
+        priority: project.priority,
+        project_type: project.project_type,
+        duration_days: project.start_date && project.end_date
+          ? Math.max(daysBetween(project.start_date, project.end_date), 0)
+          : null,
+        tasks
+      }, req.user.id);
+
+      await logEntityChange(req, 'template', 'create', {
+        after: template,
+        description: `Template "${template.name}" saved from project ${project.id} with ${tasks.length} task(s)`
+      });
+
+      return res.status(201).json({
+        message: 'Project saved as template successfully',
+        template
+      });
+    } catch (error) {
+      console.error('Save project as template error:', error);
+      return res.status(500).json({ message: 'Server error while saving project as template' });
+    }
+  }
+};
+
+export default ProjectTemplateController;
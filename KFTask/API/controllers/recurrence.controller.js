@@ -0,0 +1,319 @@
+import { validationResult } from 'express-validator';
+import db from '../config/db.js';
+import RecurrenceModel from '../models/recurrence.model.js';
+import {
+  RECURRENCE_RULE_FIELDS,
+  getNextOccurrence,
+  normalizeRecurrenceRule,
+  toRRule,
+  validateRecurrenceRule
+} from '../utils/recurrence.utils.js';
+import { addDays, toDateString } from '../utils/date.utils.js';
+import { endSeries } from '../utils/recurringTasks.utils.js';
+import { diffChanges, logAudit } from '../utils/audit.utils.js';
+
+/**
+ * Get the rule fields sent in the request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Rule fields that are present
+ */
+const pickRuleFields = (body) => Object.fromEntries(
+  RECURRENCE_RULE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+/**
+ * Find the series of a task
+ * @param {Object} task - Task (req.resource)
+ * @returns {Promise<Object>} - Series, or `{ status, message }` when the task has none
+ */
+const findTaskSeries = async (task) => {
+  const series = task.recurrence_id ? await RecurrenceModel.findById(task.recurrence_id) : null;
+  if (!series) {
+    return { status: 404, message: 'Task is not part of a recurring series' };
+  }
+  return series;
+};
+
+/**
+ * Get the next date of a series from now on: after its newest task, and never in the past
+ * @param {Object} rule - Schedule rule with starts_on
+ * @param {number} seriesId - Series ID
+ * @returns {Promise<String|null>} - YYYY-MM-DD, null when the rule has no further occurrence
+ */
+const scheduleNext = async (rule, seriesId) => {
+  const latest = await RecurrenceModel.findLatestInstance(seriesId);
+  const yesterday = addDays(new Date(), -1);
+  const latestDue = toDateString(latest?.due_date);
+  return getNextOccurrence(rule, latestDue && latestDue > yesterday ? latestDue : yesterday);
+};
+
+/**
+ * Add the RRULE string and the tasks of a series
+ * @param {Object} series - Series row
+ * @returns {Promise<Object>} - Series for responses
+ */
+const describeSeries = async (series) => ({
+  ...series,
+  rrule: toRRule(series),
+  instances: await RecurrenceModel.findInstances(series.id)
+});
+
+/**
+ * Record a change of a series against the task it was made through
+ * @param {Object} req - Express request object
+ * @param {String} action - Audit action
+ * @param {Object} before - Series before the change
+ * @param {Object} after - Series after the change
+ * @param {String} description - Description
+ * @returns {Promise<Object|null>}
+ */
+const logSeriesChange = (req, action, before, after, description) => logAudit({
+  entityType: 'task',
+  entityId: req.resource.id,
+  actorId: req.user.id,
+  action,
+  description,
+  changes: diffChanges(before, after),
+  ipAddress: req.ip
+});
+
+/**
+ * Recurrence Controller
+ * Handles recurring series of tasks. Routes load a task of the series (req.resource);
+ * the scheduler (utils/recurringTasks.utils.js) creates the following tasks.
+ */
+const RecurrenceController = {
+  /**
+   * Get the series a task belongs to, with its rule and tasks
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Series
+   */
+  async getRecurrence(req, res) {
+    try {
+      const series = await findTaskSeries(req.resource);
+      if (series.message) {
+        return res.status(series.status).json({ message: series.message });
+      }
+
+      return res.status(200).json({ recurrence: await describeSeries(series) });
+    } catch (error) {
+      console.error('Get recurrence error:', error);
+      return res.status(500).json({ message: 'Server error while fetching recurring series' });
+    }
+  },
+
+  /**
+   * Make a task repeat: it becomes the first task of a new series starting on its due date
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Created series
+   */
+  async createRecurrence(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const task = req.resource;
+      if (task.recurrence_id) {
+        const current = await RecurrenceModel.findById(task.recurrence_id);
+        if (current && current.status !== 'ended') {
+          return res.status(400).json({ message: 'Task already belongs to a recurring series' });
+        }
+      }
+
+      const startsOn = toDateString(task.due_date) || toDateString(new Date());
+      const rule = normalizeRecurrenceRule({ ...pickRuleFields(req.body), starts_on: startsOn });
+      const ruleError = validateRecurrenceRule(rule);
+      if (ruleError) {
+        return res.status(400).json({ message: ruleError });
+      }
+
+      const nextDueDate = getNextOccurrence(rule, startsOn);
+      if (!nextDueDate || rule.max_occurrences === 1) {
+        return res.status(400).json({ message: 'The rule has no occurrence after this task' });
+      }
+
+      const client = await db.pool.connect();
+      let series;
+      try {
+        await client.query('BEGIN');
+
+        series = await RecurrenceModel.create({
+          ...rule,
+          next_due_date: nextDueDate,
+          created_by: req.user.id
+        }, client);
+        await RecurrenceModel.attachTask(task.id, series.id, client);
+
+        await logAudit({
+          entityType: 'task',
+          entityId: task.id,
+          actorId: req.user.id,
+          action: 'recurrence_create',
+          description: `Task ${task.id} repeats (${toRRule(series)}) as series ${series.id}`,
+          ipAddress: req.ip
+        }, client);
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      return res.status(201).json({
+        message: 'Recurring series created successfully',
+        recurrence: await describeSeries(series)
+      });
+    } catch (error) {
+      console.error('Create recurrence error:', error);
+      return res.status(500).json({ message: 'Server error while creating recurring series' });
+    }
+  },
+
+  /**
+   * Change the rule of a series. Tasks already created keep their due dates;
+   * the next one is scheduled with the new rule.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Updated series
+   */
+  async updateRecurrence(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const series = await findTaskSeries(req.resource);
+      if (series.message) {
+        return res.status(series.status).json({ message: series.message });
+      }
+      if (series.status === 'ended') {
+        return res.status(400).json({ message: 'Recurring series has ended' });
+      }
+
+      const rule = normalizeRecurrenceRule({ ...series, ...pickRuleFields(req.body) });
+      const ruleError = validateRecurrenceRule(rule);
+      if (ruleError) {
+        return res.status(400).json({ message: ruleError });
+      }
+
+      const nextDueDate = await scheduleNext(rule, series.id);
+      const ended = !nextDueDate || (rule.max_occurrences && series.occurrence_count >= rule.max_occurrences);
+      const updated = await RecurrenceModel.update(series.id, {
+        ...rule,
+        next_due_date: ended ? null : nextDueDate,
+        status: ended ? 'ended' : series.status
+      });
+
+      await logSeriesChange(req, 'recurrence_update', series, updated,
+        `Series ${series.id} now repeats as ${toRRule(updated)}${ended ? ' and has ended' : ''}`);
+
+      return res.status(200).json({
+        message: ended ? 'Recurring series updated; the new rule has no further occurrence, so it ended' : 'Recurring series updated successfully',
+        recurrence: await describeSeries(updated)
+      });
+    } catch (error) {
+      console.error('Update recurrence error:', error);
+      return res.status(500).json({ message: 'Server error while updating recurring series' });
+    }
+  },
+
+  /**
+   * Stop a series from creating tasks until it is resumed
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Paused series
+   */
+  async pauseRecurrence(req, res) {
+    try {
+      const series = await findTaskSeries(req.resource);
+      if (series.message) {
+        return res.status(series.status).json({ message: series.message });
+      }
+      if (series.status !== 'active') {
+        return res.status(400).json({ message: `Recurring series is ${series.status}` });
+      }
+
+      const updated = await RecurrenceModel.update(series.id, { ...series, status: 'paused' });
+      await logSeriesChange(req, 'recurrence_pause', series, updated, `Paused series ${series.id}`);
+
+      return res.status(200).json({
+        message: 'Recurring series paused',
+        recurrence: await describeSeries(updated)
+      });
+    } catch (error) {
+      console.error('Pause recurrence error:', error);
+      return res.status(500).json({ message: 'Server error while pausing recurring series' });
+    }
+  },
+
+  /**
+   * Resume a paused series. Occurrences that passed while it was paused are skipped.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Resumed series
+   */
+  async resumeRecurrence(req, res) {
+    try {
+      const series = await findTaskSeries(req.resource);
+      if (series.message) {
+        return res.status(series.status).json({ message: series.message });
+      }
+      if (series.status !== 'paused') {
+        return res.status(400).json({ message: `Recurring series is ${series.status}` });
+      }
+
+      const nextDueDate = await scheduleNext(series, series.id);
+      const updated = nextDueDate
+        ? await RecurrenceModel.update(series.id, { ...series, next_due_date: nextDueDate, status: 'active' })
+        : await endSeries(series);
+      await logSeriesChange(req, 'recurrence_resume', series, updated,
+        nextDueDate ? `Resumed series ${series.id}` : `Series ${series.id} had no further occurrence and ended`);
+
+      return res.status(200).json({
+        message: nextDueDate ? 'Recurring series resumed' : 'Recurring series has no further occurrence and ended',
+        recurrence: await describeSeries(updated)
+      });
+    } catch (error) {
+      console.error('Resume recurrence error:', error);
+      return res.status(500).json({ message: 'Server error while resuming recurring series' });
+    }
+  },
+
+  /**
+   * End a series for good. Its tasks are kept.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Ended series
+   */
+  async endRecurrence(req, res) {
+    try {
+      const series = await findTaskSeries(req.resource);
+      if (series.message) {
+        return res.status(series.status).json({ message: series.message });
+      }
+      if (series.status === 'ended') {
+        return res.status(400).json({ message: 'Recurring series has already ended' });
+      }
+
+      const updated = await endSeries(series);
+      await logSeriesChange(req, 'recurrence_end', series, updated, `Ended series ${series.id}`);
+
+      return res.status(200).json({
+        message: 'Recurring series ended',
+        recurrence: await describeSeries(updated)
+      });
+    } catch (error) {
+      console.error('End recurrence error:', error);
+      return res.status(500).json({ message: 'Server error while ending recurring series' });
+    }
+  }
+};
+
+export default RecurrenceController;
@@ -1,8 +1,10 @@
 import db from '../config/db.js';
 import { logUserAction } from '../utils/audit.utils.js';
-import {generateProjectStatusReport,generateTaskReport,generateUserLogsReport,generateUserPerformanceReport,generateVendorPerformanceReport,exportReportToFile } from '../utils/report.utils.js';
+import {generateProjectStatusReport,generateTaskReport,generateUserPerformanceReport,generateVendorPerformanceReport,exportReportToFile } from '../utils/report.utils.js';
 import  {getVendorConsultantIds,getVendorIdByUserId, isConsultantFromVendor }  from '../utils/vendor.utils.js';
 import ProjectModel from '../models/project.model.js';
+import { getAccessScope, projectAccessCondition, taskAccessCondition, taskAssigneeCondition } from '../utils/projectAccess.utils.js';
+import { taskStatusCategory } from '../utils/workflow.utils.js';
 
 /**
  * Helper function to create pagination metadata
@@ -56,7 +58,7 @@ export const getTaskReport = async (req, res, next) => {
       JOIN task_assignments ta ON t.id = ta.task_id
       JOIN users u ON ta.user_id = u.id
       JOIN projects p ON t.project_id = p.id
-      WHERE 1=1
+      WHERE t.deleted_at IS NULL
     `;
     
     // Build base query for data
@@ -73,7 +75,7 @@ export const getTaskReport = async (req, res, next) => {
       JOIN task_assignments ta ON t.id = ta.task_id
       JOIN users u ON ta.user_id = u.id
       JOIN projects p ON t.project_id = p.id
-      WHERE 1=1
+      WHERE t.deleted_at IS NULL
     `;
     
     // Apply filters to both queries (skip if 0 or 'all')
@@ -112,41 +114,13 @@ export const getTaskReport = async (req, res, next) => {
       countQuery += filterClause;
     }
     
-    // Check permissions for non-admin users
-    if (req.user.role !== 'admin') {
-      if (req.user.role === 'vendor') {
-        // Vendors can only see their consultants' tasks
-        const vendorId = await getVendorIdByUserId(req.user.id);
-        if (!vendorId) {
-          return res.status(403).json({
-            success: false,
-            message: 'You do not have permission to access this report'
-          });
-        }
-        
-        const consultantIds = await getVendorConsultantIds(vendorId);
-        if (consultantIds.length === 0) {
-          // No consultants found, return empty result
-          return res.status(200).json({
-            success: true,
-            data: [],
-            pagination: createPaginationMeta(pageNum, limitNum, 0),
-            message: 'No tasks found for your consultants'
-          });
-        }
-        
-        // Add filter for vendor's consultants
-        queryParams.push(consultantIds);
-        const vendorFilterClause = ` AND ta.user_id = ANY($${queryParams.length})`;
-        query += vendorFilterClause;
-        countQuery += vendorFilterClause;
-      } else {
-        // Regular users can only see their own tasks
-        queryParams.push(req.user.id);
-        const userFilterClause = ` AND ta.user_id = $${queryParams.length}`;
-        query += userFilterClause;
-        countQuery += userFilterClause;
-      }
+    // Only tasks the user may see (project team, own tasks, tasks of their consultants)
+    const accessibleTo = await getAccessScope(req.user);
+    if (accessibleTo) {
+      queryParams.push(accessibleTo);
+      const accessClause = ` AND ${taskAccessCondition('t', `$${queryParams.length}`)}`;
+      query += accessClause;
+      countQuery += accessClause;
     }
     
     // Get total count
@@ -205,7 +179,7 @@ export const getUserPerformanceReport = async (req, res, next) => {
       const offset = (pageNum - 1) * limitNum;
   
       // Build WHERE conditions
-      let whereConditions = ['t.created_by = $1'];
+      let whereConditions = ['t.created_by = $1', 't.deleted_at IS NULL'];
       let queryParams = [userId];
       let paramIndex = 2;
   
@@ -218,7 +192,7 @@ export const getUserPerformanceReport = async (req, res, next) => {
   
       // Add assignee filter  
       if (assignee_id && parseInt(assignee_id) !== 0) {
-        whereConditions.push(`t.assignee_id = $${paramIndex}`);
+        whereConditions.push(taskAssigneeCondition('t', `$${paramIndex}`));
         queryParams.push(parseInt(assignee_id));
         paramIndex++;
       }
@@ -354,8 +328,8 @@ export const getProjectStatusReport = async (req, res, next) => {
     let countQuery = `
       SELECT COUNT(DISTINCT p.id) as total
       FROM projects p
-      LEFT JOIN tasks t ON p.id = t.project_id
-      WHERE 1=1
+      LEFT JOIN tasks t ON p.id = t.project_id AND t.deleted_at IS NULL
+      WHERE p.deleted_at IS NULL
     `;
     
     // Build base query for project status
@@ -367,17 +341,17 @@ export const getProjectStatusReport = async (req, res, next) => {
         p.start_date,
         p.end_date,
         COUNT(t.id) AS total_tasks,
-        SUM(CASE WHEN t.status = 'completed' THEN 1 ELSE 0 END) AS completed_tasks,
+        SUM(CASE WHEN ${taskStatusCategory('t')} = 'done' THEN 1 ELSE 0 END) AS completed_tasks,
         SUM(CASE WHEN t.status = 'in_progress' THEN 1 ELSE 0 END) AS in_progress_tasks,
         SUM(CASE WHEN t.status = 'todo' THEN 1 ELSE 0 END) AS todo_tasks,
-        SUM(CASE WHEN t.due_date < CURRENT_DATE AND t.status != 'completed' THEN 1 ELSE 0 END) AS overdue_tasks,
+        SUM(CASE WHEN t.due_date < CURRENT_DATE AND ${taskStatusCategory('t')} IS DISTINCT FROM 'done' THEN 1 ELSE 0 END) AS overdue_tasks,
         CASE 
           WHEN COUNT(t.id) = 0 THEN 0 
-          ELSE ROUND((SUM(CASE WHEN t.status = 'completed' THEN 1 ELSE 0 END)::numeric / COUNT(t.id)) * 100, 2)
+          ELSE ROUND((SUM(CASE WHEN ${taskStatusCategory('t')} = 'done' THEN 1 ELSE 0 END)::numeric / COUNT(t.id)) * 100, 2)
         END AS completion_percentage
       FROM projects p
-      LEFT JOIN tasks t ON p.id = t.project_id
-      WHERE 1=1
+      LEFT JOIN tasks t ON p.id = t.project_id AND t.deleted_at IS NULL
+      WHERE p.deleted_at IS NULL
     `;
     
     // Apply project_id filter if provided (skip if 0 or 'all')
@@ -388,37 +362,13 @@ export const getProjectStatusReport = async (req, res, next) => {
       countQuery += filterClause;
     }
     
-    // For vendor users, restrict to their own projects
-    if (req.user.role === 'vendor') {
-      const vendorId = await getVendorIdByUserId(req.user.id);
-      
-      if (!vendorId) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to access this report'
-        });
-      }
-      
-      // Get vendor company name
-      const vendorResult = await db.query(
-        'SELECT company_name FROM vendors WHERE id = $1',
-        [vendorId]
-      );
-      
-      if (vendorResult.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Vendor not found'
-        });
-      }
-      
-      const companyName = vendorResult.rows[0].company_name;
-      
-      // Filter projects by vendor
-      queryParams.push(`%Vendor - ${companyName}%`);
-      const vendorFilterClause = ` AND p.project_type LIKE $${queryParams.length}`;
-      query += vendorFilterClause;
-      countQuery += vendorFilterClause;
+    // Only projects the user is a team member of
+    const accessibleTo = await getAccessScope(req.user);
+    if (accessibleTo) {
+      queryParams.push(accessibleTo);
+      const accessClause = ` AND ${projectAccessCondition('p.id', `$${queryParams.length}`)}`;
+      query += accessClause;
+      countQuery += accessClause;
     }
     
     // Get total count
@@ -444,7 +394,7 @@ export const getProjectStatusReport = async (req, res, next) => {
         FROM users u
         JOIN task_assignments ta ON u.id = ta.user_id
         JOIN tasks t ON ta.task_id = t.id
-        WHERE t.project_id = $1
+        WHERE t.project_id = $1 AND t.deleted_at IS NULL
         ORDER BY u.role, u.first_name, u.last_name
         LIMIT 20
       `;
@@ -547,6 +497,7 @@ export const getVendorPerformanceReport = async (req, res, next) => {
           FROM task_assignments ta
           LEFT JOIN users u ON ta.user_id = u.id
           WHERE ta.task_id = $1
+          ORDER BY ta.role = 'owner' DESC, ta.assigned_at
           LIMIT 1
         `;
         const assignmentResult = await db.query(assignmentQuery, [task.id]);
@@ -655,7 +606,7 @@ export const exportReport = async (req, res, next) => {
       });
     }
     
-    if (!['tasks', 'user-performance', 'project-status', 'vendor-performance', 'user-logs'].includes(report_type)) {
+    if (!['tasks', 'user-performance', 'project-status', 'vendor-performance'].includes(report_type)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid report type'
@@ -684,9 +635,6 @@ export const exportReport = async (req, res, next) => {
       case 'vendor-performance':
         reportData = await generateVendorPerformanceReport(modifiedReq);
         break;
-      case 'user-logs':
-        reportData = await generateUserLogsReport(modifiedReq);
-        break;
     }
     
     // Export the report
@@ -708,93 +656,3 @@ export const exportReport = async (req, res, next) => {
     next(error);
   }
 };
-
-/**
- * Get user logs report with pagination
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
- */
-export const getUserLogsReport = async (req, res, next) => {
-  try {
-    const { user_id, action, page = 1, limit = 20 } = req.query;
-
-    // Validate pagination parameters
-    const pageNum = Math.max(1, parseInt(page));
-    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
-    const offset = (pageNum - 1) * limitNum;
-
-    // Initialize query parameters array
-    let queryParams = [];
-
-    // Build base query for counting
-    let countQuery = `
-      SELECT COUNT(*) as total
-      FROM user_logs ul
-      INNER JOIN users u ON ul.user_id = u.id
-      WHERE u.role = 'employee'
-    `;
-
-    // Build base query for user logs
-    let query = `
-      SELECT 
-        ul.id AS log_id,
-        COALESCE(u.first_name || ' ' || u.last_name, 'Unknown User') AS user_name,
-        ul.action,
-        ul.description,
-        ul.created_at,
-        ul.ip_address,
-        ul.user_id
-      FROM user_logs ul
-      INNER JOIN users u ON ul.user_id = u.id
-      WHERE u.role = 'employee'
-    `;
-
-    // Apply filters
-    if (user_id && user_id !== '0' && user_id !== 'all' && user_id.trim() !== '') {
-      queryParams.push(parseInt(user_id));
-      const filterClause = ` AND ul.user_id = $${queryParams.length}`;
-      query += filterClause;
-      countQuery += filterClause;
-    }
-
-    if (action && action !== 'all' && action !== '0' && action.trim() !== '') {
-      queryParams.push(`%${action.trim()}%`);
-      const filterClause = ` AND ul.action ILIKE $${queryParams.length}`;
-      query += filterClause;
-      countQuery += filterClause;
-    }
-
-    // Get total count
-    const countResult = await db.query(countQuery, queryParams);
-    const totalCount = parseInt(countResult.rows[0].total);
-
-    // Add order by and pagination to main query
-    query += ` ORDER BY ul.created_at DESC`;
-    queryParams.push(limitNum, offset);
-    query += ` LIMIT $${queryParams.length - 1} OFFSET $${queryParams.length}`;
-
-    // Execute query
-    const result = await db.query(query, queryParams);
-
-    // Create pagination metadata
-    const pagination = createPaginationMeta(pageNum, limitNum, totalCount);
-
-    // Log this report access
-    await logUserAction(
-      req.user.id, 
-      'Generated employee user logs report', 
-      `Generated employee user logs report with filters: ${JSON.stringify(req.query)}`
-    );
-
-    res.status(200).json({
-      success: true,
-      data: result.rows,
-      pagination,
-      filters: req.query
-    });
-  } catch (error) {
-    console.error('Error in getUserLogsReport:', error);
-    next(error);
-  }
-};
@@ -0,0 +1,202 @@
+import { validationResult } from 'express-validator';
+import RoleModel from '../models/role.model.js';
+import { PERMISSIONS, OWNABLE_PERMISSIONS, isValidPermission } from '../config/permissions.js';
+import { clearPermissionCache } from '../utils/permission.utils.js';
+import { logEntityChange } from '../utils/audit.utils.js';
+
+// The admin role always keeps every permission so nobody can lock themselves out
+const PROTECTED_ROLE = 'admin';
+
+/**
+ * Role Controller
+ * Handles role and permission management
+ */
+const RoleController = {
+  /**
+   * Get all roles with their permissions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - List of roles
+   */
+  async getAllRoles(req, res) {
+    try {
+      const roles = await RoleModel.findAll();
+      return res.status(200).json({ roles });
+    } catch (error) {
+      console.error('Get roles error:', error);
+      return res.status(500).json({ message: 'Server error while fetching roles' });
+    }
+  },
+
+  /**
+   * Get the permission registry
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - List of permissions
+   */
+  async getPermissions(req, res) {
+    try {
+      const permissions = Object.entries(PERMISSIONS).map(([key, description]) => ({
+        key,
+        description,
+        ownable: OWNABLE_PERMISSIONS.includes(key)
+      }));
+      return res.status(200).json({ permissions });
+    } catch (error) {
+      console.error('Get permissions error:', error);
+      return res.status(500).json({ message: 'Server error while fetching permissions' });
+    }
+  },
+
+  /**
+   * Get role by name
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Role details
+   */
+  async getRoleByName(req, res) {
+    try {
+      const role = await RoleModel.findByName(req.params.name);
+      if (!role) {
+        return res.status(404).json({ message: 'Role not found' });
+      }
+      return res.status(200).json({ role });
+    } catch (error) {
+      console.error('Get role error:', error);
+      return res.status(500).json({ message: 'Server error while fetching role' });
+    }
+  },
+
+  /**
+   * Create a new role
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - New role
+   */
+  async createRole(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, description, permissions = [] } = req.body;
+
+      const invalidPermissions = permissions.filter(permission => !isValidPermission(permission));
+      if (invalidPermissions.length > 0) {
+        return res.status(400).json({ message: `Unknown permission(s): ${invalidPermissions.join(', ')}` });
+      }
+
+      if (await RoleModel.findByName(name)) {
+        return res.status(400).json({ message: 'Role already exists' });
+      }
+
+      const role = await RoleModel.create({ name, description, permissions: [...new Set(permissions)] });
+      clearPermissionCache();
+
+      await logEntityChange(req, 'role', 'create', { after: role, description: `Created role ${name}` });
+
+      return res.status(201).json({
+        message: 'Role created successfully',
+        role
+      });
+    } catch (error) {
+      console.error('Create role error:', error);
+      return res.status(500).json({ message: 'Server error while creating role' });
+    }
+  },
+
+  /**
+   * Update a role's description and/or permissions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Updated role
+   */
+  async updateRole(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name } = req.params;
+      const { description, permissions } = req.body;
+
+      const existingRole = await RoleModel.findByName(name);
+      if (!existingRole) {
+        return res.status(404).json({ message: 'Role not found' });
+      }
+
+      if (Array.isArray(permissions)) {
+        if (name === PROTECTED_ROLE) {
+          return res.status(400).json({ message: 'Permissions of the admin role cannot be changed' });
+        }
+
+        const invalidPermissions = permissions.filter(permission => !isValidPermission(permission));
+        if (invalidPermissions.length > 0) {
+          return res.status(400).json({ message: `Unknown permission(s): ${invalidPermissions.join(', ')}` });
+        }
+      }
+
+      const role = await RoleModel.update(name, {
+        description,
+        permissions: Array.isArray(permissions) ? [...new Set(permissions)] : undefined
+      });
+      clearPermissionCache();
+
+      await logEntityChange(req, 'role', 'update', {
+        before: existingRole,
+        after: role,
+        description: `Updated role ${name}`
+      });
+
+      return res.status(200).json({
+        message: 'Role updated successfully',
+        role
+      });
+    } catch (error) {
+      console.error('Update role error:', error);
+      return res.status(500).json({ message: 'Server error while updating role' });
+    }
+  },
+
+  /**
+   * Delete a role
+   * Built-in roles and roles that are still assigned to users cannot be deleted
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Success message
+   */
+  async deleteRole(req, res) {
+    try {
+      const { name } = req.params;
+
+      const role = await RoleModel.findByName(name);
+      if (!role) {
+        return res.status(404).json({ message: 'Role not found' });
+      }
+
+      if (role.is_system) {
+        return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+      }
+
+      if (role.user_count > 0) {
+        return res.status(400).json({
+          message: `Role is assigned to ${role.user_count} user(s). Move them to another role first.`
+        });
+      }
+
+      await RoleModel.delete(name);
+      clearPermissionCache();
+
+      await logEntityChange(req, 'role', 'delete', { before: role, description: `Deleted role ${name}` });
+
+      return res.status(200).json({ message: 'Role deleted successfully' });
+    } catch (error) {
+      console.error('Delete role error:', error);
+      return res.status(500).json({ message: 'Server error while deleting role' });
+    }
+  }
+};
+
+export default RoleController;
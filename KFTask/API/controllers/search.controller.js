@@ -0,0 +1,61 @@
+import { validationResult } from 'express-validator';
+import SearchModel from '../models/search.model.js';
+import { getAccessScope } from '../utils/projectAccess.utils.js';
+import { SEARCH_TYPES, toHighlightHtml } from '../utils/search.utils.js';
+
+/**
+ * Search Controller
+ * Handles full-text search across tasks, projects, comments, feedback replies and daily updates
+ */
+const SearchController = {
+  /**
+   * Search everything the user may see, best match first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Ranked hits with highlighted title and snippet, and pagination
+   */
+  async search(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const offset = (page - 1) * limit;
+      const types = req.query.type
+        ? SEARCH_TYPES.filter(type => req.query.type.split(',').map(value => value.trim()).includes(type))
+        : SEARCH_TYPES;
+
+      const { total, hits } = await SearchModel.search(req.query.q.trim(), {
+        types,
+        projectId: req.query.project_id ? parseInt(req.query.project_id) : null,
+        accessibleTo: await getAccessScope(req.user),
+        limit,
+        offset
+      });
+
+      return res.status(200).json({
+        query: req.query.q.trim(),
+        results: hits.map(({ title_headline, snippet_headline, rank, ...hit }) => ({
+          ...hit,
+          rank: Number(rank),
+          title_highlight: toHighlightHtml(title_headline),
+          snippet: toHighlightHtml(snippet_headline)
+        })),
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Search error:', error);
+      return res.status(500).json({ message: 'Server error while searching' });
+    }
+  }
+};
+
+export default SearchController;
@@ -0,0 +1,382 @@
+import { validationResult } from 'express-validator';
+import db from '../config/db.js';
+import SprintModel from '../models/sprint.model.js';
+import WorkflowModel from '../models/workflow.model.js';
+import { buildSprintReport, validateSprintDates } from '../utils/sprint.utils.js';
+import { CLOSED_CATEGORIES } from '../utils/workflow.utils.js';
+import { toDateString } from '../utils/date.utils.js';
+import { logAudit, logEntityChange } from '../utils/audit.utils.js';
+
+/**
+ * Sprint Controller
+ * Handles the sprints of a project: planning, starting, closing (with roll-over) and reports.
+ * Project routes load the project, sprint routes the sprint, as req.resource.
+ */
+const SprintController = {
+  /**
+   * Get the sprints of a project
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Sprints in date order
+   */
+  async getProjectSprints(req, res) {
+    try {
+      const sprints = await SprintModel.findByProject(req.resource.id);
+      return res.status(200).json({ sprints });
+    } catch (error) {
+      console.error('Get sprints error:', error);
+      return res.status(500).json({ message: 'Server error while fetching sprints' });
+    }
+  },
+
+  /**
+   * Plan a sprint in a project
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - New sprint
+   */
+  async createSprint(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const dateError = validateSprintDates(req.body);
+      if (dateError) {
+        return res.status(400).json({ message: dateError });
+      }
+
+      const project = req.resource;
+      const sprint = await SprintModel.create(project.id, req.body, req.user.id);
+
+      await logEntityChange(req, 'sprint', 'create', {
+        after: sprint,
+        description: `Sprint "${sprint.name}" planned in project ${project.id}`
+      });
+
+      return res.status(201).json({
+        message: 'Sprint created successfully',
+        sprint
+      });
+    } catch (error) {
+      console.error('Create sprint error:', error);
+      return res.status(500).json({ message: 'Server error while creating sprint' });
+    }
+  },
+
+  /**
+   * Get a sprint with its tasks
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Sprint
+   */
+  async getSprintById(req, res) {
+    try {
+      const sprint = req.resource;
+      sprint.tasks = await SprintModel.findTasks(sprint.id);
+      return res.status(200).json({ sprint });
+    } catch (error) {
+      console.error('Get sprint by ID error:', error);
+      return res.status(500).json({ message: 'Server error while fetching sprint' });
+    }
+  },
+
+  /**
+   * Update the name, goal or dates of a sprint that is not closed
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Updated sprint
+   */
+  async updateSprint(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existingSprint = req.resource;
+      if (existingSprint.status === 'closed') {
+        return res.status(400).json({ message: 'Closed sprints cannot be changed' });
+      }
+
+      const sprintData = {
+        name: req.body.name ?? existingSprint.name,
+        goal: req.body.goal !== undefined ? req.body.goal : existingSprint.goal,
+        start_date: toDateString(req.body.start_date ?? existingSprint.start_date),
+        end_date: toDateString(req.body.end_date ?? existingSprint.end_date)
+      };
+      const dateError = validateSprintDates(sprintData);
+      if (dateError) {
+        return res.status(400).json({ message: dateError });
+      }
+
+      const sprint = await SprintModel.update(existingSprint.id, sprintData);
+
+      await logEntityChange(req, 'sprint', 'update', {
+        before: existingSprint,
+        after: sprint,
+        description: `Sprint "${sprint.name}" updated`
+      });
+
+      return res.status(200).json({
+        message: 'Sprint updated successfully',
+        sprint
+      });
+    } catch (error) {
+      console.error('Update sprint error:', error);
+      return res.status(500).json({ message: 'Server error while updating sprint' });
+    }
+  },
+
+  /**
+   * Delete a sprint that is not running; its tasks go back to the backlog
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Success message
+   */
+  async deleteSprint(req, res) {
+    try {
+      const sprint = req.resource;
+      if (sprint.status === 'active') {
+        return res.status(400).json({ message: 'Close the sprint before deleting it' });
+      }
+
+      await SprintModel.delete(sprint.id);
+
+      await logEntityChange(req, 'sprint', 'delete', {
+        before: sprint,
+        description: `Sprint "${sprint.name}" deleted`
+      });
+
+      return res.status(200).json({ message: 'Sprint deleted successfully' });
+    } catch (error) {
+      console.error('Delete sprint error:', error);
+      return res.status(500).json({ message: 'Server error while deleting sprint' });
+    }
+  },
+
+  /**
+   * Move tasks of the sprint's project into the sprint
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - IDs of the tasks added and of the ones skipped
+   */
+  async addTasks(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const sprint = req.resource;
+      if (sprint.status === 'closed') {
+        return res.status(400).json({ message: 'Tasks cannot be added to a closed sprint' });
+      }
+
+      const taskIds = [...new Set(req.body.task_ids)];
+      const addedIds = await SprintModel.addTasks(sprint, taskIds);
+
+      if (addedIds.length > 0) {
+        await logAudit({
+          entityType: 'sprint',
+          entityId: sprint.id,
+          actorId: req.user.id,
+          action: 'add_tasks',
+          description: `Task(s) ${addedIds.join(', ')} added to sprint "${sprint.name}"`,
+          ipAddress: req.ip
+        });
+      }
+
+      return res.status(200).json({
+        message: `${addedIds.length} task(s) added to the sprint`,
+        added_task_ids: addedIds,
+        // Tasks that do not exist or belong to another project
+        skipped_task_ids: taskIds.filter(id => !addedIds.includes(id))
+      });
+    } catch (error) {
+      console.error('Add sprint tasks error:', error);
+      return res.status(500).json({ message: 'Server error while adding tasks to sprint' });
+    }
+  },
+
+  /**
+   * Move a task out of the sprint, back to the backlog
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Success message
+   */
+  async removeTask(req, res) {
+    try {
+      const sprint = req.resource;
+      if (sprint.status === 'closed') {
+        return res.status(400).json({ message: 'Tasks cannot be removed from a closed sprint' });
+      }
+
+      const taskId = parseInt(req.params.taskId);
+      if (!await SprintModel.removeTask(sprint.id, taskId)) {
+        return res.status(404).json({ message: 'Task is not in this sprint' });
+      }
+
+      await logAudit({
+        entityType: 'sprint',
+        entityId: sprint.id,
+        actorId: req.user.id,
+        action: 'remove_task',
+        description: `Task ${taskId} removed from sprint "${sprint.name}"`,
+        ipAddress: req.ip
+      });
+
+      return res.status(200).json({ message: 'Task removed from sprint successfully' });
+    } catch (error) {
+      console.error('Remove sprint task error:', error);
+      return res.status(500).json({ message: 'Server error while removing task from sprint' });
+    }
+  },
+
+  /**
+   * Start a planned sprint. The tasks in it and their estimated hours become its commitment.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Started sprint
+   */
+  async startSprint(req, res) {
+    try {
+      const existingSprint = req.resource;
+      if (existingSprint.status !== 'planned') {
+        return res.status(400).json({ message: `Sprint is ${existingSprint.status}; only planned sprints can be started` });
+      }
+
+      const activeSprint = await SprintModel.findActive(existingSprint.project_id);
+      if (activeSprint) {
+        return res.status(400).json({
+          message: `Sprint "${activeSprint.name}" is still running; close it first`,
+          active_sprint_id: activeSprint.id
+        });
+      }
+
+      await SprintModel.start(existingSprint.id);
+      const sprint = await SprintModel.findById(existingSprint.id);
+
+      await logEntityChange(req, 'sprint', 'start', {
+        before: { id: existingSprint.id, status: existingSprint.status },
+        after: { id: sprint.id, status: sprint.status },
+        description: `Sprint "${sprint.name}" started with ${sprint.committed_task_ids.length} task(s) (${sprint.committed_hours} hour(s))`
+      });
+
+      return res.status(200).json({
+        message: 'Sprint started successfully',
+        sprint
+      });
+    } catch (error) {
+      console.error('Start sprint error:', error);
+      return res.status(500).json({ message: 'Server error while starting sprint' });
+    }
+  },
+
+  /**
+   * Close the active sprint. Its unfinished tasks roll over to next_sprint_id, by default the
+   * planned sprint that starts first; with next_sprint_id null (or nothing planned) they go
+   * back to the backlog.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Closed sprint with the tasks it completed and rolled over
+   */
+  async closeSprint(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existingSprint = req.resource;
+      if (existingSprint.status !== 'active') {
+        return res.status(400).json({ message: `Sprint is ${existingSprint.status}; only active sprints can be closed` });
+      }
+
+      let nextSprint = null;
+      if (req.body.next_sprint_id === undefined) {
+        nextSprint = await SprintModel.findNextPlanned(existingSprint.project_id);
+      } else if (req.body.next_sprint_id !== null) {
+        nextSprint = await SprintModel.findById(req.body.next_sprint_id);
+        if (!nextSprint || nextSprint.project_id !== existingSprint.project_id || nextSprint.status !== 'planned') {
+          return res.status(400).json({ message: 'next_sprint_id must be a planned sprint of the same project' });
+        }
+      }
+
+      const client = await db.pool.connect();
+      let outcome;
+      try {
+        await client.query('BEGIN');
+        outcome = await SprintModel.close(existingSprint.id, nextSprint?.id ?? null, client);
+        if (!outcome) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ message: 'Sprint is no longer active' });
+        }
+
+        await logEntityChange(req, 'sprint', 'close', {
+          before: { id: existingSprint.id, status: existingSprint.status },
+          after: { id: existingSprint.id, status: 'closed' },
+          description: `Sprint "${existingSprint.name}" closed: ${outcome.completed_task_ids.length} task(s) completed, `
+            + `${outcome.rolled_over_task_ids.length} rolled over to ${nextSprint ? `sprint "${nextSprint.name}"` : 'the backlog'}`
+        }, client);
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      return res.status(200).json({
+        message: 'Sprint closed successfully',
+        sprint: await SprintModel.findById(existingSprint.id),
+        completed_task_ids: outcome.completed_task_ids,
+        rolled_over_task_ids: outcome.rolled_over_task_ids,
+        next_sprint_id: nextSprint?.id ?? null
+      });
+    } catch (error) {
+      console.error('Close sprint error:', error);
+      return res.status(500).json({ message: 'Server error while closing sprint' });
+    }
+  },
+
+  /**
+   * Get the statistics of a sprint: committed vs completed tasks and hours, and burndown data
+   * from daily updates (when tasks were closed) and time entries (hours logged)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Sprint report
+   */
+  async getSprintReport(req, res) {
+    try {
+      const sprint = req.resource;
+      const workflow = await WorkflowModel.findForProject(sprint.project_id);
+      const closedStatuses = workflow.states
+        .filter(state => CLOSED_CATEGORIES.includes(state.category))
+        .map(state => state.status);
+
+      const tasks = await SprintModel.findReportTasks(sprint, closedStatuses);
+      const timeEntries = await SprintModel.findLoggedHours(
+        tasks.map(task => task.id),
+        toDateString(sprint.start_date),
+        toDateString(sprint.status === 'closed' ? sprint.closed_at : sprint.end_date)
+      );
+
+      return res.status(200).json({
+        sprint_id: sprint.id,
+        name: sprint.name,
+        status: sprint.status,
+        start_date: toDateString(sprint.start_date),
+        end_date: toDateString(sprint.end_date),
+        ...buildSprintReport(sprint, tasks, timeEntries, new Date())
+      });
+    } catch (error) {
+      console.error('Get sprint report error:', error);
+      return res.status(500).json({ message: 'Server error while building sprint report' });
+    }
+  }
+};
+
+export default SprintController;
@@ -5,7 +5,241 @@
 import { validationResult } from 'express-validator';
 import TaskModel from '../models/task.model.js';
 import ProjectModel from '../models/project.model.js';
+import DependencyModel from '../models/dependency.model.js';
+import WorkflowModel from '../models/workflow.model.js';
+import BoardModel from '../models/board.model.js';
 import db from '../config/db.js';
+import { getAccessScope, getProjectRole, getTaskRole, hasProjectRole, ensureAssigneesOnProject } from '../utils/projectAccess.utils.js';
+import { logAudit, logEntityChange, diffChanges } from '../utils/audit.utils.js';
+import { checkStatusChange, getInitialStatus, findState, startsWork, parseTaskInclude } from '../utils/workflow.utils.js';
+import { rankAtPosition } from '../utils/board.utils.js';
+import { describeAppliedView } from '../utils/view.utils.js';
+import { ListQueryError, parseListOptions, toPagination } from '../utils/listQuery.utils.js';
+import { hasPermissionOn } from '../utils/permission.utils.js';
+import { loadTask } from '../utils/resourceLoaders.utils.js';
+import UserModel from '../models/user.model.js';
+
+/**
+ * Read which tasks a listing returns from its include and archive query parameters.
+ * The archive holds the closed tasks, most recently updated first unless another sort is requested.
+ * @param {Object} query - req.query
+ * @param {Object} listOptions - Options from parseListOptions; the archive sort is set on them
+ * @param {Array<String>} defaultInclude - Include options of the listing (see TASK_INCLUDE_OPTIONS)
+ * @returns {Object} - include or archived filter
+ */
+const taskVisibilityFilters = (query, listOptions, defaultInclude = ['active']) => {
+  if (['true', '1'].includes(String(query.archive))) {
+    if (!listOptions.sortBy) {
+      listOptions.sortBy = 'updated_at';
+      listOptions.sortOrder = listOptions.sortOrder || 'desc';
+    }
+    return { archived: true };
+  }
+  return { include: parseTaskInclude(query.include, defaultInclude) };
+};
+
+/**
+ * Answer a status change refused by checkStatusChange
+ * @param {Object} res - Express response object
+ * @param {Object} refusal - `{ status, message, allowed_statuses }` or `{ status, message, open_subtasks }`
+ * @returns {Object} - The sent response
+ */
+const sendStatusRefusal = (res, refusal) => res.status(refusal.status).json({
+  message: refusal.message,
+  allowed_statuses: refusal.allowed_statuses,
+  open_subtasks: refusal.open_subtasks
+});
+
+/**
+ * Answer 400 when work on a task is about to start while tasks it depends on are open
+ * @param {Object} res - Express response object
+ * @param {Object} workflow - Workflow of the task's project
+ * @param {Object} task - Task before the change
+ * @param {String} status - Requested status
+ * @returns {Promise<Object|null>} - The sent response, null if the task may start
+ */
+const rejectIfBlocked = async (res, workflow, task, status) => {
+  if (!status || !startsWork(workflow, task.status, status)) {
+    return null;
+  }
+  const openBlockers = await DependencyModel.findOpenBlockers(task.id);
+  if (openBlockers.length === 0) {
+    return null;
+  }
+  return res.status(400).json({
+    message: `Task is blocked by ${openBlockers.length} open task(s)`,
+    blocked_by: openBlockers
+  });
+};
+
+/**
+ * Sort a list of user IDs so that audit diffs do not depend on the order they were read in
+ * @param {Array<number>} ids - User IDs
+ * @returns {Array<number>}
+ */
+const sortedIds = (ids) => [...(ids || [])].sort((a, b) => a - b);
+
+/**
+ * Remove the dependencies that moved tasks have with tasks left behind in another project,
+ * since dependencies only link tasks of the same project, and audit each removal
+ * @param {Object} req - Express request object
+ * @param {Array<number>} taskIds - Moved tasks
+ * @param {Object} client - Database client of the move's transaction
+ * @returns {Promise<Array>} - Removed dependencies
+ */
+const dropCrossProjectDependencies = async (req, taskIds, client) => {
+  const removed = await DependencyModel.deleteCrossProject(taskIds, client);
+  for (const dependency of removed) {
+    await logAudit({
+      entityType: 'task',
+      entityId: dependency.task_id,
+      actorId: req.user.id,
+      action: 'dependency_remove',
+      description: `Task ${dependency.task_id} no longer waits for task ${dependency.depends_on_task_id}: they are now in different projects`,
+      ipAddress: req.ip
+    }, client);
+  }
+  return removed;
+};
+
+/**
+ * Actions of POST /api/tasks/bulk. Every task is checked like the single-task route would:
+ * the permission and the owners of its loader, then check(), which returns null when the
+ * action applies, or the result of the task when it does not. apply() runs in the shared
+ * transaction and returns the fields before and after the change for the audit trail, plus
+ * `carried` with the same for other tasks it changed along the way (subtasks of a moved task).
+ */
+const BULK_TASK_ACTIONS = {
+  status: {
+    permission: 'task:update',
+    ownerFields: ['created_by', 'assignee_ids'],
+    description: 'status changed in bulk',
+    async check(task, { status, workflowFor }) {
+      if (task.status === status) {
+        return { outcome: 'unchanged' };
+      }
+      const workflow = await workflowFor(task.project_id);
+      const statusCheck = await checkStatusChange(workflow, task.status, status, { taskId: task.id });
+      if (statusCheck.status) {
+        return { outcome: 'failed', message: statusCheck.message };
+      }
+      if (startsWork(workflow, task.status, status)) {
+        const openBlockers = await DependencyModel.findOpenBlockers(task.id);
+        if (openBlockers.length > 0) {
+          return { outcome: 'failed', message: `Task is blocked by ${openBlockers.length} open task(s)` };
+        }
+      }
+      return null;
+    },
+    async apply(task, { status }, client) {
+      const updated = await TaskModel.update(task.id, { status }, client);
+      return { before: { id: task.id, status: task.status }, after: { id: task.id, status: updated.status } };
+    }
+  },
+
+  // The new assignee becomes the owner; the previous owner stays on as a collaborator unless unassign_previous is set
+  reassign: {
+    permission: 'task:update',
+    ownerFields: ['created_by', 'assignee_ids'],
+    description: 'reassigned in bulk',
+    async check(task, { assigneeId }) {
+      return task.assignee_id === assigneeId ? { outcome: 'unchanged' } : null;
+    },
+    async apply(task, { assigneeId, unassignPrevious, actorId }, client) {
+      await TaskModel.addAssignee(task.id, assigneeId, 'owner', actorId, client);
+      if (unassignPrevious && task.assignee_id) {
+        await TaskModel.removeAssignee(task.id, task.assignee_id, client);
+      }
+      await ensureAssigneesOnProject(task.project_id, [task.id], client);
+
+      const assignees = await TaskModel.getAssignees(task.id, client);
+      return {
+        before: { id: task.id, assignee_id: task.assignee_id, assignee_ids: sortedIds(task.assignee_ids) },
+        after: { id: task.id, assignee_id: assigneeId, assignee_ids: sortedIds(assignees.map(assignee => assignee.user_id)) }
+      };
+    }
+  },
+
+  priority: {
+    permission: 'task:update',
+    ownerFields: ['created_by', 'assignee_ids'],
+    description: 'priority changed in bulk',
+    async check(task, { priority }) {
+      return task.priority === priority ? { outcome: 'unchanged' } : null;
+    },
+    async apply(task, { priority }, client) {
+      await TaskModel.update(task.id, { priority }, client);
+      return { before: { id: task.id, priority: task.priority }, after: { id: task.id, priority } };
+    }
+  },
+
+  shift_due_date: {
+    permission: 'task:update',
+    ownerFields: ['created_by', 'assignee_ids'],
+    description: 'due date shifted in bulk',
+    async check(task, { days }) {
+      if (!task.due_date) {
+        return { outcome: 'unchanged', message: 'Task has no due date' };
+      }
+      return days === 0 ? { outcome: 'unchanged' } : null;
+    },
+    async apply(task, { days }, client) {
+      const updated = await TaskModel.shiftDueDate(task.id, days, client);
+      return { before: { id: task.id, due_date: task.due_date }, after: { id: task.id, due_date: updated.due_date } };
+    }
+  },
+
+  // Subtasks follow their parent; on their own they cannot leave their parent's project
+  move: {
+    permission: 'task:update',
+    ownerFields: ['created_by', 'assignee_ids'],
+    description: 'moved to another project in bulk',
+    async check(task, { projectId, workflowFor, acceptedIds }) {
+      if (task.project_id === projectId) {
+        return { outcome: 'unchanged' };
+      }
+      if (task.parent_task_id) {
+        for (const acceptedId of acceptedIds) {
+          if (await TaskModel.isSubtaskOf(acceptedId, task.id)) {
+            return { outcome: 'updated', message: 'Moved with its parent task' };
+          }
+        }
+        return { outcome: 'failed', message: 'A subtask must be in the same project as its parent task' };
+      }
+      const workflow = await workflowFor(projectId);
+      if (!findState(workflow, task.status)) {
+        return { outcome: 'failed', message: `Status "${task.status}" does not exist in the workflow of the target project` };
+      }
+      return null;
+    },
+    async apply(task, { projectId, movedIds: allMovedIds }, client) {
+      await TaskModel.update(task.id, { project_id: projectId }, client);
+      const movedIds = await TaskModel.moveSubtasksToProject(task.id, projectId, client);
+      allMovedIds.push(task.id, ...movedIds);
+      await ensureAssigneesOnProject(projectId, [task.id, ...movedIds], client);
+      return {
+        before: { id: task.id, project_id: task.project_id },
+        after: { id: task.id, project_id: projectId },
+        carried: movedIds.map(id => ({ before: { id, project_id: task.project_id }, after: { id, project_id: projectId } }))
+      };
+    }
+  },
+
+  // Deleted tasks go to the trash, like DELETE /api/tasks/{id}
+  delete: {
+    permission: 'task:delete',
+    ownerFields: ['created_by'],
+    auditAction: 'delete',
+    description: 'deleted in bulk',
+    async check() {
+      return null;
+    },
+    async apply(task, { actorId }, client) {
+      await TaskModel.softDelete(task.id, actorId, client);
+      return { before: task };
+    }
+  }
+};
 
 /**
  * Task Controller
@@ -20,12 +254,16 @@ const TaskController = {
    */
   async getAllTasks(req, res) {
     try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
-      const offset = (page - 1) * limit;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const listOptions = parseListOptions(req.query);
 
       // Build filters object from query parameters
       const filters = {
+        ...taskVisibilityFilters(req.query, listOptions),
         project_id: req.query.project_id ? parseInt(req.query.project_id) : null,
         assignee_id: req.query.assignee_id ? parseInt(req.query.assignee_id) : null,
         created_by: req.query.created_by ? parseInt(req.query.created_by) : null,
@@ -34,8 +272,7 @@ const TaskController = {
         due_date_start: req.query.due_date_start,
         due_date_end: req.query.due_date_end,
         search: req.query.search,
-        sort_by: req.query.sort_by,
-        sort_order: req.query.sort_order
+        accessible_to: await getAccessScope(req.user)
       };
 
       // Handle multiple status values
@@ -55,19 +292,17 @@ const TaskController = {
         }
       });
 
-      const tasks = await TaskModel.findAll(limit, offset, filters);
-      const total = await TaskModel.countTotal(filters);
+      const result = await TaskModel.findPage(filters, listOptions);
 
       return res.status(200).json({
-        tasks,
-        pagination: {
-          total,
-          page,
-          limit,
-          pages: Math.ceil(total / limit)
-        }
+        tasks: result.rows,
+        pagination: toPagination(result, listOptions),
+        view: describeAppliedView(req.view)
       });
     } catch (error) {
+      if (error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
       console.error('Get all tasks error:', error);
       return res.status(500).json({ message: 'Server error while fetching tasks' });
     }
@@ -79,12 +314,17 @@ const TaskController = {
  */
 async getMyTasksWITHIDANDTITLES(req, res) {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const userId = req.user.id;
    
 
  
 
-    const  tasks  = await TaskModel.findAllByUserIDANDTITLES(userId );
+    const  tasks  = await TaskModel.findAllByUserIDANDTITLES(userId, parseTaskInclude(req.query.include));
 
     return res.status(200).json({
       tasks
@@ -98,29 +338,27 @@ async getMyTasksWITHIDANDTITLES(req, res) {
 
 async getMyTasks(req, res) {
   try {
-    const userId = req.user.id;
-    
-    // Add pagination parameters
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    // Get paginated tasks
-    const tasks = await TaskModel.findAllByUser(userId, limit, offset);
-    
-    // Get total count
-    const total = await TaskModel.countUserTasks(userId);
+    const listOptions = parseListOptions(req.query);
+
+    // Open tasks, overdue ones included, unless asked otherwise
+    const result = await TaskModel.findPage({
+      ...taskVisibilityFilters(req.query, listOptions, ['active', 'overdue']),
+      related_to: req.user.id
+    }, listOptions);
 
     return res.status(200).json({
-      tasks,
-      pagination: {
-        total,
-        page,
-        limit,
-        pages: Math.ceil(total / limit)
-      }
+      tasks: result.rows,
+      pagination: toPagination(result, listOptions)
     });
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Get my tasks error:', error);
     return res.status(500).json({ message: 'Server error while fetching my tasks' });
   }
@@ -133,7 +371,12 @@ async getMyTasks(req, res) {
  */
 async getAllTaskIdsAndTitles(req, res) {
   try {
-    const tasks = await TaskModel.getAllTaskIdsAndTitles();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tasks = await TaskModel.getAllTaskIdsAndTitles(await getAccessScope(req.user), parseTaskInclude(req.query.include));
     return res.status(200).json({ tasks });
   } catch (error) {
     console.error('Get all task IDs and titles error:', error);
@@ -159,45 +402,91 @@ async getAllTaskIdsAndTitles(req, res) {
         title,
         
         project_id,
+        parent_task_id,
         assignee_id,
+        collaborator_ids,
        status,
         
         due_date,
        
       } = req.body;
-       let taskStatus = status || 'new';
-      // Check if project exists
-      if (project_id) {
-        const project = await ProjectModel.findById(project_id);
-        if (!project) {
-          return res.status(400).json({ message: 'Project not found' });
+
+      // A subtask needs contributor access to its parent and lives in the parent's project
+      let parentTask = null;
+      if (parent_task_id) {
+        parentTask = await TaskModel.findById(parent_task_id);
+        const parentRole = parentTask ? await getTaskRole(req.user, parentTask) : null;
+        if (!parentRole) {
+          return res.status(400).json({ message: 'Parent task not found' });
+        }
+        if (!hasProjectRole(parentRole, 'contributor')) {
+          return res.status(403).json({ message: 'Viewers cannot add subtasks to this task' });
+        }
+        if (project_id && parseInt(project_id) !== parentTask.project_id) {
+          return res.status(400).json({ message: 'A subtask must be in the same project as its parent task' });
         }
-        //  taskStatus = project.status;
       }
+      const taskProjectId = parentTask ? parentTask.project_id : project_id;
 
-      // Create task
-      const newTask = await TaskModel.create({
-        title,
-        
-        project_id,
-        assignee_id,
-        status: taskStatus,
-    
-        due_date,
-       
-        created_by: req.user.id
-      });
+      // Check if project exists; projects the user is not on look the same as missing ones
+      if (taskProjectId && !parentTask) {
+        const project = await ProjectModel.findById(taskProjectId);
+        const projectRole = project ? await getProjectRole(req.user, project.id) : null;
+        if (!projectRole) {
+          return res.status(400).json({ message: 'Project not found' });
+        }
+        if (!hasProjectRole(projectRole, 'contributor')) {
+          return res.status(403).json({ message: 'Viewers cannot create tasks in this project' });
+        }
+      }
 
-      // Log task creation
-      await db.query(
-        'INSERT INTO task_logs (task_id, user_id, action  ) VALUES ($1, $2, $3  )',
-        [newTask.id, req.user.id, 'create' ]
-      );
+      // New tasks start in the initial status of the project's workflow unless another one is allowed
+      const workflow = await WorkflowModel.findForProject(taskProjectId);
+      const taskStatus = status || getInitialStatus(workflow);
+      const statusCheck = await checkStatusChange(workflow, null, taskStatus);
+      if (statusCheck.status) {
+        return sendStatusRefusal(res, statusCheck);
+      }
 
-      return res.status(201).json({
-        message: 'Task created successfully',
-        task: newTask
-      });
+      const collaboratorIds = [...new Set(collaborator_ids || [])];
+
+      const client = await db.pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const newTask = await TaskModel.create({
+          title,
+          project_id: taskProjectId,
+          parent_task_id: parentTask ? parentTask.id : null,
+          assignee_id,
+          collaborator_ids: collaboratorIds,
+          status: taskStatus,
+          due_date,
+          created_by: req.user.id
+        }, client);
+
+        await ensureAssigneesOnProject(newTask.project_id, [newTask.id], client);
+
+        // Log task creation
+        await logEntityChange(req, 'task', 'create', {
+          after: { ...newTask, collaborator_ids: collaboratorIds },
+          description: `Task "${newTask.title}" created`
+        }, client);
+
+        await client.query('COMMIT');
+
+        const task = await TaskModel.findById(newTask.id);
+
+        return res.status(201).json({
+          message: 'Task created successfully',
+          task
+        });
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      } finally {
+        client.release();
+      }
     } catch (error) {
       console.error('Create task error:', error);
       return res.status(500).json({ message: 'Server error while creating task' });
@@ -224,31 +513,115 @@ async updateTask(req, res) {
     }
     
     // Check if task exists
-    const existingTask = await TaskModel.findById(taskId);
+    const existingTask = req.resource || await TaskModel.findById(taskId);
     if (!existingTask) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Check if user has permission to update the task
-    const isAdmin = req.user.role === 'admin';
-    const isManager = req.user.role === 'manager';
-    const isCreator = existingTask.created_by === req.user.id;
-    const isAssignee = existingTask.assignee_id === req.user.id;
-    
-    if (!isAdmin && !isManager && !isCreator && !isAssignee) {
-      return res.status(403).json({
-        message: 'You do not have permission to update this task'
+    // Moving a task needs contributor access to the target project
+    const targetProjectId = req.body.project_id ? parseInt(req.body.project_id) : null;
+    if (targetProjectId && targetProjectId !== existingTask.project_id) {
+      const projectRole = await getProjectRole(req.user, targetProjectId);
+      if (!projectRole) {
+        return res.status(400).json({ message: 'Project not found' });
+      }
+      if (!hasProjectRole(projectRole, 'contributor')) {
+        return res.status(403).json({ message: 'Viewers cannot move tasks into this project' });
+      }
+    }
+
+    // parent_task_id moves the task under another task; null makes it a top-level task again
+    const changesParent = Object.hasOwn(req.body, 'parent_task_id')
+      && (req.body.parent_task_id ?? null) !== existingTask.parent_task_id;
+    const parentTaskId = changesParent ? req.body.parent_task_id ?? null : existingTask.parent_task_id;
+    const taskProjectId = targetProjectId || existingTask.project_id;
+
+    if (changesParent && parentTaskId) {
+      const parentTask = await TaskModel.findById(parentTaskId);
+      const parentRole = parentTask ? await getTaskRole(req.user, parentTask) : null;
+      if (!parentRole) {
+        return res.status(400).json({ message: 'Parent task not found' });
+      }
+      if (!hasProjectRole(parentRole, 'contributor')) {
+        return res.status(403).json({ message: 'Viewers cannot add subtasks to this task' });
+      }
+      if (parentTaskId === taskId || await TaskModel.isSubtaskOf(taskId, parentTaskId)) {
+        return res.status(400).json({ message: 'A task cannot be a subtask of itself or of its own subtasks' });
+      }
+      if (parentTask.project_id !== taskProjectId) {
+        return res.status(400).json({ message: 'A subtask must be in the same project as its parent task' });
+      }
+    } else if (parentTaskId && taskProjectId !== existingTask.project_id) {
+      return res.status(400).json({ message: 'A subtask must be in the same project as its parent task' });
+    }
+
+    // Status changes follow the workflow of the project the task ends up in
+    const workflow = await WorkflowModel.findForProject(taskProjectId);
+    const newStatus = req.body.status || existingTask.status;
+    if (newStatus !== existingTask.status) {
+      const statusCheck = await checkStatusChange(workflow, existingTask.status, newStatus, { taskId });
+      if (statusCheck.status) {
+        return sendStatusRefusal(res, statusCheck);
+      }
+    } else if (taskProjectId !== existingTask.project_id && !findState(workflow, newStatus)) {
+      return res.status(400).json({
+        message: `Status "${newStatus}" does not exist in the workflow of the target project; pass a new status`,
+        allowed_statuses: workflow.states.map(state => state.status)
       });
     }
 
-    // Update task
-    const updatedTask = await TaskModel.update(taskId, req.body);
+    if (await rejectIfBlocked(res, workflow, existingTask, req.body.status)) {
+      return;
+    }
+
+    const newOwnerId = req.body.assignee_id ? parseInt(req.body.assignee_id) : null;
+
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const task = await TaskModel.update(taskId, req.body, client);
+
+      if (changesParent) {
+        await TaskModel.setParent(taskId, parentTaskId, client);
+      }
+
+      // Subtasks follow their parent into another project; dependencies on tasks left behind are dropped
+      if (task.project_id !== existingTask.project_id) {
+        const movedIds = await TaskModel.moveSubtasksToProject(taskId, task.project_id, client);
+        await ensureAssigneesOnProject(task.project_id, movedIds, client);
+        await dropCrossProjectDependencies(req, [taskId, ...movedIds], client);
+      }
+
+      // A new assignee becomes the owner; the previous owner stays on as a collaborator
+      if (newOwnerId && newOwnerId !== existingTask.assignee_id) {
+        await TaskModel.addAssignee(taskId, newOwnerId, 'owner', req.user.id, client);
+      }
+
+      if (task.project_id !== existingTask.project_id || newOwnerId) {
+        await ensureAssigneesOnProject(task.project_id, [taskId], client);
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    const updatedTask = await TaskModel.findById(taskId);
+
+    // The roll-up is derived from other rows and stays out of the diff
+    const { rollup: rollupBefore, ...before } = existingTask;
+    const { rollup: rollupAfter, ...after } = updatedTask;
 
     // Log task update
-    await db.query(
-      'INSERT INTO task_logs (task_id, user_id, action, description) VALUES ($1, $2, $3, $4)',
-      [taskId, req.user.id, 'update', `Task "${updatedTask.title}" updated`]
-    );
+    await logEntityChange(req, 'task', 'update', {
+      before,
+      after,
+      description: `Task "${updatedTask.title}" updated`
+    });
 
     return res.status(200).json({
       message: 'Task updated successfully',
@@ -260,8 +633,96 @@ async updateTask(req, res) {
   }
 },
 
+/**
+ * Move a task on its project's board: change its status (column) and position in one step.
+ * The status change follows the workflow like any other; a column at its WIP limit takes no more tasks.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - Moved task and its position in the column
+ */
+async moveTask(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existingTask = req.resource;
+    if (!existingTask.project_id) {
+      return res.status(400).json({ message: 'Only tasks in a project are on a board' });
+    }
+
+    const workflow = await WorkflowModel.findForProject(existingTask.project_id);
+    const status = req.body.status || existingTask.status;
+    const changesColumn = status !== existingTask.status;
+    if (changesColumn) {
+      const statusCheck = await checkStatusChange(workflow, existingTask.status, status, { taskId: existingTask.id });
+      if (statusCheck.status) {
+        return sendStatusRefusal(res, statusCheck);
+      }
+      if (await rejectIfBlocked(res, workflow, existingTask, status)) {
+        return;
+      }
+    }
+
+    const client = await db.pool.connect();
+    let position;
+    try {
+      await client.query('BEGIN');
+      await BoardModel.lockBoard(existingTask.project_id, client);
+
+      let column = await BoardModel.findColumn(existingTask.project_id, status, existingTask.id, client);
+      if (changesColumn) {
+        const wipLimit = (await BoardModel.getWipLimits(existingTask.project_id, client))[status];
+        if (wipLimit && column.length >= wipLimit) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({
+            message: `Column "${status}" is at its WIP limit of ${wipLimit} task(s)`,
+            wip_limit: wipLimit
+          });
+        }
+      }
+
+      position = Math.min(req.body.position ?? column.length, column.length);
+      let boardRank = rankAtPosition(column, position);
+      if (boardRank === null) {
+        column = await BoardModel.renumberColumn(column, client);
+        boardRank = rankAtPosition(column, position);
+      }
+
+      await BoardModel.moveTask(existingTask.id, status, boardRank, client);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    const task = await TaskModel.findById(existingTask.id);
+
+    // Moves within a column only change the rank and are not recorded
+    await logEntityChange(req, 'task', 'move', {
+      before: { id: existingTask.id, status: existingTask.status },
+      after: { id: task.id, status: task.status },
+      description: `Task "${task.title}" moved from "${existingTask.status}" to "${task.status}" on the board`
+    });
+
+    return res.status(200).json({
+      message: 'Task moved successfully',
+      task,
+      position
+    });
+  } catch (error) {
+    console.error('Move task error:', error);
+    return res.status(500).json({ message: 'Server error while moving task' });
+  }
+},
+
 /**
  * Delete a task (with ID validation)
+ * The task goes to the trash with its comments, attachments and daily updates; it can be
+ * restored until the purge job removes it.
  */
 async deleteTask(req, res) {
   try {
@@ -280,19 +741,14 @@ async deleteTask(req, res) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Check if user has permission to delete the task
-    const isAdmin = req.user.role === 'admin';
-    const isManager = req.user.role === 'manager';
-    const isCreator = task.created_by === req.user.id;
-    
-    if (!isAdmin && !isManager && !isCreator) {
-      return res.status(403).json({
-        message: 'You do not have permission to delete this task'
-      });
-    }
+    // Move the task to the trash
+    await TaskModel.softDelete(taskId, req.user.id);
 
-    // Delete task
-    await TaskModel.delete(taskId);
+    // Log task deletion
+    await logEntityChange(req, 'task', 'delete', {
+      before: task,
+      description: `Task "${task.title}" deleted`
+    });
 
     return res.status(200).json({ message: 'Task deleted successfully' });
   } catch (error) {
@@ -300,8 +756,216 @@ async deleteTask(req, res) {
     return res.status(500).json({ message: 'Server error while deleting task' });
   }
 },
+
+  /**
+   * Get the task trash: deleted tasks the user may see, most recently deleted first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Deleted tasks with pagination
+   */
+  async getDeletedTasks(req, res) {
+    try {
+      const listOptions = parseListOptions(req.query);
+      const result = await TaskModel.findTrashPage({
+        project_id: req.query.project_id ? parseInt(req.query.project_id) : null,
+        deleted_by: req.query.deleted_by ? parseInt(req.query.deleted_by) : null,
+        search: req.query.search,
+        accessible_to: await getAccessScope(req.user)
+      }, listOptions);
+
+      return res.status(200).json({
+        tasks: result.rows,
+        pagination: toPagination(result, listOptions)
+      });
+    } catch (error) {
+      if (error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
+      console.error('Get deleted tasks error:', error);
+      return res.status(500).json({ message: 'Server error while fetching deleted tasks' });
+    }
+  },
+
+  /**
+   * Restore a task from the trash. Tasks of a deleted project come back with the project.
+   * @param {Object} req - Express request object (req.resource is the deleted task)
+   * @param {Object} res - Express response object
+   * @returns {Object} - Restored task
+   */
+  async restoreTask(req, res) {
+    try {
+      const deletedTask = req.resource;
+
+      if (deletedTask.project_id && !await ProjectModel.findById(deletedTask.project_id)) {
+        return res.status(400).json({ message: 'The project of this task is deleted. Restore the project instead.' });
+      }
+
+      if (!await TaskModel.restore(deletedTask.id)) {
+        return res.status(404).json({ message: 'Task not found' });
+      }
+      const task = await TaskModel.findById(deletedTask.id);
+
+      await logEntityChange(req, 'task', 'restore', {
+        entityId: task.id,
+        description: `Task "${task.title}" restored from the trash`
+      });
+
+      return res.status(200).json({
+        message: 'Task restored successfully',
+        task
+      });
+    } catch (error) {
+      console.error('Restore task error:', error);
+      return res.status(500).json({ message: 'Server error while restoring task' });
+    }
+  },
+
+  /**
+   * Apply one action to many tasks (see BULK_TASK_ACTIONS).
+   * Every task is checked on its own; tasks that fail a check are reported and left alone.
+   * The others are changed in one transaction, with one audit entry per task.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Result per task, in the order of task_ids
+   */
+  async bulkUpdateTasks(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { action } = req.body;
+      const bulkAction = BULK_TASK_ACTIONS[action];
+      const taskIds = [...new Set(req.body.task_ids)];
+
+      const workflows = new Map();
+      const context = {
+        actorId: req.user.id,
+        status: req.body.status,
+        priority: req.body.priority,
+        days: req.body.days,
+        assigneeId: req.body.assignee_id,
+        unassignPrevious: req.body.unassign_previous === true,
+        projectId: req.body.project_id,
+        acceptedIds: new Set(),
+        movedIds: [],
+        async workflowFor(projectId) {
+          if (!workflows.has(projectId)) {
+            workflows.set(projectId, await WorkflowModel.findForProject(projectId));
+          }
+          return workflows.get(projectId);
+        }
+      };
+
+      if (action === 'reassign') {
+        const user = await UserModel.findById(context.assigneeId);
+        if (!user) {
+          return res.status(400).json({ message: 'User not found' });
+        }
+        if (user.status !== 'active') {
+          return res.status(400).json({ message: 'Cannot assign a task to an inactive user' });
+        }
+      }
+
+      // Moving tasks needs contributor access to the target project
+      if (action === 'move') {
+        const project = await ProjectModel.findById(context.projectId);
+        const projectRole = project ? await getProjectRole(req.user, project.id) : null;
+        if (!projectRole) {
+          return res.status(400).json({ message: 'Project not found' });
+        }
+        if (!hasProjectRole(projectRole, 'contributor')) {
+          return res.status(403).json({ message: 'Viewers cannot move tasks into this project' });
+        }
+      }
+
+      // The same checks as the single-task routes: tasks the user cannot see are missing
+      const loader = loadTask(bulkAction.ownerFields);
+      const results = new Map();
+      const tasks = [];
+      for (const taskId of taskIds) {
+        const loaded = await loader({ user: req.user, params: { id: taskId } });
+        if (!loaded) {
+          results.set(taskId, { id: taskId, outcome: 'failed', message: 'Task not found' });
+        } else if (loaded.forbidden || !await hasPermissionOn(req.user, bulkAction.permission, loaded.ownerIds)) {
+          results.set(taskId, { id: taskId, outcome: 'failed', message: 'You do not have permission to change this task' });
+        } else {
+          tasks.push(loaded.resource);
+        }
+      }
+
+      // Subtasks are checked after the top-level tasks, so that a moved task can take its whole subtree along
+      const accepted = [];
+      for (const task of [...tasks.filter(task => !task.parent_task_id), ...tasks.filter(task => task.parent_task_id)]) {
+        const result = await bulkAction.check(task, context);
+        if (result) {
+          results.set(task.id, { id: task.id, ...result });
+        } else {
+          accepted.push(task);
+          context.acceptedIds.add(task.id);
+        }
+      }
+
+      const client = await db.pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        for (const task of accepted) {
+          const { before, after, carried = [] } = await bulkAction.apply(task, context, client);
+
+          await logEntityChange(req, 'task', bulkAction.auditAction || 'update', {
+            before,
+            after,
+            entityId: task.id,
+            description: `Task "${task.title}" ${bulkAction.description}`
+          }, client);
+
+          // Subtasks changed along with their parent get their own entry, listed or not
+          for (const change of carried) {
+            await logEntityChange(req, 'task', bulkAction.auditAction || 'update', {
+              ...change,
+              entityId: change.after.id,
+              description: `Task ${change.after.id} ${bulkAction.description} along with task "${task.title}"`
+            }, client);
+          }
+
+          results.set(task.id, { id: task.id, outcome: action === 'delete' ? 'deleted' : 'updated' });
+        }
+
+        // Only once every task has moved: links between tasks moved together stay
+        if (context.movedIds.length > 0) {
+          await dropCrossProjectDependencies(req, context.movedIds, client);
+        }
+
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      } finally {
+        client.release();
+      }
+
+      const ordered = taskIds.map(taskId => results.get(taskId));
+      const count = (...outcomes) => ordered.filter(result => outcomes.includes(result.outcome)).length;
+
+      return res.status(200).json({
+        message: `${count('updated', 'deleted')} of ${taskIds.length} task(s) changed`,
+        action,
+        changed: count('updated', 'deleted'),
+        unchanged: count('unchanged'),
+        failed: count('failed'),
+        results: ordered
+      });
+    } catch (error) {
+      console.error('Bulk update tasks error:', error);
+      return res.status(500).json({ message: 'Server error while updating tasks' });
+    }
+  },
 /**
  * Add daily update to task
+ * A status that needs verification in the task's workflow is only requested: the daily update
+ * waits as completed_not_verified and the task keeps its status until the request is verified.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @returns {Object} - New daily update details
@@ -322,23 +986,33 @@ async addDailyUpdate(req, res) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Determine the correct status based on input
-    let dailyUpdateStatus = status;
-    if (status === 'completed') {
-      dailyUpdateStatus = 'completed_not_verified'; // Mark as completed but not verified
+    const workflow = await WorkflowModel.findForProject(task.project_id);
+    const changesStatus = Boolean(status) && status !== task.status;
+    let requiresVerification = false;
+    if (changesStatus) {
+      const statusCheck = await checkStatusChange(workflow, task.status, status, { taskId, allowVerification: true });
+      if (statusCheck.status) {
+        return sendStatusRefusal(res, statusCheck);
+      }
+      requiresVerification = statusCheck.requiresVerification;
+    }
+
+    if (await rejectIfBlocked(res, workflow, task, status)) {
+      return;
     }
 
-    // Add daily update
+    // Add daily update; a change that needs verification is recorded as a request
     const dailyUpdate = await TaskModel.addDailyUpdate({
       task_id: taskId,
       user_id: req.user.id,
       content,
       update_date,
-      status: dailyUpdateStatus
+      status: requiresVerification ? 'completed_not_verified' : status,
+      requested_status: requiresVerification ? status : null
     });
 
-    // Update task status if daily update status changed (but not to completed)
-    if (status && status !== 'completed') {
+    const taskStatusUpdated = changesStatus && !requiresVerification;
+    if (taskStatusUpdated) {
       await db.query(
         'UPDATE tasks SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
         [status, taskId]
@@ -355,19 +1029,28 @@ async addDailyUpdate(req, res) {
     dailyUpdate.profile_image = rows[0].profile_image;
 
     // Log daily update activity
-    const logDescription = status === 'completed' 
-      ? 'Added daily update - task marked completed (pending verification)'
-      : `Added daily update - task status updated to ${status}`;
+    let logDescription = 'Added daily update';
+    if (requiresVerification) {
+      logDescription = `Added daily update - task marked ${status} (pending verification)`;
+    } else if (taskStatusUpdated) {
+      logDescription = `Added daily update - task status updated to ${status}`;
+    }
 
-    await db.query(
-      'INSERT INTO task_logs (task_id, user_id, action, description) VALUES ($1, $2, $3, $4)',
-      [taskId, req.user.id, 'daily_update', logDescription]
-    );
+    await logAudit({
+      entityType: 'task',
+      entityId: taskId,
+      actorId: req.user.id,
+      action: 'daily_update',
+      description: logDescription,
+      changes: taskStatusUpdated ? diffChanges({ status: task.status }, { status }) : null,
+      ipAddress: req.ip
+    });
 
     return res.status(201).json({
       message: 'Daily update added successfully',
       daily_update: dailyUpdate,
-      task_status_updated: status && status !== 'completed'
+      task_status_updated: taskStatusUpdated,
+      pending_verification: requiresVerification
     });
   } catch (error) {
     console.error('Add daily update error:', error);
@@ -404,7 +1087,8 @@ const filters = {
   created_by: req.query.created_by ? parseInt(req.query.created_by) : null,
   working_for: req.query.working_for ? parseInt(req.query.working_for) : null, // ADD THIS LINE
   update_date_start: req.query.update_date_start,
-  update_date_end: req.query.update_date_end
+  update_date_end: req.query.update_date_end,
+  accessible_to: await getAccessScope(req.user)
 };
 
     // Remove undefined filters
@@ -418,7 +1102,7 @@ const filters = {
     const total = await TaskModel.countTotalWithDailyUpdates(filters);
 
     // Prepare response based on whether pagination is used
-    const response = { tasks };
+    const response = { tasks, view: describeAppliedView(req.view) };
     
     if (limit !== null) {
       // Include pagination info only when limit is applied
@@ -468,7 +1152,8 @@ async getAllVendorsWithDailyUpdates(req, res) {
       project_id: req.query.project_id ? parseInt(req.query.project_id) : null,
       assignee_id: req.query.assignee_id ? parseInt(req.query.assignee_id) : null,
       update_date_start: req.query.update_date_start,
-      update_date_end: req.query.update_date_end
+      update_date_end: req.query.update_date_end,
+      accessible_to: await getAccessScope(req.user)
     };
 
     // Remove undefined filters
@@ -553,7 +1238,8 @@ async getAllVendorsWithDailyUpdates(req, res) {
       project_id: req.query.project_id ? parseInt(req.query.project_id) : null,
       assignee_id: req.query.assignee_id ? parseInt(req.query.assignee_id) : null,
       update_date_start: req.query.update_date_start,
-      update_date_end: req.query.update_date_end
+      update_date_end: req.query.update_date_end,
+      accessible_to: await getAccessScope(req.user)
     };
 
     // Remove undefined filters
@@ -633,6 +1319,7 @@ async getMyDailyUpdatesWithFeedback(req, res) {
 },
 /**
  * Get tasks pending verification by project ID
+ * The project is loaded by the route, which answers 404 to non-members
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @returns {Object} - List of tasks pending verification
@@ -654,9 +1341,10 @@ async getTasksPendingVerification(req, res) {
         u.first_name || ' ' || u.last_name AS assignee_name
       FROM daily_updates du
       JOIN tasks t ON du.task_id = t.id
-      JOIN users u ON t.assignee_id = u.id
+      LEFT JOIN users u ON t.assignee_id = u.id
       WHERE du.status = 'completed_not_verified'
         AND t.project_id = $1
+        AND t.deleted_at IS NULL
       ORDER BY du.created_at DESC
     `;
 
@@ -692,8 +1380,28 @@ async getMyProjectsTask(req, res) {
   }
 } ,
 
+/**
+ * Get the direct subtasks of a task
+ * The task is loaded by the route, which answers 404 to users who cannot see it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - List of subtasks
+ */
+async getSubtasks(req, res) {
+  try {
+    const subtasks = await TaskModel.findSubtasks(req.resource.id);
+    return res.status(200).json({ subtasks });
+  } catch (error) {
+    console.error('Get subtasks error:', error);
+    return res.status(500).json({ message: 'Server error while fetching subtasks' });
+  }
+},
+
 /**
  * Verify task completion by vendor
+ * Approving applies the status the latest completion report asked for (checked against the
+ * workflow); rejecting leaves the task in its current status.
+ * Access is checked by the route (task:verify, or task:verify:own for the vendor of the assignee)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @returns {Object} - Verification result
@@ -704,13 +1412,6 @@ async verifyTaskCompletion(req, res) {
     const { verified, feedback, rating } = req.body;
     const vendorUserId = req.user.id;
 
-    // Verify user is a vendor
-    // if (req.user.role !== 'vendor') {
-    //   return res.status(403).json({ 
-    //     message: 'Access denied. Only vendors can verify task completion.' 
-    //   });
-    // }
-
     // Validate required fields
     if (typeof verified !== 'boolean') {
       return res.status(400).json({ 
@@ -718,12 +1419,12 @@ async verifyTaskCompletion(req, res) {
       });
     }
 
-    // Check if task exists and get assignee details
+    // Check if task exists and get the owner's details
     const taskQuery = `
       SELECT t.*, u.working_for, u.first_name || ' ' || u.last_name as assignee_name
       FROM tasks t
-      JOIN users u ON t.assignee_id = u.id
-      WHERE t.id = $1
+      LEFT JOIN users u ON t.assignee_id = u.id
+      WHERE t.id = $1 AND t.deleted_at IS NULL
     `;
     
     const { rows: taskRows } = await db.query(taskQuery, [taskId]);
@@ -734,13 +1435,6 @@ async verifyTaskCompletion(req, res) {
 
     const task = taskRows[0];
 
-    // // Check if vendor has permission to verify this task
-    // if (task.working_for !== vendorUserId) {
-    //   return res.status(403).json({ 
-    //     message: 'You do not have permission to verify this task' 
-    //   });
-    // }
-
     // Get the latest completed_not_verified daily update for this task
     const dailyUpdateQuery = `
       SELECT * FROM daily_updates 
@@ -757,55 +1451,72 @@ async verifyTaskCompletion(req, res) {
       });
     }
 
+    // Reports from before workflows did not record a status and meant "completed"
+    const workflow = await WorkflowModel.findForProject(task.project_id);
+    const requestedStatus = updateRows[0].requested_status
+      || workflow.states.find(state => state.category === 'done').status;
+
     if (verified) {
+      const statusCheck = await checkStatusChange(workflow, task.status, requestedStatus, { taskId, verified: true });
+      if (statusCheck.status) {
+        return sendStatusRefusal(res, statusCheck);
+      }
+
       // Update daily update status to completed_verified
       await db.query(
         'UPDATE daily_updates SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
         ['completed_verified', updateRows[0].id]
       );
 
-      // Update task status to completed and set rating if provided
+      // Apply the requested status and set rating if provided
       if (rating !== undefined && rating !== null) {
         await db.query(
           'UPDATE tasks SET status = $1, rating = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
-          ['completed', rating, taskId]
+          [requestedStatus, rating, taskId]
         );
       } else {
         await db.query(
           'UPDATE tasks SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-          ['completed', taskId]
+          [requestedStatus, taskId]
         );
       }
 
       // Log verification activity
-      await db.query(
-        'INSERT INTO task_logs (task_id, user_id, action, description) VALUES ($1, $2, $3, $4)',
-        [taskId, vendorUserId, 'verify_completed', `${ feedback }`]
-      );
+      await logAudit({
+        entityType: 'task',
+        entityId: taskId,
+        actorId: vendorUserId,
+        action: 'verify_completed',
+        description: `${ feedback }`,
+        changes: diffChanges(
+          { status: task.status, rating: task.rating },
+          { status: requestedStatus, rating: rating ?? task.rating }
+        ),
+        ipAddress: req.ip
+      });
     } else {
-      // Reset daily update status to in_progress
+      // Reset daily update status to in_progress; the task never left its status (rating stays unchanged)
       await db.query(
         'UPDATE daily_updates SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
         ['in_progress', updateRows[0].id]
       );
 
-      // Reset task status to in_progress (rating stays unchanged)
-      await db.query(
-        'UPDATE tasks SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-        ['in_progress', taskId]
-      );
-
       // Log rejection activity
-      await db.query(
-        'INSERT INTO task_logs (task_id, user_id, action, description) VALUES ($1, $2, $3, $4)',
-        [taskId, vendorUserId, 'verify_rejected', `Task completion rejected${feedback ? ': ' + feedback : ''}`]
-      );
+      await logAudit({
+        entityType: 'task',
+        entityId: taskId,
+        actorId: vendorUserId,
+        action: 'verify_rejected',
+        description: `Task completion rejected${feedback ? ': ' + feedback : ''}`,
+        ipAddress: req.ip
+      });
     }
 
     return res.status(200).json({
       message: verified ? 'Task completion verified successfully' : 'Task completion rejected',
       task_id: taskId,
       verified,
+      status: verified ? requestedStatus : task.status,
       feedback: feedback || null,
       rating: verified && rating ? rating : null
     });
@@ -885,6 +1596,10 @@ async getTaskById(req, res) {
     const dailyUpdates = await TaskModel.getDailyUpdates(taskId);
     task.daily_updates = dailyUpdates;
 
+    // Get finish-to-start dependencies in both directions
+    task.blocked_by = await DependencyModel.findBlockers(taskId);
+    task.blocks = await DependencyModel.findDependents(taskId);
+
     return res.status(200).json({ task });
   } catch (error) {
     console.error('Get task by ID error:', error);
@@ -932,10 +1647,10 @@ async addFeedback(req, res) {
     feedback.reply_status = 'pending'; // Include status in response
 
     // Log feedback activity
-    await db.query(
-      'INSERT INTO task_logs (task_id, user_id, action, description) VALUES ($1, $2, $3, $4)',
-      [taskId, req.user.id, 'feedback', 'Added feedback to task']
-    );
+    await logEntityChange(req, 'feedback', 'create', {
+      after: feedback,
+      description: `Added feedback to task ${taskId}`
+    });
 
     return res.status(201).json({
       message: 'Feedback added successfully',
@@ -988,10 +1703,14 @@ async addFeedback(req, res) {
       comment.profile_image = rows[0].profile_image;
 
       // Log comment activity
-      await db.query(
-        'INSERT INTO task_logs (task_id, user_id, action, description) VALUES ($1, $2, $3, $4)',
-        [taskId, req.user.id, 'comment', 'Added a comment to task']
-      );
+      await logAudit({
+        entityType: 'task',
+        entityId: taskId,
+        actorId: req.user.id,
+        action: 'comment',
+        description: 'Added a comment to task',
+        ipAddress: req.ip
+      });
 
       return res.status(201).json({
         message: 'Comment added successfully',
@@ -1017,10 +1736,10 @@ async addFeedbackReply(req, res) {
     const feedbackId = parseInt(req.params.feedback_id);
     const { content } = req.body;
 
-    // Check if feedback exists and get task_id
+    // Check if feedback exists on this task and get task_id
     const feedbackQuery = await db.query(
-      'SELECT task_id, reply_status FROM task_comments WHERE id = $1',
-      [feedbackId]
+      'SELECT task_id, reply_status FROM task_comments WHERE id = $1 AND task_id = $2',
+      [feedbackId, parseInt(req.params.id)]
     );
     
     if (feedbackQuery.rows.length === 0) {
@@ -1061,10 +1780,15 @@ async addFeedbackReply(req, res) {
     reply.role = rows[0].role;
 
     // Log reply activity
-    await db.query(
-      'INSERT INTO task_logs (task_id, user_id, action, description) VALUES ($1, $2, $3, $4)',
-      [taskId, req.user.id, 'feedback_reply', 'Added reply to feedback']
-    );
+    await logAudit({
+      entityType: 'feedback',
+      entityId: feedbackId,
+      actorId: req.user.id,
+      action: 'reply',
+      description: `Added reply to feedback on task ${taskId}`,
+      changes: diffChanges({ reply_status: feedback.reply_status }, { reply_status: 'replied' }),
+      ipAddress: req.ip
+    });
 
     return res.status(201).json({
       message: 'Reply added successfully',
@@ -1138,9 +1862,7 @@ async getAllFeedback(req, res) {
       return res.status(400).json({ message: 'Valid user ID is required' });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 50;
-    const offset = (page - 1) * limit;
+    const listOptions = parseListOptions(req.query, 50);
 
     // Build filters object from query parameters
     const filters = {};
@@ -1166,21 +1888,21 @@ async getAllFeedback(req, res) {
       filters.reply_status = req.query.reply_status;
     }
 
+    filters.accessible_to = await getAccessScope(req.user);
+
     console.log('Filters in controller:', filters); // Debug log
 
-    const feedback = await TaskModel.getAllFeedback(limit, offset, userId, filters);
-    const total = await TaskModel.countAllFeedback(userId, filters);
+    const result = await TaskModel.findFeedbackPage(userId, filters, listOptions);
 
     return res.status(200).json({ 
-      feedback,
-      pagination: {
-        total,
-        page,
-        limit,
-        pages: Math.ceil(total / limit)
-      }
+      feedback: result.rows,
+      pagination: toPagination(result, listOptions),
+      view: describeAppliedView(req.view)
     });
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Get all feedback error:', error);
     return res.status(500).json({ message: 'Server error while fetching feedback' });
   }
@@ -1193,10 +1915,10 @@ async getFeedbackReplies(req, res) {
   try {
     const feedbackId = parseInt(req.params.feedback_id);
     
-    // Check if feedback exists
+    // Check if feedback exists on this task
     const feedbackQuery = await db.query(
-      'SELECT id FROM task_comments WHERE id = $1',
-      [feedbackId]
+      'SELECT id FROM task_comments WHERE id = $1 AND task_id = $2',
+      [feedbackId, parseInt(req.params.id)]
     );
     
     if (feedbackQuery.rows.length === 0) {
@@ -1276,9 +1998,7 @@ async getPendingFeedback(req, res) {
       return res.status(400).json({ message: 'Valid user ID is required' });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 50;
-    const offset = (page - 1) * limit;
+    const listOptions = parseListOptions(req.query, 50);
 
     // Build filters object from query parameters
     const filters = {};
@@ -1307,19 +2027,19 @@ async getPendingFeedback(req, res) {
       }
     }
 
-    const feedback = await TaskModel.getPendingFeedback(userId, limit, offset, filters);
-    const total = await TaskModel.countPendingFeedback(userId, filters);
+    filters.accessible_to = await getAccessScope(req.user);
+
+    const result = await TaskModel.findPendingFeedbackPage(userId, filters, listOptions);
 
     return res.status(200).json({ 
-      feedback,
-      pagination: {
-        total,
-        page,
-        limit,
-        pages: Math.ceil(total / limit)
-      }
+      feedback: result.rows,
+      pagination: toPagination(result, listOptions),
+      view: describeAppliedView(req.view)
     });
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Get pending feedback error:', error);
     return res.status(500).json({ message: 'Server error while fetching pending feedback' });
   }
@@ -1337,7 +2057,7 @@ async getPendingFeedbackidandname(req, res) {
       return res.status(400).json({ message: 'Valid user ID is required' });
     }
 
-    const feedback = await TaskModel.getPendingFeedbackMin(userId);
+    const feedback = await TaskModel.getPendingFeedbackMin(userId, await getAccessScope(req.user));
 
     return res.status(200).json({ 
       feedback,
@@ -1389,10 +2109,14 @@ async getPendingFeedbackidandname(req, res) {
       timeEntry.user_name = rows[0].user_name;
 
       // Log time tracking activity
-      await db.query(
-        'INSERT INTO task_logs (task_id, user_id, action, description) VALUES ($1, $2, $3, $4)',
-        [taskId, req.user.id, 'time_track', `Logged ${hours} hours and ${minutes} minutes on task`]
-      );
+      await logAudit({
+        entityType: 'task',
+        entityId: taskId,
+        actorId: req.user.id,
+        action: 'time_track',
+        description: `Logged ${hours} hours and ${minutes} minutes on task`,
+        ipAddress: req.ip
+      });
 
       return res.status(201).json({
         message: 'Time tracked successfully',
@@ -1438,7 +2162,11 @@ async getPendingFeedbackidandname(req, res) {
   async getTaskStats(req, res) {
     try {
       const projectId = req.query.project_id ? parseInt(req.query.project_id) : null;
-      const stats = await TaskModel.getTaskStats(projectId);
+      if (projectId && !await getProjectRole(req.user, projectId)) {
+        return res.status(404).json({ message: 'Project not found' });
+      }
+
+      const stats = await TaskModel.getTaskStats(projectId, await getAccessScope(req.user));
       return res.status(200).json({ stats });
     } catch (error) {
       console.error('Get task stats error:', error);
@@ -1455,7 +2183,7 @@ async getPendingFeedbackidandname(req, res) {
   async getOverdueTasks(req, res) {
     try {
       const limit = parseInt(req.query.limit) || 10;
-      const tasks = await TaskModel.getOverdueTasks(limit);
+      const tasks = await TaskModel.getOverdueTasks(limit, await getAccessScope(req.user));
       return res.status(200).json({ tasks });
     } catch (error) {
       console.error('Get overdue tasks error:', error);
@@ -1473,7 +2201,7 @@ async getPendingFeedbackidandname(req, res) {
     try {
       const days = parseInt(req.query.days) || 7;
       const limit = parseInt(req.query.limit) || 10;
-      const tasks = await TaskModel.getUpcomingTasks(days, limit);
+      const tasks = await TaskModel.getUpcomingTasks(days, limit, await getAccessScope(req.user));
       return res.status(200).json({ tasks });
     } catch (error) {
       console.error('Get upcoming tasks error:', error);
@@ -0,0 +1,38 @@
+import { validationResult } from 'express-validator';
+import { getTrashRetentionDays, purgeTrash } from '../utils/trash.utils.js';
+
+/**
+ * Trash Controller
+ * Handles purging deleted tasks, projects, users and vendors on demand
+ */
+const TrashController = {
+  /**
+   * Permanently delete what has been in the trash longer than retention_days
+   * (default: the retention period of the purge job). Rows with daily updates are kept.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Number of purged rows per entity
+   */
+  async purge(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const retentionDays = req.body.retention_days ?? getTrashRetentionDays();
+      const purged = await purgeTrash(retentionDays, req.user.id);
+
+      return res.status(200).json({
+        message: 'Trash purged successfully',
+        retention_days: retentionDays,
+        purged
+      });
+    } catch (error) {
+      console.error('Purge trash error:', error);
+      return res.status(500).json({ message: 'Server error while purging trash' });
+    }
+  }
+};
+
+export default TrashController;
@@ -0,0 +1,274 @@
+import { validationResult } from 'express-validator';
+import UserModel from '../models/user.model.js';
+import RecoveryCodeModel from '../models/recoveryCode.model.js';
+import RoleModel from '../models/role.model.js';
+import { logUserAction, logAudit, diffChanges } from '../utils/audit.utils.js';
+import { generateTotpSecret, buildOtpAuthUri, encryptSecret } from '../utils/totp.utils.js';
+import {
+  isTwoFactorRequired,
+  getTwoFactorRequiredRoles,
+  setTwoFactorRequiredRoles,
+  issueRecoveryCodes,
+  verifyUserTotp,
+  verifySecondFactor
+} from '../utils/twoFactor.utils.js';
+
+/**
+ * Two-Factor Controller
+ * Handles TOTP enrollment, recovery codes and the mandatory 2FA policy
+ */
+const TwoFactorController = {
+  /**
+   * Get the two-factor status of the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Enabled/required flags and remaining recovery codes
+   */
+  async getStatus(req, res) {
+    try {
+      const user = await UserModel.findById(req.user.id);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      return res.status(200).json({
+        enabled: Boolean(user.totp_enabled),
+        required: await isTwoFactorRequired(user.role),
+        recoveryCodesRemaining: user.totp_enabled ? await RecoveryCodeModel.countUnused(user.id) : 0
+      });
+    } catch (error) {
+      console.error('Get two-factor status error:', error);
+      return res.status(500).json({ message: 'Server error while fetching two-factor status' });
+    }
+  },
+
+  /**
+   * Start enrollment: create a new secret and return its provisioning URI.
+   * The secret only becomes active after it is confirmed with /2fa/enable.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Secret and otpauth:// URI for the QR code
+   */
+  async setup(req, res) {
+    try {
+      const user = await UserModel.findById(req.user.id);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      if (user.totp_enabled) {
+        return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+      }
+
+      const secret = generateTotpSecret();
+      const stored = await UserModel.setPendingTotpSecret(user.id, encryptSecret(secret));
+      if (!stored) {
+        return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+      }
+
+      return res.status(200).json({
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        secret,
+        otpauthUrl: buildOtpAuthUri({ secret, accountName: user.email })
+      });
+    } catch (error) {
+      console.error('Two-factor setup error:', error);
+      return res.status(500).json({ message: 'Server error during two-factor setup' });
+    }
+  },
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Recovery codes (shown only once)
+   */
+  async enable(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await UserModel.findByEmail(req.user.email);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      if (user.totp_enabled) {
+        return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+      }
+
+      if (!user.totp_secret) {
+        return res.status(400).json({ message: 'Start two-factor setup before enabling it' });
+      }
+
+      if (!await verifyUserTotp(user, req.body.code)) {
+        return res.status(400).json({ message: 'Invalid two-factor code' });
+      }
+
+      await UserModel.enableTotp(user.id);
+      const recoveryCodes = await issueRecoveryCodes(user.id);
+
+      await logUserAction(user.id, 'two_factor_enabled', 'Two-factor authentication enabled', req.ip);
+
+      return res.status(200).json({
+        message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+        recoveryCodes
+      });
+    } catch (error) {
+      console.error('Two-factor enable error:', error);
+      return res.status(500).json({ message: 'Server error while enabling two-factor authentication' });
+    }
+  },
+
+  /**
+   * Turn off two-factor authentication
+   * Requires the password and a current code (or a recovery code)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Success message
+   */
+  async disable(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { password, code, recoveryCode } = req.body;
+
+      const user = await UserModel.findByEmail(req.user.email);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      if (!user.totp_enabled) {
+        return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+      }
+
+      if (await isTwoFactorRequired(user.role)) {
+        return res.status(403).json({ message: 'Two-factor authentication is mandatory for your role' });
+      }
+
+      const isPasswordValid = await UserModel.comparePassword(password, user.password);
+      if (!isPasswordValid) {
+        return res.status(401).json({ message: 'Password is incorrect' });
+      }
+
+      if (!await verifySecondFactor(user, { code, recoveryCode })) {
+        return res.status(400).json({ message: 'Invalid two-factor code' });
+      }
+
+      await UserModel.disableTotp(user.id);
+      await RecoveryCodeModel.deleteForUser(user.id);
+
+      await logUserAction(user.id, 'two_factor_disabled', 'Two-factor authentication disabled', req.ip);
+
+      return res.status(200).json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+      console.error('Two-factor disable error:', error);
+      return res.status(500).json({ message: 'Server error while disabling two-factor authentication' });
+    }
+  },
+
+  /**
+   * Replace all recovery codes; the old ones stop working
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - New recovery codes (shown only once)
+   */
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await UserModel.findByEmail(req.user.email);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      if (!user.totp_enabled) {
+        return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+      }
+
+      if (!await verifyUserTotp(user, req.body.code)) {
+        return res.status(400).json({ message: 'Invalid two-factor code' });
+      }
+
+      const recoveryCodes = await issueRecoveryCodes(user.id);
+
+      await logUserAction(user.id, 'recovery_codes_regenerated', 'Recovery codes regenerated', req.ip);
+
+      return res.status(200).json({
+        message: 'New recovery codes generated. The previous codes no longer work.',
+        recoveryCodes
+      });
+    } catch (error) {
+      console.error('Regenerate recovery codes error:', error);
+      return res.status(500).json({ message: 'Server error while generating recovery codes' });
+    }
+  },
+
+  /**
+   * Get the roles for which two-factor authentication is mandatory
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Role names
+   */
+  async getPolicy(req, res) {
+    try {
+      return res.status(200).json({ requiredRoles: await getTwoFactorRequiredRoles() });
+    } catch (error) {
+      console.error('Get two-factor policy error:', error);
+      return res.status(500).json({ message: 'Server error while fetching two-factor policy' });
+    }
+  },
+
+  /**
+   * Set the roles for which two-factor authentication is mandatory.
+   * Users of those roles without 2FA can only reach the enrollment routes until they enroll.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Stored role names
+   */
+  async updatePolicy(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const roles = await RoleModel.findAll();
+      const roleNames = roles.map(role => role.name);
+      const unknownRoles = req.body.requiredRoles.filter(role => !roleNames.includes(role));
+      if (unknownRoles.length > 0) {
+        return res.status(400).json({ message: `Unknown role(s): ${unknownRoles.join(', ')}` });
+      }
+
+      const previousRoles = await getTwoFactorRequiredRoles();
+      const requiredRoles = await setTwoFactorRequiredRoles(req.body.requiredRoles, req.user.id);
+
+      await logAudit({
+        entityType: 'setting',
+        actorId: req.user.id,
+        action: 'two_factor_policy_change',
+        description: `Two-factor authentication required for: ${requiredRoles.join(', ') || 'none'}`,
+        changes: diffChanges({ two_factor_required_roles: previousRoles }, { two_factor_required_roles: requiredRoles }),
+        ipAddress: req.ip
+      });
+
+      return res.status(200).json({
+        message: 'Two-factor policy updated',
+        requiredRoles
+      });
+    } catch (error) {
+      console.error('Update two-factor policy error:', error);
+      return res.status(500).json({ message: 'Server error while updating two-factor policy' });
+    }
+  }
+};
+
+export default TwoFactorController;
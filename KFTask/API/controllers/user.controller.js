@@ -3,7 +3,18 @@
 // const db = require('../config/db');
 import { validationResult } from 'express-validator';
 import UserModel from '../models/user.model.js';
+import RoleModel from '../models/role.model.js';
+import InviteModel from '../models/invite.model.js';
+import SessionModel from '../models/session.model.js';
+import ApiTokenModel from '../models/apiToken.model.js';
 import  db  from '../config/db.js';
+import { logAudit, logEntityChange, logUserAction } from '../utils/audit.utils.js';
+import { getPermissionScope } from '../utils/permission.utils.js';
+import { inviteValidation, prepareInvite, generateInviteNonce, deliverInvite } from '../utils/invite.utils.js';
+import { parseUserImportFile, buildUserExportFile } from '../utils/userImport.utils.js';
+import { getAccessScope, projectAccessCondition } from '../utils/projectAccess.utils.js';
+import { taskOpenCondition, taskStatusCategory } from '../utils/workflow.utils.js';
+import { ListQueryError, parseListOptions, toPagination } from '../utils/listQuery.utils.js';
 
 /**
  * User Controller
@@ -18,23 +29,23 @@ const UserController = {
    */
   async getAllUsers(req, res) {
     try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
-      const offset = (page - 1) * limit;
+      const listOptions = parseListOptions(req.query);
+      const filters = {
+        status: req.query.status,
+        role: req.query.role,
+        search: req.query.search
+      };
 
-      const users = await UserModel.findAll(limit, offset);
-      const total = await UserModel.countTotal();
+      const result = await UserModel.findPage(filters, listOptions);
 
       return res.status(200).json({
-        users,
-        pagination: {
-          total: total - 1,
-          page,
-          limit,
-          pages: Math.ceil(total / limit)
-        }
+        users: result.rows,
+        pagination: toPagination(result, listOptions)
       });
     } catch (error) {
+      if (error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
       console.error('Get all users error:', error);
       return res.status(500).json({ message: 'Server error while fetching users' });
     }
@@ -118,21 +129,15 @@ async getUserById(req, res) {
         return res.status(404).json({ message: 'User not found' });
       }
 
-      // Non-admin users can only update their own profile
-      if (req.user.role !== 'admin' && req.user.id !== userId) {
-        return res.status(403).json({
-          message: 'You do not have permission to update this user'
-        });
-      }
-
       // Update user information
       const updatedUser = await UserModel.update(userId, req.body);
 
       // Log user update activity
-      await db.query(
-        'INSERT INTO user_logs (user_id, action, description, ip_address) VALUES ($1, $2, $3, $4)',
-        [req.user.id, 'user_update', `Updated user: ${userId}`, req.ip]
-      );
+      await logEntityChange(req, 'user', 'update', {
+        before: existingUser,
+        after: updatedUser,
+        description: `Updated user: ${userId}`
+      });
 
       return res.status(200).json({
         message: 'User updated successfully',
@@ -169,10 +174,11 @@ async getUserById(req, res) {
       const updatedUser = await UserModel.update(id, { status });
 
       // Log status change
-      await db.query(
-        'INSERT INTO user_logs (user_id, action, description, ip_address) VALUES ($1, $2, $3, $4)',
-        [req.user.id, 'user_status_change', `Changed status of user ${id} to ${status}`, req.ip]
-      );
+      await logEntityChange(req, 'user', 'status_change', {
+        before: user,
+        after: updatedUser,
+        description: `Changed status of user ${id} to ${status}`
+      });
 
       return res.status(200).json({
         message: `User status updated to ${status}`,
@@ -183,6 +189,41 @@ async getUserById(req, res) {
       return res.status(500).json({ message: 'Server error while updating user status' });
     }
   },
+
+  /**
+   * Unlock an account that was locked after too many failed logins
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Success message
+   */
+  async unlockUser(req, res) {
+    try {
+      const { id } = req.params;
+
+      // Check if user exists
+      const user = await UserModel.findById(id);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      await UserModel.clearFailedLogins(id);
+
+      // Log unlock
+      await logAudit({
+        entityType: 'user',
+        entityId: user.id,
+        actorId: req.user.id,
+        action: 'account_unlocked',
+        description: `Unlocked account of user ${id}`,
+        ipAddress: req.ip
+      });
+
+      return res.status(200).json({ message: 'User account unlocked' });
+    } catch (error) {
+      console.error('Unlock user error:', error);
+      return res.status(500).json({ message: 'Server error while unlocking user' });
+    }
+  },
   /**
  * Get user's working relationship details
  * @param {Object} req - Express request object
@@ -199,13 +240,6 @@ async getUserWorkingFor(req, res) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Check permissions - users can see their own info, admins can see anyone's
-    if (req.user.role !== 'admin' && req.user.id !== userId) {
-      return res.status(403).json({
-        message: 'You do not have permission to view this information'
-      });
-    }
-
     // If user is not working for anyone
     if (!user.working_for) {
       return res.status(200).json({
@@ -316,19 +350,12 @@ async getUsersWorkingFor(req, res) {
       return res.status(404).json({ message: 'Entity not found' });
     }
 
-    // Check permissions
-    if (req.user.role !== 'admin' && req.user.id !== workingForId) {
-      return res.status(403).json({
-        message: 'You do not have permission to view this information'
-      });
-    }
-
     // Get all users working for this entity
     const usersQuery = await db.query(
       `SELECT u.id, u.first_name, u.last_name, u.email, u.role, u.department, 
               u.position, u.designation, u.type, u.working_type, u.status, u.created_at
        FROM users u
-       WHERE u.working_for = $1
+       WHERE u.working_for = $1 AND u.deleted_at IS NULL
        ORDER BY u.first_name, u.last_name
        LIMIT $2 OFFSET $3`,
       [workingForId, limit, offset]
@@ -336,7 +363,7 @@ async getUsersWorkingFor(req, res) {
 
     // Count total users working for this entity
     const countQuery = await db.query(
-      'SELECT COUNT(*) FROM users WHERE working_for = $1',
+      'SELECT COUNT(*) FROM users WHERE working_for = $1 AND deleted_at IS NULL',
       [workingForId]
     );
     const total = parseInt(countQuery.rows[0].count);
@@ -381,15 +408,11 @@ async getUsersWorkingFor(req, res) {
  */
 async getUserRoles(req, res) {
   try {
-    const roles = [
-      'admin',
-      'employee',
-      'vendor'
-    ];
+    const roles = await RoleModel.findAll();
 
     return res.status(200).json({
       success: true,
-      roles: roles
+      roles: roles.map(role => role.name)
     });
   } catch (error) {
     console.error('Get user roles error:', error);
@@ -415,48 +438,51 @@ async getUserProjects(req, res) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Check permissions - users can see their own projects, admins can see anyone's
-    if (req.user.role !== 'admin' && req.user.id !== userId) {
-      return res.status(403).json({
-        message: 'You do not have permission to view this information'
-      });
-    }
-
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
 
+    // Only projects the caller may see as well
+    const accessibleTo = await getAccessScope(req.user);
+
     // Get projects where user is either manager or team member
     const query = `
       SELECT DISTINCT p.*, 
         u.first_name || ' ' || u.last_name as manager_name,
         c.first_name || ' ' || c.last_name as client_name,
-        (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id) as task_count,
-        (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id AND t.status = 'completed') as completed_tasks,
-        CASE 
-          WHEN p.manager_id = $1 THEN 'manager'
-          ELSE ptm.role
-        END as user_role_in_project
+        (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id AND t.deleted_at IS NULL) as task_count,
+        (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id AND t.deleted_at IS NULL AND ${taskStatusCategory('t')} = 'done') as completed_tasks,
+        COALESCE(ptm.role, 'manager') as user_role_in_project
       FROM projects p
       LEFT JOIN users u ON p.manager_id = u.id
       LEFT JOIN users c ON p.client_id = c.id
       LEFT JOIN project_team_members ptm ON p.id = ptm.project_id AND ptm.user_id = $1
-      WHERE p.manager_id = $1 OR ptm.user_id = $1
+      WHERE (p.manager_id = $1 OR ptm.user_id = $1)
+      AND p.deleted_at IS NULL
+      ${accessibleTo ? `AND ${projectAccessCondition('p.id', '$4')}` : ''}
       ORDER BY p.created_at DESC
       LIMIT $2 OFFSET $3
     `;
 
-    const { rows: projects } = await db.query(query, [userId, limit, offset]);
+    const { rows: projects } = await db.query(
+      query,
+      accessibleTo ? [userId, limit, offset, accessibleTo] : [userId, limit, offset]
+    );
 
     // Count total projects for pagination
     const countQuery = `
       SELECT COUNT(DISTINCT p.id) as total
       FROM projects p
       LEFT JOIN project_team_members ptm ON p.id = ptm.project_id AND ptm.user_id = $1
-      WHERE p.manager_id = $1 OR ptm.user_id = $1
+      WHERE (p.manager_id = $1 OR ptm.user_id = $1)
+      AND p.deleted_at IS NULL
+      ${accessibleTo ? `AND ${projectAccessCondition('p.id', '$2')}` : ''}
     `;
 
-    const { rows: countResult } = await db.query(countQuery, [userId]);
+    const { rows: countResult } = await db.query(
+      countQuery,
+      accessibleTo ? [userId, accessibleTo] : [userId]
+    );
     const total = parseInt(countResult[0].total);
 
     return res.status(200).json({
@@ -491,7 +517,7 @@ async getDashboardOverview(req, res) {
      const totalUsersQuery = `
       SELECT COUNT(*) as count 
       FROM users
-      WHERE role = 'employee'
+      WHERE role = 'employee' AND deleted_at IS NULL
     `;
     // Get total users count
  
@@ -502,16 +528,16 @@ async getDashboardOverview(req, res) {
     const activeProjectsQuery = `
       SELECT COUNT(*) as count 
       FROM projects 
-      WHERE status NOT IN ('completed', 'cancelled')
+      WHERE status NOT IN ('completed', 'cancelled') AND deleted_at IS NULL
     `;
     const activeProjectsResult = await db.query(activeProjectsQuery);
     const activeProjects = parseInt(activeProjectsResult.rows[0].count);
 
-    // Get pending tasks count (tasks that are not completed)
+    // Get pending tasks count (tasks whose status is neither done nor cancelled in their workflow)
     const pendingTasksQuery = `
       SELECT COUNT(*) as count 
-      FROM tasks 
-      WHERE status NOT IN ('completed', 'done')
+      FROM tasks t
+      WHERE t.deleted_at IS NULL AND ${taskOpenCondition('t')}
     `;
     const pendingTasksResult = await db.query(pendingTasksQuery);
     const pendingTasks = parseInt(pendingTasksResult.rows[0].count);
@@ -534,6 +560,8 @@ async getDashboardOverview(req, res) {
 },
   /**
    * Delete user
+   * The account goes to the trash and is logged out everywhere; its tasks, daily updates
+   * and project memberships are kept for when it is restored.
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @returns {Object} - Success message
@@ -553,27 +581,257 @@ async getDashboardOverview(req, res) {
         return res.status(400).json({ message: 'Cannot delete your own account' });
       }
 
-      // Only admin can delete users
-      if (req.user.role !== 'admin') {
-        return res.status(403).json({ 
-          message: 'You do not have permission to delete users' 
-        });
-      }
-
-      // Delete user
-      await UserModel.delete(userId);
+      // Move the user to the trash and end their sessions and API tokens
+      await UserModel.softDelete(userId, req.user.id);
+      await SessionModel.revokeAllForUser(userId, 'user_deleted');
+      await ApiTokenModel.revokeAllForUser(userId);
 
       // Log user deletion
-      await db.query(
-        'INSERT INTO user_logs (user_id, action, description, ip_address) VALUES ($1, $2, $3, $4)',
-        [req.user.id, 'user_delete', `Deleted user: ${userId}`, req.ip]
-      );
+      await logEntityChange(req, 'user', 'delete', {
+        before: user,
+        description: `Deleted user: ${userId}`
+      });
 
       return res.status(200).json({ message: 'User deleted successfully' });
     } catch (error) {
       console.error('Delete user error:', error);
       return res.status(500).json({ message: 'Server error while deleting user' });
     }
+  },
+
+  /**
+   * Get the user trash, most recently deleted first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Deleted users with pagination
+   */
+  async getDeletedUsers(req, res) {
+    try {
+      const listOptions = parseListOptions(req.query);
+      const result = await UserModel.findTrashPage({
+        role: req.query.role,
+        search: req.query.search
+      }, listOptions);
+
+      return res.status(200).json({
+        users: result.rows,
+        pagination: toPagination(result, listOptions)
+      });
+    } catch (error) {
+      if (error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
+      console.error('Get deleted users error:', error);
+      return res.status(500).json({ message: 'Server error while fetching deleted users' });
+    }
+  },
+
+  /**
+   * Restore a user from the trash. They log in again with their old password.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Restored user
+   */
+  async restoreUser(req, res) {
+    try {
+      const userId = parseInt(req.params.id);
+
+      if (isNaN(userId) || !await UserModel.restore(userId)) {
+        return res.status(404).json({ message: 'User not found in the trash' });
+      }
+      const user = await UserModel.findById(userId);
+
+      await logEntityChange(req, 'user', 'restore', {
+        entityId: userId,
+        description: `Restored user: ${userId}`
+      });
+
+      return res.status(200).json({
+        message: 'User restored successfully',
+        user
+      });
+    } catch (error) {
+      console.error('Restore user error:', error);
+      return res.status(500).json({ message: 'Server error while restoring user' });
+    }
+  },
+
+  /**
+   * Import users from a CSV or XLSX file.
+   * Every row becomes an invite and is checked with the same rules as POST /api/auth/invites,
+   * so names and phone number are required as they were for registration.
+   * With ?dry_run=true only the per-row report is returned; otherwise all invites are created
+   * in one transaction, and nothing is created if any row has errors.
+   * @param {Object} req - Express request object (req.file is the upload)
+   * @param {Object} res - Express response object
+   * @returns {Object} - Per-row report
+   */
+  async importUsers(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const scope = await getPermissionScope(req.user, 'user:invite');
+      if (scope === false) {
+        return res.status(403).json({ message: 'Forbidden: You do not have permission to access this resource' });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ message: 'Upload a CSV or XLSX file in the "file" field' });
+      }
+
+      const dryRun = req.query.dry_run === 'true';
+      const parsed = await parseUserImportFile(req.file);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+
+      const firstRowByEmail = new Map();
+      const rows = [];
+
+      for (const { rowNumber, data } of parsed.rows) {
+        const rowReq = { body: data };
+        for (const chain of inviteValidation) {
+          await chain.run(rowReq);
+        }
+        const rowErrors = validationResult(rowReq).array().map(error => `${error.path}: ${error.msg}`);
+        let invite = null;
+
+        if (rowErrors.length === 0) {
+          const email = data.email.toLowerCase();
+          if (firstRowByEmail.has(email)) {
+            rowErrors.push(`email: Already used in row ${firstRowByEmail.get(email)}`);
+          } else {
+            firstRowByEmail.set(email, rowNumber);
+            const prepared = await prepareInvite(req.user, scope, data);
+            if (prepared.invite) {
+              invite = prepared.invite;
+            } else {
+              rowErrors.push(prepared.message);
+            }
+          }
+        }
+
+        rows.push({
+          row: rowNumber,
+          email: data.email || null,
+          role: invite ? invite.role : data.role || null,
+          working_for: invite ? invite.working_for : data.working_for || null,
+          errors: rowErrors,
+          invite
+        });
+      }
+
+      const invalid = rows.filter(row => row.errors.length > 0).length;
+      const report = {
+        dryRun,
+        total: rows.length,
+        valid: rows.length - invalid,
+        invalid,
+        rows: rows.map(({ invite, ...row }) => row)
+      };
+
+      if (dryRun) {
+        return res.status(200).json(report);
+      }
+
+      if (invalid > 0) {
+        return res.status(400).json({
+          message: 'No users were imported. Fix the rows with errors and upload the file again.',
+          ...report
+        });
+      }
+
+      const created = [];
+      const client = await db.pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        for (const row of rows) {
+          const { nonce, token_hash, expires_at } = generateInviteNonce();
+          const invite = await InviteModel.create({ ...row.invite, token_hash, expires_at }, client);
+
+          await logEntityChange(req, 'invite', 'create', {
+            after: invite,
+            description: `Invited ${invite.email} as ${invite.role} (import of ${req.file.originalname}, row ${row.row})`
+          }, client);
+
+          created.push({ invite, nonce });
+        }
+
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      } finally {
+        client.release();
+      }
+
+      // Mails go out after the commit; failed ones can be resent from the invite list
+      const mailFailures = [];
+      for (const { invite, nonce } of created) {
+        if (!await deliverInvite(invite, nonce, req.user)) {
+          mailFailures.push(invite.email);
+        }
+      }
+
+      return res.status(201).json({
+        message: `${created.length} users invited successfully`,
+        ...report,
+        invites: created.map(({ invite }) => invite),
+        mailFailures
+      });
+    } catch (error) {
+      console.error('Import users error:', error);
+      return res.status(500).json({ message: 'Server error while importing users' });
+    }
+  },
+
+  /**
+   * Export users as CSV or XLSX with the columns of the import file
+   * With user:read:own only the user and the users working for them are exported
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {String|Buffer} - Export file
+   */
+  async exportUsers(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const scope = await getPermissionScope(req.user, 'user:read');
+      if (scope === false) {
+        return res.status(403).json({ message: 'Forbidden: You do not have permission to access this resource' });
+      }
+
+      const format = req.query.format || 'csv';
+      const filters = {
+        status: req.query.status,
+        role: req.query.role
+      };
+      if (scope) {
+        filters.visible_to = scope;
+      }
+
+      const users = await UserModel.findForExport(filters);
+      const file = await buildUserExportFile(users, format);
+
+      await logUserAction(req.user.id, 'user_export', `Exported ${users.length} users as ${format}`, req.ip);
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      res.setHeader('Content-Type', format === 'xlsx'
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="users_${timestamp}.${format}"`);
+      return res.status(200).send(file);
+    } catch (error) {
+      console.error('Export users error:', error);
+      return res.status(500).json({ message: 'Server error while exporting users' });
+    }
   }
 };
 
@@ -10,7 +10,67 @@ import {
   getVendorTaskStats,
   isConsultantFromVendor
 } from '../utils/vendor.utils.js';
-import { logUserAction } from '../utils/audit.utils.js';
+import TaskModel from '../models/task.model.js';
+import { logAudit, logEntityChange, diffChanges } from '../utils/audit.utils.js';
+import {
+  getAccessScope,
+  getTaskRole,
+  ensureAssigneesOnProject,
+  projectAccessCondition,
+  taskAccessCondition
+} from '../utils/projectAccess.utils.js';
+import { ListQueryError, parseListOptions, runListQuery, toPagination } from '../utils/listQuery.utils.js';
+
+/**
+ * Vendor listing (GET /api/vendors), see runListQuery. Deleted vendors are not listed.
+ */
+const VENDOR_LIST = {
+  select: 'v.*, u.first_name, u.last_name, u.email, u.status',
+  from: `vendors v
+    JOIN users u ON v.user_id = u.id`,
+  where: ['v.deleted_at IS NULL'],
+  filters: {
+    status: (value, param) => `u.status = ${param(value)}`,
+    search: (value, param) => {
+      const pattern = param(`%${value}%`);
+      return `(v.company_name ILIKE ${pattern} OR (u.first_name || ' ' || u.last_name) ILIKE ${pattern} OR u.email ILIKE ${pattern})`;
+    }
+  },
+  sortFields: {
+    created_at: 'v.created_at',
+    company_name: 'v.company_name',
+    id: 'v.id'
+  },
+  defaultSort: 'created_at',
+  defaultOrder: 'desc',
+  idColumn: 'v.id'
+};
+
+/**
+ * Vendor trash (GET /api/vendors/trash), see runListQuery
+ */
+const VENDOR_TRASH_LIST = {
+  select: `v.*, u.first_name, u.last_name, u.email, u.status,
+    d.first_name || ' ' || d.last_name AS deleted_by_name`,
+  from: `vendors v
+    JOIN users u ON v.user_id = u.id
+    LEFT JOIN users d ON v.deleted_by = d.id`,
+  where: ['v.deleted_at IS NOT NULL'],
+  filters: {
+    search: (value, param) => {
+      const pattern = param(`%${value}%`);
+      return `(v.company_name ILIKE ${pattern} OR (u.first_name || ' ' || u.last_name) ILIKE ${pattern} OR u.email ILIKE ${pattern})`;
+    }
+  },
+  sortFields: {
+    deleted_at: 'v.deleted_at',
+    company_name: 'v.company_name',
+    id: 'v.id'
+  },
+  defaultSort: 'deleted_at',
+  defaultOrder: 'desc',
+  idColumn: 'v.id'
+};
 
 /**
  * Get all vendors with pagination
@@ -20,41 +80,28 @@ import { logUserAction } from '../utils/audit.utils.js';
  */
 export const getAllVendors = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const offset = (page - 1) * limit;
+    const listOptions = parseListOptions(req.query);
     
     // Get vendors with user information
-    const vendors = await db.query(
-      `SELECT v.*, u.first_name, u.last_name, u.email, u.status
-       FROM vendors v
-       JOIN users u ON v.user_id = u.id
-       ORDER BY v.created_at DESC
-       LIMIT $1 OFFSET $2`,
-      [limit, offset]
-    );
-        const userVendorsResult = await db.query(`
+    const vendors = await runListQuery(VENDOR_LIST, { status: req.query.status, search: req.query.search }, listOptions);
+    const userVendorsResult = await db.query(`
       SELECT id, first_name || ' ' || last_name AS name,email,status,role
       FROM users
-      WHERE role = 'vendor'
+      WHERE role = 'vendor' AND deleted_at IS NULL
       ORDER BY id ASC
     `);
     const userVendors = userVendorsResult.rows;
-    // Count total vendors for pagination
-    const countResult = await db.query('SELECT COUNT(*) FROM vendors');
-    const totalVendors = parseInt(countResult.rows[0].count);
     
     res.status(200).json({
       success: true,
       data: vendors.rows,
       userVendors,
-      pagination: {
-        total: totalVendors,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(totalVendors / limit)
-      }
+      pagination: toPagination(vendors, listOptions)
     });
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     next(error);
   }
 };
@@ -70,6 +117,7 @@ export const getAllVendorIdsAndNames = async (req, res, next) => {
     const vendorResult = await db.query(`
       SELECT id, company_name AS name
       FROM vendors
+      WHERE deleted_at IS NULL
       ORDER BY id ASC
     `);
     const vendors = vendorResult.rows;
@@ -78,7 +126,7 @@ export const getAllVendorIdsAndNames = async (req, res, next) => {
     const userVendorsResult = await db.query(`
       SELECT id, first_name || ' ' || last_name AS name
       FROM users
-      WHERE role = 'vendor'
+      WHERE role = 'vendor' AND deleted_at IS NULL
       ORDER BY id ASC
     `);
     const userVendors = userVendorsResult.rows;
@@ -133,7 +181,7 @@ export const getMyConsultants = async (req, res, next) => {
     const consultants = await db.query(
       `SELECT u.id, u.first_name, u.last_name, u.email, u.status, u.department, u.position, u.designation, u.type, u.working_type
        FROM users u
-       WHERE u.role = 'employee' AND u.working_for = $1
+       WHERE u.role = 'employee' AND u.working_for = $1 AND u.deleted_at IS NULL
        ORDER BY u.first_name, u.last_name`,
       [vendorUserId]
     );
@@ -158,20 +206,12 @@ export const getVendorById = async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    // Check if requesting user has permission
-    if (req.user.role !== 'admin' && req.user.id !== parseInt(id)) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to access this vendor\'s information'
-      });
-    }
-    
     // Get vendor with user information
     const vendor = await db.query(
       `SELECT v.*, u.first_name, u.last_name, u.email, u.status
        FROM vendors v
        JOIN users u ON v.user_id = u.id
-       WHERE v.id = $1`,
+       WHERE v.id = $1 AND v.deleted_at IS NULL`,
       [id]
     );
     
@@ -211,7 +251,7 @@ export const getMyConsultantsIDAandName = async (req, res, next) => {
     const consultants = await db.query(
       `SELECT u.id, u.first_name || ' ' || u.last_name AS name
        FROM users u
-       WHERE u.role = 'employee' AND u.working_for = $1
+       WHERE u.role = 'employee' AND u.working_for = $1 AND u.deleted_at IS NULL
        ORDER BY u.first_name, u.last_name`,
       [vendorUserId]
     );
@@ -255,7 +295,7 @@ export const createVendor = async (req, res, next) => {
     
     // Check if user exists and has role 'vendor'
     const user = await db.query(
-      'SELECT * FROM users WHERE id = $1',
+      'SELECT * FROM users WHERE id = $1 AND deleted_at IS NULL',
       [user_id]
     );
     
@@ -275,7 +315,9 @@ export const createVendor = async (req, res, next) => {
     if (existingVendor.rows.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'A vendor profile already exists for this user'
+        message: existingVendor.rows[0].deleted_at
+          ? 'The vendor profile of this user is in the trash; restore it instead'
+          : 'A vendor profile already exists for this user'
       });
     }
     
@@ -313,10 +355,22 @@ export const createVendor = async (req, res, next) => {
         'UPDATE users SET role = $1 WHERE id = $2',
         ['vendor', user_id]
       );
+      await logAudit({
+        entityType: 'user',
+        entityId: parseInt(user_id),
+        actorId: req.user.id,
+        action: 'update',
+        description: `Role changed to vendor for vendor profile ${newVendor.rows[0].id}`,
+        changes: diffChanges({ role: user.rows[0].role }, { role: 'vendor' }),
+        ipAddress: req.ip
+      });
     }
     
     // Log the action
-    await logUserAction(req.user.id, 'Created vendor profile', `Created vendor profile for user ID: ${user_id}, Company: ${company_name}`);
+    await logEntityChange(req, 'vendor', 'create', {
+      after: newVendor.rows[0],
+      description: `Created vendor profile for user ID: ${user_id}, Company: ${company_name}`
+    });
     
     res.status(201).json({
       success: true,
@@ -350,7 +404,7 @@ export const updateVendor = async (req, res, next) => {
     
     // Check if vendor exists
     const vendor = await db.query(
-      'SELECT * FROM vendors WHERE id = $1',
+      'SELECT * FROM vendors WHERE id = $1 AND deleted_at IS NULL',
       [id]
     );
     
@@ -361,14 +415,6 @@ export const updateVendor = async (req, res, next) => {
       });
     }
     
-    // Check if requesting user has permission
-    if (req.user.role !== 'admin' && vendor.rows[0].user_id !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to update this vendor'
-      });
-    }
-    
     // Update vendor
     const updatedVendor = await db.query(
       `UPDATE vendors SET
@@ -396,7 +442,11 @@ export const updateVendor = async (req, res, next) => {
     );
     
     // Log the action
-    await logUserAction(req.user.id, 'Updated vendor profile', `Updated vendor profile ID: ${id}`);
+    await logEntityChange(req, 'vendor', 'update', {
+      before: vendor.rows[0],
+      after: updatedVendor.rows[0],
+      description: `Updated vendor profile ID: ${id}`
+    });
     
     res.status(200).json({
       success: true,
@@ -420,7 +470,7 @@ export const deleteVendor = async (req, res, next) => {
     
     // Get vendor details before deletion for logging
     const vendor = await db.query(
-      'SELECT * FROM vendors WHERE id = $1',
+      'SELECT * FROM vendors WHERE id = $1 AND deleted_at IS NULL',
       [id]
     );
     
@@ -431,14 +481,17 @@ export const deleteVendor = async (req, res, next) => {
       });
     }
     
-    // Delete vendor (foreign key constraint will handle associated records)
+    // Move the vendor to the trash; the purge job removes it after the retention period
     await db.query(
-      'DELETE FROM vendors WHERE id = $1',
-      [id]
+      'UPDATE vendors SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2 WHERE id = $1',
+      [id, req.user.id]
     );
     
     // Log the action
-    await logUserAction(req.user.id, 'Deleted vendor profile', `Deleted vendor profile ID: ${id}, Company: ${vendor.rows[0].company_name}`);
+    await logEntityChange(req, 'vendor', 'delete', {
+      before: vendor.rows[0],
+      description: `Deleted vendor profile ID: ${id}, Company: ${vendor.rows[0].company_name}`
+    });
     
     res.status(200).json({
       success: true,
@@ -449,6 +502,69 @@ export const deleteVendor = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the deleted vendors with pagination
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const getDeletedVendors = async (req, res, next) => {
+  try {
+    const listOptions = parseListOptions(req.query);
+    const vendors = await runListQuery(VENDOR_TRASH_LIST, { search: req.query.search }, listOptions);
+
+    res.status(200).json({
+      success: true,
+      data: vendors.rows,
+      pagination: toPagination(vendors, listOptions)
+    });
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Restore a deleted vendor
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const restoreVendor = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const vendor = await db.query(
+      `UPDATE vendors SET deleted_at = NULL, deleted_by = NULL
+       WHERE id = $1 AND deleted_at IS NOT NULL
+       RETURNING *`,
+      [id]
+    );
+
+    if (vendor.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found in the trash'
+      });
+    }
+
+    await logEntityChange(req, 'vendor', 'restore', {
+      after: vendor.rows[0],
+      description: `Restored vendor profile ID: ${id}, Company: ${vendor.rows[0].company_name}`
+    });
+
+    res.status(200).json({
+      success: true,
+      data: vendor.rows[0],
+      message: 'Vendor restored successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get all consultants for a vendor
  * @param {Object} req - Express request object
@@ -461,13 +577,13 @@ export const getVendorConsultants = async (req, res, next) => {
     
     // Check if vendor exists
     const vendor = await db.query(
-      'SELECT * FROM vendors WHERE id = $1',
+      'SELECT * FROM vendors WHERE id = $1 AND deleted_at IS NULL',
       [id]
     );
     
     if (vendor.rows.length === 0) {
       const user = await db.query(
-    'SELECT * FROM users WHERE id = $1',
+    'SELECT * FROM users WHERE id = $1 AND deleted_at IS NULL',
     [id]
   );
     if (user.rows.length === 0) {
@@ -478,22 +594,11 @@ export const getVendorConsultants = async (req, res, next) => {
   }
     }
     
-    // Check permissions if not admin
-    // if (req.user.role !== 'admin') {
-    //   // If vendor role, check if the user is associated with this vendor
-    //   if (req.user.role === 'vendor' && vendor.rows[0].user_id !== req.user.id) {
-    //     return res.status(403).json({
-    //       success: false,
-    //       message: 'You do not have permission to view these consultants'
-    //     });
-    //   }
-    // }
-    
  
     const consultants = await db.query(
       `SELECT u.id, u.first_name, u.last_name, u.email, u.status, u.department, u.position, u.designation, u.type, u.working_type
        FROM users u
-       WHERE   u.working_for = $1
+       WHERE   u.working_for = $1 AND u.deleted_at IS NULL
        ORDER BY u.first_name, u.last_name`,
       [id]  
     );
@@ -517,9 +622,13 @@ export const getVendorProjects = async (req, res, next) => {
   try {
     const { id } = req.params;
 
+    // Only projects the caller is a team member of
+    const accessibleTo = await getAccessScope(req.user);
+    const accessClause = accessibleTo ? `AND ${projectAccessCondition('p.id', '$2')}` : '';
+
     // Check vendor first
     const vendor = await db.query(
-      'SELECT * FROM vendors WHERE id = $1',
+      'SELECT * FROM vendors WHERE id = $1 AND deleted_at IS NULL',
       [id]
     );
 
@@ -527,9 +636,10 @@ export const getVendorProjects = async (req, res, next) => {
       const projects = await db.query(
         `SELECT p.*
          FROM projects p
-         WHERE p.project_type LIKE $1
+         WHERE p.project_type LIKE $1 AND p.deleted_at IS NULL
+         ${accessClause}
          ORDER BY p.start_date DESC`,
-        [`%Vendor - ${vendor.rows[0].company_name}%`]
+        [`%Vendor - ${vendor.rows[0].company_name}%`, ...(accessibleTo ? [accessibleTo] : [])]
       );
 
       return res.status(200).json({
@@ -540,7 +650,7 @@ export const getVendorProjects = async (req, res, next) => {
 
     // If not vendor, check user
     const user = await db.query(
-      'SELECT * FROM users WHERE id = $1',
+      'SELECT * FROM users WHERE id = $1 AND deleted_at IS NULL',
       [id]
     );
 
@@ -548,9 +658,10 @@ export const getVendorProjects = async (req, res, next) => {
       const projects = await db.query(
         `SELECT p.*
          FROM projects p
-         WHERE p.project_type LIKE $1
+         WHERE p.project_type LIKE $1 AND p.deleted_at IS NULL
+         ${accessClause}
          ORDER BY p.start_date DESC`,
-        [`%User - ${user.rows[0].first_name} ${user.rows[0].last_name}%`]
+        [`%User - ${user.rows[0].first_name} ${user.rows[0].last_name}%`, ...(accessibleTo ? [accessibleTo] : [])]
       );
 
       return res.status(200).json({
@@ -581,9 +692,12 @@ export const getVendorTasks = async (req, res, next) => {
     const { id } = req.params;
     const { status } = req.query;
 
+    // Only tasks the caller may see
+    const accessibleTo = await getAccessScope(req.user);
+
     // --- Check Vendor ---
     const vendor = await db.query(
-      'SELECT * FROM vendors WHERE id = $1',
+      'SELECT * FROM vendors WHERE id = $1 AND deleted_at IS NULL',
       [id]
     );
 
@@ -596,7 +710,7 @@ export const getVendorTasks = async (req, res, next) => {
         JOIN task_assignments ta ON t.id = ta.task_id
         JOIN users u ON ta.user_id = u.id
         JOIN projects p ON t.project_id = p.id
-        WHERE u.working_for = $1
+        WHERE u.working_for = $1 AND t.deleted_at IS NULL
       `;
 
       const queryParams = [vendor.rows[0].user_id];
@@ -606,6 +720,11 @@ export const getVendorTasks = async (req, res, next) => {
         queryParams.push(status);
       }
 
+      if (accessibleTo) {
+        queryParams.push(accessibleTo);
+        query += ` AND ${taskAccessCondition('t', `$${queryParams.length}`)}`;
+      }
+
       query += ` ORDER BY t.due_date ASC`;
 
       const tasks = await db.query(query, queryParams);
@@ -618,7 +737,7 @@ export const getVendorTasks = async (req, res, next) => {
 
     // --- Check User ---
     const user = await db.query(
-      'SELECT * FROM users WHERE id = $1',
+      'SELECT * FROM users WHERE id = $1 AND deleted_at IS NULL',
       [id]
     );
 
@@ -631,7 +750,7 @@ export const getVendorTasks = async (req, res, next) => {
         JOIN task_assignments ta ON t.id = ta.task_id
         JOIN users u ON ta.user_id = u.id
         JOIN projects p ON t.project_id = p.id
-        WHERE ta.user_id = $1
+        WHERE ta.user_id = $1 AND t.deleted_at IS NULL
       `;
 
       const queryParams = [user.rows[0].id];
@@ -641,6 +760,11 @@ export const getVendorTasks = async (req, res, next) => {
         queryParams.push(status);
       }
 
+      if (accessibleTo) {
+        queryParams.push(accessibleTo);
+        query += ` AND ${taskAccessCondition('t', `$${queryParams.length}`)}`;
+      }
+
       query += ` ORDER BY t.due_date ASC`;
 
       const tasks = await db.query(query, queryParams);
@@ -686,7 +810,7 @@ export const assignTaskToConsultant = async (req, res, next) => {
   const consultant = await db.query(
       `SELECT u.id, u.first_name, u.last_name, u.status, u.working_for, u.role
        FROM users u
-       WHERE u.id = $1 `,
+       WHERE u.id = $1 AND u.deleted_at IS NULL`,
       [consultantId]
     );
     
@@ -706,41 +830,18 @@ export const assignTaskToConsultant = async (req, res, next) => {
     
     // Check if task exists
     const task = await db.query(
-      'SELECT * FROM tasks WHERE id = $1',
+      'SELECT * FROM tasks WHERE id = $1 AND deleted_at IS NULL',
       [task_id]
     );
     
-    if (task.rows.length === 0) {
+    // Tasks the vendor may not see look the same as missing ones
+    if (task.rows.length === 0 || !await getTaskRole(req.user, task.rows[0])) {
       return res.status(404).json({
         success: false,
         message: 'Task not found'
       });
     }
     
-    // Check permissions if not admin
-    if (req.user.role !== 'admin') {
-      // If vendor role, check if the consultant works for this vendor
-      if (req.user.role === 'vendor') {
-        // Get vendor's user_id
-        const vendor = await db.query(
-          'SELECT * FROM vendors WHERE user_id = $1',
-          [req.user.id]
-        );
-        
-        if (vendor.rows.length === 0 || consultant.rows[0].working_for !== req.user.id) {
-          return res.status(403).json({
-            success: false,
-            message: 'You do not have permission to assign tasks to this consultant'
-          });
-        }
-      } else {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to assign tasks'
-        });
-      }
-    }
-    
     // Check if task is already assigned to this consultant
     const existingAssignment = await db.query(
       'SELECT * FROM task_assignments WHERE task_id = $1 AND user_id = $2',
@@ -754,32 +855,35 @@ export const assignTaskToConsultant = async (req, res, next) => {
       });
     }
     
-    // Create task assignment
-    const assignment = await db.query(
-      `INSERT INTO task_assignments (
-        task_id, 
-        user_id, 
-        assigned_by
-      ) 
-      VALUES ($1, $2, $3) 
-      RETURNING *`,
-      [
-        task_id,
-        consultantId,
-        req.user.id
-      ]
-    );
-    
+    // The consultant owns tasks nobody owns yet and collaborates on the others
+    const role = task.rows[0].assignee_id ? 'collaborator' : 'owner';
+    let assignment;
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+      assignment = await TaskModel.addAssignee(task.rows[0].id, consultant.rows[0].id, role, req.user.id, client);
+      await ensureAssigneesOnProject(task.rows[0].project_id, [task.rows[0].id], client);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
     // Log the action
-    await logUserAction(
-      req.user.id, 
-      'Task assigned', 
-      `Task ID: ${task_id} assigned to ${consultant.rows[0].first_name} ${consultant.rows[0].last_name}`
-    );
+    await logAudit({
+      entityType: 'task',
+      entityId: parseInt(task_id),
+      actorId: req.user.id,
+      action: 'assign_consultant',
+      description: `Task ID: ${task_id} assigned to ${consultant.rows[0].first_name} ${consultant.rows[0].last_name} as ${role}`,
+      ipAddress: req.ip
+    });
     
     res.status(201).json({
       success: true,
-      data: assignment.rows[0],
+      data: assignment,
       message: 'Task assigned successfully'
     });
   } catch (error) {
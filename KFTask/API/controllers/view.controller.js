@@ -0,0 +1,164 @@
+import { validationResult } from 'express-validator';
+import ViewModel from '../models/view.model.js';
+import ProjectModel from '../models/project.model.js';
+import { getAccessScope, getProjectRole } from '../utils/projectAccess.utils.js';
+import { validateViewDefinition } from '../utils/view.utils.js';
+
+/**
+ * Check that a view can be saved by the user: its filters fit the listing and
+ * a project it refers to exists and has the user on its team
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} view - Complete view definition
+ * @returns {Promise<String|null>} - Error message, null if the view can be saved
+ */
+const checkView = async (user, view) => {
+  const error = validateViewDefinition(view);
+  if (error) {
+    return error;
+  }
+
+  if (view.project_id) {
+    const project = await ProjectModel.findById(view.project_id);
+    if (!project || !await getProjectRole(user, project.id)) {
+      return 'Project not found or you are not on its team';
+    }
+  }
+  return null;
+};
+
+/**
+ * View Controller
+ * Handles saved views: named filters, sort and columns of the task, daily update and
+ * feedback listings, applied with the view query parameter of those listings.
+ * View routes load the view as req.resource.
+ */
+const ViewController = {
+  /**
+   * Get the views the user can apply
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Own views and views shared with the user's project teams
+   */
+  async getViews(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const accessibleTo = await getAccessScope(req.user);
+      const views = await ViewModel.findVisible(req.user.id, accessibleTo, req.query.list || null);
+      return res.status(200).json({ views });
+    } catch (error) {
+      console.error('Get views error:', error);
+      return res.status(500).json({ message: 'Server error while fetching views' });
+    }
+  },
+
+  /**
+   * Create a view owned by the user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - New view
+   */
+  async createView(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const viewData = {
+        ...req.body,
+        filters: req.body.filters || {},
+        visibility: req.body.visibility || 'private'
+      };
+      const error = await checkView(req.user, viewData);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const view = await ViewModel.create(viewData, req.user.id);
+      return res.status(201).json({
+        message: 'View created successfully',
+        view
+      });
+    } catch (error) {
+      console.error('Create view error:', error);
+      return res.status(500).json({ message: 'Server error while creating view' });
+    }
+  },
+
+  /**
+   * Get a view
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - View
+   */
+  async getViewById(req, res) {
+    try {
+      return res.status(200).json({ view: req.resource });
+    } catch (error) {
+      console.error('Get view by ID error:', error);
+      return res.status(500).json({ message: 'Server error while fetching view' });
+    }
+  },
+
+  /**
+   * Update a view; only its owner may change it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Updated view
+   */
+  async updateView(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existingView = req.resource;
+      const viewData = {
+        name: req.body.name ?? existingView.name,
+        list: req.body.list ?? existingView.list,
+        filters: req.body.filters ?? existingView.filters,
+        sort_by: req.body.sort_by !== undefined ? req.body.sort_by : existingView.sort_by,
+        sort_order: req.body.sort_order !== undefined ? req.body.sort_order : existingView.sort_order,
+        columns: req.body.columns !== undefined ? req.body.columns : existingView.columns,
+        visibility: req.body.visibility ?? existingView.visibility,
+        project_id: req.body.project_id !== undefined ? req.body.project_id : existingView.project_id
+      };
+      const error = await checkView(req.user, viewData);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const view = await ViewModel.update(existingView.id, viewData);
+      return res.status(200).json({
+        message: 'View updated successfully',
+        view
+      });
+    } catch (error) {
+      console.error('Update view error:', error);
+      return res.status(500).json({ message: 'Server error while updating view' });
+    }
+  },
+
+  /**
+   * Delete a view; only its owner may delete it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Success message
+   */
+  async deleteView(req, res) {
+    try {
+      await ViewModel.delete(req.resource.id);
+      return res.status(200).json({ message: 'View deleted successfully' });
+    } catch (error) {
+      console.error('Delete view error:', error);
+      return res.status(500).json({ message: 'Server error while deleting view' });
+    }
+  }
+};
+
+export default ViewController;
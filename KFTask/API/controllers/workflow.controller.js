@@ -0,0 +1,171 @@
+import { validationResult } from 'express-validator';
+import WorkflowModel from '../models/workflow.model.js';
+import { validateWorkflowDefinition } from '../utils/workflow.utils.js';
+import { logEntityChange } from '../utils/audit.utils.js';
+
+/**
+ * Find the statuses tasks still use that a workflow does not have
+ * @param {number|null} projectId - Project ID, null for the default workflow
+ * @param {Array<Object>} states - States of the workflow
+ * @returns {Promise<Array<String>>} - Missing statuses
+ */
+const findMissingStatuses = async (projectId, states) => {
+  const inUse = await WorkflowModel.findStatusesInUse(projectId);
+  return inUse.filter(status => !states.some(state => state.status === status));
+};
+
+/**
+ * Validate and store a workflow: a project's own one, or the default when projectId is null
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {number|null} projectId - Project ID
+ * @returns {Promise<Object>} - Express response
+ */
+const saveWorkflow = async (req, res, projectId) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, states, transitions } = req.body;
+  const definitionError = validateWorkflowDefinition({ states, transitions });
+  if (definitionError) {
+    return res.status(400).json({ message: definitionError });
+  }
+
+  const missingStatuses = await findMissingStatuses(projectId, states);
+  if (missingStatuses.length > 0) {
+    return res.status(400).json({
+      message: `Tasks still have status(es) missing from the workflow: ${missingStatuses.join(', ')}`,
+      statuses: missingStatuses
+    });
+  }
+
+  const existingWorkflow = projectId
+    ? await WorkflowModel.findByProject(projectId)
+    : await WorkflowModel.findDefault();
+  const workflow = await WorkflowModel.save(projectId, { name, states, transitions }, req.user.id);
+
+  await logEntityChange(req, 'workflow', existingWorkflow ? 'update' : 'create', {
+    before: existingWorkflow,
+    after: workflow,
+    description: projectId
+      ? `Saved workflow "${workflow.name}" of project ${projectId}`
+      : `Saved default workflow "${workflow.name}"`
+  });
+
+  return res.status(200).json({
+    message: 'Workflow saved successfully',
+    workflow
+  });
+};
+
+/**
+ * Workflow Controller
+ * Handles the task workflows of projects and the global default workflow
+ */
+const WorkflowController = {
+  /**
+   * Get the workflow that applies to a project's tasks (its own or the default)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Workflow
+   */
+  async getProjectWorkflow(req, res) {
+    try {
+      const workflow = await WorkflowModel.findForProject(req.resource.id);
+      return res.status(200).json({ workflow });
+    } catch (error) {
+      console.error('Get project workflow error:', error);
+      return res.status(500).json({ message: 'Server error while fetching workflow' });
+    }
+  },
+
+  /**
+   * Give a project its own workflow or replace it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Saved workflow
+   */
+  async updateProjectWorkflow(req, res) {
+    try {
+      return await saveWorkflow(req, res, req.resource.id);
+    } catch (error) {
+      console.error('Update project workflow error:', error);
+      return res.status(500).json({ message: 'Server error while saving workflow' });
+    }
+  },
+
+  /**
+   * Remove a project's own workflow so that its tasks follow the default again
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Default workflow now used by the project
+   */
+  async resetProjectWorkflow(req, res) {
+    try {
+      const projectId = req.resource.id;
+      const existingWorkflow = await WorkflowModel.findByProject(projectId);
+      if (!existingWorkflow) {
+        return res.status(404).json({ message: 'Project has no workflow of its own' });
+      }
+
+      const defaultWorkflow = await WorkflowModel.findDefault();
+      const missingStatuses = await findMissingStatuses(projectId, defaultWorkflow.states);
+      if (missingStatuses.length > 0) {
+        return res.status(400).json({
+          message: `Tasks still have status(es) missing from the default workflow: ${missingStatuses.join(', ')}`,
+          statuses: missingStatuses
+        });
+      }
+
+      await WorkflowModel.deleteByProject(projectId);
+
+      await logEntityChange(req, 'workflow', 'delete', {
+        before: existingWorkflow,
+        description: `Project ${projectId} went back to the default workflow`
+      });
+
+      return res.status(200).json({
+        message: 'Project uses the default workflow again',
+        workflow: defaultWorkflow
+      });
+    } catch (error) {
+      console.error('Reset project workflow error:', error);
+      return res.status(500).json({ message: 'Server error while resetting workflow' });
+    }
+  },
+
+  /**
+   * Get the default workflow
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Workflow
+   */
+  async getDefaultWorkflow(req, res) {
+    try {
+      const workflow = await WorkflowModel.findDefault();
+      return res.status(200).json({ workflow });
+    } catch (error) {
+      console.error('Get default workflow error:', error);
+      return res.status(500).json({ message: 'Server error while fetching workflow' });
+    }
+  },
+
+  /**
+   * Replace the default workflow, used by tasks outside projects and by projects without their own
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Saved workflow
+   */
+  async updateDefaultWorkflow(req, res) {
+    try {
+      return await saveWorkflow(req, res, null);
+    } catch (error) {
+      console.error('Update default workflow error:', error);
+      return res.status(500).json({ message: 'Server error while saving workflow' });
+    }
+  }
+};
+
+export default WorkflowController;
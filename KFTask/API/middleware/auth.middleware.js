@@ -1,15 +1,100 @@
 // const jwt = require('jsonwebtoken');
 import jwt from 'jsonwebtoken';
+import SessionModel from '../models/session.model.js';
+import ApiTokenModel from '../models/apiToken.model.js';
+import { hashToken, isApiToken } from '../utils/auth.utils.js';
+import { isTwoFactorRequired } from '../utils/twoFactor.utils.js';
+import { hasPermissionOn } from '../utils/permission.utils.js';
+
+// Requests an API token marked read-only may still make
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
 /**
- * Authentication middleware to protect routes
- * Verifies JWT token from Authorization header
- * 
+ * Check the account state shared by sessions and API tokens
+ * @param {Object} account - Row with user_status, must_change_password, totp_enabled and user_role
+ * @param {Object} res - Express response object
+ * @param {Object} options - Options passed to authenticate()
+ * @returns {Promise<Object|null>} - The rejection response, or null when the account may continue
+ */
+const rejectAccountState = async (account, res, { allowPasswordChange, allowTwoFactorSetup }) => {
+  if (account.user_status !== 'active') {
+    return res.status(403).json({ 
+      message: 'Your account is inactive or suspended. Please contact an administrator.'
+    });
+  }
+
+  if (account.must_change_password && !allowPasswordChange) {
+    return res.status(403).json({
+      code: 'PASSWORD_CHANGE_REQUIRED',
+      message: 'You must change your password before continuing.'
+    });
+  }
+
+  if (!account.totp_enabled && !allowTwoFactorSetup && await isTwoFactorRequired(account.user_role)) {
+    return res.status(403).json({
+      code: 'TWO_FACTOR_SETUP_REQUIRED',
+      message: 'You must set up two-factor authentication before continuing.'
+    });
+  }
+
+  return null;
+};
+
+/**
+ * Authenticate a request made with a personal API token
+ * @param {String} token - Plain API token from the Authorization header
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
- * @returns {void}
+ * @param {Object} options - Options passed to authenticate()
  */
- export const  authenticateToken = (req, res, next) => {
+const authenticateApiToken = async (token, req, res, next, options) => {
+  const apiToken = await ApiTokenModel.findActiveWithUser(hashToken(token));
+  if (!apiToken) {
+    return res.status(401).json({ message: 'API token is invalid, expired or revoked.' });
+  }
+
+  if (await rejectAccountState(apiToken, res, options)) {
+    return;
+  }
+
+  if (apiToken.read_only && !READ_ONLY_METHODS.includes(req.method)) {
+    return res.status(403).json({
+      code: 'API_TOKEN_READ_ONLY',
+      message: 'This API token is read-only.'
+    });
+  }
+
+  await ApiTokenModel.touch(apiToken.id, req.ip);
+
+  req.user = {
+    id: apiToken.user_id,
+    email: apiToken.email,
+    role: apiToken.user_role,
+    firstName: apiToken.first_name,
+    lastName: apiToken.last_name,
+    tokenId: apiToken.id,
+    tokenScopes: apiToken.scopes
+  };
+  next();
+};
+
+/**
+ * Build an authentication middleware
+ * Verifies JWT token from Authorization header and checks that the
+ * session it was issued for has not been revoked or logged out.
+ * Personal API tokens (see auth.utils.js) are accepted in the same header.
+ *
+ * @param {Object} options - Middleware options
+ * @param {Boolean} options.allowPasswordChange - Let users who still have to
+ *   replace their initial password through (only for the routes they need to do so)
+ * @param {Boolean} options.allowTwoFactorSetup - Let users whose role requires
+ *   two-factor authentication, but who have not enrolled yet, through
+ * @param {Boolean} options.allowApiTokens - Accept personal API tokens (default: true).
+ *   Account management routes turn this off so a leaked token cannot take over the account.
+ * @returns {Function} - Express middleware function
+ */
+export const authenticate = ({ allowPasswordChange = false, allowTwoFactorSetup = false, allowApiTokens = true } = {}) => async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -17,15 +102,60 @@ import jwt from 'jsonwebtoken';
     return res.status(401).json({ message: 'Access denied. No token provided.' });
   }
 
+  if (isApiToken(token)) {
+    if (!allowApiTokens) {
+      return res.status(403).json({
+        code: 'API_TOKEN_NOT_ALLOWED',
+        message: 'API tokens cannot be used for this route. Please log in.'
+      });
+    }
+
+    try {
+      return await authenticateApiToken(token, req, res, next, { allowPasswordChange, allowTwoFactorSetup });
+    } catch (error) {
+      console.error('Authentication error:', error);
+      return res.status(500).json({ message: 'Server error during authentication' });
+    }
+  }
+
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     return res.status(403).json({ message: 'Invalid token.' });
   }
+
+  try {
+    // Tokens issued before sessions existed cannot be revoked, so they are not accepted
+    const session = decoded.sid ? await SessionModel.findActiveWithUser(decoded.sid) : null;
+
+    if (!session || session.user_id !== decoded.id) {
+      return res.status(401).json({ message: 'Session has expired or was revoked. Please log in again.' });
+    }
+
+    if (await rejectAccountState(session, res, { allowPasswordChange, allowTwoFactorSetup })) {
+      return;
+    }
+
+    // The role comes from the database, so a role change applies before the access token expires
+    req.user = { ...decoded, role: session.user_role, sessionId: session.id };
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    return res.status(500).json({ message: 'Server error during authentication' });
+  }
 };
 
+/**
+ * Authentication middleware to protect routes
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {void}
+ */
+export const authenticateToken = authenticate();
+
 /**
  * Role-based authorization middleware
  * Checks if user has required roles to access a resource
@@ -53,4 +183,84 @@ import jwt from 'jsonwebtoken';
   };
 };
 
-export default { authenticateToken, authorize };
\ No newline at end of file
+/**
+ * Permission based authorization middleware
+ * Checks the permission against the role permissions stored in the database.
+ * With a resource loader the resource is loaded first (404 if it does not exist
+ * or the user may not see it), `<permission>:own` is honoured for users listed
+ * as its owners, and the loaded resource is made available as req.resource.
+ *
+ * @param {String} permission - Permission key from config/permissions.js
+ * @param {Function} resourceLoader - Loader created with defineResourceLoader (optional)
+ * @returns {Function} - Express middleware function
+ */
+authorize.can = (permission, resourceLoader = null) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+
+  try {
+    let ownerIds = [];
+
+    if (resourceLoader) {
+      const loaded = await resourceLoader(req);
+      if (!loaded) {
+        return res.status(404).json({ message: `${resourceLoader.resourceName || 'Resource'} not found` });
+      }
+      req.resource = loaded.resource;
+      ownerIds = loaded.ownerIds || [];
+
+      if (loaded.forbidden) {
+        return res.status(403).json({ 
+          message: 'Forbidden: You do not have permission to access this resource' 
+        });
+      }
+    }
+
+    if (!await hasPermissionOn(req.user, permission, ownerIds)) {
+      return res.status(403).json({ 
+        message: 'Forbidden: You do not have permission to access this resource' 
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Authorization error:', error);
+    return res.status(500).json({ message: 'Server error during authorization' });
+  }
+};
+
+/**
+ * Resource access middleware for routes without a permission of their own.
+ * Loads the resource (404 if it does not exist or the user may not see it),
+ * rejects with 403 when the loader marks it as forbidden and exposes it as req.resource.
+ *
+ * @param {Function} resourceLoader - Loader created with defineResourceLoader
+ * @returns {Function} - Express middleware function
+ */
+authorize.access = (resourceLoader) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+
+  try {
+    const loaded = await resourceLoader(req);
+    if (!loaded) {
+      return res.status(404).json({ message: `${resourceLoader.resourceName || 'Resource'} not found` });
+    }
+    req.resource = loaded.resource;
+
+    if (loaded.forbidden) {
+      return res.status(403).json({ 
+        message: 'Forbidden: You do not have permission to access this resource' 
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Authorization error:', error);
+    return res.status(500).json({ message: 'Server error during authorization' });
+  }
+};
+
+export default { authenticate, authenticateToken, authorize };
\ No newline at end of file
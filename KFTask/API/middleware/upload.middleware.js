@@ -0,0 +1,57 @@
+import path from 'path';
+import multer from 'multer';
+
+/**
+ * Error raised by the file filter for files of a type that is not accepted
+ */
+class UnsupportedFileError extends Error {}
+
+/**
+ * Upload middleware accepting a single file, kept in memory as req.file.
+ * Upload problems are answered with 400 (413 for files that are too large)
+ * instead of reaching the generic error handler.
+ * @param {String} field - Name of the multipart form field
+ * @param {Object|Function} options - Upload limits, or a function returning them (read on every request)
+ * @param {Number} options.maxSize - Maximum file size in bytes
+ * @param {Array<String>} options.extensions - Accepted file extensions including the dot (optional)
+ * @param {Array<String>} options.mimeTypes - Accepted MIME types (optional)
+ * @returns {Function} - Express middleware function
+ */
+export const uploadSingle = (field, options) => {
+  const createUpload = ({ maxSize, extensions = null, mimeTypes = null }) => multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 },
+    fileFilter: (req, file, callback) => {
+      // Browsers send UTF-8 file names, which the multipart parser reads as latin1
+      file.originalname = Buffer.from(file.originalname, 'latin1').toString('utf8');
+      const extension = path.extname(file.originalname).toLowerCase();
+      if (extensions && !extensions.includes(extension)) {
+        return callback(new UnsupportedFileError(`Unsupported file type. Allowed: ${extensions.join(', ')}`));
+      }
+      if (mimeTypes && !mimeTypes.includes(file.mimetype)) {
+        return callback(new UnsupportedFileError(`Unsupported file type: ${file.mimetype}`));
+      }
+      callback(null, true);
+    }
+  }).single(field);
+
+  return (req, res, next) => {
+    const limits = typeof options === 'function' ? options() : options;
+    createUpload(limits)(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+      if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json({ message: `File is too large. The limit is ${Math.floor(limits.maxSize / 1024 / 1024)} MB` });
+        }
+        return res.status(400).json({ message: error.message });
+      }
+      if (error instanceof UnsupportedFileError) {
+        return res.status(400).json({ message: error.message });
+      }
+      console.error('Upload error:', error);
+      return res.status(500).json({ message: 'Server error while uploading file' });
+    });
+  };
+};
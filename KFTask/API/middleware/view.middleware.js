@@ -0,0 +1,45 @@
+import ViewModel from '../models/view.model.js';
+import { canUseView, toViewQuery } from '../utils/view.utils.js';
+
+/**
+ * Saved view middleware for listings.
+ * With a view query parameter the filters and sort of the view become the query
+ * parameters of the request; parameters given explicitly win over those of the view.
+ * The view is made available as req.view. Views the user cannot apply are answered with 404,
+ * views of another listing with 400.
+ *
+ * @param {String} list - Listing the route serves (see VIEW_LISTS)
+ * @returns {Function} - Express middleware function
+ */
+export const applySavedView = (list) => async (req, res, next) => {
+  if (req.query.view === undefined) {
+    return next();
+  }
+
+  try {
+    const viewId = parseInt(req.query.view);
+    const view = viewId > 0 ? await ViewModel.findById(viewId) : null;
+    if (!view || !await canUseView(req.user, view)) {
+      return res.status(404).json({ message: 'View not found' });
+    }
+    if (view.list !== list) {
+      return res.status(400).json({ message: `View ${view.id} is a ${view.list} view and cannot be applied to the ${list} listing` });
+    }
+
+    const { view: _view, ...explicitQuery } = req.query;
+    // req.query is a getter in Express 5, so the merged query replaces it for this request
+    Object.defineProperty(req, 'query', {
+      value: { ...toViewQuery(view), ...explicitQuery },
+      writable: true,
+      configurable: true,
+      enumerable: true
+    });
+    req.view = view;
+    next();
+  } catch (error) {
+    console.error('Apply view error:', error);
+    return res.status(500).json({ message: 'Server error while applying view' });
+  }
+};
+
+export default { applySavedView };
@@ -0,0 +1,148 @@
+import db from '../config/db.js';
+
+// last_used_at is only written when it is older than this, so busy scripts do not update the row on every request
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+/**
+ * API Token Model
+ * Handles database operations for the api_tokens table.
+ * Each row is one personal API token; only the hash of the secret is stored.
+ */
+const ApiTokenModel = {
+  /**
+   * Create a new API token
+   * @param {Object} tokenData - Token information
+   * @returns {Promise<Object>} - New token object (without the hash)
+   */
+  async create(tokenData) {
+    const {
+      user_id,
+      name,
+      token_prefix,
+      token_hash,
+      scopes,
+      read_only,
+      expires_at
+    } = tokenData;
+
+    const query = `
+      INSERT INTO api_tokens
+      (user_id, name, token_prefix, token_hash, scopes, read_only, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, user_id, name, token_prefix, scopes, read_only, expires_at, last_used_at, last_used_ip, created_at
+    `;
+
+    const values = [
+      user_id,
+      name,
+      token_prefix,
+      token_hash,
+      scopes,
+      Boolean(read_only),
+      expires_at || null
+    ];
+
+    const { rows } = await db.query(query, values);
+    return rows[0];
+  },
+
+  /**
+   * Find token by ID
+   * @param {number} id - Token ID
+   * @returns {Promise<Object>} - Token object (without the hash)
+   */
+  async findById(id) {
+    const query = `
+      SELECT id, user_id, name, token_prefix, scopes, read_only, expires_at, last_used_at, last_used_ip, created_at, revoked_at
+      FROM api_tokens
+      WHERE id = $1
+    `;
+    const { rows } = await db.query(query, [id]);
+    return rows[0];
+  },
+
+  /**
+   * Find a usable token by its hash together with its user
+   * @param {string} tokenHash - SHA-256 hash of the token
+   * @returns {Promise<Object>} - Token object with the user's email, names, role and account state
+   */
+  async findActiveWithUser(tokenHash) {
+    const query = `
+      SELECT t.id, t.user_id, t.scopes, t.read_only,
+             u.email, u.first_name, u.last_name,
+             u.role AS user_role, u.status AS user_status, u.must_change_password, u.totp_enabled
+      FROM api_tokens t
+      JOIN users u ON t.user_id = u.id
+      WHERE t.token_hash = $1
+        AND t.revoked_at IS NULL
+        AND u.deleted_at IS NULL
+        AND (t.expires_at IS NULL OR t.expires_at > CURRENT_TIMESTAMP)
+    `;
+    const { rows } = await db.query(query, [tokenHash]);
+    return rows[0];
+  },
+
+  /**
+   * Get the tokens of a user that have not been revoked (expired ones included)
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} - Array of tokens (without hashes)
+   */
+  async findByUser(userId) {
+    const query = `
+      SELECT id, user_id, name, token_prefix, scopes, read_only, expires_at, last_used_at, last_used_ip, created_at,
+             (expires_at IS NOT NULL AND expires_at <= CURRENT_TIMESTAMP) AS expired
+      FROM api_tokens
+      WHERE user_id = $1 AND revoked_at IS NULL
+      ORDER BY created_at DESC
+    `;
+    const { rows } = await db.query(query, [userId]);
+    return rows;
+  },
+
+  /**
+   * Record that a token was used
+   * @param {number} id - Token ID
+   * @param {string} ipAddress - IP address the request came from
+   */
+  async touch(id, ipAddress = null) {
+    const query = `
+      UPDATE api_tokens
+      SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $1
+      WHERE id = $2
+        AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - ($3 * INTERVAL '1 second'))
+    `;
+    await db.query(query, [ipAddress, id, LAST_USED_RESOLUTION_SECONDS]);
+  },
+
+  /**
+   * Revoke a token
+   * @param {number} id - Token ID
+   * @returns {Promise<boolean>} - True if an active token was revoked
+   */
+  async revoke(id) {
+    const query = `
+      UPDATE api_tokens
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND revoked_at IS NULL
+    `;
+    const { rowCount } = await db.query(query, [id]);
+    return rowCount > 0;
+  },
+
+  /**
+   * Revoke every token of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} - Number of revoked tokens
+   */
+  async revokeAllForUser(userId) {
+    const query = `
+      UPDATE api_tokens
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND revoked_at IS NULL
+    `;
+    const { rowCount } = await db.query(query, [userId]);
+    return rowCount;
+  }
+};
+
+export default ApiTokenModel;
@@ -0,0 +1,87 @@
+import db from '../config/db.js';
+
+/**
+ * Attachment Model
+ * Handles database operations for the task_attachments table.
+ * The file itself lives in the storage driver named in storage_driver, under the key in file_path.
+ */
+const AttachmentModel = {
+  /**
+   * Record an uploaded attachment
+   * @param {Object} attachmentData - task_id, file_name, file_path, file_type, file_size, storage_driver, uploaded_by
+   * @returns {Promise<Object>} - New attachment
+   */
+  async create(attachmentData) {
+    const { task_id, file_name, file_path, file_type, file_size, storage_driver, uploaded_by } = attachmentData;
+
+    const query = `
+      INSERT INTO task_attachments (task_id, file_name, file_path, file_type, file_size, storage_driver, uploaded_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [task_id, file_name, file_path, file_type, file_size, storage_driver, uploaded_by]);
+    return rows[0];
+  },
+
+  /**
+   * Find an attachment of a task
+   * @param {number} taskId - Task ID
+   * @param {number} id - Attachment ID
+   * @returns {Promise<Object>} - Attachment, undefined if it does not belong to the task
+   */
+  async findByTaskAndId(taskId, id) {
+    const query = `
+      SELECT ta.*, u.first_name || ' ' || u.last_name AS uploaded_by_name
+      FROM task_attachments ta
+      LEFT JOIN users u ON ta.uploaded_by = u.id
+      WHERE ta.task_id = $1 AND ta.id = $2
+    `;
+    const { rows } = await db.query(query, [taskId, id]);
+    return rows[0];
+  },
+
+  /**
+   * Get the attachments of a task, newest first
+   * @param {number} taskId - Task ID
+   * @returns {Promise<Array>} - Attachments with the uploader's name
+   */
+  async findByTask(taskId) {
+    const query = `
+      SELECT ta.*, u.first_name || ' ' || u.last_name AS uploaded_by_name
+      FROM task_attachments ta
+      LEFT JOIN users u ON ta.uploaded_by = u.id
+      WHERE ta.task_id = $1
+      ORDER BY ta.uploaded_at DESC, ta.id DESC
+    `;
+    const { rows } = await db.query(query, [taskId]);
+    return rows;
+  },
+
+  /**
+   * Get the stored files of the attachments of some tasks (before the tasks are purged)
+   * @param {Array<number>} taskIds - Task IDs
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Array>} - Rows with storage_driver and file_path
+   */
+  async findFilesByTasks(taskIds, client = db) {
+    const query = `
+      SELECT storage_driver, file_path
+      FROM task_attachments
+      WHERE task_id = ANY($1::int[])
+    `;
+    const { rows } = await client.query(query, [taskIds]);
+    return rows;
+  },
+
+  /**
+   * Delete an attachment record
+   * @param {number} id - Attachment ID
+   * @returns {Promise<Object>} - Deleted attachment, undefined if it did not exist
+   */
+  async delete(id) {
+    const { rows } = await db.query('DELETE FROM task_attachments WHERE id = $1 RETURNING *', [id]);
+    return rows[0];
+  }
+};
+
+export default AttachmentModel;
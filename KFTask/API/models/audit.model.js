@@ -0,0 +1,110 @@
+import db from '../config/db.js';
+
+/**
+ * Build the WHERE clause shared by the audit queries
+ * @param {Object} filters - Filter options
+ * @returns {Object} - `{ where, values }`
+ */
+const buildAuditFilters = (filters = {}) => {
+  const conditions = [];
+  const values = [];
+
+  if (filters.entity_type) {
+    values.push(filters.entity_type);
+    conditions.push(`al.entity_type = $${values.length}`);
+  }
+
+  if (filters.entity_id) {
+    values.push(filters.entity_id);
+    conditions.push(`al.entity_id = $${values.length}`);
+  }
+
+  if (filters.actor_id) {
+    values.push(filters.actor_id);
+    conditions.push(`al.actor_id = $${values.length}`);
+  }
+
+  if (filters.action) {
+    values.push(filters.action);
+    conditions.push(`al.action = $${values.length}`);
+  }
+
+  if (filters.search) {
+    values.push(`%${filters.search}%`);
+    conditions.push(`al.description ILIKE $${values.length}`);
+  }
+
+  if (filters.start_date) {
+    values.push(filters.start_date);
+    conditions.push(`al.created_at >= $${values.length}::date`);
+  }
+
+  if (filters.end_date) {
+    values.push(filters.end_date);
+    conditions.push(`al.created_at < ($${values.length}::date + INTERVAL '1 day')`);
+  }
+
+  // Limit to what the user did, what their consultants did and changes to those accounts
+  if (filters.visible_to) {
+    values.push(filters.visible_to);
+    const param = `$${values.length}`;
+    conditions.push(`(
+      al.actor_id = ${param}
+      OR al.actor_id IN (SELECT id FROM users WHERE working_for = ${param})
+      OR (al.entity_type = 'user' AND (al.entity_id = ${param} OR al.entity_id IN (SELECT id FROM users WHERE working_for = ${param})))
+    )`);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    values
+  };
+};
+
+/**
+ * Audit Model
+ * Read access to the audit_logs table. Entries are written with utils/audit.utils.js
+ */
+const AuditModel = {
+  /**
+   * Get audit entries, newest first
+   * @param {number} limit - Maximum number of entries (null for all)
+   * @param {number} offset - Offset for pagination
+   * @param {Object} filters - entity_type, entity_id, actor_id, action, search, start_date, end_date, visible_to
+   * @returns {Promise<Array>} - Audit entries with the actor's name
+   */
+  async findAll(limit, offset = 0, filters = {}) {
+    const { where, values } = buildAuditFilters(filters);
+
+    let query = `
+      SELECT al.id, al.entity_type, al.entity_id, al.action, al.description, al.changes,
+             al.actor_id, u.first_name || ' ' || u.last_name AS actor_name, u.email AS actor_email,
+             al.ip_address, al.created_at
+      FROM audit_logs al
+      LEFT JOIN users u ON al.actor_id = u.id
+      ${where}
+      ORDER BY al.created_at DESC, al.id DESC
+    `;
+
+    if (limit) {
+      values.push(limit, offset);
+      query += ` LIMIT $${values.length - 1} OFFSET $${values.length}`;
+    }
+
+    const { rows } = await db.query(query, values);
+    return rows;
+  },
+
+  /**
+   * Count audit entries
+   * @param {Object} filters - Same filters as findAll
+   * @returns {Promise<number>} - Number of entries
+   */
+  async countTotal(filters = {}) {
+    const { where, values } = buildAuditFilters(filters);
+    const { rows } = await db.query(`SELECT COUNT(*) AS total FROM audit_logs al ${where}`, values);
+    return parseInt(rows[0].total);
+  }
+};
+
+export default AuditModel;
@@ -0,0 +1,153 @@
+import db from '../config/db.js';
+import { RANK_STEP } from '../utils/board.utils.js';
+import { taskOpenCondition } from '../utils/workflow.utils.js';
+
+/**
+ * Board Model
+ * Handles the Kanban board of a project: the order of tasks within a column (tasks.board_rank)
+ * and the work-in-progress limits of its columns (project_wip_limits table)
+ */
+const BoardModel = {
+  /**
+   * Get the tasks of a project in board order
+   * @param {number} projectId - Project ID
+   * @returns {Promise<Array>} - Tasks ordered by status, then rank; is_blocked while a task they depend on is open
+   */
+  async findTasks(projectId) {
+    const { rows } = await db.query(
+      `SELECT t.id, t.title, t.status, t.priority, t.due_date, t.estimated_hours,
+         t.parent_task_id, t.board_rank, t.assignee_id,
+         u.first_name || ' ' || u.last_name AS assignee_name,
+         EXISTS (
+           SELECT 1 FROM task_dependencies d
+           JOIN tasks b ON d.depends_on_task_id = b.id
+           WHERE d.task_id = t.id AND b.deleted_at IS NULL AND ${taskOpenCondition('b')}
+         ) AS is_blocked
+       FROM tasks t
+       LEFT JOIN users u ON t.assignee_id = u.id
+       WHERE t.project_id = $1 AND t.deleted_at IS NULL
+       ORDER BY t.status, t.board_rank ASC NULLS LAST, t.id ASC`,
+      [projectId]
+    );
+    return rows;
+  },
+
+  /**
+   * Get the WIP limits of a project's columns
+   * @param {number} projectId - Project ID
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Object>} - Limit per status
+   */
+  async getWipLimits(projectId, client = db) {
+    const { rows } = await client.query(
+      'SELECT status, wip_limit FROM project_wip_limits WHERE project_id = $1',
+      [projectId]
+    );
+    return Object.fromEntries(rows.map(row => [row.status, row.wip_limit]));
+  },
+
+  /**
+   * Set or remove WIP limits of a project's columns
+   * @param {number} projectId - Project ID
+   * @param {Array<Object>} limits - `{ status, wip_limit }`; a null wip_limit removes the limit
+   * @param {number} userId - User changing the limits
+   * @returns {Promise<Object>} - All limits of the project per status
+   */
+  async setWipLimits(projectId, limits, userId) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      for (const { status, wip_limit: wipLimit } of limits) {
+        if (wipLimit === null || wipLimit === undefined) {
+          await client.query('DELETE FROM project_wip_limits WHERE project_id = $1 AND status = $2', [projectId, status]);
+        } else {
+          await client.query(
+            `INSERT INTO project_wip_limits (project_id, status, wip_limit, updated_by)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (project_id, status)
+             DO UPDATE SET wip_limit = EXCLUDED.wip_limit, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP`,
+            [projectId, status, wipLimit, userId]
+          );
+        }
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.getWipLimits(projectId);
+  },
+
+  /**
+   * Lock the board of a project so that moves are applied one at a time.
+   * Call inside a transaction.
+   * @param {number} projectId - Project ID
+   * @param {Object} client - Database client of the transaction
+   * @returns {Promise<void>}
+   */
+  async lockBoard(projectId, client) {
+    await client.query('SELECT id FROM projects WHERE id = $1 FOR NO KEY UPDATE', [projectId]);
+  },
+
+  /**
+   * Get the tasks of a column in board order
+   * @param {number} projectId - Project ID
+   * @param {String} status - Column status
+   * @param {number} excludeTaskId - Task left out (the one being moved)
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Array>} - `{ id, board_rank }` rows
+   */
+  async findColumn(projectId, status, excludeTaskId, client = db) {
+    const { rows } = await client.query(
+      `SELECT id, board_rank FROM tasks
+       WHERE project_id = $1 AND status = $2 AND id <> $3 AND deleted_at IS NULL
+       ORDER BY board_rank ASC NULLS LAST, id ASC`,
+      [projectId, status, excludeTaskId]
+    );
+    return rows;
+  },
+
+  /**
+   * Renumber the tasks of a column in steps of RANK_STEP, keeping their order
+   * @param {Array<Object>} column - Tasks of the column in board order
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Array>} - The column with the new ranks
+   */
+  async renumberColumn(column, client = db) {
+    const renumbered = column.map((task, index) => ({ ...task, board_rank: (index + 1) * RANK_STEP }));
+    if (renumbered.length > 0) {
+      await client.query(
+        `UPDATE tasks SET board_rank = ranked.board_rank
+         FROM UNNEST($1::int[], $2::float8[]) AS ranked(id, board_rank)
+         WHERE tasks.id = ranked.id`,
+        [renumbered.map(task => task.id), renumbered.map(task => task.board_rank)]
+      );
+    }
+    return renumbered;
+  },
+
+  /**
+   * Put a task in a column at a rank
+   * @param {number} taskId - Task ID
+   * @param {String} status - Column status
+   * @param {number} boardRank - Rank within the column
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Object>} - Updated task row
+   */
+  async moveTask(taskId, status, boardRank, client = db) {
+    const { rows } = await client.query(
+      `UPDATE tasks
+       SET status = $1, board_rank = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING *`,
+      [status, boardRank, taskId]
+    );
+    return rows[0];
+  }
+};
+
+export default BoardModel;
@@ -0,0 +1,105 @@
+import db from '../config/db.js';
+
+/**
+ * Checklist Model
+ * Handles database operations for the task_checklist_items table
+ */
+const ChecklistModel = {
+  /**
+   * Get the checklist of a task in display order
+   * @param {number} taskId - Task ID
+   * @returns {Promise<Array>} - Checklist items with the name of who ticked them off
+   */
+  async findByTask(taskId) {
+    const query = `
+      SELECT ci.*, u.first_name || ' ' || u.last_name AS done_by_name
+      FROM task_checklist_items ci
+      LEFT JOIN users u ON ci.done_by = u.id
+      WHERE ci.task_id = $1
+      ORDER BY ci.position ASC, ci.id ASC
+    `;
+    const { rows } = await db.query(query, [taskId]);
+    return rows;
+  },
+
+  /**
+   * Find a checklist item of a task
+   * @param {number} taskId - Task ID
+   * @param {number} id - Checklist item ID
+   * @returns {Promise<Object>} - Checklist item, undefined if it does not belong to the task
+   */
+  async findByTaskAndId(taskId, id) {
+    const { rows } = await db.query(
+      'SELECT * FROM task_checklist_items WHERE task_id = $1 AND id = $2',
+      [taskId, id]
+    );
+    return rows[0];
+  },
+
+  /**
+   * Add an item at the end of a task's checklist
+   * @param {Object} itemData - task_id, title, created_by
+   * @returns {Promise<Object>} - New checklist item
+   */
+  async create(itemData) {
+    const { task_id, title, created_by } = itemData;
+
+    const query = `
+      INSERT INTO task_checklist_items (task_id, title, position, created_by)
+      VALUES (
+        $1, $2,
+        (SELECT COALESCE(MAX(position), 0) + 1 FROM task_checklist_items WHERE task_id = $1),
+        $3
+      )
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [task_id, title, created_by]);
+    return rows[0];
+  },
+
+  /**
+   * Update a checklist item. Ticking an item off records who did it and when.
+   * @param {number} id - Checklist item ID
+   * @param {Object} itemData - title, is_done, position (all optional)
+   * @param {number} userId - User making the change
+   * @returns {Promise<Object>} - Updated checklist item
+   */
+  async update(id, itemData, userId) {
+    const { title, is_done, position } = itemData;
+
+    const query = `
+      UPDATE task_checklist_items
+      SET
+        title = COALESCE($1, title),
+        position = COALESCE($2, position),
+        done_by = CASE
+          WHEN $3::boolean IS NULL OR $3 = is_done THEN done_by
+          WHEN $3 THEN $4
+          ELSE NULL
+        END,
+        done_at = CASE
+          WHEN $3::boolean IS NULL OR $3 = is_done THEN done_at
+          WHEN $3 THEN CURRENT_TIMESTAMP
+          ELSE NULL
+        END,
+        is_done = COALESCE($3, is_done),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [title, position, is_done, userId, id]);
+    return rows[0];
+  },
+
+  /**
+   * Delete a checklist item
+   * @param {number} id - Checklist item ID
+   * @returns {Promise<Object>} - Deleted checklist item, undefined if it did not exist
+   */
+  async delete(id) {
+    const { rows } = await db.query('DELETE FROM task_checklist_items WHERE id = $1 RETURNING *', [id]);
+    return rows[0];
+  }
+};
+
+export default ChecklistModel;
@@ -0,0 +1,172 @@
+import db from '../config/db.js';
+import { taskOpenCondition, taskStatusCategory } from '../utils/workflow.utils.js';
+
+/**
+ * Dependency Model
+ * Handles database operations for the task_dependencies table.
+ * A row means task_id cannot start before depends_on_task_id is finished (finish-to-start).
+ */
+const DependencyModel = {
+  /**
+   * Get the tasks a task depends on
+   * @param {number} taskId - Task ID
+   * @returns {Promise<Array>} - Blocking tasks; is_open tells whether they still block
+   */
+  async findBlockers(taskId) {
+    const query = `
+      SELECT t.id, t.title, t.status, t.due_date, t.estimated_hours,
+        ${taskOpenCondition('t')} as is_open,
+        d.created_at as linked_at
+      FROM task_dependencies d
+      JOIN tasks t ON d.depends_on_task_id = t.id
+      WHERE d.task_id = $1 AND t.deleted_at IS NULL
+      ORDER BY t.due_date ASC NULLS LAST, t.id ASC
+    `;
+    const { rows } = await db.query(query, [taskId]);
+    return rows;
+  },
+
+  /**
+   * Get the tasks that depend on a task
+   * @param {number} taskId - Task ID
+   * @returns {Promise<Array>} - Dependent tasks
+   */
+  async findDependents(taskId) {
+    const query = `
+      SELECT t.id, t.title, t.status, t.due_date, t.estimated_hours,
+        d.created_at as linked_at
+      FROM task_dependencies d
+      JOIN tasks t ON d.task_id = t.id
+      WHERE d.depends_on_task_id = $1 AND t.deleted_at IS NULL
+      ORDER BY t.due_date ASC NULLS LAST, t.id ASC
+    `;
+    const { rows } = await db.query(query, [taskId]);
+    return rows;
+  },
+
+  /**
+   * Get the blockers of a task that are not finished yet
+   * @param {number} taskId - Task ID
+   * @returns {Promise<Array>} - Open blocking tasks (id, title, status)
+   */
+  async findOpenBlockers(taskId) {
+    const query = `
+      SELECT t.id, t.title, t.status
+      FROM task_dependencies d
+      JOIN tasks t ON d.depends_on_task_id = t.id
+      WHERE d.task_id = $1 AND t.deleted_at IS NULL AND ${taskOpenCondition('t')}
+      ORDER BY t.id ASC
+    `;
+    const { rows } = await db.query(query, [taskId]);
+    return rows;
+  },
+
+  /**
+   * Check whether a task (directly or indirectly) depends on another task.
+   * Adding "a depends on b" creates a cycle when b already depends on a.
+   * @param {number} taskId - Task whose dependency chain is followed
+   * @param {number} otherTaskId - Task to look for in the chain
+   * @returns {Promise<Boolean>}
+   */
+  async dependsOn(taskId, otherTaskId) {
+    const query = `
+      WITH RECURSIVE chain AS (
+        SELECT depends_on_task_id AS id FROM task_dependencies WHERE task_id = $1
+        UNION
+        SELECT d.depends_on_task_id
+        FROM task_dependencies d
+        JOIN chain c ON d.task_id = c.id
+      )
+      SELECT 1 FROM chain WHERE id = $2
+    `;
+    const { rows } = await db.query(query, [taskId, otherTaskId]);
+    return rows.length > 0;
+  },
+
+  /**
+   * Get the tasks of a project with the fields scheduling needs
+   * @param {number} projectId - Project ID
+   * @returns {Promise<Array>} - Tasks (id, title, status, status_category, estimated_hours, due_date)
+   */
+  async findProjectTasks(projectId) {
+    const query = `
+      SELECT t.id, t.title, t.status, ${taskStatusCategory('t')} as status_category, t.estimated_hours, t.due_date
+      FROM tasks t
+      WHERE t.project_id = $1 AND t.deleted_at IS NULL
+      ORDER BY t.id ASC
+    `;
+    const { rows } = await db.query(query, [projectId]);
+    return rows;
+  },
+
+  /**
+   * Get all dependencies between the tasks of a project
+   * @param {number} projectId - Project ID
+   * @returns {Promise<Array>} - Rows with task_id and depends_on_task_id
+   */
+  async findByProject(projectId) {
+    const query = `
+      SELECT d.task_id, d.depends_on_task_id
+      FROM task_dependencies d
+      JOIN tasks t ON d.task_id = t.id
+      JOIN tasks b ON d.depends_on_task_id = b.id
+      WHERE t.project_id = $1 AND t.deleted_at IS NULL AND b.deleted_at IS NULL
+    `;
+    const { rows } = await db.query(query, [projectId]);
+    return rows;
+  },
+
+  /**
+   * Add a dependency
+   * @param {number} taskId - Dependent task
+   * @param {number} dependsOnTaskId - Task that has to finish first
+   * @param {number} createdBy - User adding the dependency
+   * @returns {Promise<Object>} - New dependency, undefined if it already existed
+   */
+  async create(taskId, dependsOnTaskId, createdBy) {
+    const query = `
+      INSERT INTO task_dependencies (task_id, depends_on_task_id, created_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (task_id, depends_on_task_id) DO NOTHING
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [taskId, dependsOnTaskId, createdBy]);
+    return rows[0];
+  },
+
+  /**
+   * Remove the dependencies of tasks that now link them to a task in another project,
+   * after the tasks were moved
+   * @param {Array<number>} taskIds - Moved tasks
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Array>} - Removed dependencies
+   */
+  async deleteCrossProject(taskIds, client = db) {
+    const query = `
+      DELETE FROM task_dependencies d
+      USING tasks t, tasks b
+      WHERE d.task_id = t.id AND d.depends_on_task_id = b.id
+        AND (d.task_id = ANY($1::int[]) OR d.depends_on_task_id = ANY($1::int[]))
+        AND t.project_id IS DISTINCT FROM b.project_id
+      RETURNING d.*
+    `;
+    const { rows } = await client.query(query, [taskIds]);
+    return rows;
+  },
+
+  /**
+   * Remove a dependency
+   * @param {number} taskId - Dependent task
+   * @param {number} dependsOnTaskId - Task it depended on
+   * @returns {Promise<Object>} - Removed dependency, undefined if it did not exist
+   */
+  async delete(taskId, dependsOnTaskId) {
+    const { rows } = await db.query(
+      'DELETE FROM task_dependencies WHERE task_id = $1 AND depends_on_task_id = $2 RETURNING *',
+      [taskId, dependsOnTaskId]
+    );
+    return rows[0];
+  }
+};
+
+export default DependencyModel;
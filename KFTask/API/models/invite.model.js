@@ -0,0 +1,267 @@
+import db from '../config/db.js';
+
+// Columns returned to API clients (never the token hash)
+const INVITE_COLUMNS = `
+  i.id, i.email, i.first_name, i.last_name, i.role, i.department, i.position, i.designation,
+  i.type, i.working_type, i.working_for, i.phone_no, i.invited_by, i.expires_at, i.last_sent_at,
+  i.send_count, i.accepted_at, i.accepted_user_id, i.revoked_at, i.created_at,
+  CASE
+    WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+    WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN i.expires_at <= CURRENT_TIMESTAMP THEN 'expired'
+    ELSE 'pending'
+  END AS status
+`;
+
+/**
+ * Build the WHERE clause shared by the invite list queries
+ * @param {Object} filters - status, search, visible_to
+ * @returns {Object} - `{ where, values }`
+ */
+const buildInviteFilters = (filters = {}) => {
+  const conditions = [];
+  const values = [];
+
+  if (filters.status === 'accepted') {
+    conditions.push('i.accepted_at IS NOT NULL');
+  } else if (filters.status === 'revoked') {
+    conditions.push('i.accepted_at IS NULL AND i.revoked_at IS NOT NULL');
+  } else if (filters.status === 'expired') {
+    conditions.push('i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at <= CURRENT_TIMESTAMP');
+  } else if (filters.status === 'pending') {
+    conditions.push('i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > CURRENT_TIMESTAMP');
+  }
+
+  if (filters.search) {
+    values.push(`%${filters.search}%`);
+    conditions.push(`(i.email ILIKE $${values.length} OR i.first_name ILIKE $${values.length} OR i.last_name ILIKE $${values.length})`);
+  }
+
+  // Invites the user sent or that are for their own organisation
+  if (filters.visible_to) {
+    values.push(filters.visible_to);
+    conditions.push(`(i.invited_by = $${values.length} OR i.working_for = $${values.length})`);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    values
+  };
+};
+
+/**
+ * Invite Model
+ * Handles database operations for the user_invites table.
+ * Only the hash of the current link nonce is stored; resending replaces it.
+ */
+const InviteModel = {
+  /**
+   * Create a new invite
+   * @param {Object} inviteData - Invite information
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Object>} - New invite object
+   */
+  async create(inviteData, client = db) {
+    const {
+      email,
+      first_name,
+      last_name,
+      role,
+      department,
+      position,
+      designation,
+      type,
+      working_type,
+      working_for,
+      phone_no,
+      token_hash,
+      expires_at,
+      invited_by
+    } = inviteData;
+
+    const query = `
+      INSERT INTO user_invites
+      (email, first_name, last_name, role, department, position, designation, type, working_type,
+       working_for, phone_no, token_hash, expires_at, invited_by, last_sent_at, send_count)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, CURRENT_TIMESTAMP, 1)
+      RETURNING id
+    `;
+
+    const values = [
+      email,
+      first_name || null,
+      last_name || null,
+      role,
+      department || null,
+      position || null,
+      designation || null,
+      type || null,
+      working_type || null,
+      working_for || null,
+      phone_no || null,
+      token_hash,
+      expires_at,
+      invited_by
+    ];
+
+    const { rows } = await client.query(query, values);
+    return this.findById(rows[0].id, client);
+  },
+
+  /**
+   * Find invite by ID
+   * @param {number} id - Invite ID
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Object>} - Invite object with its status
+   */
+  async findById(id, client = db) {
+    const query = `SELECT ${INVITE_COLUMNS} FROM user_invites i WHERE i.id = $1`;
+    const { rows } = await client.query(query, [id]);
+    return rows[0];
+  },
+
+  /**
+   * Find the pending invite for an email address
+   * @param {string} email - Email address
+   * @returns {Promise<Object>} - Pending invite, undefined if there is none
+   */
+  async findPendingByEmail(email) {
+    const query = `
+      SELECT ${INVITE_COLUMNS}
+      FROM user_invites i
+      WHERE LOWER(i.email) = LOWER($1)
+        AND i.accepted_at IS NULL
+        AND i.revoked_at IS NULL
+        AND i.expires_at > CURRENT_TIMESTAMP
+      LIMIT 1
+    `;
+    const { rows } = await db.query(query, [email]);
+    return rows[0];
+  },
+
+  /**
+   * Find the pending invite an invite link points to
+   * @param {number} id - Invite ID
+   * @param {string} tokenHash - Hash of the link nonce
+   * @returns {Promise<Object>} - Pending invite, undefined if the link was replaced, used, revoked or expired
+   */
+  async findPendingByLink(id, tokenHash) {
+    const query = `
+      SELECT ${INVITE_COLUMNS}
+      FROM user_invites i
+      WHERE i.id = $1
+        AND i.token_hash = $2
+        AND i.accepted_at IS NULL
+        AND i.revoked_at IS NULL
+        AND i.expires_at > CURRENT_TIMESTAMP
+    `;
+    const { rows } = await db.query(query, [id, tokenHash]);
+    return rows[0];
+  },
+
+  /**
+   * Get invites with pagination and filters, newest first
+   * @param {number} limit - Number of invites per page
+   * @param {number} offset - Offset for pagination
+   * @param {Object} filters - status, search, visible_to
+   * @returns {Promise<Array>} - Invites with the name of the inviter
+   */
+  async findAll(limit, offset, filters = {}) {
+    const { where, values } = buildInviteFilters(filters);
+    values.push(limit, offset);
+
+    const query = `
+      SELECT ${INVITE_COLUMNS},
+             inv.first_name || ' ' || inv.last_name AS invited_by_name
+      FROM user_invites i
+      LEFT JOIN users inv ON i.invited_by = inv.id
+      ${where}
+      ORDER BY i.created_at DESC
+      LIMIT $${values.length - 1} OFFSET $${values.length}
+    `;
+    const { rows } = await db.query(query, values);
+    return rows;
+  },
+
+  /**
+   * Count invites
+   * @param {Object} filters - Same filters as findAll
+   * @returns {Promise<number>} - Number of invites
+   */
+  async countTotal(filters = {}) {
+    const { where, values } = buildInviteFilters(filters);
+    const { rows } = await db.query(`SELECT COUNT(*) AS total FROM user_invites i ${where}`, values);
+    return parseInt(rows[0].total);
+  },
+
+  /**
+   * Replace the link of an open invite (old links stop working)
+   * @param {number} id - Invite ID
+   * @param {string} tokenHash - Hash of the new link nonce
+   * @param {Date} expiresAt - New expiry
+   * @returns {Promise<Object>} - Updated invite, undefined if it was accepted or revoked meanwhile
+   */
+  async renew(id, tokenHash, expiresAt) {
+    const query = `
+      UPDATE user_invites
+      SET token_hash = $1, expires_at = $2, last_sent_at = CURRENT_TIMESTAMP, send_count = send_count + 1
+      WHERE id = $3 AND accepted_at IS NULL AND revoked_at IS NULL
+      RETURNING id
+    `;
+    const { rows } = await db.query(query, [tokenHash, expiresAt, id]);
+    return rows.length > 0 ? this.findById(id) : undefined;
+  },
+
+  /**
+   * Revoke an open invite
+   * @param {number} id - Invite ID
+   * @returns {Promise<boolean>} - True if an open invite was revoked
+   */
+  async revoke(id) {
+    const query = `
+      UPDATE user_invites
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+    `;
+    const { rowCount } = await db.query(query, [id]);
+    return rowCount > 0;
+  },
+
+  /**
+   * Lock a usable invite for acceptance.
+   * Must run inside a transaction; concurrent accepts of the same link wait for each other.
+   * @param {number} id - Invite ID
+   * @param {string} tokenHash - Hash of the link nonce
+   * @param {Object} client - Database client of the transaction
+   * @returns {Promise<Object>} - Invite row, undefined if the link is not valid (any more)
+   */
+  async lockForAcceptance(id, tokenHash, client) {
+    const query = `
+      SELECT *
+      FROM user_invites
+      WHERE id = $1
+        AND token_hash = $2
+        AND accepted_at IS NULL
+        AND revoked_at IS NULL
+        AND expires_at > CURRENT_TIMESTAMP
+      FOR UPDATE
+    `;
+    const { rows } = await client.query(query, [id, tokenHash]);
+    return rows[0];
+  },
+
+  /**
+   * Mark an invite as accepted
+   * @param {number} id - Invite ID
+   * @param {number} userId - ID of the created user
+   * @param {Object} client - Database client of the transaction
+   */
+  async markAccepted(id, userId, client) {
+    await client.query(
+      'UPDATE user_invites SET accepted_at = CURRENT_TIMESTAMP, accepted_user_id = $1 WHERE id = $2',
+      [userId, id]
+    );
+  }
+};
+
+export default InviteModel;
@@ -0,0 +1,53 @@
+import db from '../config/db.js';
+
+/**
+ * Login Attempt Model
+ * Handles database operations for the login_attempts table.
+ * Every login attempt is recorded so failures can be counted per email and per IP.
+ */
+const LoginAttemptModel = {
+  /**
+   * Record a login attempt
+   * @param {Object} attemptData - Attempt information
+   * @returns {Promise<Object>} - New attempt row
+   */
+  async record(attemptData) {
+    const { email, user_id, ip_address, success } = attemptData;
+
+    const query = `
+      INSERT INTO login_attempts (email, user_id, ip_address, success)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+
+    const values = [
+      String(email || '').toLowerCase(),
+      user_id || null,
+      ip_address || null,
+      Boolean(success)
+    ];
+
+    const { rows } = await db.query(query, values);
+    return rows[0];
+  },
+
+  /**
+   * Count failed attempts from an IP address within a time window
+   * @param {string} ipAddress - IP address
+   * @param {number} windowMinutes - Size of the window in minutes
+   * @returns {Promise<number>} - Number of failed attempts
+   */
+  async countRecentFailuresByIp(ipAddress, windowMinutes) {
+    const query = `
+      SELECT COUNT(*) AS total
+      FROM login_attempts
+      WHERE ip_address = $1
+        AND success = FALSE
+        AND attempted_at > CURRENT_TIMESTAMP - ($2 * INTERVAL '1 minute')
+    `;
+    const { rows } = await db.query(query, [ipAddress, windowMinutes]);
+    return parseInt(rows[0].total);
+  }
+};
+
+export default LoginAttemptModel;
@@ -0,0 +1,162 @@
+import db from '../config/db.js';
+import { taskStatusCategory } from '../utils/workflow.utils.js';
+
+// Progress of the tasks in a milestone; cancelled tasks are left out
+const MILESTONE_PROGRESS_COLUMNS = `
+  (SELECT COUNT(*) FROM tasks t WHERE t.milestone_id = m.id AND t.deleted_at IS NULL AND ${taskStatusCategory('t')} IS DISTINCT FROM 'cancelled')::int AS task_count,
+  (SELECT COUNT(*) FROM tasks t WHERE t.milestone_id = m.id AND t.deleted_at IS NULL AND ${taskStatusCategory('t')} = 'done')::int AS completed_task_count,
+  (SELECT COALESCE(SUM(t.estimated_hours), 0) FROM tasks t
+   WHERE t.milestone_id = m.id AND t.deleted_at IS NULL AND ${taskStatusCategory('t')} IS DISTINCT FROM 'cancelled') AS estimated_hours,
+  (SELECT COALESCE(SUM(t.actual_hours), 0) FROM tasks t WHERE t.milestone_id = m.id AND t.deleted_at IS NULL) AS actual_hours`;
+
+/**
+ * Add progress in percent and whether the milestone is overdue
+ * @param {Object} milestone - Milestone row with progress columns
+ * @returns {Object}
+ */
+const withProgress = (milestone) => milestone && ({
+  ...milestone,
+  progress: milestone.task_count > 0
+    ? Math.round((milestone.completed_task_count / milestone.task_count) * 100)
+    : 0,
+  is_overdue: milestone.status === 'open' && Boolean(milestone.due_date) && new Date(milestone.due_date) < new Date(new Date().toDateString())
+});
+
+/**
+ * Milestone Model
+ * Handles database operations for the project_milestones table and the milestone_id of tasks
+ */
+const MilestoneModel = {
+  /**
+   * Get the milestones of a project by due date
+   * @param {number} projectId - Project ID
+   * @returns {Promise<Array>} - Milestones with their progress
+   */
+  async findByProject(projectId) {
+    const { rows } = await db.query(
+      `SELECT m.*, ${MILESTONE_PROGRESS_COLUMNS}
+       FROM project_milestones m
+       WHERE m.project_id = $1
+       ORDER BY m.due_date ASC NULLS LAST, m.id ASC`,
+      [projectId]
+    );
+    return rows.map(withProgress);
+  },
+
+  /**
+   * Find a milestone by ID
+   * @param {number} id - Milestone ID
+   * @returns {Promise<Object>} - Milestone with its progress
+   */
+  async findById(id) {
+    const { rows } = await db.query(
+      `SELECT m.*, ${MILESTONE_PROGRESS_COLUMNS}
+       FROM project_milestones m
+       WHERE m.id = $1`,
+      [id]
+    );
+    return withProgress(rows[0]);
+  },
+
+  /**
+   * Create a milestone
+   * @param {number} projectId - Project ID
+   * @param {Object} milestoneData - name, description, due_date and status
+   * @param {number} userId - Creator
+   * @returns {Promise<Object>} - New milestone
+   */
+  async create(projectId, milestoneData, userId) {
+    const { name, description, due_date, status = 'open' } = milestoneData;
+    const { rows } = await db.query(
+      `INSERT INTO project_milestones (project_id, name, description, due_date, status, completed_at, created_by)
+       VALUES ($1, $2, $3, $4, $5, CASE WHEN $5 = 'completed' THEN CURRENT_TIMESTAMP END, $6)
+       RETURNING id`,
+      [projectId, name, description || null, due_date || null, status, userId]
+    );
+    return this.findById(rows[0].id);
+  },
+
+  /**
+   * Update a milestone; completed_at is set when it is completed and cleared when it is reopened
+   * @param {number} id - Milestone ID
+   * @param {Object} milestoneData - Complete name, description, due_date and status
+   * @returns {Promise<Object>} - Updated milestone
+   */
+  async update(id, milestoneData) {
+    const { name, description, due_date, status } = milestoneData;
+    await db.query(
+      `UPDATE project_milestones
+       SET name = $1, description = $2, due_date = $3, status = $4,
+           completed_at = CASE
+             WHEN $4 <> 'completed' THEN NULL
+             WHEN status = 'completed' THEN completed_at
+             ELSE CURRENT_TIMESTAMP
+           END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5`,
+      [name, description || null, due_date || null, status, id]
+    );
+    return this.findById(id);
+  },
+
+  /**
+   * Delete a milestone; its tasks are kept
+   * @param {number} id - Milestone ID
+   * @returns {Promise<boolean>} - Whether the milestone existed
+   */
+  async delete(id) {
+    const { rowCount } = await db.query('DELETE FROM project_milestones WHERE id = $1', [id]);
+    return rowCount > 0;
+  },
+
+  /**
+   * Get the tasks of a milestone
+   * @param {number} milestoneId - Milestone ID
+   * @returns {Promise<Array>} - Tasks with their status category and assignee name, by due date
+   */
+  async findTasks(milestoneId) {
+    const { rows } = await db.query(
+      `SELECT t.id, t.title, t.status, ${taskStatusCategory('t')} AS status_category, t.priority,
+         t.due_date, t.estimated_hours, t.actual_hours, t.assignee_id, t.sprint_id,
+         u.first_name || ' ' || u.last_name AS assignee_name
+       FROM tasks t
+       LEFT JOIN users u ON t.assignee_id = u.id
+       WHERE t.milestone_id = $1 AND t.deleted_at IS NULL
+       ORDER BY t.due_date ASC NULLS LAST, t.id ASC`,
+      [milestoneId]
+    );
+    return rows;
+  },
+
+  /**
+   * Put tasks of a project in a milestone (out of any other milestone)
+   * @param {Object} milestone - Milestone row
+   * @param {Array<number>} taskIds - Task IDs
+   * @returns {Promise<Array<number>>} - IDs of the tasks that were added; tasks of other projects are skipped
+   */
+  async addTasks(milestone, taskIds) {
+    const { rows } = await db.query(
+      `UPDATE tasks SET milestone_id = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ANY($2::int[]) AND project_id = $3 AND deleted_at IS NULL
+       RETURNING id`,
+      [milestone.id, taskIds, milestone.project_id]
+    );
+    return rows.map(row => row.id);
+  },
+
+  /**
+   * Take a task out of a milestone
+   * @param {number} milestoneId - Milestone ID
+   * @param {number} taskId - Task ID
+   * @returns {Promise<boolean>} - Whether the task was in the milestone
+   */
+  async removeTask(milestoneId, taskId) {
+    const { rowCount } = await db.query(
+      'UPDATE tasks SET milestone_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND milestone_id = $2',
+      [taskId, milestoneId]
+    );
+    return rowCount > 0;
+  }
+};
+
+export default MilestoneModel;
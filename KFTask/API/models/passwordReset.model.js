@@ -0,0 +1,62 @@
+import db from '../config/db.js';
+
+/**
+ * Password Reset Model
+ * Handles database operations for the password_reset_tokens table.
+ * Only SHA-256 hashes of reset tokens are stored.
+ */
+const PasswordResetModel = {
+  /**
+   * Create a reset token for a user
+   * @param {Object} tokenData - Token information
+   * @returns {Promise<Object>} - New token row
+   */
+  async create(tokenData) {
+    const { user_id, token_hash, expires_at, requested_ip } = tokenData;
+
+    const query = `
+      INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, user_id, expires_at, created_at
+    `;
+
+    const { rows } = await db.query(query, [user_id, token_hash, expires_at, requested_ip || null]);
+    return rows[0];
+  },
+
+  /**
+   * Invalidate all unused tokens of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} - Number of invalidated tokens
+   */
+  async invalidateForUser(userId) {
+    const query = `
+      UPDATE password_reset_tokens
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND used_at IS NULL
+    `;
+    const { rowCount } = await db.query(query, [userId]);
+    return rowCount;
+  },
+
+  /**
+   * Consume a token: marks it used if it is unused and not expired.
+   * Done in a single statement so a token can never be used twice.
+   * @param {string} tokenHash - Hash of the reset token
+   * @returns {Promise<Object|undefined>} - Consumed token row, undefined if invalid
+   */
+  async consume(tokenHash) {
+    const query = `
+      UPDATE password_reset_tokens
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE token_hash = $1
+        AND used_at IS NULL
+        AND expires_at > CURRENT_TIMESTAMP
+      RETURNING id, user_id
+    `;
+    const { rows } = await db.query(query, [tokenHash]);
+    return rows[0];
+  }
+};
+
+export default PasswordResetModel;
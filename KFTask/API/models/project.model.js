@@ -1,5 +1,82 @@
 // const db = require('../config/db');
 import db from '../config/db.js';
+import { projectAccessCondition, taskAssigneeCondition } from '../utils/projectAccess.utils.js';
+import { priorityRank, runListQuery } from '../utils/listQuery.utils.js';
+
+/**
+ * Project listing (GET /api/projects), see runListQuery. Deleted projects are not listed.
+ */
+const PROJECT_LIST = {
+  select: `p.*,
+    u.first_name || ' ' || u.last_name as manager_name,
+    c.first_name || ' ' || c.last_name as client_name,
+    (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id AND t.deleted_at IS NULL) as task_count,
+    (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id AND t.deleted_at IS NULL AND t.status = 'completed') as completed_tasks`,
+  from: `projects p
+    LEFT JOIN users u ON p.manager_id = u.id
+    LEFT JOIN users c ON p.client_id = c.id`,
+  where: ['p.deleted_at IS NULL'],
+  filters: {
+    status: (value, param) => `p.status = ${param(value)}`,
+    department: (value, param) => `p.department = ${param(value)}`,
+    manager_id: (value, param) => `p.manager_id = ${param(value)}`,
+    client_id: (value, param) => `p.client_id = ${param(value)}`,
+    priority: (value, param) => `p.priority = ${param(value)}`,
+    project_type: (value, param) => `p.project_type = ${param(value)}`,
+    // Only projects the user is a member of
+    accessible_to: (value, param) => projectAccessCondition('p.id', param(value)),
+    search: (value, param) => {
+      const pattern = param(`%${value}%`);
+      return `(
+        p.title ILIKE ${pattern} OR
+        p.description ILIKE ${pattern} OR
+        (c.first_name || ' ' || c.last_name) ILIKE ${pattern} OR
+        (u.first_name || ' ' || u.last_name) ILIKE ${pattern}
+      )`;
+    }
+  },
+  sortFields: {
+    title: 'p.title',
+    created_at: 'p.created_at',
+    updated_at: 'p.updated_at',
+    start_date: 'p.start_date',
+    end_date: 'p.end_date',
+    status: 'p.status',
+    priority: priorityRank('p.priority'),
+    budget: 'p.budget',
+    id: 'p.id'
+  },
+  defaultSort: 'created_at',
+  defaultOrder: 'desc',
+  idColumn: 'p.id'
+};
+
+/**
+ * Project trash (GET /api/projects/trash), see runListQuery
+ */
+const PROJECT_TRASH_LIST = {
+  select: `p.*,
+    d.first_name || ' ' || d.last_name as deleted_by_name,
+    (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id AND t.deleted_at = p.deleted_at) as task_count`,
+  from: `projects p
+    LEFT JOIN users d ON p.deleted_by = d.id`,
+  where: ['p.deleted_at IS NOT NULL'],
+  filters: {
+    deleted_by: (value, param) => `p.deleted_by = ${param(value)}`,
+    // Only projects the user is a member of
+    accessible_to: (value, param) => projectAccessCondition('p.id', param(value)),
+    search: (value, param) => `p.title ILIKE ${param(`%${value}%`)}`
+  },
+  sortFields: {
+    deleted_at: 'p.deleted_at',
+    title: 'p.title',
+    id: 'p.id'
+  },
+  defaultSort: 'deleted_at',
+  defaultOrder: 'desc',
+  idColumn: 'p.id'
+};
+
 /**
  * Project Model
  * Handles database operations for the projects table
@@ -13,9 +90,10 @@ const ProjectModel = {
 /**
  * Create a new project
  * @param {Object} projectData - Project information
+ * @param {Object} client - Database client (optional, for transactions)
  * @returns {Promise<Object>} - New project object
  */
-async create(projectData) {
+async create(projectData, client = db) {
   const {
     title,
     description,
@@ -51,20 +129,20 @@ async create(projectData) {
     project_type ?? null, // ✅ correct null handling
   ];
 
-  const { rows } = await db.query(query, values);
+  const { rows } = await client.query(query, values);
   return rows[0];
 },
 /**
- * Get projects made by user or assigned to user (id, title, dates only)
+ * Get projects the user is a team member of (id, title, dates and project role only)
  * @param {number} userId - User ID
- * @returns {Promise<Array>} - Array of projects with id, title, start_date, end_date
+ * @returns {Promise<Array>} - Array of projects with id, title, start_date, end_date, project_role
  */
 async getMyProjects(userId) {
   const query = `
-    SELECT DISTINCT p.id, p.title, p.start_date, p.end_date
+    SELECT p.id, p.title, p.start_date, p.end_date, ptm.role as project_role
     FROM projects p
-    LEFT JOIN project_team_members ptm ON p.id = ptm.project_id
-    WHERE p.manager_id = $1 OR p.client_id = $1
+    JOIN project_team_members ptm ON p.id = ptm.project_id
+    WHERE ptm.user_id = $1 AND p.deleted_at IS NULL
     ORDER BY p.id ASC
   `;
   const { rows } = await db.query(query, [userId]);
@@ -88,7 +166,7 @@ async getProjectTasks(projectId ) {
       t.created_at,
       t.updated_at
     FROM tasks t
-    WHERE t.project_id = $1
+    WHERE t.project_id = $1 AND t.deleted_at IS NULL
     ORDER BY t.id ASC
   `;
   
@@ -106,7 +184,7 @@ async getProjectTasks(projectId ) {
  * @returns {Promise<number>} - Total task count
  */
 async countProjectTasks(projectId, filters = {}) {
-  let query = 'SELECT COUNT(*) FROM tasks t WHERE t.project_id = $1';
+  let query = 'SELECT COUNT(*) FROM tasks t WHERE t.project_id = $1 AND t.deleted_at IS NULL';
   const queryParams = [projectId];
   let paramIndex = 2;
 
@@ -118,7 +196,7 @@ async countProjectTasks(projectId, filters = {}) {
   }
 
   if (filters.assignee_id) {
-    query += ` AND t.assignee_id = $${paramIndex}`;
+    query += ` AND ${taskAssigneeCondition('t', `$${paramIndex}`)}`;
     queryParams.push(filters.assignee_id);
     paramIndex++;
   }
@@ -136,34 +214,44 @@ async countProjectTasks(projectId, filters = {}) {
 
 /**
  * Get all projects with only id and title (name), no filters or pagination
+ * @param {number|null} accessibleTo - Only projects this user is a member of (null for all)
  * @returns {Promise<Array>} - Array of projects with id and title
  */
-async getAllProjectIdsAndTitles() {
-  const query = `
+async getAllProjectIdsAndTitles(accessibleTo = null) {
+  let query = `
     SELECT id, title
     FROM projects
-    ORDER BY id ASC
+    WHERE deleted_at IS NULL
   `;
-  const { rows } = await db.query(query);
+  const queryParams = [];
+
+  if (accessibleTo) {
+    query += ` AND ${projectAccessCondition('id', '$1')}`;
+    queryParams.push(accessibleTo);
+  }
+
+  query += ' ORDER BY id ASC';
+  const { rows } = await db.query(query, queryParams);
   return rows;
 }
 ,
   /**
    * Get a project by ID
    * @param {number} id - Project ID
+   * @param {Object} options - deleted: find the project in the trash instead
    * @returns {Promise<Object>} - Project object
    */
-  async findById(id) {
+  async findById(id, { deleted = false } = {}) {
     const query = `
       SELECT p.*, 
         u.first_name || ' ' || u.last_name as manager_name,
        c.first_name || ' ' || c.last_name as client_name,
-        (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id) as task_count,
-        (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id AND t.status = 'completed') as completed_tasks
+        (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id AND t.deleted_at IS NULL) as task_count,
+        (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id AND t.deleted_at IS NULL AND t.status = 'completed') as completed_tasks
       FROM projects p
       LEFT JOIN users u ON p.manager_id = u.id
       LEFT JOIN users c ON p.client_id = c.id
-      WHERE p.id = $1
+      WHERE p.id = $1 AND p.deleted_at IS ${deleted ? 'NOT NULL' : 'NULL'}
     `;
     
     const { rows } = await db.query(query, [id]);
@@ -171,94 +259,14 @@ async getAllProjectIdsAndTitles() {
   },
 
   /**
-   * Get all projects with pagination
-   * @param {number} limit - Number of results per page
-   * @param {number} offset - Pagination offset
-   * @param {Object} filters - Filtering options
-   * @returns {Promise<Array>} - Array of projects
+   * Get a page of projects
+   * @param {Object} filters - status, department, manager_id, client_id, priority, project_type,
+   *   search (title, description, client and manager name) and accessible_to
+   * @param {Object} options - Sort and page (see runListQuery)
+   * @returns {Promise<Object>} - rows, total and nextCursor
    */
-  async findAll(limit = 10, offset = 0, filters = {}) {
-    let query = `
-      SELECT p.*, 
-        u.first_name || ' ' || u.last_name as manager_name,
-        c.first_name || ' ' || c.last_name as client_name,
-        (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id) as task_count,
-        (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id AND t.status = 'completed') as completed_tasks
-      FROM projects p
-      LEFT JOIN users u ON p.manager_id = u.id
-       LEFT JOIN users c ON p.client_id = c.id
-      WHERE 1=1
-    `;
-    
-    const queryParams = [];
-    let paramIndex = 1;
-
-    // Add filters to query
-    if (filters.status) {
-      query += ` AND p.status = $${paramIndex}`;
-      queryParams.push(filters.status);
-      paramIndex++;
-    }
-
-    if (filters.department) {
-      query += ` AND p.department = $${paramIndex}`;
-      queryParams.push(filters.department);
-      paramIndex++;
-    }
-
-    if (filters.manager_id) {
-      query += ` AND p.manager_id = $${paramIndex}`;
-      queryParams.push(filters.manager_id);
-      paramIndex++;
-    }
-
-    if (filters.client_id) {
-      query += ` AND p.client_id = $${paramIndex}`;
-      queryParams.push(filters.client_id);
-      paramIndex++;
-    }
-
-    if (filters.priority) {
-      query += ` AND p.priority = $${paramIndex}`;
-      queryParams.push(filters.priority);
-      paramIndex++;
-    }
-
-    // Added project_type filter
-    if (filters.project_type) {
-      query += ` AND p.project_type = $${paramIndex}`;
-      queryParams.push(filters.project_type);
-      paramIndex++;
-    }
-
-    // Add search term filter
-    if (filters.search) {
-      query += ` AND (
-        p.title ILIKE $${paramIndex} OR
-        p.description ILIKE $${paramIndex} OR
-        c.name ILIKE $${paramIndex} OR
-        u.first_name ILIKE $${paramIndex} OR
-        u.last_name ILIKE $${paramIndex}
-      )`;
-      queryParams.push(`%${filters.search}%`);
-      paramIndex++;
-    }
-
-    // Add sorting
-    if (filters.sort_by) {
-      const sortField = filters.sort_by.replace(/[^a-zA-Z0-9_.]/g, '');
-      const sortOrder = filters.sort_order?.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
-      query += ` ORDER BY ${sortField} ${sortOrder}`;
-    } else {
-      query += ' ORDER BY p.created_at DESC';
-    }
-
-    // Add pagination
-    query += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-    queryParams.push(limit, offset);
-
-    const { rows } = await db.query(query, queryParams);
-    return rows;
+  async findPage(filters = {}, options = {}) {
+    return runListQuery(PROJECT_LIST, filters, options);
   },
 
   /**
@@ -321,88 +329,106 @@ async getAllProjectIdsAndTitles() {
   },
 
   /**
-   * Delete a project
+   * Move a project to the trash together with its tasks that are not there yet.
+   * The tasks get the same deleted_at as the project, which is how restore finds them.
    * @param {number} id - Project ID
-   * @returns {Promise<boolean>} - Success status
+   * @param {number} deletedBy - ID of the user deleting the project
+   * @returns {Promise<Object>} - Deleted project, undefined if it was not found or already deleted
    */
-  async delete(id) {
-    const query = 'DELETE FROM projects WHERE id = $1';
-    const { rowCount } = await db.query(query, [id]);
-    return rowCount > 0;
+  async softDelete(id, deletedBy) {
+    const query = `
+      WITH project AS (
+        UPDATE projects SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+        WHERE id = $1 AND deleted_at IS NULL
+        RETURNING *
+      ), project_tasks AS (
+        UPDATE tasks t SET deleted_at = project.deleted_at, deleted_by = project.deleted_by
+        FROM project
+        WHERE t.project_id = project.id AND t.deleted_at IS NULL
+      )
+      SELECT * FROM project
+    `;
+    const { rows } = await db.query(query, [id, deletedBy]);
+    return rows[0];
   },
 
   /**
-   * Count total projects
-   * @param {Object} filters - Filtering options
-   * @returns {Promise<number>} - Total project count
+   * Take a project out of the trash together with the tasks that were deleted with it.
+   * Tasks deleted on their own before the project stay in the trash.
+   * @param {number} id - Project ID
+   * @returns {Promise<Object>} - Restored project with restored_task_count, undefined if it was not in the trash
    */
-  async countTotal(filters = {}) {
-    let query = 'SELECT COUNT(*) FROM projects p WHERE 1=1';
-    const queryParams = [];
-    let paramIndex = 1;
-
-    // Add filters to query
-    if (filters.status) {
-      query += ` AND p.status = $${paramIndex}`;
-      queryParams.push(filters.status);
-      paramIndex++;
-    }
-
-    if (filters.department) {
-      query += ` AND p.department = $${paramIndex}`;
-      queryParams.push(filters.department);
-      paramIndex++;
-    }
-
-    if (filters.manager_id) {
-      query += ` AND p.manager_id = $${paramIndex}`;
-      queryParams.push(filters.manager_id);
-      paramIndex++;
-    }
-
-    if (filters.client_id) {
-      query += ` AND p.client_id = $${paramIndex}`;
-      queryParams.push(filters.client_id);
-      paramIndex++;
-    }
-
-    if (filters.priority) {
-      query += ` AND p.priority = $${paramIndex}`;
-      queryParams.push(filters.priority);
-      paramIndex++;
-    }
+  async restore(id) {
+    const query = `
+      WITH project AS (
+        SELECT id, deleted_at FROM projects WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE
+      ), project_tasks AS (
+        UPDATE tasks t SET deleted_at = NULL, deleted_by = NULL
+        FROM project
+        WHERE t.project_id = project.id AND t.deleted_at = project.deleted_at
+        RETURNING t.id
+      )
+      UPDATE projects p SET deleted_at = NULL, deleted_by = NULL
+      FROM project
+      WHERE p.id = project.id
+      RETURNING p.*, (SELECT COUNT(*) FROM project_tasks) AS restored_task_count
+    `;
+    const { rows } = await db.query(query, [id]);
+    return rows[0];
+  },
 
-    // Added project_type filter
-    if (filters.project_type) {
-      query += ` AND p.project_type = $${paramIndex}`;
-      queryParams.push(filters.project_type);
-      paramIndex++;
-    }
+  /**
+   * Get a page of the project trash
+   * @param {Object} filters - deleted_by, search (title) and accessible_to
+   * @param {Object} options - Sort and page (see runListQuery)
+   * @returns {Promise<Object>} - rows, total and nextCursor
+   */
+  async findTrashPage(filters = {}, options = {}) {
+    return runListQuery(PROJECT_TRASH_LIST, filters, options);
+  },
 
-    // Add search term filter
-    if (filters.search) {
-      query += ` AND (
-        p.title ILIKE $${paramIndex} OR
-        p.description ILIKE $${paramIndex}
-      )`;
-      queryParams.push(`%${filters.search}%`);
-    }
+  /**
+   * Lock the projects that have been in the trash longer than the retention period and have no
+   * tasks left (purge their tasks first). Call inside a transaction.
+   * @param {number} retentionDays - Days a project stays in the trash
+   * @param {Object} client - Database client of the transaction
+   * @returns {Promise<Array>} - Projects (id, title), without those locked by another run
+   */
+  async lockPurgeable(retentionDays, client) {
+    const { rows } = await client.query(
+      `SELECT p.id, p.title
+       FROM projects p
+       WHERE p.deleted_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 day'
+         AND NOT EXISTS (SELECT 1 FROM tasks t WHERE t.project_id = p.id)
+       ORDER BY p.id
+       FOR UPDATE SKIP LOCKED`,
+      [retentionDays]
+    );
+    return rows;
+  },
 
-    const { rows } = await db.query(query, queryParams);
-    return parseInt(rows[0].count);
+  /**
+   * Permanently delete projects together with their team, workflow, sprints and milestones
+   * @param {Array<number>} ids - Project IDs
+   * @param {Object} client - Database client (optional, for transactions)
+   */
+  async purge(ids, client = db) {
+    await client.query('DELETE FROM projects WHERE id = ANY($1::int[])', [ids]);
   },
 
+
   /**
-   * Add a team member to a project
+   * Add a team member to a project, or change the role of an existing member
    * @param {number} projectId - Project ID
    * @param {number} userId - User ID
-   * @param {string} role - Team member role in project
+   * @param {string} role - Team member role in project (owner, manager, contributor, viewer)
    * @returns {Promise<Object>} - Project team member object
    */
   async addTeamMember(projectId, userId, role) {
     const query = `
       INSERT INTO project_team_members (project_id, user_id, role)
       VALUES ($1, $2, $3)
+      ON CONFLICT (project_id, user_id) DO UPDATE SET role = EXCLUDED.role
       RETURNING *
     `;
     
@@ -410,6 +436,30 @@ async getAllProjectIdsAndTitles() {
     return rows[0];
   },
 
+  /**
+   * Get a single team member of a project
+   * @param {number} projectId - Project ID
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} - Project team member object, undefined if not a member
+   */
+  async getTeamMember(projectId, userId) {
+    const query = 'SELECT * FROM project_team_members WHERE project_id = $1 AND user_id = $2';
+    const { rows } = await db.query(query, [projectId, userId]);
+    return rows[0];
+  },
+
+  /**
+   * Count the members of a project that have a given role
+   * @param {number} projectId - Project ID
+   * @param {string} role - Project role
+   * @returns {Promise<number>} - Member count
+   */
+  async countTeamMembersWithRole(projectId, role) {
+    const query = 'SELECT COUNT(*) FROM project_team_members WHERE project_id = $1 AND role = $2';
+    const { rows } = await db.query(query, [projectId, role]);
+    return parseInt(rows[0].count);
+  },
+
   /**
    * Remove a team member from a project
    * @param {number} projectId - Project ID
@@ -451,9 +501,17 @@ async getAllProjectIdsAndTitles() {
 
   /**
    * Get project statistics by status
+   * @param {number|null} accessibleTo - Only projects this user is a member of (null for all)
    * @returns {Promise<Array>} - Array of projects grouped by status
    */
-  async getProjectStats() {
+  async getProjectStats(accessibleTo = null) {
+    const queryParams = [];
+    let where = 'WHERE deleted_at IS NULL';
+    if (accessibleTo) {
+      where += ` AND ${projectAccessCondition('id', '$1')}`;
+      queryParams.push(accessibleTo);
+    }
+
     const query = `
       SELECT 
         status,
@@ -466,11 +524,12 @@ async getAllProjectIdsAndTitles() {
           END
         ) as avg_duration
       FROM projects
+      ${where}
       GROUP BY status
       ORDER BY count DESC
     `;
     
-    const { rows } = await db.query(query);
+    const { rows } = await db.query(query, queryParams);
     return rows;
   }
 };
@@ -0,0 +1,150 @@
+import db from '../config/db.js';
+import { taskStatusCategory } from '../utils/workflow.utils.js';
+
+/**
+ * Project Template Model
+ * Handles database operations for the project_templates and project_template_tasks tables
+ */
+const ProjectTemplateModel = {
+  /**
+   * Get all templates, newest first
+   * @returns {Promise<Array>} - Templates with their task count and creator name
+   */
+  async findAll() {
+    const { rows } = await db.query(
+      `SELECT pt.*,
+         u.first_name || ' ' || u.last_name AS creator_name,
+         (SELECT COUNT(*) FROM project_template_tasks WHERE template_id = pt.id)::int AS task_count
+       FROM project_templates pt
+       LEFT JOIN users u ON pt.created_by = u.id
+       ORDER BY pt.updated_at DESC, pt.id DESC`
+    );
+    return rows;
+  },
+
+  /**
+   * Find a template with its tasks
+   * @param {number} id - Template ID
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Object>} - Template with tasks in position order
+   */
+  async findById(id, client = db) {
+    const { rows } = await client.query(
+      `SELECT pt.*, u.first_name || ' ' || u.last_name AS creator_name
+       FROM project_templates pt
+       LEFT JOIN users u ON pt.created_by = u.id
+       WHERE pt.id = $1`,
+      [id]
+    );
+    if (rows.length === 0) {
+      return rows[0];
+    }
+
+    const { rows: tasks } = await client.query(
+      `SELECT id, title, description, priority, estimated_hours, due_offset_days, default_role, position
+       FROM project_template_tasks
+       WHERE template_id = $1
+       ORDER BY position ASC`,
+      [id]
+    );
+    return { ...rows[0], tasks };
+  },
+
+  /**
+   * Create a template, or replace an existing one together with its tasks
+   * @param {number|null} id - Template ID, null to create one
+   * @param {Object} templateData - name, description, priority, project_type, duration_days and tasks
+   * @param {number} userId - User saving the template
+   * @returns {Promise<Object>} - Saved template with tasks
+   */
+  async save(id, templateData, userId) {
+    const { name, description, priority, project_type, duration_days, tasks } = templateData;
+    const client = await db.pool.connect();
+    let templateId = id;
+
+    try {
+      await client.query('BEGIN');
+
+      if (templateId) {
+        await client.query(
+          `UPDATE project_templates
+           SET name = $1, description = $2, priority = $3, project_type = $4, duration_days = $5,
+               updated_by = $6, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $7`,
+          [name, description || null, priority || 'medium', project_type || null, duration_days ?? null, userId, templateId]
+        );
+        await client.query('DELETE FROM project_template_tasks WHERE template_id = $1', [templateId]);
+      } else {
+        const { rows } = await client.query(
+          `INSERT INTO project_templates (name, description, priority, project_type, duration_days, created_by, updated_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $6)
+           RETURNING id`,
+          [name, description || null, priority || 'medium', project_type || null, duration_days ?? null, userId]
+        );
+        templateId = rows[0].id;
+      }
+
+      for (const [index, task] of tasks.entries()) {
+        await client.query(
+          `INSERT INTO project_template_tasks
+           (template_id, title, description, priority, estimated_hours, due_offset_days, default_role, position)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+          [
+            templateId,
+            task.title,
+            task.description || null,
+            task.priority || 'medium',
+            task.estimated_hours ?? null,
+            task.due_offset_days ?? null,
+            task.default_role || null,
+            index + 1
+          ]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.findById(templateId);
+  },
+
+  /**
+   * Delete a template and its tasks
+   * @param {number} id - Template ID
+   * @returns {Promise<boolean>} - Whether the template existed
+   */
+  async delete(id) {
+    const { rowCount } = await db.query('DELETE FROM project_templates WHERE id = $1', [id]);
+    return rowCount > 0;
+  },
+
+  /**
+   * Turn the tasks of a project into template tasks. Cancelled tasks are left out;
+   * due dates become offsets from the project start and the owner's project role the default role.
+   * @param {Object} project - Project (needs id and start_date)
+   * @returns {Promise<Array>} - Template tasks in due date order
+   */
+  async findProjectTasks(project) {
+    const { rows } = await db.query(
+      `SELECT t.title, t.description, t.priority, t.estimated_hours,
+         CASE WHEN t.due_date IS NOT NULL AND $2::date IS NOT NULL
+           THEN GREATEST(t.due_date - $2::date, 0) END AS due_offset_days,
+         CASE WHEN ptm.role IN ('owner', 'manager', 'contributor') THEN ptm.role END AS default_role
+       FROM tasks t
+       LEFT JOIN project_team_members ptm ON ptm.project_id = t.project_id AND ptm.user_id = t.assignee_id
+       WHERE t.project_id = $1
+         AND t.deleted_at IS NULL
+         AND ${taskStatusCategory('t')} IS DISTINCT FROM 'cancelled'
+       ORDER BY t.due_date ASC NULLS LAST, t.id ASC`,
+      [project.id, project.start_date]
+    );
+    return rows;
+  }
+};
+
+export default ProjectTemplateModel;
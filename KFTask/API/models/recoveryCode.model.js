@@ -0,0 +1,77 @@
+import db from '../config/db.js';
+
+/**
+ * Recovery Code Model
+ * Handles database operations for the user_recovery_codes table.
+ * Recovery codes are single-use and only their SHA-256 hashes are stored.
+ */
+const RecoveryCodeModel = {
+  /**
+   * Replace all recovery codes of a user
+   * @param {number} userId - User ID
+   * @param {Array<string>} codeHashes - Hashes of the new codes
+   * @returns {Promise<number>} - Number of stored codes
+   */
+  async replaceForUser(userId, codeHashes) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+
+      for (const codeHash of codeHashes) {
+        await client.query(
+          'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+          [userId, codeHash]
+        );
+      }
+
+      await client.query('COMMIT');
+      return codeHashes.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Use a recovery code; a code can only be used once
+   * @param {number} userId - User ID
+   * @param {string} codeHash - Hash of the entered code
+   * @returns {Promise<boolean>} - True if an unused code matched
+   */
+  async consume(userId, codeHash) {
+    const query = `
+      UPDATE user_recovery_codes
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+    `;
+    const { rowCount } = await db.query(query, [userId, codeHash]);
+    return rowCount > 0;
+  },
+
+  /**
+   * Count unused recovery codes of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} - Number of unused codes
+   */
+  async countUnused(userId) {
+    const query = 'SELECT COUNT(*) AS total FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL';
+    const { rows } = await db.query(query, [userId]);
+    return parseInt(rows[0].total);
+  },
+
+  /**
+   * Delete all recovery codes of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} - Number of deleted codes
+   */
+  async deleteForUser(userId) {
+    const { rowCount } = await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+    return rowCount;
+  }
+};
+
+export default RecoveryCodeModel;
@@ -0,0 +1,167 @@
+import db from '../config/db.js';
+import { taskOpenCondition } from '../utils/workflow.utils.js';
+
+/**
+ * Recurrence Model
+ * Handles database operations for the task_recurrences table. Every task created by a
+ * series points at it through tasks.recurrence_id; the newest one is the current instance.
+ */
+const RecurrenceModel = {
+  /**
+   * Create a series
+   * @param {Object} seriesData - Rule fields, starts_on, next_due_date and created_by
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Object>} - Created series
+   */
+  async create(seriesData, client = db) {
+    const {
+      frequency,
+      interval_count,
+      weekdays,
+      month_day,
+      starts_on,
+      ends_on,
+      max_occurrences,
+      next_due_date,
+      created_by
+    } = seriesData;
+
+    const { rows } = await client.query(
+      `INSERT INTO task_recurrences
+       (frequency, interval_count, weekdays, month_day, starts_on, ends_on, max_occurrences, next_due_date, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [frequency, interval_count, weekdays, month_day, starts_on, ends_on, max_occurrences, next_due_date, created_by]
+    );
+    return rows[0];
+  },
+
+  /**
+   * Find a series by ID
+   * @param {number} id - Series ID
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Object>} - Series
+   */
+  async findById(id, client = db) {
+    const { rows } = await client.query('SELECT * FROM task_recurrences WHERE id = $1', [id]);
+    return rows[0];
+  },
+
+  /**
+   * Get the tasks a series created, newest first
+   * @param {number} id - Series ID
+   * @returns {Promise<Array>} - Tasks (id, title, status, due_date)
+   */
+  async findInstances(id) {
+    const { rows } = await db.query(
+      `SELECT id, title, status, due_date, created_at
+       FROM tasks
+       WHERE recurrence_id = $1 AND deleted_at IS NULL
+       ORDER BY id DESC`,
+      [id]
+    );
+    return rows;
+  },
+
+  /**
+   * Get the newest task of a series, the one the next instance is copied from
+   * @param {number} id - Series ID
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Object>} - Task, undefined when all instances are in the trash
+   */
+  async findLatestInstance(id, client = db) {
+    const { rows } = await client.query(
+      'SELECT * FROM tasks WHERE recurrence_id = $1 AND deleted_at IS NULL ORDER BY id DESC LIMIT 1',
+      [id]
+    );
+    return rows[0];
+  },
+
+  /**
+   * Store the rule, schedule and status of a series
+   * @param {number} id - Series ID
+   * @param {Object} seriesData - Complete series (rule fields, next_due_date, occurrence_count, status)
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Object>} - Updated series
+   */
+  async update(id, seriesData, client = db) {
+    const {
+      frequency,
+      interval_count,
+      weekdays,
+      month_day,
+      ends_on,
+      max_occurrences,
+      next_due_date,
+      occurrence_count,
+      status
+    } = seriesData;
+
+    const { rows } = await client.query(
+      `UPDATE task_recurrences
+       SET frequency = $1,
+           interval_count = $2,
+           weekdays = $3,
+           month_day = $4,
+           ends_on = $5,
+           max_occurrences = $6,
+           next_due_date = $7,
+           occurrence_count = $8,
+           status = $9,
+           ended_at = CASE WHEN $9 = 'ended' THEN COALESCE(ended_at, CURRENT_TIMESTAMP) END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $10
+       RETURNING *`,
+      [frequency, interval_count, weekdays, month_day, ends_on, max_occurrences,
+        next_due_date, occurrence_count, status, id]
+    );
+    return rows[0];
+  },
+
+  /**
+   * Make a task the first instance of a series
+   * @param {number} taskId - Task ID
+   * @param {number} id - Series ID
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<void>}
+   */
+  async attachTask(taskId, id, client = db) {
+    await client.query(
+      'UPDATE tasks SET recurrence_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [id, taskId]
+    );
+  },
+
+  /**
+   * Lock the next active series that needs a new instance: its next date has arrived,
+   * or its newest instance is closed. Series locked by another run are skipped.
+   * Call inside a transaction.
+   * @param {Object} client - Database client of the transaction
+   * @param {Array<number>} excludeIds - Series already handled in this run
+   * @returns {Promise<Object>} - Series, undefined when none is due
+   */
+  async lockNextDue(client, excludeIds = []) {
+    const { rows } = await client.query(
+      `SELECT r.*
+       FROM task_recurrences r
+       WHERE r.status = 'active'
+         AND r.next_due_date IS NOT NULL
+         AND r.id <> ALL($1::int[])
+         AND (
+           r.next_due_date <= CURRENT_DATE
+           OR NOT EXISTS (
+             SELECT 1 FROM tasks t
+             WHERE t.id = (SELECT MAX(id) FROM tasks WHERE recurrence_id = r.id AND deleted_at IS NULL)
+               AND ${taskOpenCondition('t')}
+           )
+         )
+       ORDER BY r.next_due_date ASC, r.id ASC
+       LIMIT 1
+       FOR UPDATE OF r SKIP LOCKED`,
+      [excludeIds]
+    );
+    return rows[0];
+  }
+};
+
+export default RecurrenceModel;
@@ -0,0 +1,141 @@
+import db from '../config/db.js';
+
+/**
+ * Role Model
+ * Handles database operations for the roles and role_permissions tables.
+ */
+const RoleModel = {
+  /**
+   * Get all roles with their permissions and number of users
+   * @returns {Promise<Array>} - Array of roles
+   */
+  async findAll() {
+    const query = `
+      SELECT r.name, r.description, r.is_system, r.created_at, r.updated_at,
+        COALESCE(
+          ARRAY_AGG(rp.permission ORDER BY rp.permission) FILTER (WHERE rp.permission IS NOT NULL),
+          '{}'
+        ) AS permissions,
+        (SELECT COUNT(*) FROM users u WHERE u.role = r.name)::int AS user_count
+      FROM roles r
+      LEFT JOIN role_permissions rp ON rp.role_name = r.name
+      GROUP BY r.name
+      ORDER BY r.is_system DESC, r.name
+    `;
+    const { rows } = await db.query(query);
+    return rows;
+  },
+
+  /**
+   * Find role by name
+   * @param {string} name - Role name
+   * @returns {Promise<Object>} - Role with permissions and number of users
+   */
+  async findByName(name) {
+    const query = `
+      SELECT r.name, r.description, r.is_system, r.created_at, r.updated_at,
+        COALESCE(
+          ARRAY_AGG(rp.permission ORDER BY rp.permission) FILTER (WHERE rp.permission IS NOT NULL),
+          '{}'
+        ) AS permissions,
+        (SELECT COUNT(*) FROM users u WHERE u.role = r.name)::int AS user_count
+      FROM roles r
+      LEFT JOIN role_permissions rp ON rp.role_name = r.name
+      WHERE r.name = $1
+      GROUP BY r.name
+    `;
+    const { rows } = await db.query(query, [name]);
+    return rows[0];
+  },
+
+  /**
+   * Get every role → permission pair (used to build the permission cache)
+   * @returns {Promise<Array>} - Array of { role_name, permission }
+   */
+  async findAllPermissions() {
+    const { rows } = await db.query('SELECT role_name, permission FROM role_permissions');
+    return rows;
+  },
+
+  /**
+   * Create a role with its permissions
+   * @param {Object} roleData - name, description and permissions
+   * @returns {Promise<Object>} - New role
+   */
+  async create(roleData) {
+    const { name, description, permissions = [] } = roleData;
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'INSERT INTO roles (name, description) VALUES ($1, $2)',
+        [name, description || null]
+      );
+      for (const permission of permissions) {
+        await client.query(
+          'INSERT INTO role_permissions (role_name, permission) VALUES ($1, $2)',
+          [name, permission]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.findByName(name);
+  },
+
+  /**
+   * Update a role's description and/or replace its permissions
+   * @param {string} name - Role name
+   * @param {Object} roleData - description and/or permissions
+   * @returns {Promise<Object>} - Updated role
+   */
+  async update(name, roleData) {
+    const { description, permissions } = roleData;
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `UPDATE roles
+         SET description = COALESCE($1, description), updated_at = CURRENT_TIMESTAMP
+         WHERE name = $2`,
+        [description ?? null, name]
+      );
+      if (Array.isArray(permissions)) {
+        await client.query('DELETE FROM role_permissions WHERE role_name = $1', [name]);
+        for (const permission of permissions) {
+          await client.query(
+            'INSERT INTO role_permissions (role_name, permission) VALUES ($1, $2)',
+            [name, permission]
+          );
+        }
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.findByName(name);
+  },
+
+  /**
+   * Delete a role (its permissions are removed by cascade)
+   * @param {string} name - Role name
+   * @returns {Promise<boolean>} - Success status
+   */
+  async delete(name) {
+    const { rowCount } = await db.query('DELETE FROM roles WHERE name = $1 AND is_system = FALSE', [name]);
+    return rowCount > 0;
+  }
+};
+
+export default RoleModel;
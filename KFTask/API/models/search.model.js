@@ -0,0 +1,136 @@
+import db from '../config/db.js';
+import { projectAccessCondition, taskAccessCondition } from '../utils/projectAccess.utils.js';
+import { SEARCH_CONFIG, SNIPPET_OPTIONS, TITLE_OPTIONS } from '../utils/search.utils.js';
+
+/**
+ * Build the query for one kind of search hit.
+ * Every kind returns the same columns so that they can be ranked together.
+ * @param {Object} source - How to find and describe the hits of a kind
+ * @param {String} source.type - Source name in search_documents
+ * @param {String} source.from - Joins from search_documents (alias sd) to the searched rows
+ * @param {String} source.columns - Columns id, task_id, project_id, title, body, author_id and created_at
+ * @param {String} source.live - Condition leaving out hits of rows in the trash, null for none
+ * @param {String} source.access - Visibility condition (with the user placeholder already filled in), null for none
+ * @param {String} source.project - Column holding the project ID, for the project filter
+ * @param {String|null} projectParam - Placeholder of the project filter, null for none
+ * @returns {String}
+ */
+const sourceQuery = ({ type, from, columns, live, access, project }, projectParam) => `
+  SELECT '${type}' AS type, ${columns}, sd.search_vector
+  FROM search_documents sd
+  ${from}
+  WHERE sd.source = '${type}'
+    AND sd.search_vector @@ (SELECT query FROM search_query)
+    ${live ? `AND ${live}` : ''}
+    ${projectParam ? `AND ${project} = ${projectParam}` : ''}
+    ${access ? `AND ${access}` : ''}`;
+
+/**
+ * Search Model
+ * Full-text search over tasks, projects, comments, feedback replies and daily updates,
+ * backed by the search_documents table
+ */
+const SearchModel = {
+  /**
+   * Search everything the user may see; comments, replies and daily updates follow the visibility of their task
+   * @param {String} text - Search text (web search syntax: "quoted phrases", or, -excluded)
+   * @param {Object} options - Search options
+   * @param {Array<String>} options.types - Kinds of hits to return (see SEARCH_TYPES)
+   * @param {number|null} options.projectId - Only hits in this project
+   * @param {number|null} options.accessibleTo - Only what this user may see (null for everything)
+   * @param {number} options.limit - Maximum number of hits
+   * @param {number} options.offset - Hits to skip
+   * @returns {Promise<Object>} - total and the hits of the page, best match first, with highlighted title and snippet
+   */
+  async search(text, { types, projectId = null, accessibleTo = null, limit = 20, offset = 0 }) {
+    const params = [text, SNIPPET_OPTIONS, TITLE_OPTIONS];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+    const userParam = accessibleTo ? addParam(accessibleTo) : null;
+    const projectParam = projectId ? addParam(projectId) : null;
+    const taskAccess = userParam ? taskAccessCondition('t', userParam) : null;
+
+    const sources = {
+      task: {
+        from: 'JOIN tasks t ON t.id = sd.source_id',
+        columns: `t.id, t.id AS task_id, t.project_id, t.title, t.description AS body,
+          t.created_by AS author_id, t.created_at`,
+        live: 't.deleted_at IS NULL',
+        access: taskAccess,
+        project: 't.project_id'
+      },
+      project: {
+        from: 'JOIN projects p ON p.id = sd.source_id',
+        columns: `p.id, NULL::int AS task_id, p.id AS project_id, p.title, p.description AS body,
+          NULL::int AS author_id, p.created_at`,
+        live: 'p.deleted_at IS NULL',
+        access: userParam ? projectAccessCondition('p.id', userParam) : null,
+        project: 'p.id'
+      },
+      comment: {
+        from: `JOIN task_comments tc ON tc.id = sd.source_id
+          JOIN tasks t ON tc.task_id = t.id`,
+        columns: `tc.id, t.id AS task_id, t.project_id, t.title, tc.content AS body,
+          tc.user_id AS author_id, tc.created_at`,
+        live: 't.deleted_at IS NULL',
+        access: taskAccess,
+        project: 't.project_id'
+      },
+      feedback_reply: {
+        from: `JOIN task_feedback_replies tfr ON tfr.id = sd.source_id
+          JOIN task_comments tc ON tfr.feedback_id = tc.id
+          JOIN tasks t ON tc.task_id = t.id`,
+        columns: `tfr.id, t.id AS task_id, t.project_id, t.title, tfr.content AS body,
+          tfr.user_id AS author_id, tfr.created_at`,
+        live: 't.deleted_at IS NULL',
+        access: taskAccess,
+        project: 't.project_id'
+      },
+      daily_update: {
+        from: `JOIN daily_updates du ON du.id = sd.source_id
+          JOIN tasks t ON du.task_id = t.id`,
+        columns: `du.id, t.id AS task_id, t.project_id, t.title, du.content AS body,
+          du.user_id AS author_id, du.created_at`,
+        live: 't.deleted_at IS NULL',
+        access: taskAccess,
+        project: 't.project_id'
+      }
+    };
+
+    const hits = types
+      .map(type => sourceQuery({ type, ...sources[type] }, projectParam))
+      .join('\nUNION ALL\n');
+
+    // Snippets are only built for the hits on the page; the count row is there even past the last page
+    const query = `
+      WITH search_query AS (
+        SELECT websearch_to_tsquery('${SEARCH_CONFIG}', $1) AS query
+      ),
+      hits AS (${hits}),
+      page AS (
+        SELECT hits.*, ts_rank(hits.search_vector, (SELECT query FROM search_query), 1) AS rank
+        FROM hits
+        ORDER BY rank DESC, hits.created_at DESC, hits.type, hits.id
+        LIMIT ${addParam(limit)} OFFSET ${addParam(offset)}
+      )
+      SELECT counts.total, page.type, page.id, page.task_id, page.project_id, page.title, page.rank,
+        page.author_id, u.first_name || ' ' || u.last_name AS author_name, page.created_at,
+        ts_headline('${SEARCH_CONFIG}', COALESCE(page.title, ''), (SELECT query FROM search_query), $3) AS title_headline,
+        ts_headline('${SEARCH_CONFIG}', COALESCE(page.body, ''), (SELECT query FROM search_query), $2) AS snippet_headline
+      FROM (SELECT COUNT(*) AS total FROM hits) counts
+      LEFT JOIN page ON true
+      LEFT JOIN users u ON page.author_id = u.id
+      ORDER BY page.rank DESC, page.created_at DESC, page.type, page.id
+    `;
+
+    const { rows } = await db.query(query, params);
+    return {
+      total: parseInt(rows[0].total),
+      hits: rows.filter(row => row.type !== null).map(({ total, ...hit }) => hit)
+    };
+  }
+};
+
+export default SearchModel;
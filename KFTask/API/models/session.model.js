@@ -0,0 +1,168 @@
+import db from '../config/db.js';
+
+/**
+ * Session Model
+ * Handles database operations for the user_sessions table.
+ * Each row is one login (device) and holds the hash of its current refresh token.
+ */
+const SessionModel = {
+  /**
+   * Create a new session
+   * @param {Object} sessionData - Session information
+   * @returns {Promise<Object>} - New session object
+   */
+  async create(sessionData) {
+    const {
+      user_id,
+      refresh_token_hash,
+      user_agent,
+      ip_address,
+      expires_at
+    } = sessionData;
+
+    const query = `
+      INSERT INTO user_sessions
+      (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+
+    const values = [
+      user_id,
+      refresh_token_hash,
+      user_agent || null,
+      ip_address || null,
+      expires_at
+    ];
+
+    const { rows } = await db.query(query, values);
+    return rows[0];
+  },
+
+  /**
+   * Find session by ID
+   * @param {number} id - Session ID
+   * @returns {Promise<Object>} - Session object
+   */
+  async findById(id) {
+    const query = 'SELECT * FROM user_sessions WHERE id = $1';
+    const { rows } = await db.query(query, [id]);
+    return rows[0];
+  },
+
+  /**
+   * Find an active session together with the account state of its user
+   * @param {number} id - Session ID
+   * @returns {Promise<Object>} - Session object with user_role, user_status, must_change_password and totp_enabled
+   */
+  async findActiveWithUser(id) {
+    const query = `
+      SELECT s.*, u.role AS user_role, u.status AS user_status, u.must_change_password, u.totp_enabled
+      FROM user_sessions s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.id = $1
+        AND s.revoked_at IS NULL
+        AND u.deleted_at IS NULL
+        AND s.expires_at > CURRENT_TIMESTAMP
+    `;
+    const { rows } = await db.query(query, [id]);
+    return rows[0];
+  },
+
+  /**
+   * Find the session a refresh token belongs to.
+   * Also matches the previous (already rotated) token so that reuse can be detected.
+   * @param {string} tokenHash - SHA-256 hash of the refresh token
+   * @returns {Promise<Object>} - Session object with a `token_match` field ('current' or 'previous')
+   */
+  async findByRefreshTokenHash(tokenHash) {
+    const query = `
+      SELECT *,
+        CASE WHEN refresh_token_hash = $1 THEN 'current' ELSE 'previous' END AS token_match
+      FROM user_sessions
+      WHERE refresh_token_hash = $1 OR previous_refresh_token_hash = $1
+      LIMIT 1
+    `;
+    const { rows } = await db.query(query, [tokenHash]);
+    return rows[0];
+  },
+
+  /**
+   * Get active sessions for a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} - Array of sessions (without token hashes)
+   */
+  async findActiveByUser(userId) {
+    const query = `
+      SELECT id, user_id, user_agent, ip_address, created_at, last_used_at, expires_at
+      FROM user_sessions
+      WHERE user_id = $1
+        AND revoked_at IS NULL
+        AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY COALESCE(last_used_at, created_at) DESC
+    `;
+    const { rows } = await db.query(query, [userId]);
+    return rows;
+  },
+
+  /**
+   * Replace the refresh token of a session (rotation)
+   * @param {number} id - Session ID
+   * @param {string} newTokenHash - Hash of the new refresh token
+   * @param {Date} expiresAt - New session expiry
+   * @param {string} ipAddress - IP address the refresh came from
+   * @returns {Promise<Object>} - Updated session object
+   */
+  async rotate(id, newTokenHash, expiresAt, ipAddress = null) {
+    const query = `
+      UPDATE user_sessions
+      SET
+        previous_refresh_token_hash = refresh_token_hash,
+        refresh_token_hash = $1,
+        expires_at = $2,
+        ip_address = COALESCE($3, ip_address),
+        last_used_at = CURRENT_TIMESTAMP
+      WHERE id = $4 AND revoked_at IS NULL
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [newTokenHash, expiresAt, ipAddress, id]);
+    return rows[0];
+  },
+
+  /**
+   * Revoke a single session
+   * @param {number} id - Session ID
+   * @param {string} reason - Why the session was revoked
+   * @returns {Promise<boolean>} - True if an active session was revoked
+   */
+  async revoke(id, reason = 'revoked') {
+    const query = `
+      UPDATE user_sessions
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $1
+      WHERE id = $2 AND revoked_at IS NULL
+    `;
+    const { rowCount } = await db.query(query, [reason, id]);
+    return rowCount > 0;
+  },
+
+  /**
+   * Revoke every active session of a user
+   * @param {number} userId - User ID
+   * @param {string} reason - Why the sessions were revoked
+   * @param {number|null} exceptSessionId - Session to keep (e.g. the current one)
+   * @returns {Promise<number>} - Number of revoked sessions
+   */
+  async revokeAllForUser(userId, reason = 'revoked', exceptSessionId = null) {
+    const query = `
+      UPDATE user_sessions
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $1
+      WHERE user_id = $2
+        AND revoked_at IS NULL
+        AND ($3::integer IS NULL OR id != $3)
+    `;
+    const { rowCount } = await db.query(query, [reason, userId, exceptSessionId]);
+    return rowCount;
+  }
+};
+
+export default SessionModel;
@@ -0,0 +1,40 @@
+import db from '../config/db.js';
+
+/**
+ * Setting Model
+ * Handles database operations for the app_settings table.
+ * Settings are key/value pairs with JSON values that admins can change at runtime.
+ */
+const SettingModel = {
+  /**
+   * Get the value of a setting
+   * @param {string} key - Setting key
+   * @returns {Promise<*>} - Stored value, undefined if the setting is not set
+   */
+  async get(key) {
+    const query = 'SELECT value FROM app_settings WHERE key = $1';
+    const { rows } = await db.query(query, [key]);
+    return rows[0]?.value;
+  },
+
+  /**
+   * Create or update a setting
+   * @param {string} key - Setting key
+   * @param {*} value - JSON serializable value
+   * @param {number} updatedBy - ID of the user changing the setting
+   * @returns {Promise<Object>} - Setting row
+   */
+  async set(key, value, updatedBy = null) {
+    const query = `
+      INSERT INTO app_settings (key, value, updated_by, updated_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+      ON CONFLICT (key) DO UPDATE
+      SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [key, JSON.stringify(value), updatedBy]);
+    return rows[0];
+  }
+};
+
+export default SettingModel;
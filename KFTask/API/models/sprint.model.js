@@ -0,0 +1,292 @@
+import db from '../config/db.js';
+import { taskOpenCondition, taskStatusCategory } from '../utils/workflow.utils.js';
+
+// Task counts and estimated hours of the tasks currently in a sprint
+const SPRINT_TOTALS_COLUMNS = `
+  (SELECT COUNT(*) FROM tasks t WHERE t.sprint_id = s.id AND t.deleted_at IS NULL)::int AS task_count,
+  (SELECT COUNT(*) FROM tasks t WHERE t.sprint_id = s.id AND t.deleted_at IS NULL AND ${taskOpenCondition('t')})::int AS open_task_count,
+  (SELECT COALESCE(SUM(t.estimated_hours), 0) FROM tasks t WHERE t.sprint_id = s.id AND t.deleted_at IS NULL) AS estimated_hours`;
+
+/**
+ * Sprint Model
+ * Handles database operations for the project_sprints table and the sprint_id of tasks
+ */
+const SprintModel = {
+  /**
+   * Get the sprints of a project in date order
+   * @param {number} projectId - Project ID
+   * @returns {Promise<Array>} - Sprints with their task counts and estimated hours
+   */
+  async findByProject(projectId) {
+    const { rows } = await db.query(
+      `SELECT s.*, ${SPRINT_TOTALS_COLUMNS}
+       FROM project_sprints s
+       WHERE s.project_id = $1
+       ORDER BY s.start_date ASC, s.id ASC`,
+      [projectId]
+    );
+    return rows;
+  },
+
+  /**
+   * Find a sprint by ID
+   * @param {number} id - Sprint ID
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Object>} - Sprint with its task counts and estimated hours
+   */
+  async findById(id, client = db) {
+    const { rows } = await client.query(
+      `SELECT s.*, ${SPRINT_TOTALS_COLUMNS}
+       FROM project_sprints s
+       WHERE s.id = $1`,
+      [id]
+    );
+    return rows[0];
+  },
+
+  /**
+   * Find the active sprint of a project
+   * @param {number} projectId - Project ID
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Object>} - Sprint row, undefined when no sprint is running
+   */
+  async findActive(projectId, client = db) {
+    const { rows } = await client.query(
+      "SELECT * FROM project_sprints WHERE project_id = $1 AND status = 'active'",
+      [projectId]
+    );
+    return rows[0];
+  },
+
+  /**
+   * Find the planned sprint of a project that starts first
+   * @param {number} projectId - Project ID
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Object>} - Sprint row, undefined when nothing is planned
+   */
+  async findNextPlanned(projectId, client = db) {
+    const { rows } = await client.query(
+      `SELECT * FROM project_sprints
+       WHERE project_id = $1 AND status = 'planned'
+       ORDER BY start_date ASC, id ASC
+       LIMIT 1`,
+      [projectId]
+    );
+    return rows[0];
+  },
+
+  /**
+   * Create a planned sprint
+   * @param {number} projectId - Project ID
+   * @param {Object} sprintData - name, goal, start_date and end_date
+   * @param {number} userId - Creator
+   * @returns {Promise<Object>} - New sprint
+   */
+  async create(projectId, sprintData, userId) {
+    const { name, goal, start_date, end_date } = sprintData;
+    const { rows } = await db.query(
+      `INSERT INTO project_sprints (project_id, name, goal, start_date, end_date, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [projectId, name, goal || null, start_date, end_date, userId]
+    );
+    return this.findById(rows[0].id);
+  },
+
+  /**
+   * Update the name, goal and dates of a sprint
+   * @param {number} id - Sprint ID
+   * @param {Object} sprintData - Complete name, goal, start_date and end_date
+   * @returns {Promise<Object>} - Updated sprint
+   */
+  async update(id, sprintData) {
+    const { name, goal, start_date, end_date } = sprintData;
+    await db.query(
+      `UPDATE project_sprints
+       SET name = $1, goal = $2, start_date = $3, end_date = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5`,
+      [name, goal || null, start_date, end_date, id]
+    );
+    return this.findById(id);
+  },
+
+  /**
+   * Delete a sprint; its tasks go back to the backlog
+   * @param {number} id - Sprint ID
+   * @returns {Promise<boolean>} - Whether the sprint existed
+   */
+  async delete(id) {
+    const { rowCount } = await db.query('DELETE FROM project_sprints WHERE id = $1', [id]);
+    return rowCount > 0;
+  },
+
+  /**
+   * Get the tasks in a sprint
+   * @param {number} sprintId - Sprint ID
+   * @returns {Promise<Array>} - Tasks with their status category and assignee name, by board order
+   */
+  async findTasks(sprintId) {
+    const { rows } = await db.query(
+      `SELECT t.id, t.title, t.status, ${taskStatusCategory('t')} AS status_category, t.priority,
+         t.due_date, t.estimated_hours, t.actual_hours, t.assignee_id, t.milestone_id,
+         u.first_name || ' ' || u.last_name AS assignee_name
+       FROM tasks t
+       LEFT JOIN users u ON t.assignee_id = u.id
+       WHERE t.sprint_id = $1 AND t.deleted_at IS NULL
+       ORDER BY t.board_rank ASC NULLS LAST, t.id ASC`,
+      [sprintId]
+    );
+    return rows;
+  },
+
+  /**
+   * Move tasks of a project into a sprint (out of any other sprint)
+   * @param {Object} sprint - Sprint row
+   * @param {Array<number>} taskIds - Task IDs
+   * @returns {Promise<Array<number>>} - IDs of the tasks that were moved; tasks of other projects are skipped
+   */
+  async addTasks(sprint, taskIds) {
+    const { rows } = await db.query(
+      `UPDATE tasks SET sprint_id = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ANY($2::int[]) AND project_id = $3 AND deleted_at IS NULL
+       RETURNING id`,
+      [sprint.id, taskIds, sprint.project_id]
+    );
+    return rows.map(row => row.id);
+  },
+
+  /**
+   * Move a task out of a sprint, back to the backlog
+   * @param {number} sprintId - Sprint ID
+   * @param {number} taskId - Task ID
+   * @returns {Promise<boolean>} - Whether the task was in the sprint
+   */
+  async removeTask(sprintId, taskId) {
+    const { rowCount } = await db.query(
+      'UPDATE tasks SET sprint_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND sprint_id = $2',
+      [taskId, sprintId]
+    );
+    return rowCount > 0;
+  },
+
+  /**
+   * Start a sprint: record the tasks and estimated hours it commits to
+   * @param {number} id - Sprint ID
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<void>}
+   */
+  async start(id, client = db) {
+    await client.query(
+      `UPDATE project_sprints
+       SET status = 'active',
+           started_at = CURRENT_TIMESTAMP,
+           committed_task_ids = ARRAY(SELECT t.id FROM tasks t WHERE t.sprint_id = $1 AND t.deleted_at IS NULL ORDER BY t.id),
+           committed_hours = (SELECT COALESCE(SUM(t.estimated_hours), 0) FROM tasks t WHERE t.sprint_id = $1 AND t.deleted_at IS NULL),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [id]
+    );
+  },
+
+  /**
+   * Close a sprint. Open tasks roll over to the next sprint (or back to the backlog);
+   * completed and cancelled tasks stay in the sprint.
+   * @param {number} id - Sprint ID
+   * @param {number|null} nextSprintId - Sprint that takes the open tasks, null for the backlog
+   * @param {Object} client - Database client of the transaction
+   * @returns {Promise<Object|null>} - completed_task_ids and rolled_over_task_ids, null when the sprint is no longer active
+   */
+  async close(id, nextSprintId, client) {
+    const { rows: locked } = await client.query('SELECT status FROM project_sprints WHERE id = $1 FOR UPDATE', [id]);
+    if (locked[0]?.status !== 'active') {
+      return null;
+    }
+
+    const { rows } = await client.query(
+      `SELECT t.id, ${taskOpenCondition('t')} AS is_open, ${taskStatusCategory('t')} = 'done' AS is_done
+       FROM tasks t
+       WHERE t.sprint_id = $1 AND t.deleted_at IS NULL
+       ORDER BY t.id`,
+      [id]
+    );
+    const rolledOverIds = rows.filter(row => row.is_open).map(row => row.id);
+    const completedIds = rows.filter(row => row.is_done).map(row => row.id);
+
+    await client.query(
+      'UPDATE tasks SET sprint_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($2::int[])',
+      [nextSprintId, rolledOverIds]
+    );
+    await client.query(
+      `UPDATE project_sprints
+       SET status = 'closed',
+           closed_at = CURRENT_TIMESTAMP,
+           completed_task_ids = $1,
+           rolled_over_task_ids = $2,
+           rolled_over_to = $3,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4`,
+      [completedIds, rolledOverIds, nextSprintId, id]
+    );
+    return { completed_task_ids: completedIds, rolled_over_task_ids: rolledOverIds };
+  },
+
+  /**
+   * Get the tasks a sprint report is built from: the ones in the sprint and the ones it committed to,
+   * completed or rolled over. closed_on is the last day a daily update moved the task to a closed
+   * status (for verified updates the day of the verification); tasks closed some other way (edit,
+   * board move) fall back to the last status change to a closed status in the audit trail.
+   * @param {Object} sprint - Sprint row
+   * @param {Array<String>} closedStatuses - Statuses of the project's workflow in a closed category
+   * @returns {Promise<Array>} - Tasks (id, estimated_hours, in_sprint, status_category, closed_on)
+   */
+  async findReportTasks(sprint, closedStatuses) {
+    const { rows } = await db.query(
+      `SELECT t.id, t.estimated_hours, t.sprint_id = $1 AS in_sprint,
+         ${taskStatusCategory('t')} AS status_category,
+         COALESCE(
+           (SELECT MAX(CASE WHEN du.status = 'completed_verified' THEN du.updated_at::date ELSE du.update_date END)
+            FROM daily_updates du
+            WHERE du.task_id = t.id
+              AND (du.status = ANY($3::text[])
+                OR (du.status = 'completed_verified' AND (du.requested_status IS NULL OR du.requested_status = ANY($3::text[]))))),
+           (SELECT MAX(a.created_at)::date
+            FROM audit_logs a
+            WHERE a.entity_type = 'task' AND a.entity_id = t.id
+              AND a.changes->'status'->>'to' = ANY($3::text[]))
+         ) AS closed_on
+       FROM tasks t
+       WHERE t.sprint_id = $1 OR t.id = ANY($2::int[])`,
+      [
+        sprint.id,
+        [
+          ...(sprint.committed_task_ids || []),
+          ...(sprint.completed_task_ids || []),
+          ...(sprint.rolled_over_task_ids || [])
+        ],
+        closedStatuses
+      ]
+    );
+    return rows;
+  },
+
+  /**
+   * Get the hours logged per day on tasks between two dates
+   * @param {Array<number>} taskIds - Task IDs
+   * @param {String} from - First day
+   * @param {String} to - Last day
+   * @returns {Promise<Array>} - { work_date, hours } per day with time entries
+   */
+  async findLoggedHours(taskIds, from, to) {
+    const { rows } = await db.query(
+      `SELECT work_date::date AS work_date, SUM(hours + minutes / 60.0) AS hours
+       FROM task_time_entries
+       WHERE task_id = ANY($1::int[]) AND work_date::date BETWEEN $2 AND $3
+       GROUP BY work_date::date
+       ORDER BY work_date::date`,
+      [taskIds, from, to]
+    );
+    return rows;
+  }
+};
+
+export default SprintModel;
@@ -1,4 +1,208 @@
 import db from '../config/db.js';
+import { taskAccessCondition, taskAssigneeCondition } from '../utils/projectAccess.utils.js';
+import { taskArchivedCondition, taskIncludeCondition, taskOpenCondition, taskStatusCategory } from '../utils/workflow.utils.js';
+import { RANK_STEP } from '../utils/board.utils.js';
+import { priorityRank, runListQuery } from '../utils/listQuery.utils.js';
+
+/**
+ * Assignees of the task aliased t, the owner first
+ */
+const ASSIGNEES_COLUMN = `(
+    SELECT COALESCE(json_agg(json_build_object(
+      'user_id', asg.user_id,
+      'name', asg_u.first_name || ' ' || asg_u.last_name,
+      'role', asg.role
+    ) ORDER BY asg.role = 'owner' DESC, asg.assigned_at, asg.id), '[]'::json)
+    FROM task_assignments asg
+    JOIN users asg_u ON asg.user_id = asg_u.id
+    WHERE asg.task_id = t.id
+  ) as assignees`;
+
+/**
+ * SQL condition matching tasks with an assignee who works for the given vendor
+ * @param {String} userParam - Placeholder of the vendor's user ID (e.g. '$1')
+ * @returns {String}
+ */
+const assigneeVendorCondition = (userParam) => `EXISTS (
+    SELECT 1 FROM task_assignments vendor_ta
+    JOIN users vendor_u ON vendor_ta.user_id = vendor_u.id
+    WHERE vendor_ta.task_id = t.id AND vendor_u.working_for = ${userParam}
+  )`;
+
+/**
+ * Filter matching a single value or any value of a list
+ * @param {String} column - Column to match
+ * @returns {Function} - List filter
+ */
+const anyOf = (column) => (value, param) => `${column} = ANY(${param([].concat(value))})`;
+
+/**
+ * Task listings (GET /api/tasks and GET /api/tasks/my), see runListQuery.
+ * Which tasks are listed is chosen with the include or archived filter; deleted tasks never are.
+ */
+const TASK_LIST = {
+  select: `t.*,
+    p.title as project_title,
+    a.first_name || ' ' || a.last_name as assignee_name,
+    c.first_name || ' ' || c.last_name as creator_name,
+    ${ASSIGNEES_COLUMN}`,
+  from: `tasks t
+    LEFT JOIN projects p ON t.project_id = p.id
+    LEFT JOIN users a ON t.assignee_id = a.id
+    LEFT JOIN users c ON t.created_by = c.id`,
+  where: ['t.deleted_at IS NULL'],
+  filters: {
+    include: (value) => taskIncludeCondition('t', value),
+    archived: () => taskArchivedCondition('t'),
+    // Tasks the user created or is assigned to
+    related_to: (value, param) => {
+      const userParam = param(value);
+      return `(t.created_by = ${userParam} OR ${taskAssigneeCondition('t', userParam)})`;
+    },
+    project_id: (value, param) => `t.project_id = ${param(value)}`,
+    assignee_id: (value, param) => taskAssigneeCondition('t', param(value)),
+    created_by: (value, param) => `t.created_by = ${param(value)}`,
+    status: anyOf('t.status'),
+    priority: anyOf('t.priority'),
+    due_date_start: (value, param) => `t.due_date >= ${param(value)}`,
+    due_date_end: (value, param) => `t.due_date <= ${param(value)}`,
+    // Only tasks the user may see
+    accessible_to: (value, param) => taskAccessCondition('t', param(value)),
+    search: (value, param) => {
+      const pattern = param(`%${value}%`);
+      return `(t.title ILIKE ${pattern} OR t.description ILIKE ${pattern} OR p.title ILIKE ${pattern})`;
+    }
+  },
+  sortFields: {
+    due_date: 't.due_date',
+    priority: priorityRank('t.priority'),
+    status: 't.status',
+    title: 't.title',
+    created_at: 't.created_at',
+    updated_at: 't.updated_at',
+    estimated_hours: 't.estimated_hours',
+    id: 't.id'
+  },
+  defaultSort: 'due_date',
+  defaultOrder: 'asc',
+  idColumn: 't.id'
+};
+
+/**
+ * Task trash (GET /api/tasks/trash), see runListQuery.
+ * Tasks of a deleted project are left out: they come back when the project is restored.
+ */
+const TASK_TRASH_LIST = {
+  select: `t.*,
+    p.title as project_title,
+    d.first_name || ' ' || d.last_name as deleted_by_name,
+    EXISTS (SELECT 1 FROM daily_updates du WHERE du.task_id = t.id) as has_daily_updates`,
+  from: `tasks t
+    LEFT JOIN projects p ON t.project_id = p.id
+    LEFT JOIN users d ON t.deleted_by = d.id`,
+  where: ['t.deleted_at IS NOT NULL', 'p.deleted_at IS NULL'],
+  filters: {
+    project_id: (value, param) => `t.project_id = ${param(value)}`,
+    deleted_by: (value, param) => `t.deleted_by = ${param(value)}`,
+    // Only tasks the user may see
+    accessible_to: (value, param) => taskAccessCondition('t', param(value)),
+    search: (value, param) => `t.title ILIKE ${param(`%${value}%`)}`
+  },
+  sortFields: {
+    deleted_at: 't.deleted_at',
+    title: 't.title',
+    id: 't.id'
+  },
+  defaultSort: 'deleted_at',
+  defaultOrder: 'desc',
+  idColumn: 't.id'
+};
+
+/**
+ * Filters shared by the feedback listings
+ */
+const FEEDBACK_FILTERS = {
+  project_id: (value, param) => `t.project_id = ${param(value)}`,
+  task_id: (value, param) => `tc.task_id = ${param(value)}`,
+  // Only tasks the user may see
+  accessible_to: (value, param) => taskAccessCondition('t', param(value))
+};
+
+/**
+ * Feedback written by a user (GET /api/tasks/feedback/{user_id}), see runListQuery
+ */
+const FEEDBACK_LIST = {
+  select: `tc.*,
+    u.first_name || ' ' || u.last_name as user_name,
+    u.profile_image,
+    u.role,
+    t.id as task_id,
+    t.title as task_title,
+    t.project_id,
+    p.title as project_title`,
+  from: `task_comments tc
+    JOIN users u ON tc.user_id = u.id
+    JOIN tasks t ON tc.task_id = t.id
+    LEFT JOIN projects p ON t.project_id = p.id`,
+  where: ['t.deleted_at IS NULL'],
+  filters: {
+    user_id: (value, param) => `tc.user_id = ${param(value)}`,
+    reply_status: (value, param) => `tc.reply_status = ${param(value)}`,
+    ...FEEDBACK_FILTERS
+  },
+  sortFields: { created_at: 'tc.created_at' },
+  defaultSort: 'created_at',
+  defaultOrder: 'desc',
+  idColumn: 'tc.id'
+};
+
+/**
+ * Feedback waiting for a reply from a vendor or task creator (GET /api/tasks/feedback/admin/{user_id}), see runListQuery
+ */
+const PENDING_FEEDBACK_LIST = {
+  select: `tc.id,
+    tc.task_id,
+    t.title as task_title,
+    tc.content,
+    tc.reply_status,
+    tc.created_at,
+    tc.user_id as feedback_creator_id,
+    u.first_name || ' ' || u.last_name as feedback_creator_name,
+    u.profile_image as feedback_creator_image,
+    a.first_name || ' ' || a.last_name as assignee_name,
+    p.title as project_title,
+    p.id as project_id`,
+  from: `task_comments tc
+    JOIN tasks t ON tc.task_id = t.id
+    JOIN users u ON tc.user_id = u.id
+    LEFT JOIN users a ON t.assignee_id = a.id
+    LEFT JOIN projects p ON t.project_id = p.id`,
+  where: ["tc.reply_status = 'pending'", 't.deleted_at IS NULL'],
+  filters: {
+    waiting_on: (value, param) => {
+      const userParam = param(value);
+      return `(${assigneeVendorCondition(userParam)} OR t.created_by = ${userParam})`;
+    },
+    feedback_creator_id: (value, param) => `tc.user_id = ${param(value)}`,
+    ...FEEDBACK_FILTERS
+  },
+  sortFields: { created_at: 'tc.created_at' },
+  defaultSort: 'created_at',
+  defaultOrder: 'desc',
+  idColumn: 'tc.id'
+};
+
+/**
+ * Copy the owner in task_assignments to tasks.assignee_id
+ * @param {Number} taskId - Task ID
+ * @param {Object} client - Database client
+ */
+const syncOwner = (taskId, client) => client.query(
+  `UPDATE tasks
+   SET assignee_id = (SELECT user_id FROM task_assignments WHERE task_id = $1 AND role = 'owner')
+   WHERE id = $1`,
+  [taskId]
+);
 
 /**
  * Task Model
@@ -6,164 +210,77 @@ import db from '../config/db.js';
  */
 const TaskModel = {
 /**
- * Create a new task
+ * Create a new task.
+ * assignee_id becomes the owner, collaborator_ids are assigned as collaborators.
+ * Pass a client from a transaction: the task and its assignments are separate statements.
  */
-async create(taskData) {
+async create(taskData, client = db) {
   const {
     title,
+    description,
     project_id,
+    parent_task_id,
     assignee_id,
+    collaborator_ids = [],
     status,
+    priority,
     due_date,
+    estimated_hours,
+    recurrence_id,
     created_by
   } = taskData;
 
   const query = `
     INSERT INTO tasks 
-    (title, project_id, assignee_id, due_date, status, created_by)
-    VALUES ($1, $2, $3, $4, $5, $6)
+    (title, description, project_id, parent_task_id, assignee_id, due_date, status, priority,
+     estimated_hours, recurrence_id, created_by, board_rank)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11,
+      (SELECT COALESCE(MAX(board_rank), 0) + ${RANK_STEP} FROM tasks
+       WHERE project_id IS NOT DISTINCT FROM $3 AND status = $7))
     RETURNING *
   `;
 
   const values = [
     title,
+    description || null,
     project_id || null,
+    parent_task_id || null,
     assignee_id || null,
     due_date || null,
-    status || 'new',
+    status || 'todo',
+    priority || 'medium',
+    estimated_hours ?? null,
+    recurrence_id || null,
     created_by   
   ];
 
   console.log('Creating task with values:', values);  
   console.log('created_by value:', created_by); 
 
-  const { rows } = await db.query(query, values);
-  return rows[0];
-},
-
-/**
- * Find all tasks where user is assignee or creator (WITH pagination)
- */
-async findAllByUser(userId, limit = 10, offset = 0) {
-  console.log('findAllByUser called with userId:', userId, 'type:', typeof userId);
-  
-  const tasksQuery = `
-    SELECT t.*,
-      p.title as project_title,
-      a.first_name || ' ' || a.last_name as assignee_name,
-      c.first_name || ' ' || c.last_name as creator_name,
-      t.assignee_id,
-      t.created_by
-    FROM tasks t
-    LEFT JOIN projects p ON t.project_id = p.id
-    LEFT JOIN users a ON t.assignee_id = a.id
-    LEFT JOIN users c ON t.created_by = c.id
-    WHERE (t.created_by = $1 OR t.assignee_id = $1)
-    AND t.status != 'completed'
-    ORDER BY 
-      CASE WHEN t.due_date IS NULL THEN 1 ELSE 0 END,
-      t.due_date ASC,
-      t.created_at DESC
-    LIMIT $2 OFFSET $3
-  `;
-
-  const tasksResult = await db.query(tasksQuery, [userId, limit, offset]);
-
-  console.log('Query results for userId', userId, ':', tasksResult.rows.length, 'tasks found');
-  
-  return tasksResult.rows;
-},
-/**
- * Count total pending feedback for a specific user with filters
- */
-async countPendingFeedback(userId, filters = {}) {
-  let query = `
-    SELECT COUNT(*) as total
-    FROM task_comments tc
-    JOIN tasks t ON tc.task_id = t.id
-    JOIN users a ON t.assignee_id = a.id
-    WHERE tc.reply_status = 'pending'
-      AND (
-        a.working_for = $1
-        OR t.created_by = $1
-      )
-  `;
-
-  const queryParams = [userId];
-  let paramIndex = 2;
-
-  // Add filters
-  if (filters.feedback_creator_id) {
-    query += ` AND tc.user_id = $${paramIndex}`;
-    queryParams.push(filters.feedback_creator_id);
-    paramIndex++;
-  }
+  const { rows } = await client.query(query, values);
+  const task = rows[0];
 
-  if (filters.project_id) {
-    query += ` AND t.project_id = $${paramIndex}`;
-    queryParams.push(filters.project_id);
-    paramIndex++;
-  }
-
-  if (filters.task_id) {
-    query += ` AND tc.task_id = $${paramIndex}`;
-    queryParams.push(filters.task_id);
-    paramIndex++;
-  }
-
-  const { rows } = await db.query(query, queryParams);
-  return parseInt(rows[0].total);
-},
-/**
- * Count total feedback for a specific user with filters
- */
-async countAllFeedback(userId, filters = {}) {
-  let query = `
-    SELECT COUNT(*) as total
-    FROM task_comments tc
-    JOIN tasks t ON tc.task_id = t.id
-    WHERE tc.user_id = $1
-  `;
-
-  const queryParams = [userId];
-  let paramIndex = 2;
-
-  // Add filters
-  if (filters.project_id) {
-    query += ` AND t.project_id = $${paramIndex}`;
-    queryParams.push(filters.project_id);
-    paramIndex++;
-  }
-
-  if (filters.task_id) {
-    query += ` AND tc.task_id = $${paramIndex}`;
-    queryParams.push(filters.task_id);
-    paramIndex++;
+  if (task.assignee_id) {
+    await client.query(
+      `INSERT INTO task_assignments (task_id, user_id, assigned_by, role)
+       VALUES ($1, $2, $3, 'owner')`,
+      [task.id, task.assignee_id, created_by]
+    );
   }
 
-  if (filters.reply_status) {
-    query += ` AND tc.reply_status = $${paramIndex}`;
-    queryParams.push(filters.reply_status);
-    paramIndex++;
+  const collaboratorIds = collaborator_ids.filter(id => id !== task.assignee_id);
+  if (collaboratorIds.length > 0) {
+    await client.query(
+      `INSERT INTO task_assignments (task_id, user_id, assigned_by, role)
+       SELECT $1, UNNEST($2::int[]), $3, 'collaborator'
+       ON CONFLICT (task_id, user_id) DO NOTHING`,
+      [task.id, collaboratorIds, created_by]
+    );
   }
 
-  const { rows } = await db.query(query, queryParams);
-  return parseInt(rows[0].total);
+  return task;
 },
-/**
- * Count total tasks for user  
- */
-async countUserTasks(userId) {
-  const query = `
-    SELECT COUNT(*) as total
-    FROM tasks t
-    WHERE (t.created_by = $1 OR t.assignee_id = $1)
-    AND t.status != 'completed'
-  `;
 
-  const { rows } = await db.query(query, [userId]);
-  return parseInt(rows[0].total);
-},
 /**
  * Count total comments for a task with filters
  */
@@ -227,24 +344,26 @@ async countFeedbackReplies(feedbackId, filters = {}) {
   return parseInt(rows[0].total);
 },
   /**
-   * Find all tasks where user is assignee or creator (no filters)
+   * Find all tasks where user is assignee or creator (id and title only)
+   * @param {number} userId - User ID
+   * @param {Array<String>} include - Which tasks to return (see TASK_INCLUDE_OPTIONS)
    */
-async findAllByUserIDANDTITLES(userId) {
+async findAllByUserIDANDTITLES(userId, include = ['active']) {
   const tasksQuery = `
     SELECT id, title
     FROM tasks t
-    WHERE (t.created_by = $1 OR t.assignee_id = $1)
-    AND (t.due_date IS NULL OR t.due_date >= CURRENT_DATE)
-    AND t.status != 'completed'
+    WHERE (t.created_by = $1 OR ${taskAssigneeCondition('t', '$1')})
+    AND t.deleted_at IS NULL
+    AND ${taskIncludeCondition('t', include)}
     ORDER BY due_date ASC
   `;
 
   const countQuery = `
     SELECT COUNT(*) AS total
     FROM tasks t
-    WHERE (t.created_by = $1 OR t.assignee_id = $1)
-    AND (t.due_date IS NULL OR t.due_date >= CURRENT_DATE)
-    AND t.status != 'completed'
+    WHERE (t.created_by = $1 OR ${taskAssigneeCondition('t', '$1')})
+    AND t.deleted_at IS NULL
+    AND ${taskIncludeCondition('t', include)}
   `;
 
   const [tasksResult, countResult] = await Promise.all([
@@ -260,155 +379,229 @@ async findAllByUserIDANDTITLES(userId) {
 
   /**
    * Get all task IDs and titles
+   * @param {number|null} accessibleTo - Only tasks this user may see (null for all)
+   * @param {Array<String>} include - Which tasks to return (see TASK_INCLUDE_OPTIONS)
    */
-  async getAllTaskIdsAndTitles() {
+  async getAllTaskIdsAndTitles(accessibleTo = null, include = ['active']) {
+    const queryParams = accessibleTo ? [accessibleTo] : [];
     const query = `
       SELECT id, title
       FROM tasks t
-      WHERE (t.due_date IS NULL OR t.due_date >= CURRENT_DATE)
-      AND t.status != 'completed'
+      WHERE t.deleted_at IS NULL AND ${taskIncludeCondition('t', include)}
+      ${accessibleTo ? `AND ${taskAccessCondition('t', '$1')}` : ''}
       ORDER BY id ASC
     `;
-    const { rows } = await db.query(query);
+    const { rows } = await db.query(query, queryParams);
     return rows;
   },
 
   /**
    * Find task by ID
+   * assignee_name is the owner; assignees lists the owner and the collaborators.
+   * rollup sums up the subtasks and the checklist (see getRollup).
+   * @param {number} id - Task ID
+   * @param {Object} options - deleted: find the task in the trash instead
    */
-  async findById(id) {
+  async findById(id, { deleted = false } = {}) {
     const query = `
       SELECT t.*,
         p.title as project_title,
         a.first_name || ' ' || a.last_name as assignee_name,
         c.first_name || ' ' || c.last_name as creator_name,
-        (SELECT COUNT(*) FROM task_comments WHERE task_id = t.id) as comment_count
+        ${ASSIGNEES_COLUMN},
+        ARRAY(SELECT user_id FROM task_assignments WHERE task_id = t.id) as assignee_ids,
+        (SELECT COUNT(*) FROM task_comments WHERE task_id = t.id) as comment_count,
+        (SELECT COUNT(*) FROM task_attachments WHERE task_id = t.id) as attachment_count,
+        pt.title as parent_task_title
       FROM tasks t
       LEFT JOIN projects p ON t.project_id = p.id
       LEFT JOIN users a ON t.assignee_id = a.id
       LEFT JOIN users c ON t.created_by = c.id
-      WHERE t.id = $1
+      LEFT JOIN tasks pt ON t.parent_task_id = pt.id AND pt.deleted_at IS NULL
+      WHERE t.id = $1 AND t.deleted_at IS ${deleted ? 'NOT NULL' : 'NULL'}
     `;
     
     const { rows } = await db.query(query, [id]);
-    return rows[0];
+    if (rows.length === 0) {
+      return rows[0];
+    }
+
+    const task = rows[0];
+    task.rollup = await this.getRollup(task);
+    return task;
   },
 
   /**
-   * Get all tasks with pagination and filters
+   * Roll up a task's subtasks (at any depth) and checklist.
+   * Subtasks count as done when completed; cancelled subtasks are left out of the progress.
+   * @param {Object} task - Task row (needs id, status, estimated_hours, actual_hours)
+   * @returns {Promise<Object>} - Subtask and checklist counts, progress in percent and hours including subtasks
    */
-  async findAll(limit = 10, offset = 0, filters = {}) {
-    let query = `
+  async getRollup(task) {
+    const query = `
+      WITH RECURSIVE subtree AS (
+        SELECT id, project_id, status, estimated_hours, actual_hours FROM tasks WHERE parent_task_id = $1 AND deleted_at IS NULL
+        UNION
+        SELECT c.id, c.project_id, c.status, c.estimated_hours, c.actual_hours
+        FROM tasks c
+        JOIN subtree s ON c.parent_task_id = s.id
+        WHERE c.deleted_at IS NULL
+      )
+      SELECT
+        (SELECT COUNT(*) FROM subtree) as subtasks_total,
+        (SELECT COUNT(*) FROM subtree s WHERE ${taskStatusCategory('s')} = 'done') as subtasks_completed,
+        (SELECT COUNT(*) FROM subtree s WHERE ${taskStatusCategory('s')} = 'cancelled') as subtasks_cancelled,
+        (SELECT COALESCE(SUM(estimated_hours), 0) FROM subtree) as subtasks_estimated_hours,
+        (SELECT COALESCE(SUM(actual_hours), 0) FROM subtree) as subtasks_actual_hours,
+        (SELECT COUNT(*) FROM task_checklist_items WHERE task_id = $1) as checklist_total,
+        (SELECT COUNT(*) FROM task_checklist_items WHERE task_id = $1 AND is_done) as checklist_done,
+        task_status_category($2, $3) as task_category
+    `;
+    const { rows } = await db.query(query, [task.id, task.project_id, task.status]);
+    const totals = rows[0];
+
+    const subtasks = {
+      total: parseInt(totals.subtasks_total),
+      completed: parseInt(totals.subtasks_completed),
+      cancelled: parseInt(totals.subtasks_cancelled)
+    };
+    subtasks.open = subtasks.total - subtasks.completed - subtasks.cancelled;
+
+    const checklist = {
+      total: parseInt(totals.checklist_total),
+      done: parseInt(totals.checklist_done)
+    };
+
+    const units = subtasks.total - subtasks.cancelled + checklist.total;
+    const doneUnits = subtasks.completed + checklist.done;
+    const progress = units > 0
+      ? Math.round((doneUnits / units) * 100)
+      : (totals.task_category === 'done' ? 100 : 0);
+
+    return {
+      subtasks,
+      checklist,
+      progress,
+      estimated_hours: parseFloat(task.estimated_hours || 0) + parseFloat(totals.subtasks_estimated_hours),
+      actual_hours: parseFloat(task.actual_hours || 0) + parseFloat(totals.subtasks_actual_hours)
+    };
+  },
+
+  /**
+   * Get the direct subtasks of a task
+   * @param {number} taskId - Parent task ID
+   * @returns {Promise<Array>} - Subtasks with their owner and own subtask count
+   */
+  async findSubtasks(taskId) {
+    const query = `
       SELECT t.*,
-        p.title as project_title,
         a.first_name || ' ' || a.last_name as assignee_name,
-        c.first_name || ' ' || c.last_name as creator_name
+        ${ASSIGNEES_COLUMN},
+        (SELECT COUNT(*) FROM tasks st WHERE st.parent_task_id = t.id AND st.deleted_at IS NULL) as subtask_count
       FROM tasks t
-      LEFT JOIN projects p ON t.project_id = p.id
       LEFT JOIN users a ON t.assignee_id = a.id
-      LEFT JOIN users c ON t.created_by = c.id
-      WHERE 1=1
-      AND t.status != 'completed'   
-      AND (t.due_date IS NULL OR t.due_date >= CURRENT_DATE)
+      WHERE t.parent_task_id = $1 AND t.deleted_at IS NULL
+      ORDER BY t.due_date ASC NULLS LAST, t.id ASC
     `;
-    
-    const queryParams = [];
-    let paramIndex = 1;
-
-    // Add filters to query
-    if (filters.project_id) {
-      query += ` AND t.project_id = $${paramIndex}`;
-      queryParams.push(filters.project_id);
-      paramIndex++;
-    }
-
-    if (filters.assignee_id) {
-      query += ` AND t.assignee_id = $${paramIndex}`;
-      queryParams.push(filters.assignee_id);
-      paramIndex++;
-    }
-
-    if (filters.created_by) {
-      query += ` AND t.created_by = $${paramIndex}`;
-      queryParams.push(filters.created_by);
-      paramIndex++;
-    }
-
-    if (filters.status) {
-      if (Array.isArray(filters.status)) {
-        const placeholders = filters.status.map((_, idx) => `$${paramIndex + idx}`).join(', ');
-        query += ` AND t.status IN (${placeholders})`;
-        queryParams.push(...filters.status);
-        paramIndex += filters.status.length;
-      } else {
-        query += ` AND t.status = $${paramIndex}`;
-        queryParams.push(filters.status);
-        paramIndex++;
-      }
-    }
-
-    if (filters.priority) {
-      if (Array.isArray(filters.priority)) {
-        const placeholders = filters.priority.map((_, idx) => `$${paramIndex + idx}`).join(', ');
-        query += ` AND t.priority IN (${placeholders})`;
-        queryParams.push(...filters.priority);
-        paramIndex += filters.priority.length;
-      } else {
-        query += ` AND t.priority = $${paramIndex}`;
-        queryParams.push(filters.priority);
-        paramIndex++;
-      }
-    }
-
-    if (filters.due_date_start) {
-      query += ` AND t.due_date >= $${paramIndex}`;
-      queryParams.push(filters.due_date_start);
-      paramIndex++;
-    }
-
-    if (filters.due_date_end) {
-      query += ` AND t.due_date <= $${paramIndex}`;
-      queryParams.push(filters.due_date_end);
-      paramIndex++;
-    }
+    const { rows } = await db.query(query, [taskId]);
+    return rows;
+  },
 
-    // Add search term filter
-    if (filters.search) {
-      query += ` AND (
-        t.title ILIKE $${paramIndex} OR
-        t.description ILIKE $${paramIndex} OR
-        p.title ILIKE $${paramIndex}
-      )`;
-      queryParams.push(`%${filters.search}%`);
-      paramIndex++;
-    }
+  /**
+   * Check whether a task is one of the subtasks (at any depth) of another task
+   * @param {number} rootId - Task whose subtasks are searched
+   * @param {number} taskId - Task to look for
+   * @returns {Promise<Boolean>}
+   */
+  async isSubtaskOf(rootId, taskId) {
+    const query = `
+      WITH RECURSIVE subtree AS (
+        SELECT id FROM tasks WHERE parent_task_id = $1
+        UNION
+        SELECT c.id FROM tasks c JOIN subtree s ON c.parent_task_id = s.id
+      )
+      SELECT 1 FROM subtree WHERE id = $2
+    `;
+    const { rows } = await db.query(query, [rootId, taskId]);
+    return rows.length > 0;
+  },
 
-    // Add sorting
-    if (filters.sort_by) {
-      const sortField = filters.sort_by.replace(/[^a-zA-Z0-9_.]/g, '');
-      const sortOrder = filters.sort_order?.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
-      query += ` ORDER BY t.${sortField} ${sortOrder}`;
-    } else {
-      query += ' ORDER BY t.due_date ASC';
-    }
+  /**
+   * Set or clear the parent of a task
+   * @param {number} id - Task ID
+   * @param {number|null} parentTaskId - New parent task ID, null for a top-level task
+   * @param {Object} client - Database client (optional, for transactions)
+   */
+  async setParent(id, parentTaskId, client = db) {
+    await client.query(
+      'UPDATE tasks SET parent_task_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [parentTaskId, id]
+    );
+  },
 
-    // Add pagination
-    query += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-    queryParams.push(limit, offset);
+  /**
+   * Move all subtasks (at any depth) of a task to another project, following their parent.
+   * Like update(), they leave their sprint and milestone and go to the bottom of their new
+   * board columns, keeping their order.
+   * @param {number} taskId - Parent task ID
+   * @param {number} projectId - New project ID
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Array<number>>} - IDs of the moved subtasks
+   */
+  async moveSubtasksToProject(taskId, projectId, client = db) {
+    const query = `
+      WITH RECURSIVE subtree AS (
+        SELECT id FROM tasks WHERE parent_task_id = $1
+        UNION
+        SELECT c.id FROM tasks c JOIN subtree s ON c.parent_task_id = s.id
+      ),
+      bottom AS (
+        SELECT status, MAX(board_rank) AS board_rank FROM tasks
+        WHERE project_id = $2 AND id NOT IN (SELECT id FROM subtree)
+        GROUP BY status
+      ),
+      moved AS (
+        SELECT t.id, t.status, ROW_NUMBER() OVER (PARTITION BY t.status ORDER BY t.board_rank, t.id) AS position
+        FROM tasks t JOIN subtree s ON t.id = s.id
+      )
+      UPDATE tasks
+      SET project_id = $2,
+        sprint_id = NULL,
+        milestone_id = NULL,
+        board_rank = COALESCE(bottom.board_rank, 0) + moved.position * ${RANK_STEP},
+        updated_at = CURRENT_TIMESTAMP
+      FROM moved
+      LEFT JOIN bottom ON bottom.status = moved.status
+      WHERE tasks.id = moved.id
+      RETURNING tasks.id
+    `;
+    const { rows } = await client.query(query, [taskId, projectId]);
+    return rows.map(row => row.id);
+  },
 
-    const { rows } = await db.query(query, queryParams);
-    return rows;
-   },
+  /**
+   * Get a page of tasks
+   * @param {Object} filters - include (see TASK_INCLUDE_OPTIONS) or archived (closed tasks only), related_to
+   *   (created by or assigned to a user), project_id, assignee_id, created_by, status and priority (a value or a list),
+   *   due_date_start, due_date_end, search (title, description and project title) and accessible_to
+   * @param {Object} options - Sort and page (see runListQuery)
+   * @returns {Promise<Object>} - rows, total and nextCursor
+   */
+  async findPage(filters = {}, options = {}) {
+    return runListQuery(TASK_LIST, filters, options);
+  },
 
   /**
    * Update task information
+   * The owner is changed with addAssignee, not here.
+   * A task that changes status or project goes to the bottom of its new board column;
+   * a task moved to another project leaves its sprint and milestone.
    */
-  async update(id, taskData) {
+  async update(id, taskData, client = db) {
     const {
       title,
       description,
       project_id,
-      assignee_id,
       status,
       priority,
       due_date,
@@ -422,14 +615,21 @@ async findAllByUserIDANDTITLES(userId) {
         title = COALESCE($1, title),
         description = COALESCE($2, description),
         project_id = COALESCE($3, project_id),
-        assignee_id = COALESCE($4, assignee_id),
-        status = COALESCE($5, status),
-        priority = COALESCE($6, priority),
-        due_date = COALESCE($7, due_date),
-        estimated_hours = COALESCE($8, estimated_hours),
-        actual_hours = COALESCE($9, actual_hours),
+        status = COALESCE($4, status),
+        priority = COALESCE($5, priority),
+        due_date = COALESCE($6, due_date),
+        estimated_hours = COALESCE($7, estimated_hours),
+        actual_hours = COALESCE($8, actual_hours),
+        board_rank = CASE
+          WHEN COALESCE($4, status) <> status OR COALESCE($3, project_id) <> project_id
+            THEN (SELECT COALESCE(MAX(b.board_rank), 0) + ${RANK_STEP} FROM tasks b
+                  WHERE b.project_id = COALESCE($3, tasks.project_id) AND b.status = COALESCE($4, tasks.status))
+          ELSE board_rank
+        END,
+        sprint_id = CASE WHEN COALESCE($3, project_id) <> project_id THEN NULL ELSE sprint_id END,
+        milestone_id = CASE WHEN COALESCE($3, project_id) <> project_id THEN NULL ELSE milestone_id END,
         updated_at = CURRENT_TIMESTAMP
-      WHERE id = $10
+      WHERE id = $9
       RETURNING *
     `;
 
@@ -437,7 +637,6 @@ async findAllByUserIDANDTITLES(userId) {
       title,
       description,
       project_id,
-      assignee_id,
       status,
       priority,
       due_date,
@@ -446,96 +645,171 @@ async findAllByUserIDANDTITLES(userId) {
       id
     ];
 
-    const { rows } = await db.query(query, values);
+    const { rows } = await client.query(query, values);
     return rows[0];
   },
 
   /**
-   * Delete a task
+   * Move the due date of a task by a number of days
+   * @param {number} id - Task ID
+   * @param {number} days - Days to add (negative to bring it forward)
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Object>} - Updated task, undefined if it has no due date
    */
-  async delete(id) {
-    const query = 'DELETE FROM tasks WHERE id = $1';
-    const { rowCount } = await db.query(query, [id]);
-    return rowCount > 0;
+  async shiftDueDate(id, days, client = db) {
+    const { rows } = await client.query(
+      `UPDATE tasks SET due_date = due_date + $2::int, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND due_date IS NOT NULL
+       RETURNING *`,
+      [id, days]
+    );
+    return rows[0];
   },
 
   /**
-   * Count total tasks
+   * Get the assignees of a task, the owner first
+   * @param {number} taskId - Task ID
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Array>} - Assignments with the user's name and email
    */
-  async countTotal(filters = {}) {
-    let query = 'SELECT COUNT(*) FROM tasks t WHERE 1=1 AND (t.due_date IS NULL OR t.due_date >= CURRENT_DATE) AND t.status != \'completed\'';
-    const queryParams = [];
-    let paramIndex = 1;
+  async getAssignees(taskId, client = db) {
+    const query = `
+      SELECT ta.user_id, ta.role, ta.assigned_by, ta.assigned_at,
+        u.first_name || ' ' || u.last_name as name,
+        u.email,
+        u.working_for
+      FROM task_assignments ta
+      JOIN users u ON ta.user_id = u.id
+      WHERE ta.task_id = $1
+      ORDER BY ta.role = 'owner' DESC, ta.assigned_at, ta.id
+    `;
+    const { rows } = await client.query(query, [taskId]);
+    return rows;
+  },
 
-    // Add filters to query
-    if (filters.project_id) {
-      query += ` AND t.project_id = $${paramIndex}`;
-      queryParams.push(filters.project_id);
-      paramIndex++;
+  /**
+   * Assign a user to a task, or change the role of an existing assignee.
+   * A new owner replaces the current one, who stays on the task as a collaborator.
+   * Pass a client from a transaction: this runs several statements.
+   * @param {number} taskId - Task ID
+   * @param {number} userId - User to assign
+   * @param {String} role - 'owner' or 'collaborator'
+   * @param {number} assignedBy - User making the assignment
+   * @param {Object} client - Database client
+   * @returns {Promise<Object>} - The assignment
+   */
+  async addAssignee(taskId, userId, role, assignedBy, client = db) {
+    if (role === 'owner') {
+      await client.query(
+        `UPDATE task_assignments SET role = 'collaborator'
+         WHERE task_id = $1 AND role = 'owner' AND user_id <> $2`,
+        [taskId, userId]
+      );
     }
 
-    if (filters.assignee_id) {
-      query += ` AND t.assignee_id = $${paramIndex}`;
-      queryParams.push(filters.assignee_id);
-      paramIndex++;
-    }
+    const { rows } = await client.query(
+      `INSERT INTO task_assignments (task_id, user_id, assigned_by, role)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (task_id, user_id) DO UPDATE SET role = EXCLUDED.role
+       RETURNING *`,
+      [taskId, userId, assignedBy, role]
+    );
 
-    if (filters.created_by) {
-      query += ` AND t.created_by = $${paramIndex}`;
-      queryParams.push(filters.created_by);
-      paramIndex++;
-    }
+    await syncOwner(taskId, client);
+    return rows[0];
+  },
 
-    if (filters.status) {
-      if (Array.isArray(filters.status)) {
-        const placeholders = filters.status.map((_, idx) => `$${paramIndex + idx}`).join(', ');
-        query += ` AND t.status IN (${placeholders})`;
-        queryParams.push(...filters.status);
-        paramIndex += filters.status.length;
-      } else {
-        query += ` AND t.status = $${paramIndex}`;
-        queryParams.push(filters.status);
-        paramIndex++;
-      }
-    }
+  /**
+   * Remove a user from a task. Removing the owner leaves the task without one.
+   * @param {number} taskId - Task ID
+   * @param {number} userId - Assigned user
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Object>} - Removed assignment, undefined if the user was not assigned
+   */
+  async removeAssignee(taskId, userId, client = db) {
+    const { rows } = await client.query(
+      'DELETE FROM task_assignments WHERE task_id = $1 AND user_id = $2 RETURNING *',
+      [taskId, userId]
+    );
 
-    if (filters.priority) {
-      if (Array.isArray(filters.priority)) {
-        const placeholders = filters.priority.map((_, idx) => `$${paramIndex + idx}`).join(', ');
-        query += ` AND t.priority IN (${placeholders})`;
-        queryParams.push(...filters.priority);
-        paramIndex += filters.priority.length;
-      } else {
-        query += ` AND t.priority = $${paramIndex}`;
-        queryParams.push(filters.priority);
-        paramIndex++;
-      }
+    if (rows[0]?.role === 'owner') {
+      await syncOwner(taskId, client);
     }
+    return rows[0];
+  },
 
-    if (filters.due_date_start) {
-      query += ` AND t.due_date >= $${paramIndex}`;
-      queryParams.push(filters.due_date_start);
-      paramIndex++;
-    }
+  /**
+   * Move a task to the trash. Its comments, attachments and daily updates are kept.
+   * @param {number} id - Task ID
+   * @param {number} deletedBy - ID of the user deleting the task
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Object>} - Deleted task, undefined if it was not found or already deleted
+   */
+  async softDelete(id, deletedBy, client = db) {
+    const { rows } = await client.query(
+      `UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+       WHERE id = $1 AND deleted_at IS NULL
+       RETURNING *`,
+      [id, deletedBy]
+    );
+    return rows[0];
+  },
 
-    if (filters.due_date_end) {
-      query += ` AND t.due_date <= $${paramIndex}`;
-      queryParams.push(filters.due_date_end);
-      paramIndex++;
-    }
+  /**
+   * Take a task out of the trash
+   * @param {number} id - Task ID
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Object>} - Restored task, undefined if it was not in the trash
+   */
+  async restore(id, client = db) {
+    const { rows } = await client.query(
+      `UPDATE tasks SET deleted_at = NULL, deleted_by = NULL
+       WHERE id = $1 AND deleted_at IS NOT NULL
+       RETURNING *`,
+      [id]
+    );
+    return rows[0];
+  },
 
-    // Add search term filter
-    if (filters.search) {
-      query += ` AND (
-        t.title ILIKE $${paramIndex} OR
-        t.description ILIKE $${paramIndex}
-      )`;
-      queryParams.push(`%${filters.search}%`);
-    }
+  /**
+   * Get a page of the task trash
+   * @param {Object} filters - project_id, deleted_by, search (title) and accessible_to
+   * @param {Object} options - Sort and page (see runListQuery)
+   * @returns {Promise<Object>} - rows, total and nextCursor
+   */
+  async findTrashPage(filters = {}, options = {}) {
+    return runListQuery(TASK_TRASH_LIST, filters, options);
+  },
 
-    const { rows } = await db.query(query, queryParams);
-    return parseInt(rows[0].count);
+  /**
+   * Lock the tasks that have been in the trash longer than the retention period.
+   * Tasks with daily updates are billing history and are never purged. Call inside a transaction.
+   * @param {number} retentionDays - Days a task stays in the trash
+   * @param {Object} client - Database client of the transaction
+   * @returns {Promise<Array>} - Tasks (id, title), without those locked by another run
+   */
+  async lockPurgeable(retentionDays, client) {
+    const { rows } = await client.query(
+      `SELECT t.id, t.title
+       FROM tasks t
+       WHERE t.deleted_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 day'
+         AND NOT EXISTS (SELECT 1 FROM daily_updates du WHERE du.task_id = t.id)
+       ORDER BY t.id
+       FOR UPDATE SKIP LOCKED`,
+      [retentionDays]
+    );
+    return rows;
+  },
+
+  /**
+   * Permanently delete tasks together with their comments, attachment rows and checklists
+   * @param {Array<number>} ids - Task IDs
+   * @param {Object} client - Database client (optional, for transactions)
+   */
+  async purge(ids, client = db) {
+    await client.query('DELETE FROM tasks WHERE id = ANY($1::int[])', [ids]);
   },
+
  
 async getMyProjectsTask(userId) {
   const query = `
@@ -551,8 +825,9 @@ async getMyProjectsTask(userId) {
       COUNT(t.id) as task_count
     FROM projects p
     INNER JOIN tasks t ON p.id = t.project_id
-    WHERE t.assignee_id = $1
-      AND t.status != 'completed'
+    WHERE ${taskAssigneeCondition('t', '$1')}
+      AND t.deleted_at IS NULL
+      AND ${taskStatusCategory('t')} IS DISTINCT FROM 'done'
     GROUP BY p.id, p.title
     ORDER BY p.title ASC
   `;
@@ -583,8 +858,8 @@ async findAllWithDailyUpdates(limit = 10, offset = 0, filters = {}) {
     LEFT JOIN users a ON t.assignee_id = a.id
     LEFT JOIN users c ON t.created_by = c.id
     INNER JOIN daily_updates du ON t.id = du.task_id
-    WHERE 1=1
-    AND t.status != 'completed'
+    WHERE t.deleted_at IS NULL
+    AND ${taskStatusCategory('t')} IS DISTINCT FROM 'done'
   `;
   
   const queryParams = [];
@@ -604,7 +879,7 @@ async findAllWithDailyUpdates(limit = 10, offset = 0, filters = {}) {
   }
 
   if (filters.assignee_id) {
-    query += ` AND t.assignee_id = $${paramIndex}`;
+    query += ` AND ${taskAssigneeCondition('t', `$${paramIndex}`)}`;
     queryParams.push(filters.assignee_id);
     paramIndex++;
   }
@@ -619,7 +894,7 @@ async findAllWithDailyUpdates(limit = 10, offset = 0, filters = {}) {
   }
 
   if (filters.working_for) {
-  query += ` AND a.working_for = $${paramIndex}`;
+  query += ` AND ${assigneeVendorCondition(`$${paramIndex}`)}`;
   queryParams.push(filters.working_for);
   paramIndex++;
 }
@@ -636,6 +911,13 @@ async findAllWithDailyUpdates(limit = 10, offset = 0, filters = {}) {
     paramIndex++;
   }
 
+  // Only tasks the user may see
+  if (filters.accessible_to) {
+    query += ` AND ${taskAccessCondition('t', `$${paramIndex}`)}`;
+    queryParams.push(filters.accessible_to);
+    paramIndex++;
+  }
+
   // Add sorting
   query += ' ORDER BY t.updated_at DESC';
 
@@ -670,8 +952,8 @@ async findAllWithDailyUpdatesData(limit = 10, offset = 0, filters = {}) {
     LEFT JOIN users a ON t.assignee_id = a.id
     LEFT JOIN users c ON t.created_by = c.id
     INNER JOIN daily_updates du ON t.id = du.task_id
-    WHERE 1=1
-    AND t.status != 'completed'
+    WHERE t.deleted_at IS NULL
+    AND ${taskStatusCategory('t')} IS DISTINCT FROM 'done'
   `;
   
   const queryParams = [];
@@ -679,7 +961,7 @@ async findAllWithDailyUpdatesData(limit = 10, offset = 0, filters = {}) {
 
   // ✅ Add filters with placeholders
   if (filters.vendor_id) {
-    query += ` AND a.working_for = $${paramIndex}`;
+    query += ` AND ${assigneeVendorCondition(`$${paramIndex}`)}`;
     queryParams.push(filters.vendor_id);
     paramIndex++;
   }
@@ -691,7 +973,7 @@ async findAllWithDailyUpdatesData(limit = 10, offset = 0, filters = {}) {
   }
 
   if (filters.assignee_id) {
-    query += ` AND t.assignee_id = $${paramIndex}`;
+    query += ` AND ${taskAssigneeCondition('t', `$${paramIndex}`)}`;
     queryParams.push(filters.assignee_id);
     paramIndex++;
   }
@@ -708,6 +990,13 @@ async findAllWithDailyUpdatesData(limit = 10, offset = 0, filters = {}) {
     paramIndex++;
   }
 
+  // Only tasks the user may see
+  if (filters.accessible_to) {
+    query += ` AND ${taskAccessCondition('t', `$${paramIndex}`)}`;
+    queryParams.push(filters.accessible_to);
+    paramIndex++;
+  }
+
   query += ' ORDER BY t.updated_at DESC';
 
   // ✅ Pagination
@@ -762,7 +1051,7 @@ async getVerificationsByUser(userId, limit = 10, offset = 0) {
   const query = `
     SELECT 
       tl.id,
-      tl.task_id,
+      tl.entity_id AS task_id,
       t.title as task_title,
       tl.action,
       tl.description,
@@ -771,12 +1060,14 @@ async getVerificationsByUser(userId, limit = 10, offset = 0) {
       a.first_name || ' ' || a.last_name as assignee_name,
       a.id as assignee_id,
       p.title as project_title
-    FROM task_logs tl
-    JOIN tasks t ON tl.task_id = t.id
+    FROM audit_logs tl
+    JOIN tasks t ON tl.entity_id = t.id
     LEFT JOIN users a ON t.assignee_id = a.id
     LEFT JOIN projects p ON t.project_id = p.id
-    WHERE tl.user_id = $1
+    WHERE tl.entity_type = 'task'
+      AND tl.actor_id = $1
       AND tl.action IN ('verify_completed', 'verify_rejected')
+      AND t.deleted_at IS NULL
     ORDER BY tl.created_at DESC
     LIMIT $2 OFFSET $3
   `;
@@ -791,9 +1082,12 @@ async getVerificationsByUser(userId, limit = 10, offset = 0) {
 async countVerificationsByUser(userId) {
   const query = `
     SELECT COUNT(*) as total
-    FROM task_logs
-    WHERE user_id = $1
-      AND action IN ('verify_completed', 'verify_rejected')
+    FROM audit_logs tl
+    JOIN tasks t ON tl.entity_id = t.id
+    WHERE tl.entity_type = 'task'
+      AND tl.actor_id = $1
+      AND tl.action IN ('verify_completed', 'verify_rejected')
+      AND t.deleted_at IS NULL
   `;
 
   const { rows } = await db.query(query, [userId]);
@@ -859,9 +1153,10 @@ async countTotalWithDailyUpdates(filters = {}) {
   let query = `
     SELECT COUNT(DISTINCT t.id) as total
     FROM tasks t
+    LEFT JOIN users a ON t.assignee_id = a.id
     INNER JOIN daily_updates du ON t.id = du.task_id
-    WHERE 1=1
-    AND t.status != 'completed'
+    WHERE t.deleted_at IS NULL
+    AND ${taskStatusCategory('t')} IS DISTINCT FROM 'done'
   `;
   
   const queryParams = [];
@@ -881,7 +1176,7 @@ async countTotalWithDailyUpdates(filters = {}) {
   }
 
   if (filters.assignee_id) {
-    query += ` AND t.assignee_id = $${paramIndex}`;
+    query += ` AND ${taskAssigneeCondition('t', `$${paramIndex}`)}`;
     queryParams.push(filters.assignee_id);
     paramIndex++;
   }
@@ -892,7 +1187,7 @@ async countTotalWithDailyUpdates(filters = {}) {
     paramIndex++;
   }
   if (filters.working_for) {
-  query += ` AND a.working_for = $${paramIndex}`;
+  query += ` AND ${assigneeVendorCondition(`$${paramIndex}`)}`;
   queryParams.push(filters.working_for);
   paramIndex++;
 }
@@ -909,6 +1204,13 @@ async countTotalWithDailyUpdates(filters = {}) {
     paramIndex++;
   }
 
+  // Only tasks the user may see
+  if (filters.accessible_to) {
+    query += ` AND ${taskAccessCondition('t', `$${paramIndex}`)}`;
+    queryParams.push(filters.accessible_to);
+    paramIndex++;
+  }
+
   const { rows } = await db.query(query, queryParams);
   return parseInt(rows[0].total);
 },
@@ -962,13 +1264,14 @@ async getMyDailyUpdatesWithFeedback(userId, limit = 10, offset = 0, filters = {}
     FROM daily_updates du
     JOIN tasks t ON du.task_id = t.id
     LEFT JOIN projects p ON t.project_id = p.id
-    LEFT JOIN task_logs tl ON (
-      tl.task_id = t.id 
+    LEFT JOIN audit_logs tl ON (
+      tl.entity_type = 'task'
+      AND tl.entity_id = t.id
       AND tl.action IN ('verify_completed', 'verify_rejected')
       AND tl.created_at >= du.created_at
     )
-    LEFT JOIN users v ON tl.user_id = v.id
-    WHERE du.user_id = $1
+    LEFT JOIN users v ON tl.actor_id = v.id
+    WHERE du.user_id = $1 AND t.deleted_at IS NULL
   `;
 
   const queryParams = [userId];
@@ -1014,7 +1317,7 @@ async countMyDailyUpdatesWithFeedback(userId, filters = {}) {
     SELECT COUNT(DISTINCT du.id) as total
     FROM daily_updates du
     JOIN tasks t ON du.task_id = t.id
-    WHERE du.user_id = $1
+    WHERE du.user_id = $1 AND t.deleted_at IS NULL
   `;
 
   const queryParams = [userId];
@@ -1102,76 +1405,42 @@ async getComments(taskId, limit = 50, offset = 0, filters = {}) {
 },
 
 /**
- * Get all feedback for a specific user with pagination and filters
+ * Get a page of the feedback written by a user, each with its replies
+ * @param {number} userId - Feedback author
+ * @param {Object} filters - project_id, task_id, reply_status and accessible_to (only tasks this user may see)
+ * @param {Object} options - Sort and page (see runListQuery)
+ * @returns {Promise<Object>} - rows (newest first), total and nextCursor
  */
-async getAllFeedback(limit = 50, offset = 0, userId, filters = {}) {
- 
-  let query = `
-    SELECT 
-      tc.*,
-      u.first_name || ' ' || u.last_name as user_name,
-      u.profile_image,
-      u.role,
-      t.id as task_id,
-      t.title as task_title,
-      t.project_id,
-      p.title as project_title
-    FROM task_comments tc
-    JOIN users u ON tc.user_id = u.id
-    JOIN tasks t ON tc.task_id = t.id
-    LEFT JOIN projects p ON t.project_id = p.id
-    WHERE tc.user_id = $1
-  `;
-
-  const queryParams = [userId];
-  let paramIndex = 2;
-
-  // Add filters
-  if (filters.project_id) {
-    query += ` AND t.project_id = $${paramIndex}`;
-    queryParams.push(filters.project_id);
-    paramIndex++;
-  }
-
-  if (filters.task_id) {
-    query += ` AND tc.task_id = $${paramIndex}`;
-    queryParams.push(filters.task_id);
-    paramIndex++;
-  }
-
-  if (filters.reply_status) {
-    query += ` AND tc.reply_status = $${paramIndex}`;
-    queryParams.push(filters.reply_status);
-    paramIndex++;
-  }
-
-  query += ` ORDER BY tc.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-  queryParams.push(limit, offset);
- 
-  const { rows } = await db.query(query, queryParams);
-  
-  // Get replies for each feedback
-  for (let feedback of rows) {
+async findFeedbackPage(userId, filters = {}, options = {}) {
+  const result = await runListQuery(FEEDBACK_LIST, { ...filters, user_id: userId }, options);
+  for (const feedback of result.rows) {
     feedback.replies = await this.getFeedbackReplies(feedback.id);
   }
-  
-  return rows;
+  return result;
 },
   /**
    * Get task statistics by status
+   * @param {number|null} projectId - Limit to one project
+   * @param {number|null} accessibleTo - Only tasks this user may see (null for all)
    */
-  async getTaskStats(projectId = null) {
+  async getTaskStats(projectId = null, accessibleTo = null) {
     let query = `
       SELECT 
         status,
         COUNT(*) as count
-      FROM tasks
+      FROM tasks t
+      WHERE t.deleted_at IS NULL
     `;
 
     const queryParams = [];
     if (projectId) {
-      query += ' WHERE project_id = $1';
       queryParams.push(projectId);
+      query += ` AND t.project_id = $${queryParams.length}`;
+    }
+
+    if (accessibleTo) {
+      queryParams.push(accessibleTo);
+      query += ` AND ${taskAccessCondition('t', `$${queryParams.length}`)}`;
     }
 
     query += ' GROUP BY status ORDER BY count DESC';
@@ -1184,11 +1453,11 @@ async getAllFeedback(limit = 50, offset = 0, userId, filters = {}) {
  * Add daily update to task (Updated to handle verification statuses)
  */
 async addDailyUpdate(updateData) {
-  const { task_id, user_id, content, update_date, status } = updateData;
+  const { task_id, user_id, content, update_date, status, requested_status } = updateData;
 
   const query = `
-    INSERT INTO daily_updates (task_id, user_id, content, update_date, status)
-    VALUES ($1, $2, $3, $4, $5)
+    INSERT INTO daily_updates (task_id, user_id, content, update_date, status, requested_status)
+    VALUES ($1, $2, $3, $4, $5, $6)
     RETURNING *
   `;
 
@@ -1197,90 +1466,46 @@ async addDailyUpdate(updateData) {
     user_id,
     content,
     update_date || new Date(),
-    status || 'new'  
+    status || 'new',
+    requested_status || null
   ];
 
   const { rows } = await db.query(query, values);
   return rows[0];
 },
 /**
- * Get all pending feedback for a specific user with pagination and filters
+ * Get a page of the feedback waiting for a reply from a vendor (on the tasks of their consultants) or task creator
+ * @param {number} userId - Vendor or task creator the feedback is waiting on
+ * @param {Object} filters - feedback_creator_id, project_id, task_id and accessible_to (only tasks this user may see)
+ * @param {Object} options - Sort and page (see runListQuery)
+ * @returns {Promise<Object>} - rows (newest first), total and nextCursor
  */
-async getPendingFeedback(userId, limit = 50, offset = 0, filters = {}) {
-  let query = `
-    SELECT 
-      tc.id,
-      tc.task_id,
-      t.title as task_title,
-      tc.content,
-      tc.reply_status,
-      tc.created_at,
-      tc.user_id as feedback_creator_id,
-      u.first_name || ' ' || u.last_name as feedback_creator_name,
-      u.profile_image as feedback_creator_image,
-      a.first_name || ' ' || a.last_name as assignee_name,
-      p.title as project_title,
-      p.id as project_id
-    FROM task_comments tc
-    JOIN tasks t ON tc.task_id = t.id
-    JOIN users u ON tc.user_id = u.id
-    JOIN users a ON t.assignee_id = a.id
-    LEFT JOIN projects p ON t.project_id = p.id
-    WHERE tc.reply_status = 'pending'
-      AND (
-        a.working_for = $1
-        OR t.created_by = $1
-      )
-  `;
-
-  const queryParams = [userId];
-  let paramIndex = 2;
-
-  // Add filters
-  if (filters.feedback_creator_id) {
-    query += ` AND tc.user_id = $${paramIndex}`;
-    queryParams.push(filters.feedback_creator_id);
-    paramIndex++;
-  }
-
-  if (filters.project_id) {
-    query += ` AND t.project_id = $${paramIndex}`;
-    queryParams.push(filters.project_id);
-    paramIndex++;
-  }
-
-  if (filters.task_id) {
-    query += ` AND tc.task_id = $${paramIndex}`;
-    queryParams.push(filters.task_id);
-    paramIndex++;
-  }
-
-  query += ` ORDER BY tc.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-  queryParams.push(limit, offset);
-
-  const { rows } = await db.query(query, queryParams);
-  return rows;
+async findPendingFeedbackPage(userId, filters = {}, options = {}) {
+  return runListQuery(PENDING_FEEDBACK_LIST, { ...filters, waiting_on: userId }, options);
 },
 /**
  * Get pending feedback with only task_id and task_title
+ * @param {number} userId - Vendor or task creator the feedback is waiting on
+ * @param {number|null} accessibleTo - Only tasks this user may see (null for all)
  */
-async getPendingFeedbackMin(userId) {
+async getPendingFeedbackMin(userId, accessibleTo = null) {
   const query = `
     SELECT DISTINCT
       tc.task_id,
       t.title as task_title
     FROM task_comments tc
     JOIN tasks t ON tc.task_id = t.id
-    JOIN users a ON t.assignee_id = a.id
     WHERE tc.reply_status = 'pending'
+      AND t.deleted_at IS NULL
       AND (
-        a.working_for = $1
+        ${assigneeVendorCondition('$1')}
         OR t.created_by = $1
       )
+      ${accessibleTo ? `AND ${taskAccessCondition('t', '$2')}` : ''}
     ORDER BY tc.task_id ASC
   `;
 
-  const { rows } = await db.query(query, [userId]);
+  const { rows } = await db.query(query, accessibleTo ? [userId, accessibleTo] : [userId]);
   return rows;
 },
   /**
@@ -1356,8 +1581,10 @@ async getPendingFeedbackMin(userId) {
 
   /**
    * Get overdue tasks
+   * @param {number} limit - Maximum number of tasks
+   * @param {number|null} accessibleTo - Only tasks this user may see (null for all)
    */
-  async getOverdueTasks(limit = 10) {
+  async getOverdueTasks(limit = 10, accessibleTo = null) {
     const query = `
       SELECT t.*,
         p.title as project_title,
@@ -1365,19 +1592,23 @@ async getPendingFeedbackMin(userId) {
       FROM tasks t
       LEFT JOIN projects p ON t.project_id = p.id
       LEFT JOIN users a ON t.assignee_id = a.id
-      WHERE t.due_date < CURRENT_DATE AND t.status NOT IN ('completed', 'cancelled')
+      WHERE t.due_date < CURRENT_DATE AND t.deleted_at IS NULL AND ${taskOpenCondition('t')}
+      ${accessibleTo ? `AND ${taskAccessCondition('t', '$2')}` : ''}
       ORDER BY t.due_date ASC
       LIMIT $1
     `;
 
-    const { rows } = await db.query(query, [limit]);
+    const { rows } = await db.query(query, accessibleTo ? [limit, accessibleTo] : [limit]);
     return rows;
   },
 
   /**
    * Get upcoming tasks due soon
+   * @param {number} days - Look-ahead window in days
+   * @param {number} limit - Maximum number of tasks
+   * @param {number|null} accessibleTo - Only tasks this user may see (null for all)
    */
-  async getUpcomingTasks(days = 7, limit = 10) {
+  async getUpcomingTasks(days = 7, limit = 10, accessibleTo = null) {
     const query = `
       SELECT t.*,
         p.title as project_title,
@@ -1387,12 +1618,14 @@ async getPendingFeedbackMin(userId) {
       LEFT JOIN users a ON t.assignee_id = a.id
       WHERE 
         t.due_date BETWEEN CURRENT_DATE AND (CURRENT_DATE + interval '${days} days')
-        AND t.status NOT IN ('completed', 'cancelled')
+        AND t.deleted_at IS NULL
+        AND ${taskOpenCondition('t')}
+        ${accessibleTo ? `AND ${taskAccessCondition('t', '$2')}` : ''}
       ORDER BY t.due_date ASC
       LIMIT $1
     `;
 
-    const { rows } = await db.query(query, [limit]);
+    const { rows } = await db.query(query, accessibleTo ? [limit, accessibleTo] : [limit]);
     return rows;
   }
 };
@@ -2,6 +2,92 @@
 // const bcrypt = require('bcrypt');
 import db from '../config/db.js';
 import bcrypt from 'bcrypt';
+import { runListQuery } from '../utils/listQuery.utils.js';
+
+/**
+ * User listing (GET /api/users), see runListQuery. User 999 is a special account and is never listed,
+ * deleted users are only listed in the trash.
+ */
+const USER_LIST = {
+  select: `u.id,
+    u.first_name,
+    u.last_name,
+    u.email,
+    u.role,
+    u.department,
+    u.position,
+    u.status,
+    u.designation,
+    u.type,
+    u.working_type,
+    u.working_for,
+    u.phone_no,
+    u.created_at,
+    u.updated_at,
+    COALESCE(v.company_name, uv.first_name || ' ' || uv.last_name) AS working_for_name`,
+  from: `users u
+    LEFT JOIN vendors v ON u.working_for = v.id
+    LEFT JOIN users uv ON u.working_for = uv.id`,
+  where: ['u.id != 999', 'u.deleted_at IS NULL'],
+  filters: {
+    status: (value, param) => `u.status = ${param(value)}`,
+    role: (value, param) => `u.role = ${param(value)}`,
+    search: (value, param) => {
+      const pattern = param(`%${value}%`);
+      return `((u.first_name || ' ' || u.last_name) ILIKE ${pattern} OR u.email ILIKE ${pattern})`;
+    }
+  },
+  sortFields: {
+    created_at: 'u.created_at',
+    first_name: 'u.first_name',
+    last_name: 'u.last_name',
+    email: 'u.email',
+    role: 'u.role',
+    status: 'u.status',
+    id: 'u.id'
+  },
+  defaultSort: 'created_at',
+  defaultOrder: 'desc',
+  idColumn: 'u.id'
+};
+
+/**
+ * User trash (GET /api/users/trash), see runListQuery
+ */
+const USER_TRASH_LIST = {
+  select: `u.id,
+    u.first_name,
+    u.last_name,
+    u.email,
+    u.role,
+    u.status,
+    u.working_for,
+    u.deleted_at,
+    u.deleted_by,
+    d.first_name || ' ' || d.last_name AS deleted_by_name,
+    EXISTS (SELECT 1 FROM daily_updates du WHERE du.user_id = u.id) AS has_daily_updates`,
+  from: `users u
+    LEFT JOIN users d ON u.deleted_by = d.id`,
+  where: ['u.deleted_at IS NOT NULL'],
+  filters: {
+    role: (value, param) => `u.role = ${param(value)}`,
+    search: (value, param) => {
+      const pattern = param(`%${value}%`);
+      return `((u.first_name || ' ' || u.last_name) ILIKE ${pattern} OR u.email ILIKE ${pattern})`;
+    }
+  },
+  sortFields: {
+    deleted_at: 'u.deleted_at',
+    first_name: 'u.first_name',
+    last_name: 'u.last_name',
+    email: 'u.email',
+    id: 'u.id'
+  },
+  defaultSort: 'deleted_at',
+  defaultOrder: 'desc',
+  idColumn: 'u.id'
+};
+
 /**
  * User Model
  * Handles database operations for the users table
@@ -9,14 +95,17 @@ import bcrypt from 'bcrypt';
 const UserModel = {
   /**
    * Create a new user
-   * @param {Object} userData - User information
+   * working_for must already be validated by the caller (user ID of the vendor, or null)
+   * @param {Object} userData - User information, including the plain password chosen by the user
+   * @param {Object} client - Database client (optional, for transactions)
    * @returns {Promise<Object>} - New user object
    */
-async create(userData) {
+async create(userData, client = db) {
   const {
     first_name,
     last_name,
     email,
+    password,
     role,
     department,
     position,
@@ -24,58 +113,20 @@ async create(userData) {
     designation,
     type,
     working_type,
-    working_for: providedworkingfor,
-    phone_no
+    working_for,
+    phone_no,
+    must_change_password = false
   } = userData;
 
-  const defaultPassword = 'kftask@123';
-
   // Hash password
   const salt = await bcrypt.genSalt(10);
-  const hashedPassword = await bcrypt.hash(defaultPassword, salt);
-
-  let working_for = 999; // Default fallback
-  let working_for_type = 'user'; // Default type
-
-  if (providedworkingfor) {
-    try {
-      // Check vendors table
-      const vendorCheck = await db.query(
-        `SELECT id FROM vendors WHERE id = $1`,
-        [providedworkingfor]
-      );
-
-      if (vendorCheck.rows.length > 0) {
-        working_for = providedworkingfor;
-        working_for_type = 'vendor';
-      } else {
-        // If not in vendors, check users table with role=vendor
-        const userVendorCheck = await db.query(
-          `SELECT id FROM users WHERE id = $1 AND role = 'vendor'`,
-          [providedworkingfor]
-        );
-
-        if (userVendorCheck.rows.length > 0) {
-          working_for = providedworkingfor;
-          working_for_type = 'vendor';
-        } else {
-          // fallback
-          working_for = 999;
-          working_for_type = 'user';
-        }
-      }
-    } catch (error) {
-      console.warn('Error checking vendor relationship:', error.message);
-      working_for = 999;
-      working_for_type = 'user';
-    }
-  }
+  const hashedPassword = await bcrypt.hash(password, salt);
 
   const query = `
     INSERT INTO users 
-    (first_name, last_name, email, password, role, department, position, profile_image, designation, type, working_type, working_for, phone_no)
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
-    RETURNING id, first_name, last_name, email, role, department, position, status, designation, type, working_type, working_for, phone_no, created_at
+    (first_name, last_name, email, password, role, department, position, profile_image, designation, type, working_type, working_for, phone_no, must_change_password)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    RETURNING id, first_name, last_name, email, role, department, position, status, designation, type, working_type, working_for, phone_no, must_change_password, created_at
   `;
 
   const values = [
@@ -90,27 +141,42 @@ async create(userData) {
     designation || null,
     type || null,
     working_type || null,
-    working_for,
-    phone_no || null
+    working_for || null,
+    phone_no || null,
+    Boolean(must_change_password)
   ];
 
-  try {
-    const { rows } = await db.query(query, values);
-    return rows[0];
-  } catch (error) {
-    throw error;
-  }
+  const { rows } = await client.query(query, values);
+  return rows[0];
 }
 
 ,
 
+  /**
+   * Find an active user with the vendor role (the value users' working_for points to)
+   * @param {number} id - User ID of the vendor
+   * @returns {Promise<Object>} - Vendor user with company_name, undefined if there is none
+   */
+  async findActiveVendor(id) {
+    const query = `
+      SELECT u.id, u.first_name, u.last_name, u.email, v.company_name
+      FROM users u
+      LEFT JOIN vendors v ON v.user_id = u.id
+      WHERE u.id = $1 AND u.role = 'vendor' AND u.status = 'active' AND u.deleted_at IS NULL
+      LIMIT 1
+    `;
+    const { rows } = await db.query(query, [id]);
+    return rows[0];
+  },
+
   /**
    * Find user by email
    * @param {string} email - User email
+   * @param {Object} options - includeDeleted: also find users in the trash (whose email is still taken)
    * @returns {Promise<Object>} - User object
    */
-  async findByEmail(email) {
-    const query = 'SELECT * FROM users WHERE email = $1';
+  async findByEmail(email, { includeDeleted = false } = {}) {
+    const query = `SELECT * FROM users WHERE email = $1 ${includeDeleted ? '' : 'AND deleted_at IS NULL'}`;
     const { rows } = await db.query(query, [email]);
     return rows[0];
   },
@@ -118,55 +184,64 @@ async create(userData) {
   /**
    * Find user by id
    * @param {number} id - User ID
+   * @param {Object} options - deleted: find the user in the trash instead
    * @returns {Promise<Object>} - User object
    */
-async findById(id) {
+async findById(id, { deleted = false } = {}) {
   const query = `
     SELECT id, first_name, last_name, email, role, department, 
-    position, status, profile_image, designation, type, working_type, working_for,phone_no, created_at, updated_at
-    FROM users WHERE id = $1
+    position, status, profile_image, designation, type, working_type, working_for,phone_no, must_change_password,
+    failed_login_attempts, locked_until, totp_enabled, created_at, updated_at, deleted_at, deleted_by
+    FROM users WHERE id = $1 AND deleted_at IS ${deleted ? 'NOT NULL' : 'NULL'}
   `;
   const { rows } = await db.query(query, [id]);
   return rows[0];
 },
 
   /**
-   * Get all users with pagination
-   * @param {number} limit - Number of results per page
-   * @param {number} offset - Pagination offset
-   * @returns {Promise<Array>} - Array of users
+   * Get a page of users
+   * @param {Object} filters - status, role and search (name or email)
+   * @param {Object} options - Sort and page (see runListQuery)
+   * @returns {Promise<Object>} - rows, total and nextCursor
    */
-async findAll(limit = 10, offset = 0) {
-const query = `
-  SELECT 
-    u.id, 
-    u.first_name, 
-    u.last_name, 
-    u.email, 
-    u.role, 
-    u.department, 
-    u.position, 
-    u.status, 
-    u.designation, 
-    u.type, 
-    u.working_type, 
-    u.working_for, 
-    u.phone_no, 
-    u.created_at, 
-    u.updated_at,
-    COALESCE(v.company_name, uv.first_name || ' ' || uv.last_name) AS working_for_name
-  FROM users u
-  LEFT JOIN vendors v ON u.working_for = v.id
-  LEFT JOIN users uv ON u.working_for = uv.id  
-  WHERE u.id != 999
-  ORDER BY u.created_at DESC
-  LIMIT $1 OFFSET $2
-`;
-
-const { rows } = await db.query(query, [limit, offset]);
-return rows;
+  async findPage(filters = {}, options = {}) {
+    return runListQuery(USER_LIST, filters, options);
+  },
+  /**
+   * Get users for the CSV/XLSX export, oldest first
+   * @param {Object} filters - status, role, visible_to (only that user and the users working for them)
+   * @returns {Promise<Array>} - Users with the export columns
+   */
+  async findForExport(filters = {}) {
+    const conditions = ['u.id != 999', 'u.deleted_at IS NULL'];
+    const values = [];
+
+    if (filters.status) {
+      values.push(filters.status);
+      conditions.push(`u.status = $${values.length}`);
+    }
+
+    if (filters.role) {
+      values.push(filters.role);
+      conditions.push(`u.role = $${values.length}`);
+    }
+
+    if (filters.visible_to) {
+      values.push(filters.visible_to);
+      conditions.push(`(u.id = $${values.length} OR u.working_for = $${values.length})`);
+    }
+
+    const query = `
+      SELECT u.email, u.first_name, u.last_name, u.role, u.department, u.position,
+             u.designation, u.type, u.working_type, u.working_for, u.phone_no
+      FROM users u
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY u.created_at ASC, u.id ASC
+    `;
+    const { rows } = await db.query(query, values);
+    return rows;
+  },
 
-},
 /**
  * Get all users' IDs and names with roles either 'employee' or 'consultant'
  * @returns {Promise<Array>} - Array of objects with id and name
@@ -179,7 +254,7 @@ async getAllUserIdsAndNamesforuser() {
   const query = `
     SELECT id, first_name || ' ' || last_name AS name
     FROM users
-    WHERE role IN ('employee', 'consultant')
+    WHERE role IN ('employee', 'consultant') AND deleted_at IS NULL
     ORDER BY id ASC
   `;
   const { rows } = await db.query(query);
@@ -196,7 +271,7 @@ async getAllUserIdsAndNamesforvendor() {
   const query = `
     SELECT id, first_name || ' ' || last_name AS name,role
     FROM users
-    WHERE role IN ('vendor', 'admin')
+    WHERE role IN ('vendor', 'admin') AND deleted_at IS NULL
     ORDER BY id ASC
   `;
   const { rows } = await db.query(query);
@@ -256,6 +331,7 @@ async update(id, userData) {
 
   /**
    * Update user password
+   * Setting a password also clears the "must change password" flag and any login lockout
    * @param {number} id - User ID
    * @param {string} password - New password
    * @returns {Promise<boolean>} - Success status
@@ -264,22 +340,200 @@ async update(id, userData) {
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
 
-    const query = 'UPDATE users SET password = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2';
+    const query = `
+      UPDATE users
+      SET password = $1,
+        must_change_password = FALSE,
+        failed_login_attempts = 0,
+        locked_until = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `;
     await db.query(query, [hashedPassword, id]);
     return true;
   },
 
   /**
-   * Delete a user
+   * Register a failed password for a user and lock the account once the
+   * threshold is reached. A lock that has already expired starts a new count.
+   * @param {number} id - User ID
+   * @param {number} maxAttempts - Failures before locking
+   * @param {number} lockoutMinutes - How long the lock lasts
+   * @returns {Promise<Object>} - failed_login_attempts, locked_until and just_locked
+   */
+  async registerFailedLogin(id, maxAttempts, lockoutMinutes) {
+    const query = `
+      WITH counted AS (
+        SELECT id,
+          CASE
+            WHEN locked_until IS NOT NULL AND locked_until <= CURRENT_TIMESTAMP THEN 1
+            ELSE COALESCE(failed_login_attempts, 0) + 1
+          END AS attempts
+        FROM users
+        WHERE id = $1
+      )
+      UPDATE users u
+      SET failed_login_attempts = c.attempts,
+        locked_until = CASE
+          WHEN c.attempts >= $2 THEN CURRENT_TIMESTAMP + ($3 * INTERVAL '1 minute')
+          ELSE NULL
+        END
+      FROM counted c
+      WHERE u.id = c.id
+      RETURNING u.failed_login_attempts, u.locked_until, (c.attempts >= $2) AS just_locked
+    `;
+    const { rows } = await db.query(query, [id, maxAttempts, lockoutMinutes]);
+    return rows[0];
+  },
+
+  /**
+   * Clear failed login counter and lock of a user
+   * @param {number} id - User ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  async clearFailedLogins(id) {
+    const query = `
+      UPDATE users
+      SET failed_login_attempts = 0, locked_until = NULL
+      WHERE id = $1
+    `;
+    const { rowCount } = await db.query(query, [id]);
+    return rowCount > 0;
+  },
+
+  /**
+   * Store a new (not yet confirmed) TOTP secret for a user.
+   * Refused while two-factor authentication is enabled so an active secret is never replaced.
+   * @param {number} id - User ID
+   * @param {string} encryptedSecret - Encrypted base32 secret
+   * @returns {Promise<boolean>} - True if the secret was stored
+   */
+  async setPendingTotpSecret(id, encryptedSecret) {
+    const query = `
+      UPDATE users
+      SET totp_secret = $1, totp_last_used_step = NULL
+      WHERE id = $2 AND COALESCE(totp_enabled, FALSE) = FALSE
+    `;
+    const { rowCount } = await db.query(query, [encryptedSecret, id]);
+    return rowCount > 0;
+  },
+
+  /**
+   * Turn on two-factor authentication once the pending secret has been confirmed
+   * @param {number} id - User ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  async enableTotp(id) {
+    const query = `
+      UPDATE users
+      SET totp_enabled = TRUE, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND totp_secret IS NOT NULL
+    `;
+    const { rowCount } = await db.query(query, [id]);
+    return rowCount > 0;
+  },
+
+  /**
+   * Turn off two-factor authentication and forget the secret
+   * @param {number} id - User ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  async disableTotp(id) {
+    const query = `
+      UPDATE users
+      SET totp_enabled = FALSE, totp_secret = NULL, totp_last_used_step = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `;
+    const { rowCount } = await db.query(query, [id]);
+    return rowCount > 0;
+  },
+
+  /**
+   * Remember the last accepted TOTP time step so a code cannot be replayed.
+   * Only succeeds if the step is newer than the one stored.
+   * @param {number} id - User ID
+   * @param {number} step - Accepted time step
+   * @returns {Promise<boolean>} - False if the step was already used
+   */
+  async markTotpStepUsed(id, step) {
+    const query = `
+      UPDATE users
+      SET totp_last_used_step = $1
+      WHERE id = $2 AND (totp_last_used_step IS NULL OR totp_last_used_step < $1)
+    `;
+    const { rowCount } = await db.query(query, [step, id]);
+    return rowCount > 0;
+  },
+
+  /**
+   * Move a user to the trash. They can no longer log in; their tasks, daily updates and
+   * project memberships are kept for when they are restored.
    * @param {number} id - User ID
+   * @param {number} deletedBy - ID of the user deleting the account
    * @returns {Promise<boolean>} - Success status
    */
-  async delete(id) {
-    const query = 'DELETE FROM users WHERE id = $1';
+  async softDelete(id, deletedBy) {
+    const query = `
+      UPDATE users SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+      WHERE id = $1 AND deleted_at IS NULL
+    `;
+    const { rowCount } = await db.query(query, [id, deletedBy]);
+    return rowCount > 0;
+  },
+
+  /**
+   * Take a user out of the trash
+   * @param {number} id - User ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  async restore(id) {
+    const query = `
+      UPDATE users SET deleted_at = NULL, deleted_by = NULL
+      WHERE id = $1 AND deleted_at IS NOT NULL
+    `;
     const { rowCount } = await db.query(query, [id]);
     return rowCount > 0;
   },
 
+  /**
+   * Get a page of the user trash
+   * @param {Object} filters - role and search (name or email)
+   * @param {Object} options - Sort and page (see runListQuery)
+   * @returns {Promise<Object>} - rows, total and nextCursor
+   */
+  async findTrashPage(filters = {}, options = {}) {
+    return runListQuery(USER_TRASH_LIST, filters, options);
+  },
+
+  /**
+   * Lock the users that have been in the trash longer than the retention period.
+   * Users with daily updates are billing history and are never purged. Call inside a transaction.
+   * @param {number} retentionDays - Days a user stays in the trash
+   * @param {Object} client - Database client of the transaction
+   * @returns {Promise<Array>} - Users (id, email), without those locked by another run
+   */
+  async lockPurgeable(retentionDays, client) {
+    const { rows } = await client.query(
+      `SELECT u.id, u.email
+       FROM users u
+       WHERE u.deleted_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 day'
+         AND NOT EXISTS (SELECT 1 FROM daily_updates du WHERE du.user_id = u.id)
+       ORDER BY u.id
+       FOR UPDATE SKIP LOCKED`,
+      [retentionDays]
+    );
+    return rows;
+  },
+
+  /**
+   * Permanently delete users together with their sessions, tokens, assignments and vendor profiles
+   * @param {Array<number>} ids - User IDs
+   * @param {Object} client - Database client (optional, for transactions)
+   */
+  async purge(ids, client = db) {
+    await client.query('DELETE FROM users WHERE id = ANY($1::int[])', [ids]);
+  },
+
   /**
    * Compare password with hashed password in DB
    * @param {string} password - Plain text password
@@ -290,15 +544,6 @@ async update(id, userData) {
     return await bcrypt.compare(password, hashedPassword);
   },
 
-  /**
-   * Count total users
-   * @returns {Promise<number>} - Total user count
-   */
-  async countTotal() {
-    const query = 'SELECT COUNT(*) FROM users';
-    const { rows } = await db.query(query);
-    return parseInt(rows[0].count);
-  },
 
   /**
    * Find users by vendor (working_for)
@@ -312,7 +557,7 @@ async update(id, userData) {
       SELECT id, first_name, last_name, email, role, department, 
       position, status, designation, type, working_type, working_for, created_at, updated_at
       FROM users
-      WHERE working_for = $1
+      WHERE working_for = $1 AND deleted_at IS NULL
       ORDER BY created_at DESC
       LIMIT $2 OFFSET $3
     `;
@@ -327,7 +572,7 @@ async update(id, userData) {
    * @returns {Promise<number>} - Total user count for vendor
    */
   async countByVendor(vendorId) {
-    const query = 'SELECT COUNT(*) FROM users WHERE working_for = $1';
+    const query = 'SELECT COUNT(*) FROM users WHERE working_for = $1 AND deleted_at IS NULL';
     const { rows } = await db.query(query, [vendorId]);
     return parseInt(rows[0].count);
   }
@@ -0,0 +1,111 @@
+import db from '../config/db.js';
+import { projectAccessCondition } from '../utils/projectAccess.utils.js';
+
+const VIEW_COLUMNS = `v.*, u.first_name || ' ' || u.last_name AS owner_name, p.title AS project_title`;
+
+const VIEW_JOINS = `
+  JOIN users u ON v.owner_id = u.id
+  LEFT JOIN projects p ON v.project_id = p.id`;
+
+/**
+ * View Model
+ * Handles database operations for the saved_views table (saved filters, sort and columns of a listing)
+ */
+const ViewModel = {
+  /**
+   * Get the views a user can apply: their own and those shared with the teams of their projects
+   * @param {number} userId - User ID
+   * @param {number|null} accessibleTo - Limit shared views to the projects of this user (null for all projects)
+   * @param {String|null} list - Only views of this listing
+   * @returns {Promise<Array>} - Views, own views first, by name
+   */
+  async findVisible(userId, accessibleTo, list = null) {
+    const params = [userId];
+    const conditions = [];
+
+    const shared = ["v.visibility = 'project'"];
+    if (accessibleTo) {
+      params.push(accessibleTo);
+      shared.push(projectAccessCondition('v.project_id', `$${params.length}`));
+    }
+    conditions.push(`(v.owner_id = $1 OR (${shared.join(' AND ')}))`);
+
+    if (list) {
+      params.push(list);
+      conditions.push(`v.list = $${params.length}`);
+    }
+
+    const { rows } = await db.query(
+      `SELECT ${VIEW_COLUMNS}, v.owner_id = $1 AS is_owner
+       FROM saved_views v
+       ${VIEW_JOINS}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY (v.owner_id = $1) DESC, LOWER(v.name) ASC, v.id ASC`,
+      params
+    );
+    return rows;
+  },
+
+  /**
+   * Find a view by ID
+   * @param {number} id - View ID
+   * @returns {Promise<Object>} - View
+   */
+  async findById(id) {
+    const { rows } = await db.query(
+      `SELECT ${VIEW_COLUMNS}
+       FROM saved_views v
+       ${VIEW_JOINS}
+       WHERE v.id = $1`,
+      [id]
+    );
+    return rows[0];
+  },
+
+  /**
+   * Create a view
+   * @param {Object} viewData - name, list, filters, sort_by, sort_order, columns, visibility and project_id
+   * @param {number} ownerId - Owner of the view
+   * @returns {Promise<Object>} - New view
+   */
+  async create(viewData, ownerId) {
+    const { name, list, filters = {}, sort_by, sort_order, columns, visibility = 'private', project_id } = viewData;
+    const { rows } = await db.query(
+      `INSERT INTO saved_views (name, list, filters, sort_by, sort_order, columns, visibility, project_id, owner_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id`,
+      [name, list, JSON.stringify(filters), sort_by || null, sort_order || null, columns || null, visibility, project_id || null, ownerId]
+    );
+    return this.findById(rows[0].id);
+  },
+
+  /**
+   * Update a view
+   * @param {number} id - View ID
+   * @param {Object} viewData - Complete view (name, list, filters, sort_by, sort_order, columns, visibility, project_id)
+   * @returns {Promise<Object>} - Updated view
+   */
+  async update(id, viewData) {
+    const { name, list, filters, sort_by, sort_order, columns, visibility, project_id } = viewData;
+    await db.query(
+      `UPDATE saved_views
+       SET name = $1, list = $2, filters = $3, sort_by = $4, sort_order = $5, columns = $6,
+           visibility = $7, project_id = $8, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $9`,
+      [name, list, JSON.stringify(filters), sort_by || null, sort_order || null, columns || null, visibility, project_id || null, id]
+    );
+    return this.findById(id);
+  },
+
+  /**
+   * Delete a view
+   * @param {number} id - View ID
+   * @returns {Promise<Boolean>} - True if deleted
+   */
+  async delete(id) {
+    const { rowCount } = await db.query('DELETE FROM saved_views WHERE id = $1', [id]);
+    return rowCount > 0;
+  }
+};
+
+export default ViewModel;
@@ -0,0 +1,161 @@
+import db from '../config/db.js';
+
+/**
+ * Workflow Model
+ * Handles database operations for the task_workflows, task_workflow_states and
+ * task_workflow_transitions tables. The workflow with project_id NULL is the global default.
+ */
+const WorkflowModel = {
+  /**
+   * Attach the states and transitions to a workflow row
+   * @param {Object} workflow - task_workflows row
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Object>} - Workflow with states (in display order) and transitions
+   */
+  async withDefinition(workflow, client = db) {
+    if (!workflow) {
+      return workflow;
+    }
+
+    const { rows: states } = await client.query(
+      `SELECT status, name, category, is_initial, position
+       FROM task_workflow_states
+       WHERE workflow_id = $1
+       ORDER BY position ASC, status ASC`,
+      [workflow.id]
+    );
+    const { rows: transitions } = await client.query(
+      `SELECT from_status, to_status, requires_verification
+       FROM task_workflow_transitions
+       WHERE workflow_id = $1
+       ORDER BY from_status ASC, to_status ASC`,
+      [workflow.id]
+    );
+
+    return { ...workflow, is_default: workflow.project_id === null, states, transitions };
+  },
+
+  /**
+   * Get the global default workflow
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Object>} - Workflow with states and transitions
+   */
+  async findDefault(client = db) {
+    const { rows } = await client.query('SELECT * FROM task_workflows WHERE project_id IS NULL');
+    return this.withDefinition(rows[0], client);
+  },
+
+  /**
+   * Get a project's own workflow, without falling back to the default
+   * @param {number} projectId - Project ID
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Object>} - Workflow, undefined if the project uses the default
+   */
+  async findByProject(projectId, client = db) {
+    const { rows } = await client.query('SELECT * FROM task_workflows WHERE project_id = $1', [projectId]);
+    return this.withDefinition(rows[0], client);
+  },
+
+  /**
+   * Get the workflow that applies to the tasks of a project: its own or the default
+   * @param {number|null} projectId - Project ID (null for tasks outside a project)
+   * @param {Object} client - Database client (optional, for transactions)
+   * @returns {Promise<Object>} - Workflow with states and transitions
+   */
+  async findForProject(projectId, client = db) {
+    const workflow = projectId ? await this.findByProject(projectId, client) : undefined;
+    return workflow || this.findDefault(client);
+  },
+
+  /**
+   * Get the statuses that tasks currently have under a workflow
+   * @param {number|null} projectId - Project whose own workflow is meant; null for the default
+   *   workflow, which covers tasks outside a project and in projects without their own workflow
+   * @returns {Promise<Array<String>>} - Distinct statuses
+   */
+  async findStatusesInUse(projectId) {
+    const query = projectId
+      ? 'SELECT DISTINCT status FROM tasks WHERE project_id = $1 ORDER BY status'
+      : `SELECT DISTINCT t.status FROM tasks t
+         WHERE t.project_id IS NULL
+           OR NOT EXISTS (SELECT 1 FROM task_workflows w WHERE w.project_id = t.project_id)
+         ORDER BY t.status`;
+    const { rows } = await db.query(query, projectId ? [projectId] : []);
+    return rows.map(row => row.status);
+  },
+
+  /**
+   * Create or replace a workflow: the project's own one, or the default when projectId is null
+   * @param {number|null} projectId - Project ID, null for the default workflow
+   * @param {Object} definition - name, states and transitions
+   * @param {number} userId - User saving the workflow
+   * @returns {Promise<Object>} - Saved workflow
+   */
+  async save(projectId, definition, userId) {
+    const { name, states, transitions } = definition;
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { rows: existing } = await client.query(
+        'SELECT id FROM task_workflows WHERE project_id IS NOT DISTINCT FROM $1::integer FOR UPDATE',
+        [projectId]
+      );
+      let workflowId;
+      if (existing[0]) {
+        workflowId = existing[0].id;
+        await client.query(
+          'UPDATE task_workflows SET name = $1, updated_by = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+          [name, userId, workflowId]
+        );
+        await client.query('DELETE FROM task_workflow_states WHERE workflow_id = $1', [workflowId]);
+      } else {
+        const { rows } = await client.query(
+          `INSERT INTO task_workflows (project_id, name, created_by, updated_by)
+           VALUES ($1, $2, $3, $3)
+           RETURNING id`,
+          [projectId, name, userId]
+        );
+        workflowId = rows[0].id;
+      }
+
+      // Transitions are removed together with their states
+      for (const [index, state] of states.entries()) {
+        await client.query(
+          `INSERT INTO task_workflow_states (workflow_id, status, name, category, is_initial, position)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [workflowId, state.status, state.name, state.category, Boolean(state.is_initial), index + 1]
+        );
+      }
+      for (const transition of transitions) {
+        await client.query(
+          `INSERT INTO task_workflow_transitions (workflow_id, from_status, to_status, requires_verification)
+           VALUES ($1, $2, $3, $4)`,
+          [workflowId, transition.from_status, transition.to_status, Boolean(transition.requires_verification)]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return projectId ? this.findByProject(projectId) : this.findDefault();
+  },
+
+  /**
+   * Remove a project's own workflow so that it uses the default again
+   * @param {number} projectId - Project ID
+   * @returns {Promise<boolean>} - Whether the project had its own workflow
+   */
+  async deleteByProject(projectId) {
+    const { rowCount } = await db.query('DELETE FROM task_workflows WHERE project_id = $1', [projectId]);
+    return rowCount > 0;
+  }
+};
+
+export default WorkflowModel;
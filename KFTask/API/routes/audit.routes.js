@@ -0,0 +1,210 @@
+import express from 'express';
+import { query } from 'express-validator';
+import AuditController from '../controllers/audit.controller.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { AUDIT_ENTITY_TYPES } from '../utils/audit.utils.js';
+
+const router = express.Router();
+
+const auditFilterValidation = [
+  query('entity_type').optional().isIn(AUDIT_ENTITY_TYPES).withMessage(`entity_type must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}`),
+  query('entity_id').optional().isInt({ min: 1 }).withMessage('entity_id must be a positive integer'),
+  query('actor_id').optional().isInt({ min: 1 }).withMessage('actor_id must be a positive integer'),
+  query('start_date').optional().isISO8601().withMessage('start_date must be a valid date'),
+  query('end_date').optional().isISO8601().withMessage('end_date must be a valid date')
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Audit trail of changes to users, projects, tasks, vendors and feedback
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         entity_type:
+ *           type: string
+ *           enum: [user, invite, project, task, vendor, feedback, role, api_token, setting, workflow, template, sprint, milestone]
+ *         entity_id:
+ *           type: integer
+ *           nullable: true
+ *           description: ID of the changed entity
+ *         action:
+ *           type: string
+ *           example: update
+ *         description:
+ *           type: string
+ *         changes:
+ *           type: object
+ *           nullable: true
+ *           description: "Changed fields as { field: { from, to } }. Secrets are recorded as '[redacted]'"
+ *           example: { status: { from: in_progress, to: completed } }
+ *         actor_id:
+ *           type: integer
+ *           nullable: true
+ *           description: User who made the change (null for anonymous actions)
+ *         actor_name:
+ *           type: string
+ *         actor_email:
+ *           type: string
+ *         ip_address:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *   parameters:
+ *     AuditEntityType:
+ *       in: query
+ *       name: entity_type
+ *       schema:
+ *         type: string
+ *         enum: [user, invite, project, task, vendor, feedback, role, api_token, setting, workflow, template, sprint, milestone]
+ *       description: Filter by entity type
+ *     AuditEntityId:
+ *       in: query
+ *       name: entity_id
+ *       schema:
+ *         type: integer
+ *       description: Filter by entity ID (combine with entity_type)
+ *     AuditActorId:
+ *       in: query
+ *       name: actor_id
+ *       schema:
+ *         type: integer
+ *       description: Filter by the user who made the change
+ *     AuditAction:
+ *       in: query
+ *       name: action
+ *       schema:
+ *         type: string
+ *       description: Filter by action (e.g. create, update, delete, login)
+ *     AuditSearch:
+ *       in: query
+ *       name: search
+ *       schema:
+ *         type: string
+ *       description: Search in the description
+ *     AuditStartDate:
+ *       in: query
+ *       name: start_date
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Entries on or after this date
+ *     AuditEndDate:
+ *       in: query
+ *       name: end_date
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Entries on or before this date
+ */
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Get the audit trail
+ *     description: Requires audit:read. With audit:read:own only the user's own entries and those of their consultants are returned.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditEntityType'
+ *       - $ref: '#/components/parameters/AuditEntityId'
+ *       - $ref: '#/components/parameters/AuditActorId'
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditSearch'
+ *       - $ref: '#/components/parameters/AuditStartDate'
+ *       - $ref: '#/components/parameters/AuditEndDate'
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Number of entries per page
+ *     responses:
+ *       200:
+ *         description: Audit entries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 logs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authenticateToken, auditFilterValidation, AuditController.getAuditLogs);
+
+/**
+ * @swagger
+ * /api/audit/export:
+ *   get:
+ *     summary: Export the audit trail as CSV
+ *     description: Takes the same filters as /api/audit and the same permissions apply. At most 10000 entries can be exported at once.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditEntityType'
+ *       - $ref: '#/components/parameters/AuditEntityId'
+ *       - $ref: '#/components/parameters/AuditActorId'
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditSearch'
+ *       - $ref: '#/components/parameters/AuditStartDate'
+ *       - $ref: '#/components/parameters/AuditEndDate'
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid filter or too many entries
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/export', authenticateToken, auditFilterValidation, AuditController.exportAuditLogs);
+
+export default router;
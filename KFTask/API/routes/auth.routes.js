@@ -1,10 +1,22 @@
 import express from 'express';
-import { check } from 'express-validator';
+import { check, query } from 'express-validator';
 import AuthController from '../controllers/auth.controller.js';
-import {authenticateToken} from '../middleware/auth.middleware.js';
+import TwoFactorController from '../controllers/twoFactor.controller.js';
+import ApiTokenController from '../controllers/apiToken.controller.js';
+import InviteController from '../controllers/invite.controller.js';
+import {authenticate, authenticateToken, authorize} from '../middleware/auth.middleware.js';
+import { loadInvite } from '../utils/resourceLoaders.utils.js';
+import { inviteValidation } from '../utils/invite.utils.js';
 
 const router = express.Router();
 
+// Routes a user still needs while their initial password has to be replaced
+// or while their role requires two-factor authentication they have not set up yet
+const authenticateAccountSetup = authenticate({ allowPasswordChange: true, allowTwoFactorSetup: true, allowApiTokens: false });
+
+// Account security routes need a real login; personal API tokens are rejected
+const authenticateSession = authenticate({ allowApiTokens: false });
+
 /**
  * @swagger
  * components:
@@ -23,31 +35,92 @@ const router = express.Router();
  *           type: string
  *           format: password
  *           description: User's password
- *     RegisterRequest:
+ *     Invite:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         email:
+ *           type: string
+ *           format: email
+ *         first_name:
+ *           type: string
+ *         last_name:
+ *           type: string
+ *         role:
+ *           type: string
+ *         department:
+ *           type: string
+ *         position:
+ *           type: string
+ *         designation:
+ *           type: string
+ *         type:
+ *           type: string
+ *         working_type:
+ *           type: string
+ *         working_for:
+ *           type: integer
+ *           nullable: true
+ *           description: User ID of the vendor the invitee will work for
+ *         phone_no:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *         invited_by:
+ *           type: integer
+ *         invited_by_name:
+ *           type: string
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         last_sent_at:
+ *           type: string
+ *           format: date-time
+ *         send_count:
+ *           type: integer
+ *         accepted_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         accepted_user_id:
+ *           type: integer
+ *           nullable: true
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     InviteRequest:
  *       type: object
  *       required:
  *         - first_name
  *         - last_name
- *         - designation
- *         - role
- *         - type
- *         - working_type
  *         - email
  *         - phone_no
  *       properties:
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Email address the invite is sent to
  *         first_name:
  *           type: string
- *           description: User's first name
+ *           description: Invitee's first name (can be changed when accepting)
  *         last_name:
  *           type: string
- *           description: User's last name
- *         designation:
- *           type: string
- *           description: User's designation
+ *           description: Invitee's last name (can be changed when accepting)
  *         role:
  *           type: string
- *           enum: [admin, manager, employee, consultant, vendor]
- *           description: User role
+ *           description: Role name from /api/roles. Defaults to employee, or consultant for vendors.
+ *         department:
+ *           type: string
+ *         position:
+ *           type: string
+ *         designation:
+ *           type: string
  *         type:
  *           type: string
  *           description: User type
@@ -56,14 +129,31 @@ const router = express.Router();
  *           description: Working type
  *         working_for:
  *           type: integer
- *           description: Vendor ID that the user is working for (optional)
- *         email:
+ *           description: User ID of an active vendor the invitee will work for. Vendors always invite into their own organisation.
+ *         phone_no:
  *           type: string
- *           format: email
- *           description: User's email address
+ *     AcceptInviteRequest:
+ *       type: object
+ *       required:
+ *         - token
+ *         - password
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Token from the invite link
+ *         password:
+ *           type: string
+ *           format: password
+ *           description: Password for the new account (min 6 characters)
+ *         first_name:
+ *           type: string
+ *           description: Overrides the first name from the invite (required if the invite has none)
+ *         last_name:
+ *           type: string
+ *           description: Overrides the last name from the invite (required if the invite has none)
  *         phone_no:
  *           type: string
- *           description: Phone number
+ *           description: Overrides the phone number from the invite
  *     ChangePasswordRequest:
  *       type: object
  *       required:
@@ -78,6 +168,178 @@ const router = express.Router();
  *           type: string
  *           format: password
  *           description: New password (min 6 characters)
+ *     ForgotPasswordRequest:
+ *       type: object
+ *       required:
+ *         - email
+ *       properties:
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Email address of the account
+ *     ResetPasswordRequest:
+ *       type: object
+ *       required:
+ *         - token
+ *         - newPassword
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Reset token from the emailed link
+ *         newPassword:
+ *           type: string
+ *           format: password
+ *           description: New password (min 6 characters)
+ *     RefreshTokenRequest:
+ *       type: object
+ *       required:
+ *         - refreshToken
+ *       properties:
+ *         refreshToken:
+ *           type: string
+ *           description: Refresh token returned by login or a previous refresh
+ *     TwoFactorLoginRequest:
+ *       type: object
+ *       required:
+ *         - challengeToken
+ *       properties:
+ *         challengeToken:
+ *           type: string
+ *           description: Challenge returned by /api/auth/login
+ *         code:
+ *           type: string
+ *           description: 6 digit code from the authenticator app
+ *           example: "123456"
+ *         recoveryCode:
+ *           type: string
+ *           description: One of the recovery codes, used instead of code
+ *           example: a1b2c-3d4e5
+ *     TwoFactorCodeRequest:
+ *       type: object
+ *       required:
+ *         - code
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: 6 digit code from the authenticator app
+ *           example: "123456"
+ *     TwoFactorDisableRequest:
+ *       type: object
+ *       required:
+ *         - password
+ *       properties:
+ *         password:
+ *           type: string
+ *           format: password
+ *         code:
+ *           type: string
+ *           description: 6 digit code from the authenticator app
+ *         recoveryCode:
+ *           type: string
+ *           description: Recovery code, used instead of code
+ *     TwoFactorPolicy:
+ *       type: object
+ *       required:
+ *         - requiredRoles
+ *       properties:
+ *         requiredRoles:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Roles that must use two-factor authentication (role names from /api/roles)
+ *           example: [admin, vendor]
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Session ID
+ *         user_id:
+ *           type: integer
+ *           description: Owner of the session
+ *         user_agent:
+ *           type: string
+ *           description: User agent that created the session
+ *         ip_address:
+ *           type: string
+ *           description: Last known IP address
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *           description: Last time the refresh token was used
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           description: True for the session of the calling token
+ *     ApiToken:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Token ID
+ *         user_id:
+ *           type: integer
+ *           description: Owner of the token
+ *         name:
+ *           type: string
+ *           description: Name given to the token
+ *         token_prefix:
+ *           type: string
+ *           description: First characters of the token, to recognise it
+ *           example: kft_1a2b3c4d
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Permissions the token may use ('*' for all permissions of the user)
+ *         read_only:
+ *           type: boolean
+ *           description: When true, only GET requests are allowed
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_used_ip:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         expired:
+ *           type: boolean
+ *           description: True once expires_at has passed
+ *     CreateApiTokenRequest:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: What the token is used for
+ *           example: Nightly report export
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Permissions from /api/roles/permissions the token may use, in addition to what the user's role grants (default ['*'])
+ *           example: [report:user-performance]
+ *         readOnly:
+ *           type: boolean
+ *           description: Only allow GET requests
+ *           default: false
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the token stops working (optional, never expires when omitted)
  *     UserProfile:
  *       type: object
  *       properties:
@@ -140,6 +402,24 @@ const router = express.Router();
  *                 token:
  *                   type: string
  *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Opaque refresh token, rotated on every use of /api/auth/refresh
+ *                 refreshTokenExpiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                 mustChangePassword:
+ *                   type: boolean
+ *                   description: When true, every route except change-password, profile, sessions and logout answers 403 until the password is changed
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                   description: Returned instead of the tokens when the account uses two-factor authentication; complete the login with /api/auth/login/2fa
+ *                 challengeToken:
+ *                   type: string
+ *                   description: Short-lived challenge for /api/auth/login/2fa (only with twoFactorRequired)
+ *                 twoFactorSetupRequired:
+ *                   type: boolean
+ *                   description: When true, the role requires two-factor authentication and only the account setup routes work until it is enabled
  *                 user:
  *                   type: object
  *                   properties:
@@ -164,6 +444,10 @@ const router = express.Router();
  *         description: Invalid credentials
  *       403:
  *         description: Account inactive or wrong role
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts (response includes lockedUntil)
+ *       429:
+ *         description: Too many failed attempts from this IP address
  *       500:
  *         description: Server error
  */
@@ -174,36 +458,68 @@ router.post('/login', [
 
 /**
  * @swagger
- * /api/auth/register:
+ * /api/auth/login/2fa:
  *   post:
- *     summary: Register a new user
- *     description: Only admins can create users with admin/manager roles
+ *     summary: Complete a login with a two-factor code
+ *     description: Exchanges the challenge returned by /api/auth/login and a TOTP or recovery code for the token pair
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     security: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/RegisterRequest'
+ *             $ref: '#/components/schemas/TwoFactorLoginRequest'
  *     responses:
- *       201:
- *         description: User registered successfully
+ *       200:
+ *         description: Login successful (same response as /api/auth/login, plus recoveryCodesRemaining when a recovery code was used)
  *       400:
- *         description: Validation error or email already exists
+ *         description: Validation error
+ *       401:
+ *         description: Invalid code or invalid/expired challenge
  *       403:
- *         description: Not authorized to create users with specific roles
+ *         description: Account inactive
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts from this IP address
  *       500:
  *         description: Server error
  */
-router.post('/register', [
-  check('first_name').notEmpty().withMessage('First name is required'),
-  check('last_name').notEmpty().withMessage('Last name is required'),
-  check('email').isEmail().withMessage('Please provide a valid email'),
-  check('phone_no').notEmpty().withMessage('Phone number is required'),
-  check('working_for').optional().isInt({ min: 1 }).withMessage('working_for must be a valid vendor ID')
-], authenticateToken, AuthController.register);
+router.post('/login/2fa', [
+  check('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  check('code').if(check('recoveryCode').not().exists()).notEmpty().withMessage('Code or recovery code is required')
+], AuthController.loginTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: The refresh token is rotated on every call. Reusing an old refresh token revokes the session.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenRequest'
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ *       403:
+ *         description: Account inactive
+ *       500:
+ *         description: Server error
+ */
+router.post('/refresh', [
+  check('refreshToken').notEmpty().withMessage('Refresh token is required')
+], AuthController.refresh);
 
 /**
  * @swagger
@@ -230,13 +546,14 @@ router.post('/register', [
  *       500:
  *         description: Server error
  */
-router.get('/profile', authenticateToken, AuthController.getProfile);
+router.get('/profile', authenticateAccountSetup, AuthController.getProfile);
 
 /**
  * @swagger
  * /api/auth/logout:
  *   post:
  *     summary: Log out current user
+ *     description: Revokes the current session, so its access and refresh tokens stop working
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -248,13 +565,113 @@ router.get('/profile', authenticateToken, AuthController.getProfile);
  *       500:
  *         description: Server error
  */
-router.post('/logout', authenticateToken, AuthController.logout);
+router.post('/logout', authenticateAccountSetup, AuthController.logout);
 
 /**
  * @swagger
- * /api/auth/change-password:
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: Lists the current user's active sessions. Admins can pass user_id to list another user's sessions.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: User whose sessions to list (requires session:manage for other users)
+ *     responses:
+ *       200:
+ *         description: List of sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to view these sessions
+ *       500:
+ *         description: Server error
+ */
+router.get('/sessions', authenticateAccountSetup, AuthController.getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Signs out one device. Users can revoke their own sessions; session:manage allows revoking any session.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       400:
+ *         description: Invalid ID or session already revoked
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/sessions/:id', authenticateAccountSetup, AuthController.revokeSession);
+
+/**
+ * @swagger
+ * /api/auth/tokens:
+ *   get:
+ *     summary: List personal API tokens
+ *     description: Lists the current user's API tokens that have not been revoked. session:manage allows passing user_id to list another user's tokens. Requires a login session, API tokens cannot call this route.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: User whose tokens to list (requires session:manage for other users)
+ *     responses:
+ *       200:
+ *         description: List of tokens (without secrets)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tokens:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiToken'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to view these tokens
+ *       500:
+ *         description: Server error
  *   post:
- *     summary: Change user password
+ *     summary: Create a personal API token
+ *     description: |
+ *       Creates a token that acts as the current user for scripts and integrations.
+ *       Send it as `Authorization: Bearer kft_...`. The token can only use permissions that both
+ *       the user's role and its scopes allow. The secret is returned only in this response.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -263,20 +680,558 @@ router.post('/logout', authenticateToken, AuthController.logout);
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/ChangePasswordRequest'
+ *             $ref: '#/components/schemas/CreateApiTokenRequest'
+ *     responses:
+ *       201:
+ *         description: Token created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 token:
+ *                   type: string
+ *                   description: The token secret, shown only once
+ *                 apiToken:
+ *                   $ref: '#/components/schemas/ApiToken'
+ *       400:
+ *         description: Validation error, unknown scope or expiry in the past
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Called with an API token
+ *       500:
+ *         description: Server error
+ */
+router.get('/tokens', authenticateSession, ApiTokenController.getTokens);
+router.post('/tokens', authenticateSession, [
+  check('name').trim().notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  check('scopes').optional().isArray({ min: 1 }).withMessage('scopes must be a non-empty array'),
+  check('scopes.*').isString().withMessage('Invalid scope'),
+  check('readOnly').optional().isBoolean().withMessage('readOnly must be a boolean').toBoolean(),
+  check('expiresAt').optional({ nullable: true }).isISO8601().withMessage('expiresAt must be a valid date')
+], ApiTokenController.createToken);
+
+/**
+ * @swagger
+ * /api/auth/tokens/{id}:
+ *   delete:
+ *     summary: Revoke a personal API token
+ *     description: The token stops working immediately. Users can revoke their own tokens; session:manage allows revoking any token.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Token ID
  *     responses:
  *       200:
- *         description: Password updated successfully
+ *         description: Token revoked
  *       400:
- *         description: Validation error
+ *         description: Invalid ID or token already revoked
  *       401:
- *         description: Current password is incorrect
+ *         description: Not authenticated
+ *       404:
+ *         description: Token not found
  *       500:
  *         description: Server error
  */
-router.post('/change-password', authenticateToken, [
-  check('currentPassword').notEmpty().withMessage('Current password is required'),
-  check('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
-], AuthController.changePassword);
+router.delete('/tokens/:id', authenticateSession, ApiTokenController.revokeToken);
+
+/**
+ * @swagger
+ * /api/auth/invites:
+ *   get:
+ *     summary: List invites
+ *     description: Requires user:invite. With user:invite:own only the invites sent by the user or for their organisation are listed.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *         description: Filter by status
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search in email and name
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Number of invites per page
+ *     responses:
+ *       200:
+ *         description: Invites, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 invites:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invite'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Invite a new user
+ *     description: |
+ *       Emails a signed link the invitee uses to choose a password and activate the account.
+ *       Requires user:invite; inviting admins or vendors also requires user:create-privileged.
+ *       With user:invite:own (vendors) only consultants can be invited, into the inviter's own organisation.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InviteRequest'
+ *     responses:
+ *       201:
+ *         description: Invite created. mailSent is false if the email could not be delivered.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 mailSent:
+ *                   type: boolean
+ *                 invite:
+ *                   $ref: '#/components/schemas/Invite'
+ *       400:
+ *         description: Validation error, email already registered or invited, invalid role or vendor
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized to invite this role or into this organisation
+ *       500:
+ *         description: Server error
+ */
+router.get('/invites', authenticateToken, [
+  query('status').optional().isIn(['pending', 'accepted', 'revoked', 'expired']).withMessage('status must be one of: pending, accepted, revoked, expired')
+], InviteController.getInvites);
+router.post('/invites', authenticateToken, inviteValidation, InviteController.createInvite);
+
+/**
+ * @swagger
+ * /api/auth/invites/accept:
+ *   get:
+ *     summary: Look up an invite link
+ *     description: Shows who the invite is for so the invitee can review it before choosing a password
+ *     tags: [Authentication]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the invite link
+ *     responses:
+ *       200:
+ *         description: Invite details
+ *       400:
+ *         description: Invalid, used, revoked or expired link
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Accept an invite
+ *     description: Creates the account with the role, department and organisation from the invite and the password chosen by the invitee. The link can only be used once.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AcceptInviteRequest'
+ *     responses:
+ *       201:
+ *         description: Account created
+ *       400:
+ *         description: Validation error or invalid, used, revoked or expired link
+ *       500:
+ *         description: Server error
+ */
+router.get('/invites/accept', [
+  query('token').notEmpty().withMessage('Invite token is required')
+], InviteController.getInviteByToken);
+router.post('/invites/accept', [
+  check('token').notEmpty().withMessage('Invite token is required'),
+  check('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  check('first_name').optional().trim().notEmpty().withMessage('First name must not be empty'),
+  check('last_name').optional().trim().notEmpty().withMessage('Last name must not be empty')
+], InviteController.acceptInvite);
+
+/**
+ * @swagger
+ * /api/auth/invites/{id}/resend:
+ *   post:
+ *     summary: Resend an invite
+ *     description: Emails a new link with a fresh expiry; earlier links stop working. Also works for expired invites.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Invite ID
+ *     responses:
+ *       200:
+ *         description: Invite resent
+ *       400:
+ *         description: Invite already accepted or revoked
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Invite not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/invites/:id/resend', authenticateToken, authorize.can('user:invite', loadInvite), InviteController.resendInvite);
+
+/**
+ * @swagger
+ * /api/auth/invites/{id}:
+ *   delete:
+ *     summary: Revoke an invite
+ *     description: The invite link stops working immediately
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Invite ID
+ *     responses:
+ *       200:
+ *         description: Invite revoked
+ *       400:
+ *         description: Invite already accepted or revoked
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Invite not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/invites/:id', authenticateToken, authorize.can('user:invite', loadInvite), InviteController.revokeInvite);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     description: Sends a single-use reset link by email. The response is the same whether or not the account exists.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Validation error
+ *       500:
+ *         description: Server error
+ */
+router.post('/forgot-password', [
+  check('email').isEmail().withMessage('Please provide a valid email')
+], AuthController.forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password with a reset token
+ *     description: Consumes the reset token, sets the new password and signs out all sessions of the user
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Validation error or invalid/expired/used token
+ *       500:
+ *         description: Server error
+ */
+router.post('/reset-password', [
+  check('token').notEmpty().withMessage('Reset token is required'),
+  check('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], AuthController.resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change user password
+ *     description: Also signs out all other sessions of the user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChangePasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Password updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Current password is incorrect
+ *       500:
+ *         description: Server error
+ */
+router.post('/change-password', authenticateAccountSetup, [
+  check('currentPassword').notEmpty().withMessage('Current password is required'),
+  check('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], AuthController.changePassword);
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Get two-factor authentication status of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: enabled, required and recoveryCodesRemaining
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/2fa', authenticateAccountSetup, TwoFactorController.getStatus);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new secret and its otpauth:// provisioning URI to render as a QR code. Nothing changes until it is confirmed with /api/auth/2fa/enable.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and otpauthUrl
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.post('/2fa/setup', authenticateAccountSetup, TwoFactorController.setup);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment and enable two-factor authentication
+ *     description: Returns recovery codes, which are only shown once
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorCodeRequest'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code, setup not started or already enabled
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.post('/2fa/enable', authenticateAccountSetup, [
+  check('code').notEmpty().withMessage('Code is required')
+], TwoFactorController.enable);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Not allowed when two-factor authentication is mandatory for the user's role
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorDisableRequest'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid code or not enabled
+ *       401:
+ *         description: Password is incorrect
+ *       403:
+ *         description: Two-factor authentication is mandatory for the role
+ *       500:
+ *         description: Server error
+ */
+router.post('/2fa/disable', authenticateSession, [
+  check('password').notEmpty().withMessage('Password is required'),
+  check('code').if(check('recoveryCode').not().exists()).notEmpty().withMessage('Code or recovery code is required')
+], TwoFactorController.disable);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Generate new recovery codes
+ *     description: The previous recovery codes stop working
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorCodeRequest'
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Invalid code or not enabled
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.post('/2fa/recovery-codes', authenticateSession, [
+  check('code').notEmpty().withMessage('Code is required')
+], TwoFactorController.regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/auth/2fa/policy:
+ *   get:
+ *     summary: Get the roles that must use two-factor authentication
+ *     description: Requires security:manage
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorPolicy'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Set the roles that must use two-factor authentication
+ *     description: Requires security:manage. Users of these roles without two-factor authentication can only use the account setup routes until they enroll.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorPolicy'
+ *     responses:
+ *       200:
+ *         description: Two-factor policy updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/2fa/policy', [authenticateToken, authorize.can('security:manage')], TwoFactorController.getPolicy);
+router.put('/2fa/policy', [
+  authenticateToken,
+  authorize.can('security:manage'),
+  check('requiredRoles').isArray().withMessage('requiredRoles must be an array'),
+  check('requiredRoles.*').isString().withMessage('Invalid role')
+], TwoFactorController.updatePolicy);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,265 @@
+import express from 'express';
+import { check } from 'express-validator';
+import MilestoneController from '../controllers/milestone.controller.js';
+import { authenticateToken, authorize } from '../middleware/auth.middleware.js';
+import { loadMilestone } from '../utils/resourceLoaders.utils.js';
+import { milestoneValidation } from '../utils/sprint.utils.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Milestones
+ *   description: Dated targets of a project, such as releases. Milestones are listed and created with /api/projects/{id}/milestones.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Milestone:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         project_id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: Release 2.0
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         due_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [open, completed]
+ *         completed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         task_count:
+ *           type: integer
+ *           description: Tasks in the milestone, cancelled ones left out
+ *         completed_task_count:
+ *           type: integer
+ *         progress:
+ *           type: integer
+ *           description: Percentage of the tasks that are completed
+ *         estimated_hours:
+ *           type: number
+ *         actual_hours:
+ *           type: number
+ *         is_overdue:
+ *           type: boolean
+ *           description: Open and past its due date
+ *         created_by:
+ *           type: integer
+ *     MilestoneRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Release 2.0
+ *         description:
+ *           type: string
+ *         due_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           example: 2026-12-15
+ *         status:
+ *           type: string
+ *           enum: [open, completed]
+ */
+
+/**
+ * @swagger
+ * /api/milestones/{id}:
+ *   get:
+ *     summary: Get a milestone with its tasks
+ *     tags: [Milestones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Milestone ID
+ *     responses:
+ *       200:
+ *         description: Milestone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 milestone:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Milestone'
+ *                     - type: object
+ *                       properties:
+ *                         tasks:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Milestone not found
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Update a milestone
+ *     description: Set status to completed when the milestone is reached. Needs project:update (own for project managers and owners).
+ *     tags: [Milestones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Milestone ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MilestoneRequest'
+ *     responses:
+ *       200:
+ *         description: Milestone updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to change this milestone
+ *       404:
+ *         description: Milestone not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a milestone
+ *     description: Its tasks are kept.
+ *     tags: [Milestones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Milestone ID
+ *     responses:
+ *       200:
+ *         description: Milestone deleted
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to delete this milestone
+ *       404:
+ *         description: Milestone not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authenticateToken, authorize.access(loadMilestone()), MilestoneController.getMilestoneById);
+router.put('/:id', [
+  authenticateToken,
+  authorize.can('project:update', loadMilestone('manager')),
+  ...milestoneValidation(true)
+], MilestoneController.updateMilestone);
+router.delete('/:id', authenticateToken, authorize.can('project:update', loadMilestone('manager')), MilestoneController.deleteMilestone);
+
+/**
+ * @swagger
+ * /api/milestones/{id}/tasks:
+ *   post:
+ *     summary: Add tasks to a milestone
+ *     description: The tasks must belong to the milestone's project; they leave any other milestone.
+ *     tags: [Milestones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Milestone ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaskIdsRequest'
+ *     responses:
+ *       200:
+ *         description: Tasks added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaskIdsResult'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to change this milestone
+ *       404:
+ *         description: Milestone not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/tasks', [
+  authenticateToken,
+  authorize.can('project:update', loadMilestone('manager')),
+  check('task_ids').isArray({ min: 1, max: 500 }).withMessage('task_ids must be an array of 1 to 500 task IDs'),
+  check('task_ids.*').isInt({ min: 1 }).withMessage('Task IDs must be positive integers').toInt()
+], MilestoneController.addTasks);
+
+/**
+ * @swagger
+ * /api/milestones/{id}/tasks/{taskId}:
+ *   delete:
+ *     summary: Take a task out of a milestone
+ *     tags: [Milestones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Milestone ID
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Task removed
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to change this milestone
+ *       404:
+ *         description: Milestone not found or task not in it
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id/tasks/:taskId', authenticateToken, authorize.can('project:update', loadMilestone('manager')), MilestoneController.removeTask);
+
+export default router;
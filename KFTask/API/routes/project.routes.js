@@ -1,7 +1,16 @@
 import express from 'express';
 import { check } from 'express-validator';
 import ProjectController from '../controllers/project.controller.js';
+import WorkflowController from '../controllers/workflow.controller.js';
+import ProjectTemplateController from '../controllers/projectTemplate.controller.js';
+import BoardController from '../controllers/board.controller.js';
+import SprintController from '../controllers/sprint.controller.js';
+import MilestoneController from '../controllers/milestone.controller.js';
 import { authenticateToken, authorize } from '../middleware/auth.middleware.js';
+import { loadProject, loadDeletedProject } from '../utils/resourceLoaders.utils.js';
+import { PROJECT_ROLES } from '../utils/projectAccess.utils.js';
+import { workflowValidation } from '../utils/workflow.utils.js';
+import { sprintValidation, milestoneValidation } from '../utils/sprint.utils.js';
 
 const router = express.Router();
 
@@ -206,15 +215,12 @@ const router = express.Router();
  *           minimum: 1
  *         role:
  *           type: string
- *           description: Role in the project
- *           default: member
- *           examples:
- *             - member
- *             - lead
- *             - developer
- *             - designer
- *             - analyst
- *             - tester
+ *           description: |
+ *             Role in the project. viewer can read the project and its tasks, contributor can also
+ *             work on tasks, manager can also update the project and its team, owner can also delete it.
+ *             Sending an existing member changes their role; only owners can grant or take away the owner role.
+ *           enum: [owner, manager, contributor, viewer]
+ *           default: contributor
  *     ProjectStats:
  *       type: object
  *       properties:
@@ -227,6 +233,33 @@ const router = express.Router();
  *         avg_duration:
  *           type: number
  *           description: Average project duration in days
+ *     ScheduledTask:
+ *       type: object
+ *       description: A task placed on the project schedule; times are hours from the project start
+ *       properties:
+ *         id:
+ *           type: integer
+ *         title:
+ *           type: string
+ *         status:
+ *           type: string
+ *         estimated_hours:
+ *           type: number
+ *         due_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         earliest_start:
+ *           type: number
+ *         earliest_finish:
+ *           type: number
+ *         latest_start:
+ *           type: number
+ *         latest_finish:
+ *           type: number
+ *         slack:
+ *           type: number
+ *           description: Hours the task can slip without delaying the project
  *     ErrorResponse:
  *       type: object
  *       properties:
@@ -250,13 +283,18 @@ const router = express.Router();
  *           description: Total number of items
  *         page:
  *           type: integer
- *           description: Current page number
+ *           nullable: true
+ *           description: Current page number (null when paging with a cursor)
  *         limit:
  *           type: integer
  *           description: Items per page
  *         pages:
  *           type: integer
  *           description: Total number of pages
+ *         next_cursor:
+ *           type: string
+ *           nullable: true
+ *           description: Pass as cursor to get the next page; null on the last page
  */
 
 /**
@@ -337,72 +375,773 @@ router.get('/stats', authenticateToken, ProjectController.getProjectStats);
  *       500:
  *         description: Server error
  */
-router.get('/ids-titles', authenticateToken, ProjectController.getAllProjectIdsAndTitles);
+router.get('/ids-titles', authenticateToken, ProjectController.getAllProjectIdsAndTitles);
+
+/**
+ * @swagger
+ * /api/projects/types:
+ *   get:
+ *     summary: Get all available project types
+ *     description: Retrieve list of all available project types with their labels and descriptions
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Project types retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 project_types:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       value:
+ *                         type: string
+ *                         description: Project type value
+ *                         example: "web_development"
+ *                       label:
+ *                         type: string
+ *                         description: Human-readable label
+ *                         example: "Web Development"
+ *                       description:
+ *                         type: string
+ *                         description: Description of the project type
+ *                         example: "Websites and web applications"
+ *                 total:
+ *                   type: integer
+ *                   description: Total number of project types
+ *             example:
+ *               project_types:
+ *                 - value: "internal"
+ *                 - value: "client_project"
+ *                 - value: "research"
+ *               total: 12
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/types', authenticateToken, ProjectController.getProjectTypes);
+
+/**
+ * @swagger
+ * /api/projects/{id}/tasks:
+ *   get:
+ *     summary: Get all tasks for a specific project
+ *     description: Retrieve all tasks belonging to a specific project with task details including assignee and creator information
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *         example: 1
+ *     responses:
+ *       200:
+ *         description: List of project tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 project:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                     title:
+ *                       type: string
+ *                       example: "Website Development"
+ *                     status:
+ *                       type: string
+ *                       example: "in_progress"
+ *                 tasks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Task'
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Project not found (also returned to users who are not on the project team)
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/tasks', authenticateToken, authorize.access(loadProject()), ProjectController.getProjectTasks);
+
+/**
+ * @swagger
+ * /api/projects/{id}/critical-path:
+ *   get:
+ *     summary: Get the critical path of a project
+ *     description: Computes the longest chain of finish-to-start task dependencies by estimated_hours (tasks without an estimate count as 0 hours; cancelled tasks are left out). Equally long chains are decided by the later due date. Every task gets its earliest and latest start and finish in hours from the project start, and its slack.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Critical path of the project
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 project_id:
+ *                   type: integer
+ *                 total_hours:
+ *                   type: number
+ *                   description: Estimated hours of the critical path
+ *                 path:
+ *                   type: array
+ *                   description: Tasks of the critical path, first to last
+ *                   items:
+ *                     $ref: '#/components/schemas/ScheduledTask'
+ *                 tasks:
+ *                   type: array
+ *                   description: All scheduled tasks of the project in dependency order
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/ScheduledTask'
+ *                       - type: object
+ *                         properties:
+ *                           critical:
+ *                             type: boolean
+ *                             description: True when the task has no slack
+ *                 due_date_conflicts:
+ *                   type: array
+ *                   description: Dependencies where the waiting task is due before the task it waits for
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       task_id:
+ *                         type: integer
+ *                       due_date:
+ *                         type: string
+ *                         format: date
+ *                       depends_on_task_id:
+ *                         type: integer
+ *                       depends_on_due_date:
+ *                         type: string
+ *                         format: date
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Project not found (also returned to users who are not on the project team)
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/critical-path', authenticateToken, authorize.access(loadProject()), ProjectController.getCriticalPath);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BoardTask:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         title:
+ *           type: string
+ *         status:
+ *           type: string
+ *         priority:
+ *           type: string
+ *         due_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         estimated_hours:
+ *           type: number
+ *           nullable: true
+ *         parent_task_id:
+ *           type: integer
+ *           nullable: true
+ *         board_rank:
+ *           type: number
+ *           description: Order within the column, lowest first
+ *         assignee_id:
+ *           type: integer
+ *           nullable: true
+ *         assignee_name:
+ *           type: string
+ *           nullable: true
+ *         is_blocked:
+ *           type: boolean
+ *           description: A task it depends on is still open
+ *     BoardColumn:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *         name:
+ *           type: string
+ *         category:
+ *           type: string
+ *           enum: [todo, in_progress, done, cancelled]
+ *         wip_limit:
+ *           type: integer
+ *           nullable: true
+ *         task_count:
+ *           type: integer
+ *         over_limit:
+ *           type: boolean
+ *           description: The column holds more tasks than its WIP limit (the limit was lowered, or tasks changed status outside the board)
+ *         tasks:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/BoardTask'
+ */
+
+/**
+ * @swagger
+ * /api/projects/{id}/board:
+ *   get:
+ *     summary: Get the Kanban board of a project
+ *     description: One column per state of the project's workflow, in workflow order, with the tasks in board order. Tasks are moved with PATCH /api/tasks/{id}/move.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Board
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 project_id:
+ *                   type: integer
+ *                 workflow:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     name:
+ *                       type: string
+ *                     is_default:
+ *                       type: boolean
+ *                 columns:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BoardColumn'
+ *                 unmapped_tasks:
+ *                   type: array
+ *                   description: Tasks whose status is not in the workflow (e.g. moved in from another project)
+ *                   items:
+ *                     $ref: '#/components/schemas/BoardTask'
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/board', authenticateToken, authorize.access(loadProject()), BoardController.getBoard);
+
+/**
+ * @swagger
+ * /api/projects/{id}/board/wip-limits:
+ *   put:
+ *     summary: Set the WIP limits of board columns
+ *     description: Columns that are not listed keep their limit; a null wip_limit removes it. Lowering a limit does not move tasks out of a column, it only stops new ones from coming in. Needs project:update (own for project managers and owners).
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - limits
+ *             properties:
+ *               limits:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - status
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                       example: in_progress
+ *                     wip_limit:
+ *                       type: integer
+ *                       nullable: true
+ *                       minimum: 1
+ *                       example: 5
+ *     responses:
+ *       200:
+ *         description: Limits saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 wip_limits:
+ *                   type: object
+ *                   description: Limit per status
+ *                   additionalProperties:
+ *                     type: integer
+ *       400:
+ *         description: Validation error or status not in the project's workflow
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to update this project
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/board/wip-limits', [
+  authenticateToken,
+  authorize.can('project:update', loadProject('manager')),
+  check('limits').isArray({ min: 1 }).withMessage('limits must be a non-empty array'),
+  check('limits.*.status').isString().trim().notEmpty().withMessage('Every limit needs a status'),
+  check('limits.*.wip_limit').optional({ values: 'null' }).isInt({ min: 1 })
+    .withMessage('wip_limit must be a positive integer or null').toInt()
+], BoardController.updateWipLimits);
+
+/**
+ * @swagger
+ * /api/projects/{id}/sprints:
+ *   get:
+ *     summary: Get the sprints of a project
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Sprints by start date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sprints:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Sprint'
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Plan a sprint
+ *     description: The sprint starts out planned; add tasks with POST /api/sprints/{id}/tasks and start it with POST /api/sprints/{id}/start. Needs project:update (own for project managers and owners).
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SprintRequest'
+ *               - type: object
+ *                 required:
+ *                   - name
+ *                   - start_date
+ *                   - end_date
+ *     responses:
+ *       201:
+ *         description: Sprint created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 sprint:
+ *                   $ref: '#/components/schemas/Sprint'
+ *       400:
+ *         description: Validation error or invalid dates
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to update this project
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/sprints', authenticateToken, authorize.access(loadProject()), SprintController.getProjectSprints);
+router.post('/:id/sprints', [
+  authenticateToken,
+  authorize.can('project:update', loadProject('manager')),
+  ...sprintValidation()
+], SprintController.createSprint);
+
+/**
+ * @swagger
+ * /api/projects/{id}/milestones:
+ *   get:
+ *     summary: Get the milestones of a project
+ *     tags: [Milestones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Milestones by due date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 milestones:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Milestone'
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Create a milestone
+ *     description: Needs project:update (own for project managers and owners).
+ *     tags: [Milestones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/MilestoneRequest'
+ *               - type: object
+ *                 required:
+ *                   - name
+ *     responses:
+ *       201:
+ *         description: Milestone created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 milestone:
+ *                   $ref: '#/components/schemas/Milestone'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to update this project
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/milestones', authenticateToken, authorize.access(loadProject()), MilestoneController.getProjectMilestones);
+router.post('/:id/milestones', [
+  authenticateToken,
+  authorize.can('project:update', loadProject('manager')),
+  ...milestoneValidation()
+], MilestoneController.createMilestone);
+
+/**
+ * @swagger
+ * /api/projects/{id}/workflow:
+ *   get:
+ *     summary: Get the workflow of a project
+ *     description: The project's own workflow, or the default workflow (is_default true) when it has none
+ *     tags: [Projects, Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Workflow used by the project's tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 workflow:
+ *                   $ref: '#/components/schemas/Workflow'
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Project not found (also returned to users who are not on the project team)
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Give a project its own workflow
+ *     description: Creates or replaces the project's workflow. Statuses the project's tasks still have must stay in it. Needs project:update on the project (project managers).
+ *     tags: [Projects, Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WorkflowRequest'
+ *     responses:
+ *       200:
+ *         description: Workflow saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 workflow:
+ *                   $ref: '#/components/schemas/Workflow'
+ *       400:
+ *         description: Validation error, inconsistent workflow, or tasks still have a status the workflow drops
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to update this project
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Go back to the default workflow
+ *     description: Removes the project's own workflow. Statuses the project's tasks have must exist in the default workflow. Needs project:update on the project.
+ *     tags: [Projects, Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Project uses the default workflow again
+ *       400:
+ *         description: Tasks still have a status the default workflow does not have
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to update this project
+ *       404:
+ *         description: Project not found, or it has no workflow of its own
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/workflow', authenticateToken, authorize.access(loadProject()), WorkflowController.getProjectWorkflow);
+router.put('/:id/workflow', [
+  authenticateToken,
+  authorize.can('project:update', loadProject('manager')),
+  ...workflowValidation
+], WorkflowController.updateProjectWorkflow);
+router.delete('/:id/workflow', authenticateToken, authorize.can('project:update', loadProject('manager')), WorkflowController.resetProjectWorkflow);
 
 /**
  * @swagger
- * /api/projects/types:
- *   get:
- *     summary: Get all available project types
- *     description: Retrieve list of all available project types with their labels and descriptions
+ * /api/projects/from-template/{templateId}:
+ *   post:
+ *     summary: Create a project from a template
+ *     description: >
+ *       Creates the project with the template's tasks. Each task is due its due_offset_days after
+ *       start_date and is assigned to the team member holding its default_role; the creator is the
+ *       owner, manager_id (default the creator) the manager, and team_members join with their roles.
+ *       Fields left out come from the template (description, priority, project_type; end_date from duration_days).
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Template ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - start_date
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: Acme website relaunch
+ *               start_date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2026-11-02"
+ *               end_date:
+ *                 type: string
+ *                 format: date
+ *               description:
+ *                 type: string
+ *               client_id:
+ *                 type: integer
+ *               manager_id:
+ *                 type: integer
+ *               budget:
+ *                 type: number
+ *               department:
+ *                 type: string
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high, urgent]
+ *               project_type:
+ *                 type: string
+ *               team_members:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - user_id
+ *                     - role
+ *                   properties:
+ *                     user_id:
+ *                       type: integer
+ *                     role:
+ *                       type: string
+ *                       enum: [viewer, contributor, manager, owner]
  *     responses:
- *       200:
- *         description: Project types retrieved successfully
+ *       201:
+ *         description: Project created
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 project_types:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       value:
- *                         type: string
- *                         description: Project type value
- *                         example: "web_development"
- *                       label:
- *                         type: string
- *                         description: Human-readable label
- *                         example: "Web Development"
- *                       description:
- *                         type: string
- *                         description: Description of the project type
- *                         example: "Websites and web applications"
- *                 total:
+ *                 message:
+ *                   type: string
+ *                 project:
+ *                   $ref: '#/components/schemas/Project'
+ *                 tasks_created:
  *                   type: integer
- *                   description: Total number of project types
- *             example:
- *               project_types:
- *                 - value: "internal"
- *                 - value: "client_project"
- *                 - value: "research"
- *               total: 12
+ *       400:
+ *         description: Validation error or unknown user
  *       401:
  *         description: Not authenticated
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Template not found
  *       500:
  *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/types', authenticateToken, ProjectController.getProjectTypes);
+router.post('/from-template/:templateId', [
+  authenticateToken,
+  check('title').trim().notEmpty().withMessage('Title is required')
+    .isLength({ max: 255 }).withMessage('Title must be at most 255 characters'),
+  check('start_date').notEmpty().withMessage('Start date is required')
+    .isISO8601().withMessage('Start date must be a valid date'),
+  check('end_date').optional({ values: 'null' }).isISO8601().withMessage('End date must be a valid date'),
+  check('client_id').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Client ID must be a positive integer').toInt(),
+  check('manager_id').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Manager ID must be a positive integer').toInt(),
+  check('priority').optional().isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Priority must be one of: low, medium, high, urgent'),
+  check('team_members').optional().isArray().withMessage('team_members must be an array'),
+  check('team_members.*.user_id').isInt({ min: 1 }).withMessage('Every team member needs a user_id').toInt(),
+  check('team_members.*.role').isIn(PROJECT_ROLES)
+    .withMessage(`Team member roles must be one of: ${PROJECT_ROLES.join(', ')}`)
+], ProjectTemplateController.createProjectFromTemplate);
 
 /**
  * @swagger
- * /api/projects/{id}/tasks:
- *   get:
- *     summary: Get all tasks for a specific project
- *     description: Retrieve all tasks belonging to a specific project with task details including assignee and creator information
+ * /api/projects/{id}/save-as-template:
+ *   post:
+ *     summary: Save a project as a template
+ *     description: >
+ *       Copies the project's tasks (except cancelled ones) into a new template. Due dates become
+ *       offsets from the project start date and each task's default role is the project role of its owner.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -413,31 +1152,32 @@ router.get('/types', authenticateToken, ProjectController.getProjectTypes);
  *         schema:
  *           type: integer
  *         description: Project ID
- *         example: 1
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Defaults to the project title
+ *               description:
+ *                 type: string
+ *                 description: Defaults to the project description
  *     responses:
- *       200:
- *         description: List of project tasks
+ *       201:
+ *         description: Template created
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 project:
- *                   type: object
- *                   properties:
- *                     id:
- *                       type: integer
- *                       example: 1
- *                     title:
- *                       type: string
- *                       example: "Website Development"
- *                     status:
- *                       type: string
- *                       example: "in_progress"
- *                 tasks:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Task'
+ *                 message:
+ *                   type: string
+ *                 template:
+ *                   $ref: '#/components/schemas/ProjectTemplate'
+ *       400:
+ *         description: Validation error or project without tasks
  *       401:
  *         description: Not authenticated
  *       404:
@@ -445,13 +1185,19 @@ router.get('/types', authenticateToken, ProjectController.getProjectTypes);
  *       500:
  *         description: Server error
  */
-router.get('/:id/tasks', authenticateToken, ProjectController.getProjectTasks);
+router.post('/:id/save-as-template', [
+  authenticateToken,
+  authorize.access(loadProject()),
+  check('name').optional().trim().notEmpty().withMessage('Name cannot be empty')
+    .isLength({ max: 255 }).withMessage('Name must be at most 255 characters'),
+  check('description').optional({ values: 'null' }).isString().withMessage('Description must be text')
+], ProjectTemplateController.saveProjectAsTemplate);
 
 /**
  * @swagger
  * /api/projects/my:
  *   get:
- *     summary: Get my projects (made by me or assigned to me)
+ *     summary: Get my projects (those I am a team member of)
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -581,7 +1327,7 @@ router.get('/priorities', authenticateToken, ProjectController.getProjectPriorit
  * /api/projects:
  *   get:
  *     summary: Get all projects with pagination and filters
- *     description: Retrieve a paginated list of projects with optional filtering and sorting
+ *     description: Retrieve a paginated list of projects with optional filtering and sorting. Only projects the user is a team member of are listed, unless they have the project:access-all permission.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -654,16 +1400,21 @@ router.get('/priorities', authenticateToken, ProjectController.getProjectPriorit
  *         name: sort_by
  *         schema:
  *           type: string
- *           enum: [title, created_at, start_date, end_date, status, priority, budget]
+ *           enum: [title, created_at, updated_at, start_date, end_date, status, priority, budget, id]
  *           default: created_at
- *         description: Field to sort by
+ *         description: Field to sort by; rows without a value come last
  *       - in: query
  *         name: sort_order
  *         schema:
  *           type: string
  *           enum: [asc, desc]
  *           default: desc
- *         description: Sort order (ascending or descending)
+ *         description: Sort order
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: next_cursor of the previous page. Continues after the last row of that page (page is then ignored); keep the same filters and sort.
  *     responses:
  *       200:
  *         description: List of projects retrieved successfully
@@ -694,6 +1445,8 @@ router.get('/priorities', authenticateToken, ProjectController.getProjectPriorit
  *                 page: 1
  *                 limit: 10
  *                 pages: 5
+ *       400:
+ *         description: Unknown sort_by or invalid cursor
  *       401:
  *         description: Not authenticated
  *         content:
@@ -709,12 +1462,111 @@ router.get('/priorities', authenticateToken, ProjectController.getProjectPriorit
  */
 router.get('/', authenticateToken, ProjectController.getAllProjects);
 
+/**
+ * @swagger
+ * /api/projects/trash:
+ *   get:
+ *     summary: Get the project trash
+ *     description: Deleted projects the user is a member of, most recently deleted first. Users with project:access-all see every deleted project.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Results per page
+ *       - in: query
+ *         name: deleted_by
+ *         schema:
+ *           type: integer
+ *         description: Filter by the user who deleted the project
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for the title
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           enum: [deleted_at, title, id]
+ *           default: deleted_at
+ *         description: Field to sort by
+ *       - in: query
+ *         name: sort_order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Sort order
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: next_cursor of the previous page. Continues after the last row of that page (page is then ignored); keep the same filters and sort.
+ *     responses:
+ *       200:
+ *         description: Deleted projects
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 projects:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Project'
+ *                       - type: object
+ *                         properties:
+ *                           deleted_at:
+ *                             type: string
+ *                             format: date-time
+ *                           deleted_by:
+ *                             type: integer
+ *                           deleted_by_name:
+ *                             type: string
+ *                           task_count:
+ *                             type: integer
+ *                             description: Tasks deleted with the project, restored with it
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationResponse'
+ *       400:
+ *         description: Unknown sort_by or invalid cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/trash', authenticateToken, ProjectController.getDeletedProjects);
+
 /**
  * @swagger
  * /api/projects/{id}:
  *   get:
  *     summary: Get project by ID
- *     description: Retrieve detailed information about a specific project including team members
+ *     description: Retrieve detailed information about a specific project including team members and the caller's project role (my_role). Non-members get a 404.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -766,7 +1618,7 @@ router.get('/', authenticateToken, ProjectController.getAllProjects);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
- *         description: Project not found
+ *         description: Project not found (also returned to users who are not on the project team)
  *         content:
  *           application/json:
  *             schema:
@@ -778,7 +1630,7 @@ router.get('/', authenticateToken, ProjectController.getAllProjects);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/:id', authenticateToken, ProjectController.getProjectById);
+router.get('/:id', authenticateToken, authorize.access(loadProject()), ProjectController.getProjectById);
 
 /**
  * @swagger
@@ -1068,6 +1920,7 @@ router.post('/', [
  */
 router.put('/:id', [
   authenticateToken,
+  authorize.can('project:update', loadProject('manager')),
   check('title')
    .optional()
     .notEmpty()
@@ -1129,7 +1982,7 @@ router.put('/:id', [
  * /api/projects/{id}:
  *   delete:
  *     summary: Delete a project
- *     description: Delete a project permanently. Only project manager or admin can delete the project.
+ *     description: Move a project and its tasks to the trash, from where they can be restored until they are purged (see Trash). Requires project:delete, or project:delete:own and the owner project role.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -1180,14 +2033,75 @@ router.put('/:id', [
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete('/:id', authenticateToken, ProjectController.deleteProject);
+router.delete('/:id', authenticateToken, authorize.can('project:delete', loadProject('owner')), ProjectController.deleteProject);
+
+/**
+ * @swagger
+ * /api/projects/{id}/restore:
+ *   post:
+ *     summary: Restore a project from the trash
+ *     description: Takes a deleted project out of the trash, with the tasks that were deleted along with it. Needs the same permission as deleting it.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Project ID
+ *         example: 1
+ *     responses:
+ *       200:
+ *         description: Project restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Project restored successfully"
+ *                 project:
+ *                   $ref: '#/components/schemas/Project'
+ *                 restored_task_count:
+ *                   type: integer
+ *                   example: 12
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Not authorized to restore this project
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Project not found in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:id/restore', authenticateToken, authorize.can('project:delete', loadDeletedProject), ProjectController.restoreProject);
 
 /**
  * @swagger
  * /api/projects/{id}/team:
  *   post:
  *     summary: Add team member to project
- *     description: Add a new team member to a project. Only project manager or admin can modify the team.
+ *     description: Add a new team member to a project or change a member's project role. Requires project:manage-team, or project:manage-team:own and the manager or owner project role.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -1207,24 +2121,24 @@ router.delete('/:id', authenticateToken, ProjectController.deleteProject);
  *           schema:
  *             $ref: '#/components/schemas/AddTeamMemberRequest'
  *           examples:
- *             developer:
- *               summary: Add Developer
- *               description: Add a developer to the project team
+ *             contributor:
+ *               summary: Add Contributor
+ *               description: Add a team member who works on the project's tasks
  *               value:
  *                 user_id: 5
- *                 role: "developer"
- *             designer:
- *               summary: Add Designer
- *               description: Add a UI/UX designer to the project team
+ *                 role: "contributor"
+ *             viewer:
+ *               summary: Add Viewer
+ *               description: Give read-only access to the project
  *               value:
  *                 user_id: 8
- *                 role: "designer"
- *             team_lead:
- *               summary: Add Team Lead
- *               description: Add a team lead to the project
+ *                 role: "viewer"
+ *             manager:
+ *               summary: Add Manager
+ *               description: Add a member who can manage the project and its team
  *               value:
  *                 user_id: 3
- *                 role: "lead"
+ *                 role: "manager"
  *     responses:
  *       200:
  *         description: Team member added successfully
@@ -1247,7 +2161,7 @@ router.delete('/:id', authenticateToken, ProjectController.deleteProject);
  *                       example: 5
  *                     role:
  *                       type: string
- *                       example: "developer"
+ *                       example: "contributor"
  *                     joined_at:
  *                       type: string
  *                       format: date-time
@@ -1287,13 +2201,7 @@ router.delete('/:id', authenticateToken, ProjectController.deleteProject);
  *             example:
  *               message: "You do not have permission to modify project team"
  *       404:
- *         description: Project not found
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- *       409:
- *         description: User already exists in project team
+ *         description: Project or user not found
  *         content:
  *           application/json:
  *             schema:
@@ -1307,6 +2215,7 @@ router.delete('/:id', authenticateToken, ProjectController.deleteProject);
  */
 router.post('/:id/team', [
   authenticateToken,
+  authorize.can('project:manage-team', loadProject('manager')),
   check('user_id')
     .notEmpty()
     .withMessage('User ID is required')
@@ -1314,10 +2223,8 @@ router.post('/:id/team', [
     .withMessage('User ID must be a positive integer'),
   check('role')
     .optional()
-    .isString()
-    .withMessage('Role must be a string')
-    .isLength({ min: 1, max: 50 })
-    .withMessage('Role must be between 1 and 50 characters')
+    .isIn(PROJECT_ROLES)
+    .withMessage(`Role must be one of: ${PROJECT_ROLES.join(', ')}`)
 ], ProjectController.addTeamMember);
 
 /**
@@ -1325,7 +2232,7 @@ router.post('/:id/team', [
  * /api/projects/{id}/team/{userId}:
  *   delete:
  *     summary: Remove team member from project
- *     description: Remove a team member from the project. Only project manager or admin can modify the team.
+ *     description: Remove a team member from the project. Requires project:manage-team, or project:manage-team:own and the manager or owner project role. Only owners can remove an owner and the last owner cannot be removed.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -1395,6 +2302,7 @@ router.post('/:id/team', [
  */
 router.delete('/:id/team/:userId', [
   authenticateToken,
+  authorize.can('project:manage-team', loadProject('manager')),
   check('id')
     .isInt({ min: 1 })
     .withMessage('Project ID must be a positive integer'),
@@ -1,7 +1,7 @@
 import express from 'express';
 const router = express.Router();
 
-import {getProjectStatusReport,getTaskReport,getUserLogsReport,getUserPerformanceReport,getVendorPerformanceReport,exportReport} from '../controllers/report.controller.js';
+import {getProjectStatusReport,getTaskReport,getUserPerformanceReport,getVendorPerformanceReport,exportReport} from '../controllers/report.controller.js';
 import { authenticateToken, authorize } from '../middleware/auth.middleware.js'
 
 /**
@@ -212,7 +212,7 @@ router.get('/tasks', authenticateToken, getTaskReport);
 router.get(
   '/user-performance',
   authenticateToken,
-  authorize(['admin', 'manager', 'vendor']), 
+  authorize.can('report:user-performance'),
   getUserPerformanceReport
 );
 /**
@@ -371,55 +371,4 @@ router.get('/vendor-performance', authenticateToken, getVendorPerformanceReport)
  */
 router.post('/export', authenticateToken, exportReport);
 
-/**
- * @swagger
- * /api/reports/user-logs:
- *   get:
- *     summary: Get employee user activity logs report
- *     tags: [Reports]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: user_id
- *         schema:
- *           type: integer
- *         description: Filter by user ID
- *       - in: query
- *         name: action
- *         schema:
- *           type: string
- *         description: Filter by action type
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number for pagination
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *           default: 20
- *         description: Number of items per page
- *     responses:
- *       200:
- *         description: Employee user logs retrieved successfully with pagination
- *       401:
- *         description: Unauthorized
- *       403:
- *         description: Forbidden - Insufficient permissions
- *       500:
- *         description: Server error
- */
-router.get(
-  '/user-logs', 
-  authenticateToken, 
-  authorize(['admin','vendor']), 
-  getUserLogsReport
-);
-
 export default router;
\ No newline at end of file
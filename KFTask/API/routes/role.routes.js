@@ -0,0 +1,247 @@
+import express from 'express';
+import { check } from 'express-validator';
+import RoleController from '../controllers/role.controller.js';
+import { authenticateToken, authorize } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Roles
+ *   description: Role and permission management
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: team_lead
+ *         description:
+ *           type: string
+ *         is_system:
+ *           type: boolean
+ *           description: Built-in roles cannot be deleted
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Permission keys, `<key>:own` for owned resources only, or '*' for everything
+ *           example: [task:update:own, task:verify]
+ *         user_count:
+ *           type: integer
+ *           description: Number of users with this role
+ *     RoleRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Lower-case role name (only when creating)
+ *           example: team_lead
+ *         description:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [task:update, task:verify:own]
+ */
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: Get all roles with their permissions
+ *     description: Requires role:manage
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of roles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 roles:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Role'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authenticateToken, authorize.can('role:manage'), RoleController.getAllRoles);
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: Get the permission registry
+ *     description: Lists every permission that can be granted and whether it can be granted for owned resources only. Requires role:manage
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of permissions
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/permissions', authenticateToken, authorize.can('role:manage'), RoleController.getPermissions);
+
+/**
+ * @swagger
+ * /api/roles/{name}:
+ *   get:
+ *     summary: Get role by name
+ *     description: Requires role:manage
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role details
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Role not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:name', authenticateToken, authorize.can('role:manage'), RoleController.getRoleByName);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Create a role
+ *     description: Requires role:manage
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RoleRequest'
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Validation error, unknown permission or role already exists
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', [
+  authenticateToken,
+  authorize.can('role:manage'),
+  check('name')
+    .matches(/^[a-z][a-z0-9_-]{1,49}$/)
+    .withMessage('Role name must be 2-50 lower-case letters, digits, dashes or underscores'),
+  check('description').optional().isString().withMessage('Description must be a string'),
+  check('permissions').optional().isArray().withMessage('Permissions must be an array'),
+  check('permissions.*').isString().withMessage('Permissions must be strings')
+], RoleController.createRole);
+
+/**
+ * @swagger
+ * /api/roles/{name}:
+ *   put:
+ *     summary: Update a role
+ *     description: Replaces the permissions when they are provided. The permissions of the admin role cannot be changed. Requires role:manage
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RoleRequest'
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Validation error or unknown permission
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Role not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:name', [
+  authenticateToken,
+  authorize.can('role:manage'),
+  check('description').optional().isString().withMessage('Description must be a string'),
+  check('permissions').optional().isArray().withMessage('Permissions must be an array'),
+  check('permissions.*').isString().withMessage('Permissions must be strings')
+], RoleController.updateRole);
+
+/**
+ * @swagger
+ * /api/roles/{name}:
+ *   delete:
+ *     summary: Delete a role
+ *     description: Built-in roles and roles still assigned to users cannot be deleted. Requires role:manage
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       400:
+ *         description: Role is built-in or still assigned
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Role not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:name', authenticateToken, authorize.can('role:manage'), RoleController.deleteRole);
+
+export default router;
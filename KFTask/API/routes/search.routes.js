@@ -0,0 +1,136 @@
+import express from 'express';
+import SearchController from '../controllers/search.controller.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { searchValidation } from '../utils/search.utils.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Search
+ *   description: Full-text search across tasks, projects, comments, feedback replies and daily updates
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SearchResult:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [task, project, comment, feedback_reply, daily_update]
+ *         id:
+ *           type: integer
+ *           description: ID of the task, project, comment, reply or daily update
+ *         task_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Task the hit belongs to (null for projects)
+ *         project_id:
+ *           type: integer
+ *           nullable: true
+ *         title:
+ *           type: string
+ *           description: Title of the task or project
+ *         title_highlight:
+ *           type: string
+ *           description: HTML-escaped title with matches wrapped in <mark>
+ *         snippet:
+ *           type: string
+ *           description: HTML-escaped excerpt of the description or content with matches wrapped in <mark>
+ *         rank:
+ *           type: number
+ *           description: Relevance; titles weigh more than descriptions and content
+ *         author_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Creator of the task or writer of the comment, reply or update
+ *         author_name:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search tasks, projects, comments, feedback replies and daily updates
+ *     description: |
+ *       Ranked full-text search. Only returns what the user may see: projects they are a member of and
+ *       tasks they can access (vendors see the tasks of their consultants); comments, feedback replies and
+ *       daily updates follow the visibility of their task.
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 200
+ *         description: Search text. Supports "quoted phrases", or and -excluded words; common words are ignored.
+ *         example: invoice export
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Comma-separated kinds of hits (task, project, comment, feedback_reply, daily_update); all by default
+ *       - in: query
+ *         name: project_id
+ *         schema:
+ *           type: integer
+ *         description: Only hits in this project
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Hits, best match first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 query:
+ *                   type: string
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SearchResult'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/', [authenticateToken, ...searchValidation], SearchController.search);
+
+export default router;
@@ -0,0 +1,526 @@
+import express from 'express';
+import { check } from 'express-validator';
+import SprintController from '../controllers/sprint.controller.js';
+import { authenticateToken, authorize } from '../middleware/auth.middleware.js';
+import { loadSprint } from '../utils/resourceLoaders.utils.js';
+import { sprintValidation } from '../utils/sprint.utils.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Sprints
+ *   description: Time-boxed iterations of a project. Sprints are listed and planned with /api/projects/{id}/sprints.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Sprint:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         project_id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: Sprint 14
+ *         goal:
+ *           type: string
+ *           nullable: true
+ *         start_date:
+ *           type: string
+ *           format: date
+ *         end_date:
+ *           type: string
+ *           format: date
+ *         status:
+ *           type: string
+ *           enum: [planned, active, closed]
+ *         committed_task_ids:
+ *           type: array
+ *           nullable: true
+ *           description: Tasks in the sprint when it started
+ *           items:
+ *             type: integer
+ *         committed_hours:
+ *           type: number
+ *           nullable: true
+ *           description: Estimated hours of the committed tasks when the sprint started
+ *         completed_task_ids:
+ *           type: array
+ *           nullable: true
+ *           description: Tasks completed when the sprint closed
+ *           items:
+ *             type: integer
+ *         rolled_over_task_ids:
+ *           type: array
+ *           nullable: true
+ *           description: Unfinished tasks moved on when the sprint closed
+ *           items:
+ *             type: integer
+ *         rolled_over_to:
+ *           type: integer
+ *           nullable: true
+ *           description: Sprint that took the unfinished tasks (null for the backlog)
+ *         task_count:
+ *           type: integer
+ *         open_task_count:
+ *           type: integer
+ *         estimated_hours:
+ *           type: number
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         closed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_by:
+ *           type: integer
+ *     SprintRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Sprint 14
+ *         goal:
+ *           type: string
+ *           example: Checkout flow ready for beta
+ *         start_date:
+ *           type: string
+ *           format: date
+ *           example: 2026-11-02
+ *         end_date:
+ *           type: string
+ *           format: date
+ *           example: 2026-11-13
+ *     SprintTotals:
+ *       type: object
+ *       properties:
+ *         tasks:
+ *           type: integer
+ *         hours:
+ *           type: number
+ *           description: Estimated hours (tasks without an estimate count as 0)
+ *     TaskIdsRequest:
+ *       type: object
+ *       required:
+ *         - task_ids
+ *       properties:
+ *         task_ids:
+ *           type: array
+ *           minItems: 1
+ *           maxItems: 500
+ *           items:
+ *             type: integer
+ *     TaskIdsResult:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *         added_task_ids:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         skipped_task_ids:
+ *           type: array
+ *           description: Tasks that do not exist or belong to another project
+ *           items:
+ *             type: integer
+ */
+
+/**
+ * @swagger
+ * /api/sprints/{id}:
+ *   get:
+ *     summary: Get a sprint with its tasks
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Sprint ID
+ *     responses:
+ *       200:
+ *         description: Sprint
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sprint:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Sprint'
+ *                     - type: object
+ *                       properties:
+ *                         tasks:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Sprint not found
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Update the name, goal or dates of a sprint
+ *     description: Closed sprints cannot be changed. Needs project:update (own for project managers and owners).
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Sprint ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SprintRequest'
+ *     responses:
+ *       200:
+ *         description: Sprint updated
+ *       400:
+ *         description: Validation error, invalid dates or closed sprint
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to change this sprint
+ *       404:
+ *         description: Sprint not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a sprint
+ *     description: Its tasks go back to the backlog. Active sprints have to be closed first.
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Sprint ID
+ *     responses:
+ *       200:
+ *         description: Sprint deleted
+ *       400:
+ *         description: Sprint is active
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to delete this sprint
+ *       404:
+ *         description: Sprint not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authenticateToken, authorize.access(loadSprint()), SprintController.getSprintById);
+router.put('/:id', [
+  authenticateToken,
+  authorize.can('project:update', loadSprint('manager')),
+  ...sprintValidation(true)
+], SprintController.updateSprint);
+router.delete('/:id', authenticateToken, authorize.can('project:update', loadSprint('manager')), SprintController.deleteSprint);
+
+/**
+ * @swagger
+ * /api/sprints/{id}/tasks:
+ *   post:
+ *     summary: Add tasks to a sprint
+ *     description: The tasks must belong to the sprint's project; they leave any other sprint. Not possible on closed sprints.
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Sprint ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaskIdsRequest'
+ *     responses:
+ *       200:
+ *         description: Tasks added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaskIdsResult'
+ *       400:
+ *         description: Validation error or closed sprint
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to change this sprint
+ *       404:
+ *         description: Sprint not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/tasks', [
+  authenticateToken,
+  authorize.can('project:update', loadSprint('manager')),
+  check('task_ids').isArray({ min: 1, max: 500 }).withMessage('task_ids must be an array of 1 to 500 task IDs'),
+  check('task_ids.*').isInt({ min: 1 }).withMessage('Task IDs must be positive integers').toInt()
+], SprintController.addTasks);
+
+/**
+ * @swagger
+ * /api/sprints/{id}/tasks/{taskId}:
+ *   delete:
+ *     summary: Move a task out of a sprint, back to the backlog
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Sprint ID
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Task removed
+ *       400:
+ *         description: Closed sprint
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to change this sprint
+ *       404:
+ *         description: Sprint not found or task not in it
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id/tasks/:taskId', authenticateToken, authorize.can('project:update', loadSprint('manager')), SprintController.removeTask);
+
+/**
+ * @swagger
+ * /api/sprints/{id}/start:
+ *   post:
+ *     summary: Start a planned sprint
+ *     description: The tasks in the sprint and their estimated hours are recorded as its commitment. A project runs one sprint at a time.
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Sprint ID
+ *     responses:
+ *       200:
+ *         description: Sprint started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 sprint:
+ *                   $ref: '#/components/schemas/Sprint'
+ *       400:
+ *         description: Sprint is not planned, or another sprint of the project is active
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to change this sprint
+ *       404:
+ *         description: Sprint not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/start', authenticateToken, authorize.can('project:update', loadSprint('manager')), SprintController.startSprint);
+
+/**
+ * @swagger
+ * /api/sprints/{id}/close:
+ *   post:
+ *     summary: Close the active sprint
+ *     description: Completed and cancelled tasks stay in the sprint; unfinished tasks roll over to the next sprint.
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Sprint ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               next_sprint_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Planned sprint of the same project that takes the unfinished tasks. Defaults to the planned sprint that starts first; null (or nothing planned) sends them back to the backlog.
+ *     responses:
+ *       200:
+ *         description: Sprint closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 sprint:
+ *                   $ref: '#/components/schemas/Sprint'
+ *                 completed_task_ids:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *                 rolled_over_task_ids:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *                 next_sprint_id:
+ *                   type: integer
+ *                   nullable: true
+ *       400:
+ *         description: Sprint is not active or next_sprint_id is not a planned sprint of the project
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to change this sprint
+ *       404:
+ *         description: Sprint not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/close', [
+  authenticateToken,
+  authorize.can('project:update', loadSprint('manager')),
+  check('next_sprint_id').optional({ values: 'null' }).isInt({ min: 1 })
+    .withMessage('next_sprint_id must be a sprint ID or null').toInt()
+], SprintController.closeSprint);
+
+/**
+ * @swagger
+ * /api/sprints/{id}/report:
+ *   get:
+ *     summary: Get the statistics and burndown of a sprint
+ *     description: |
+ *       Committed vs completed tasks and estimated hours, with a burndown per day of the sprint.
+ *       A task burns down on the day a daily update moved it to a completed or cancelled status
+ *       (for verified updates, the day of the verification); logged hours come from the task's time entries.
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Sprint ID
+ *     responses:
+ *       200:
+ *         description: Sprint report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sprint_id:
+ *                   type: integer
+ *                 name:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                 start_date:
+ *                   type: string
+ *                   format: date
+ *                 end_date:
+ *                   type: string
+ *                   format: date
+ *                 committed:
+ *                   description: What the sprint committed to when it started (null while planned)
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/SprintTotals'
+ *                 added:
+ *                   $ref: '#/components/schemas/SprintTotals'
+ *                 completed:
+ *                   $ref: '#/components/schemas/SprintTotals'
+ *                 cancelled:
+ *                   $ref: '#/components/schemas/SprintTotals'
+ *                 remaining:
+ *                   $ref: '#/components/schemas/SprintTotals'
+ *                 rolled_over:
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/SprintTotals'
+ *                 logged_hours:
+ *                   type: number
+ *                 completion_rate:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Percentage of the committed tasks that were completed
+ *                 burndown:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       ideal_hours:
+ *                         type: number
+ *                       remaining_tasks:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Null for days that have not happened yet
+ *                       remaining_hours:
+ *                         type: number
+ *                         nullable: true
+ *                       logged_hours:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Hours logged since the start of the sprint
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Sprint not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/report', authenticateToken, authorize.access(loadSprint()), SprintController.getSprintReport);
+
+export default router;
@@ -6,7 +6,18 @@
 import express from 'express';
 import { check } from 'express-validator';
 import TaskController from '../controllers/task.controller.js';
-import { authenticateToken } from '../middleware/auth.middleware.js';
+import AttachmentController from '../controllers/attachment.controller.js';
+import AssigneeController from '../controllers/assignee.controller.js';
+import ChecklistController from '../controllers/checklist.controller.js';
+import DependencyController from '../controllers/dependency.controller.js';
+import RecurrenceController from '../controllers/recurrence.controller.js';
+import { authenticateToken, authorize } from '../middleware/auth.middleware.js';
+import { loadTask, loadDeletedTask, loadTaskForVerification, loadProject } from '../utils/resourceLoaders.utils.js';
+import { uploadSingle } from '../middleware/upload.middleware.js';
+import { applySavedView } from '../middleware/view.middleware.js';
+import { getAttachmentUploadLimits } from '../config/attachments.js';
+import { recurrenceValidation } from '../utils/recurrence.utils.js';
+import { taskArchiveValidation, taskIncludeValidation } from '../utils/workflow.utils.js';
 
 const router = express.Router();
 
@@ -160,12 +171,49 @@ const router = express.Router();
  *         project_title:
  *           type: string
  *           description: Project title
+ *         parent_task_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Parent task when this task is a subtask
+ *         parent_task_title:
+ *           type: string
+ *           nullable: true
+ *           description: Title of the parent task
+ *         recurrence_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Recurring series the task belongs to (see /api/tasks/{id}/recurrence)
+ *         board_rank:
+ *           type: number
+ *           nullable: true
+ *           description: Order within its board column (project and status), lowest first
+ *         sprint_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Sprint the task is planned in (see /api/sprints)
+ *         milestone_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Milestone the task leads up to (see /api/milestones)
  *         assignee_id:
  *           type: integer
- *           description: User ID of task assignee
+ *           description: User ID of the task owner (the primary assignee)
  *         assignee_name:
  *           type: string
- *           description: Name of task assignee
+ *           description: Name of the task owner
+ *         assignees:
+ *           type: array
+ *           description: Owner and collaborators, the owner first
+ *           items:
+ *             type: object
+ *             properties:
+ *               user_id:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [owner, collaborator]
  *         created_by:
  *           type: integer
  *           description: User ID of task creator
@@ -174,8 +222,8 @@ const router = express.Router();
  *           description: Name of task creator
  *         status:
  *           type: string
- *           enum: [new, in_progress, completed, to_do, review, on_hold, cancelled]
- *           description: Task status
+ *           description: Task status, one of the statuses of the project's workflow (see GET /api/projects/{id}/workflow)
+ *           example: in_progress
  *         priority:
  *           type: string
  *           enum: [low, medium, high, critical]
@@ -195,6 +243,21 @@ const router = express.Router();
  *         comment_count:
  *           type: integer
  *           description: Number of comments on task
+ *         attachment_count:
+ *           type: integer
+ *           description: Number of attachments on task
+ *         rollup:
+ *           $ref: '#/components/schemas/TaskRollup'
+ *         blocked_by:
+ *           type: array
+ *           description: Tasks this task waits for. Only returned for a single task.
+ *           items:
+ *             $ref: '#/components/schemas/TaskDependency'
+ *         blocks:
+ *           type: array
+ *           description: Tasks waiting for this task. Only returned for a single task.
+ *           items:
+ *             $ref: '#/components/schemas/TaskDependency'
  *         created_at:
  *           type: string
  *           format: date-time
@@ -285,6 +348,227 @@ const router = express.Router();
  *           type: string
  *           format: date-time
  *           description: Time entry creation date
+ *     TaskAttachment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Attachment ID
+ *         task_id:
+ *           type: integer
+ *           description: Task ID
+ *         file_name:
+ *           type: string
+ *           description: Original file name
+ *         file_type:
+ *           type: string
+ *           description: MIME type
+ *         file_size:
+ *           type: integer
+ *           description: Size in bytes
+ *         uploaded_by:
+ *           type: integer
+ *           description: User who uploaded the file
+ *         uploaded_by_name:
+ *           type: string
+ *           description: Name of the uploader
+ *         uploaded_at:
+ *           type: string
+ *           format: date-time
+ *           description: Upload date
+ *     TaskRollup:
+ *       type: object
+ *       description: Progress and hours rolled up from the subtasks (at any depth) and the checklist. Only returned for a single task.
+ *       properties:
+ *         subtasks:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: integer
+ *             completed:
+ *               type: integer
+ *             cancelled:
+ *               type: integer
+ *             open:
+ *               type: integer
+ *         checklist:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: integer
+ *             done:
+ *               type: integer
+ *         progress:
+ *           type: integer
+ *           description: Percentage of completed subtasks and checklist items (cancelled subtasks are left out)
+ *           example: 60
+ *         estimated_hours:
+ *           type: number
+ *           description: Estimated hours of the task and all its subtasks
+ *         actual_hours:
+ *           type: number
+ *           description: Actual hours of the task and all its subtasks
+ *     TaskDependency:
+ *       type: object
+ *       description: A task on the other side of a finish-to-start dependency
+ *       properties:
+ *         id:
+ *           type: integer
+ *         title:
+ *           type: string
+ *         status:
+ *           type: string
+ *         due_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         estimated_hours:
+ *           type: number
+ *           nullable: true
+ *         is_open:
+ *           type: boolean
+ *           description: Only in blocked_by; true while the blocking task is neither completed nor cancelled
+ *         linked_at:
+ *           type: string
+ *           format: date-time
+ *     RecurrenceRule:
+ *       type: object
+ *       description: When a series repeats, counted from the due date of its first task
+ *       properties:
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekly, monthly]
+ *         interval_count:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *           description: Repeat every N days, weeks or months
+ *         weekdays:
+ *           type: array
+ *           nullable: true
+ *           description: Weekly series only; RRULE day codes
+ *           items:
+ *             type: string
+ *             enum: [MO, TU, WE, TH, FR, SA, SU]
+ *           example: [MO, TH]
+ *         month_day:
+ *           type: integer
+ *           nullable: true
+ *           minimum: 1
+ *           maximum: 31
+ *           description: Monthly series only; shorter months use their last day
+ *         ends_on:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: No task is created for a date after this one
+ *         max_occurrences:
+ *           type: integer
+ *           nullable: true
+ *           description: Total number of tasks in the series, including the first
+ *     TaskRecurrence:
+ *       allOf:
+ *         - $ref: '#/components/schemas/RecurrenceRule'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             rrule:
+ *               type: string
+ *               description: The rule as an RFC 5545 RRULE
+ *               example: FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,TH;COUNT=10
+ *             starts_on:
+ *               type: string
+ *               format: date
+ *             next_due_date:
+ *               type: string
+ *               format: date
+ *               nullable: true
+ *               description: Due date of the next task. It is created on that date, or earlier once the current task is closed.
+ *             occurrence_count:
+ *               type: integer
+ *               description: Tasks created so far, including the first
+ *             status:
+ *               type: string
+ *               enum: [active, paused, ended]
+ *             ended_at:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             instances:
+ *               type: array
+ *               description: Tasks of the series, newest first
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   title:
+ *                     type: string
+ *                   status:
+ *                     type: string
+ *                   due_date:
+ *                     type: string
+ *                     format: date
+ *                   created_at:
+ *                     type: string
+ *                     format: date-time
+ *     ChecklistItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         task_id:
+ *           type: integer
+ *         title:
+ *           type: string
+ *           example: "Update the changelog"
+ *         is_done:
+ *           type: boolean
+ *         position:
+ *           type: integer
+ *           description: Display order within the checklist
+ *         done_by:
+ *           type: integer
+ *           nullable: true
+ *         done_by_name:
+ *           type: string
+ *           nullable: true
+ *         done_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_by:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     TaskAssignee:
+ *       type: object
+ *       properties:
+ *         user_id:
+ *           type: integer
+ *           description: Assigned user
+ *         role:
+ *           type: string
+ *           enum: [owner, collaborator]
+ *           description: Each task has at most one owner; any number of collaborators
+ *         assigned_by:
+ *           type: integer
+ *           description: User who made the assignment
+ *         assigned_at:
+ *           type: string
+ *           format: date-time
+ *         name:
+ *           type: string
+ *         email:
+ *           type: string
+ *         working_for:
+ *           type: integer
+ *           description: Vendor the user works for
  *     DailyUpdate:
  *       type: object
  *       properties:
@@ -308,8 +592,11 @@ const router = express.Router();
  *           description: Daily update content
  *         status:
  *           type: string
- *           enum: [new, in_progress, completed]
- *           description: Task status at time of update
+ *           description: Task status at time of update; completed_not_verified while a status change waits for verification, then completed_verified
+ *         requested_status:
+ *           type: string
+ *           nullable: true
+ *           description: Status the update asks for when the workflow needs that change verified
  *         update_date:
  *           type: string
  *           format: date
@@ -329,18 +616,26 @@ const router = express.Router();
  *           example: "Complete project documentation"
  *         project_id:
  *           type: integer
- *           description: Project ID
+ *           description: Project ID (subtasks are created in their parent's project)
  *           example: 1
+ *         parent_task_id:
+ *           type: integer
+ *           description: Create the task as a subtask of this task
+ *           example: 12
  *         assignee_id:
  *           type: integer
- *           description: User ID to assign the task to
+ *           description: User ID of the task owner
  *           example: 2
+ *         collaborator_ids:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: User IDs assigned as collaborators
+ *           example: [3, 4]
  *         status:
  *           type: string
- *           enum: [new, in_progress, completed]
- *           default: new
- *           description: Task status
- *           example: "new"
+ *           description: Status of the workflow to start in; defaults to its initial status. Other statuses are only allowed when the initial status leads to them without verification.
+ *           example: "todo"
  *         due_date:
  *           type: string
  *           format: date
@@ -357,14 +652,18 @@ const router = express.Router();
  *           description: Task description
  *         project_id:
  *           type: integer
- *           description: Project ID
+ *           description: Project ID; subtasks of the task move along, and dependencies on tasks in other projects are removed
+ *         parent_task_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Move the task under this task (same project, no cycles); null makes it a top-level task
  *         assignee_id:
  *           type: integer
- *           description: User ID to assign the task to
+ *           description: User ID of the new task owner; the previous owner stays on the task as a collaborator
  *         status:
  *           type: string
- *           enum: [new, in_progress, completed, to_do, review, on_hold, cancelled]
- *           description: Task status
+ *           description: Task status, one of the statuses of the project's workflow (see GET /api/projects/{id}/workflow)
+ *           example: in_progress
  *         priority:
  *           type: string
  *           enum: [low, medium, high, critical]
@@ -397,8 +696,7 @@ const router = express.Router();
  *           example: "2025-09-15"
  *         status:
  *           type: string
- *           enum: [new, in_progress, completed]
- *           description: Task status update (optional)
+ *           description: New task status (optional). It must be allowed by the workflow; a change that needs verification (e.g. to completed) is only applied once it is verified.
  *           example: "in_progress"
  *     AddCommentRequest:
  *       type: object
@@ -536,6 +834,17 @@ router.get('/stats', authenticateToken, TaskController.getTaskStats);
  *           enum: [pending, replied]
  *         description: Filter by reply status
  *         example: pending
+ *       - in: query
+ *         name: view
+ *         schema:
+ *           type: integer
+ *         description: Apply a saved view of the feedback list (see /api/views). Query parameters given explicitly take precedence over those saved in the view.
+ *         example: 4
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: next_cursor of the previous page. Continues after the last row of that page (page is then ignored); keep the same filters and sort.
  *     responses:
  *       200:
  *         description: Feedback retrieved successfully
@@ -582,24 +891,15 @@ router.get('/stats', authenticateToken, TaskController.getTaskStats);
  *                         items:
  *                           type: object
  *                 pagination:
- *                   type: object
- *                   properties:
- *                     total:
- *                       type: integer
- *                     page:
- *                       type: integer
- *                     limit:
- *                       type: integer
- *                     pages:
- *                       type: integer
+ *                   $ref: '#/components/schemas/PaginationResponse'
  *       400:
- *         description: Invalid user ID
+ *         description: Invalid user ID or cursor
  *       401:
  *         description: Not authenticated
  *       500:
  *         description: Server error
  */
-router.get('/feedback/:user_id', authenticateToken, TaskController.getAllFeedback);
+router.get('/feedback/:user_id', authenticateToken, applySavedView('feedback'), TaskController.getAllFeedback);
 /**
  * @swagger
  * /api/tasks/my-projectsTask:
@@ -938,7 +1238,7 @@ router.get('/my-daily-updates-feedback', authenticateToken, TaskController.getMy
  *       500:
  *         description: Server error
  */
-router.get('/pending-verification/:project_id', authenticateToken, TaskController.getTasksPendingVerification);
+router.get('/pending-verification/:project_id', authenticateToken, authorize.access(loadProject('manager', 'project_id')), TaskController.getTasksPendingVerification);
 
 
 /**
@@ -963,6 +1263,38 @@ router.get('/pending-verification/:project_id', authenticateToken, TaskControlle
  *           type: integer
  *           default: 10
  *         description: Number of tasks per page
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *           default: active,overdue
+ *         description: |
+ *           Which tasks to list, comma-separated: active (open, not past due), overdue (open, past due),
+ *           completed (done) or all.
+ *       - in: query
+ *         name: archive
+ *         schema:
+ *           type: boolean
+ *         description: List the archive instead, closed tasks (completed or cancelled), most recently updated first by default. Cannot be combined with include.
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           enum: [due_date, priority, status, title, created_at, updated_at, estimated_hours, id]
+ *           default: due_date
+ *         description: Field to sort by; rows without a value come last
+ *       - in: query
+ *         name: sort_order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *         description: Sort order
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: next_cursor of the previous page. Continues after the last row of that page (page is then ignored); keep the same filters and sort.
  *     responses:
  *       200:
  *         description: Paginated tasks for the authenticated user
@@ -976,26 +1308,15 @@ router.get('/pending-verification/:project_id', authenticateToken, TaskControlle
  *                   items:
  *                     $ref: '#/components/schemas/Task'
  *                 pagination:
- *                   type: object
- *                   properties:
- *                     total:
- *                       type: integer
- *                       description: Total number of tasks
- *                     page:
- *                       type: integer
- *                       description: Current page number
- *                     limit:
- *                       type: integer
- *                       description: Tasks per page
- *                     pages:
- *                       type: integer
- *                       description: Total number of pages
+ *                   $ref: '#/components/schemas/PaginationResponse'
+ *       400:
+ *         description: Validation error, unknown sort_by or invalid cursor
  *       401:
  *         description: Not authenticated
  *       500:
  *         description: Server error
  */
-router.get('/my', authenticateToken, TaskController.getMyTasks);
+router.get('/my', [authenticateToken, ...taskIncludeValidation, ...taskArchiveValidation], TaskController.getMyTasks);
 
 /**
  * @swagger
@@ -1006,6 +1327,15 @@ router.get('/my', authenticateToken, TaskController.getMyTasks);
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *           default: active
+ *         description: |
+ *           Which tasks to list, comma-separated: active (open, not past due), overdue (open, past due),
+ *           completed (done) or all.
  *     responses:
  *       200:
  *         description: Minimal task info for the authenticated user (no pagination)
@@ -1028,12 +1358,14 @@ router.get('/my', authenticateToken, TaskController.getMyTasks);
  *                 total:
  *                   type: integer
  *                   example: 15
+ *       400:
+ *         description: Invalid include
  *       401:
  *         description: Not authenticated
  *       500:
  *         description: Server error
  */
-router.get('/my-tasksid', authenticateToken, TaskController.getMyTasksWITHIDANDTITLES);
+router.get('/my-tasksid', [authenticateToken, ...taskIncludeValidation], TaskController.getMyTasksWITHIDANDTITLES);
  
 /**
  * @swagger
@@ -1071,7 +1403,7 @@ router.get('/my-tasksid', authenticateToken, TaskController.getMyTasksWITHIDANDT
  *         name: assignee_id
  *         schema:
  *           type: integer
- *         description: Filter by assignee's user ID
+ *         description: Filter by assigned user ID (owner or collaborator)
  *       - in: query
  *         name: created_by
  *         schema:
@@ -1094,6 +1426,12 @@ router.get('/my-tasksid', authenticateToken, TaskController.getMyTasksWITHIDANDT
  *           type: string
  *           format: date
  *         description: Filter daily updates up to this date (YYYY-MM-DD)
+ *       - in: query
+ *         name: view
+ *         schema:
+ *           type: integer
+ *         description: Apply a saved view of the daily_updates list (see /api/views). Query parameters given explicitly take precedence over those saved in the view.
+ *         example: 4
  *     responses:
  *       200:
  *         description: List of tasks with daily updates
@@ -1187,7 +1525,7 @@ router.get('/my-tasksid', authenticateToken, TaskController.getMyTasksWITHIDANDT
  *         description: Server error
  */
 
-router.get('/daily-updates', authenticateToken, TaskController.getAllTasksWithDailyUpdates);
+router.get('/daily-updates', authenticateToken, applySavedView('daily_updates'), TaskController.getAllTasksWithDailyUpdates);
 
 /**
  * @swagger
@@ -1220,7 +1558,7 @@ router.get('/daily-updates', authenticateToken, TaskController.getAllTasksWithDa
  *         name: assignee_id
  *         schema:
  *           type: integer
- *         description: Filter by assignee's user ID
+ *         description: Filter by assigned user ID (owner or collaborator)
  *       - in: query
  *         name: update_date_start
  *         schema:
@@ -1351,6 +1689,15 @@ router.get('/vendor-updates', authenticateToken, TaskController.getAllVendorsWit
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *           default: active
+ *         description: |
+ *           Which tasks to list, comma-separated: active (open, not past due), overdue (open, past due),
+ *           completed (done) or all.
  *     responses:
  *       200:
  *         description: List of task IDs and titles
@@ -1372,12 +1719,14 @@ router.get('/vendor-updates', authenticateToken, TaskController.getAllVendorsWit
  *                         type: string
  *                         description: Task title
  *                         example: "Complete project documentation"
+ *       400:
+ *         description: Invalid include
  *       401:
  *         description: Not authenticated
  *       500:
  *         description: Server error
  */
-router.get('/ids-titles', authenticateToken, TaskController.getAllTaskIdsAndTitles);
+router.get('/ids-titles', [authenticateToken, ...taskIncludeValidation], TaskController.getAllTaskIdsAndTitles);
 
 /**
  * @swagger
@@ -1463,7 +1812,7 @@ router.get('/upcoming', authenticateToken, TaskController.getUpcomingTasks);
  * /api/tasks:
  *   get:
  *     summary: Get all tasks with pagination and filters
- *     description: Retrieve all tasks with comprehensive filtering, searching, and pagination options
+ *     description: Retrieve all tasks with comprehensive filtering, searching, and pagination options. By default this is the work queue (open tasks that are not past due); use include or archive for overdue, completed and closed tasks. Only tasks the user may see are listed (tasks of projects they are on, tasks they created or are assigned to, and tasks of their consultants), unless they have the project:access-all permission.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -1492,7 +1841,7 @@ router.get('/upcoming', authenticateToken, TaskController.getUpcomingTasks);
  *         name: assignee_id
  *         schema:
  *           type: integer
- *         description: Filter by assignee ID
+ *         description: Filter by assigned user ID (owner or collaborator)
  *         example: 2
  *       - in: query
  *         name: created_by
@@ -1533,12 +1882,18 @@ router.get('/upcoming', authenticateToken, TaskController.getUpcomingTasks);
  *         description: Search term for title or description
  *         example: "documentation"
  *       - in: query
+ *         name: view
+ *         schema:
+ *           type: integer
+ *         description: Apply a saved view of the tasks list (see /api/views). Query parameters given explicitly take precedence over those saved in the view.
+ *         example: 4
+ *       - in: query
  *         name: sort_by
  *         schema:
  *           type: string
+ *           enum: [due_date, priority, status, title, created_at, updated_at, estimated_hours, id]
  *           default: due_date
- *         description: Field to sort by
- *         example: "due_date"
+ *         description: Field to sort by; rows without a value come last
  *       - in: query
  *         name: sort_order
  *         schema:
@@ -1546,7 +1901,24 @@ router.get('/upcoming', authenticateToken, TaskController.getUpcomingTasks);
  *           enum: [asc, desc]
  *           default: asc
  *         description: Sort order
- *         example: "asc"
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: next_cursor of the previous page. Continues after the last row of that page (page is then ignored); keep the same filters and sort.
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *           default: active
+ *         description: |
+ *           Which tasks to list, comma-separated: active (open, not past due), overdue (open, past due),
+ *           completed (done) or all.
+ *       - in: query
+ *         name: archive
+ *         schema:
+ *           type: boolean
+ *         description: List the archive instead, closed tasks (completed or cancelled), most recently updated first by default. Cannot be combined with include.
  *     responses:
  *       200:
  *         description: List of tasks
@@ -1560,65 +1932,148 @@ router.get('/upcoming', authenticateToken, TaskController.getUpcomingTasks);
  *                   items:
  *                     $ref: '#/components/schemas/Task'
  *                 pagination:
- *                   type: object
- *                   properties:
- *                     total:
- *                       type: integer
- *                       example: 50
- *                     page:
- *                       type: integer
- *                       example: 1
- *                     limit:
- *                       type: integer
- *                       example: 10
- *                     pages:
- *                       type: integer
- *                       example: 5
+ *                   $ref: '#/components/schemas/PaginationResponse'
+ *       400:
+ *         description: Validation error, unknown sort_by or invalid cursor
  *       401:
  *         description: Not authenticated
  *       500:
  *         description: Server error
  */
-router.get('/', authenticateToken, TaskController.getAllTasks);
+router.get('/', [authenticateToken, applySavedView('tasks'), ...taskIncludeValidation, ...taskArchiveValidation], TaskController.getAllTasks);
 
 /**
  * @swagger
- * /api/tasks/{id}:
+ * /api/tasks/trash:
  *   get:
- *     summary: Get task by ID with comments and time entries
- *     description: Retrieve detailed task information including comments, time entries, and daily updates
+ *     summary: Get the task trash
+ *     description: |
+ *       Deleted tasks the user can see, most recently deleted first. Tasks of a deleted project are
+ *       not listed; they are in the project trash and come back with their project.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: page
  *         schema:
  *           type: integer
- *         description: Task ID
- *         example: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Results per page
+ *       - in: query
+ *         name: project_id
+ *         schema:
+ *           type: integer
+ *         description: Filter by project ID
+ *       - in: query
+ *         name: deleted_by
+ *         schema:
+ *           type: integer
+ *         description: Filter by the user who deleted the task
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for the title
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           enum: [deleted_at, title, id]
+ *           default: deleted_at
+ *         description: Field to sort by
+ *       - in: query
+ *         name: sort_order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Sort order
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: next_cursor of the previous page. Continues after the last row of that page (page is then ignored); keep the same filters and sort.
  *     responses:
  *       200:
- *         description: Task details
+ *         description: Deleted tasks
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 task:
- *                   allOf:
- *                     - $ref: '#/components/schemas/Task'
- *                     - type: object
- *                       properties:
- *                         feedback:
- *                           type: array
- *                           items:
- *                             $ref: '#/components/schemas/TaskComment'
- *                         time_entries:
- *                           type: array
- *                           items:
- *                             $ref: '#/components/schemas/TimeEntry'
+ *                 tasks:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Task'
+ *                       - type: object
+ *                         properties:
+ *                           deleted_at:
+ *                             type: string
+ *                             format: date-time
+ *                           deleted_by:
+ *                             type: integer
+ *                           deleted_by_name:
+ *                             type: string
+ *                           has_daily_updates:
+ *                             type: boolean
+ *                             description: The task is billing history and is never purged
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationResponse'
+ *       400:
+ *         description: Unknown sort_by or invalid cursor
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/trash', authenticateToken, TaskController.getDeletedTasks);
+
+/**
+ * @swagger
+ * /api/tasks/{id}:
+ *   get:
+ *     summary: Get task by ID with comments and time entries
+ *     description: Retrieve detailed task information including comments, time entries, and daily updates. Users who may not see the task get a 404.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *         example: 1
+ *     responses:
+ *       200:
+ *         description: Task details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 task:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Task'
+ *                     - type: object
+ *                       properties:
+ *                         feedback:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/TaskComment'
+ *                         time_entries:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/TimeEntry'
  *                         daily_updates:
  *                           type: array
  *                           items:
@@ -1630,14 +2085,14 @@ router.get('/', authenticateToken, TaskController.getAllTasks);
  *       500:
  *         description: Server error
  */
-router.get('/:id', authenticateToken, TaskController.getTaskById);
+router.get('/:id', authenticateToken, authorize.access(loadTask()), TaskController.getTaskById);
 
 /**
  * @swagger
  * /api/tasks/{id}/verify:
  *   put:
  *     summary: Verify task completion by vendor
- *     description: Allow vendors to approve or reject task completion based on consultant's daily update. When approving, can also provide a rating. Only accessible by vendors.
+ *     description: Allow vendors to approve or reject task completion based on consultant's daily update. Approving moves the task to the status the update requested (completed for older updates) and can also set a rating; rejecting leaves the task in its current status. Only accessible by vendors.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -1683,9 +2138,9 @@ router.get('/:id', authenticateToken, TaskController.getTaskById);
  *                   description: Rating given (only when verified is true)
  *                   example: 4
  *       400:
- *         description: Validation error or no completed daily update found
+ *         description: Validation error, no completed daily update found, the workflow no longer allows the requested status, or (when approving a done status) the task still has open subtasks
  *       403:
- *         description: Access denied - only vendors can verify tasks or no permission for this specific task
+ *         description: Not allowed to verify this task (requires task:verify, or task:verify:own for the vendor of the assignee)
  *       404:
  *         description: Task not found
  *       401:
@@ -1695,6 +2150,7 @@ router.get('/:id', authenticateToken, TaskController.getTaskById);
  */
 router.put('/:id/verify', [
   authenticateToken,
+  authorize.can('task:verify', loadTaskForVerification),
   check('verified').isBoolean().withMessage('Verified field is required and must be boolean'),
   check('feedback').optional().isString().withMessage('Feedback must be a string'),
   check('rating').optional().isFloat({ min: 1, max: 5 }).withMessage('Rating must be a number between 1 and 5')
@@ -1704,7 +2160,7 @@ router.put('/:id/verify', [
  * /api/tasks:
  *   post:
  *     summary: Create a new task
- *     description: Create a new task with title, optional project assignment, assignee, status, and due date
+ *     description: Create a new task with title, optional project assignment, owner and collaborators, status, and due date. Creating a task in a project needs the contributor project role or higher; assignees are added to the project team as contributors if needed.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -1728,7 +2184,7 @@ router.put('/:id/verify', [
  *                 task:
  *                   $ref: '#/components/schemas/Task'
  *       400:
- *         description: Validation error
+ *         description: Validation error, project not found (also for projects the user is not on), or a status new tasks of the workflow cannot start in
  *         content:
  *           application/json:
  *             schema:
@@ -1745,15 +2201,139 @@ router.put('/:id/verify', [
  *                         type: string
  *       401:
  *         description: Not authenticated
+ *       403:
+ *         description: Viewers cannot create tasks in the project
  *       500:
  *         description: Server error
  */
 router.post('/', [
   authenticateToken,
   check('title').notEmpty().withMessage('Title is required'),
-  check('status').optional().isIn(['new', 'in_progress', 'completed']).withMessage('Invalid status value')
+  check('status').optional().isString().trim().notEmpty().withMessage('Status must not be empty'),
+  check('parent_task_id').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Parent task must be a task ID').toInt(),
+  check('assignee_id').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Assignee must be a user ID').toInt(),
+  check('collaborator_ids').optional().isArray().withMessage('Collaborators must be a list of user IDs'),
+  check('collaborator_ids.*').isInt({ min: 1 }).withMessage('Collaborators must be a list of user IDs').toInt()
 ], TaskController.createTask);
 
+/**
+ * @swagger
+ * /api/tasks/bulk:
+ *   post:
+ *     summary: Apply one action to many tasks
+ *     description: |
+ *       Changes the status, owner, priority, due date or project of up to 100 tasks, or deletes them.
+ *       Every task is checked like the single-task route would check it: task:update (task:delete for delete)
+ *       on the task, the project's workflow for status changes and open blockers for tasks about to start.
+ *       Tasks that fail a check are reported and left alone; the others are changed in one transaction,
+ *       with one audit entry per task.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - task_ids
+ *               - action
+ *             properties:
+ *               task_ids:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 items:
+ *                   type: integer
+ *                 example: [12, 15, 18]
+ *               action:
+ *                 type: string
+ *                 enum: [status, reassign, priority, shift_due_date, move, delete]
+ *               status:
+ *                 type: string
+ *                 description: New status (action status)
+ *                 example: "in_progress"
+ *               assignee_id:
+ *                 type: integer
+ *                 description: New owner (action reassign); the previous owner stays on as a collaborator
+ *                 example: 7
+ *               unassign_previous:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Remove the previous owner from the tasks instead (action reassign)
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high, urgent]
+ *                 description: New priority (action priority)
+ *               days:
+ *                 type: integer
+ *                 description: Days to move the due date by, negative to bring it forward (action shift_due_date). Tasks without a due date are left alone.
+ *                 example: 7
+ *               project_id:
+ *                 type: integer
+ *                 description: Target project (action move). Subtasks follow their parent task; dependencies on tasks left in other projects are removed.
+ *                 example: 3
+ *     responses:
+ *       200:
+ *         description: Result per task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "2 of 3 task(s) changed"
+ *                 action:
+ *                   type: string
+ *                 changed:
+ *                   type: integer
+ *                 unchanged:
+ *                   type: integer
+ *                 failed:
+ *                   type: integer
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       outcome:
+ *                         type: string
+ *                         enum: [updated, deleted, unchanged, failed]
+ *                       message:
+ *                         type: string
+ *                         description: Why the task was not changed
+ *       400:
+ *         description: Validation error, assignee not found or inactive, or target project not found
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Viewer of the target project
+ *       500:
+ *         description: Server error
+ */
+router.post('/bulk', [
+  authenticateToken,
+  check('task_ids').isArray({ min: 1, max: 100 }).withMessage('task_ids must be an array of 1 to 100 task IDs'),
+  check('task_ids.*').isInt({ min: 1 }).withMessage('Task IDs must be positive integers').toInt(),
+  check('action').isIn(['status', 'reassign', 'priority', 'shift_due_date', 'move', 'delete'])
+    .withMessage('Action must be one of: status, reassign, priority, shift_due_date, move, delete'),
+  check('status').if(check('action').equals('status'))
+    .isString().trim().notEmpty().withMessage('Status is required'),
+  check('assignee_id').if(check('action').equals('reassign'))
+    .isInt({ min: 1 }).withMessage('Assignee must be a user ID').toInt(),
+  check('unassign_previous').optional().isBoolean().withMessage('unassign_previous must be a boolean').toBoolean(),
+  check('priority').if(check('action').equals('priority'))
+    .isIn(['low', 'medium', 'high', 'urgent']).withMessage('Priority must be one of: low, medium, high, urgent'),
+  check('days').if(check('action').equals('shift_due_date'))
+    .isInt({ min: -3650, max: 3650 }).withMessage('days must be a whole number of days').toInt(),
+  check('project_id').if(check('action').equals('move'))
+    .isInt({ min: 1 }).withMessage('Project must be a project ID').toInt()
+], TaskController.bulkUpdateTasks);
+
 /**
  * @swagger
  * /api/tasks/{id}:
@@ -1791,7 +2371,7 @@ router.post('/', [
  *                 task:
  *                   $ref: '#/components/schemas/Task'
  *       400:
- *         description: Validation error
+ *         description: Validation error, a status change the workflow does not allow (allowed_statuses lists the options; changes that need verification go through daily updates), a done status while subtasks are open (open_subtasks counts them), or work starts while tasks it depends on are open (blocked_by lists them)
  *       401:
  *         description: Not authenticated
  *       403:
@@ -1803,16 +2383,87 @@ router.post('/', [
  */
 router.put('/:id', [
   authenticateToken,
+  authorize.can('task:update', loadTask(['created_by', 'assignee_ids'])),
   check('title').optional().notEmpty().withMessage('Title cannot be empty if provided'),
-  check('status').optional().isIn(['new', 'in_progress', 'completed', 'to_do', 'review', 'on_hold', 'cancelled']).withMessage('Invalid status value')
+  check('parent_task_id').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Parent task must be a task ID').toInt(),
+  check('assignee_id').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Assignee must be a user ID'),
+  check('status').optional().isString().trim().notEmpty().withMessage('Status must not be empty')
 ], TaskController.updateTask);
 
+/**
+ * @swagger
+ * /api/tasks/{id}/move:
+ *   patch:
+ *     summary: Move a task on its project's board
+ *     description: >
+ *       Changes the task's status (column) and its position within the column in one step.
+ *       The status change must be allowed by the project's workflow without verification, a task
+ *       cannot start while tasks it depends on are open, and a column at its WIP limit takes no more tasks.
+ *       Needs task:update on the task.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 description: Target column; defaults to the current status (reorder within the column)
+ *                 example: in_progress
+ *               position:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Index in the target column, without the moved task (0 = top); defaults to the bottom
+ *                 example: 0
+ *     responses:
+ *       200:
+ *         description: Task moved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 task:
+ *                   $ref: '#/components/schemas/Task'
+ *                 position:
+ *                   type: integer
+ *       400:
+ *         description: Validation error, task outside a project, status change not allowed, a done status while subtasks are open, task blocked, or WIP limit reached
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to update this task
+ *       404:
+ *         description: Task not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id/move', [
+  authenticateToken,
+  authorize.can('task:update', loadTask(['created_by', 'assignee_ids'])),
+  check('status').optional().isString().trim().notEmpty().withMessage('Status must not be empty'),
+  check('position').optional().isInt({ min: 0 }).withMessage('Position must be a non-negative integer').toInt()
+], TaskController.moveTask);
+
 /**
  * @swagger
  * /api/tasks/{id}:
  *   delete:
  *     summary: Delete a task
- *     description: Delete a task permanently. Only task creator, manager or admin can delete task
+ *     description: Move a task to the trash, from where it can be restored until it is purged (see Trash). Only task creator, manager or admin can delete task. Its subtasks are shown as top-level tasks meanwhile.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -1844,7 +2495,50 @@ router.put('/:id', [
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authenticateToken, TaskController.deleteTask);
+router.delete('/:id', authenticateToken, authorize.can('task:delete', loadTask(['created_by'])), TaskController.deleteTask);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/restore:
+ *   post:
+ *     summary: Restore a task from the trash
+ *     description: Takes a deleted task out of the trash. Needs the same permission as deleting it. Tasks of a deleted project are restored with the project.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *         example: 1
+ *     responses:
+ *       200:
+ *         description: Task restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Task restored successfully"
+ *                 task:
+ *                   $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: The project of the task is deleted
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Task not found in the trash
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/restore', authenticateToken, authorize.can('task:delete', loadDeletedTask), TaskController.restoreTask);
 
 /**
  * @swagger
@@ -1930,7 +2624,7 @@ router.delete('/:id', authenticateToken, TaskController.deleteTask);
  *       500:
  *         description: Server error
  */
-router.get('/:id/feedback', authenticateToken, TaskController.getFeedback);
+router.get('/:id/feedback', authenticateToken, authorize.access(loadTask()), TaskController.getFeedback);
 
 
 /**
@@ -1997,6 +2691,7 @@ router.get('/:id/feedback', authenticateToken, TaskController.getFeedback);
  */
 router.post('/:id/feedback', [
   authenticateToken,
+  authorize.access(loadTask()),
   check('content').notEmpty().withMessage('Feedback content is required')
 ], TaskController.addFeedback);
 
@@ -2087,6 +2782,7 @@ router.post('/:id/feedback', [
  */
 router.post('/:id/feedback/:feedback_id/replies', [
   authenticateToken,
+  authorize.access(loadTask(undefined, 'contributor')),
   check('content').notEmpty().withMessage('Reply content is required')
 ], TaskController.addFeedbackReply);
 /**
@@ -2138,6 +2834,17 @@ router.post('/:id/feedback/:feedback_id/replies', [
  *           type: string
  *         description: Filter by task ID (use '0' or 'all' to show all)
  *         example: 45
+ *       - in: query
+ *         name: view
+ *         schema:
+ *           type: integer
+ *         description: Apply a saved view of the feedback list (see /api/views). Query parameters given explicitly take precedence over those saved in the view.
+ *         example: 4
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: next_cursor of the previous page. Continues after the last row of that page (page is then ignored); keep the same filters and sort.
  *     responses:
  *       200:
  *         description: Pending feedback retrieved successfully
@@ -2202,24 +2909,7 @@ router.post('/:id/feedback/:feedback_id/replies', [
  *                         description: Project ID
  *                         example: 10
  *                 pagination:
- *                   type: object
- *                   properties:
- *                     total:
- *                       type: integer
- *                       description: Total number of pending feedback items
- *                       example: 25
- *                     page:
- *                       type: integer
- *                       description: Current page number
- *                       example: 1
- *                     limit:
- *                       type: integer
- *                       description: Items per page
- *                       example: 50
- *                     pages:
- *                       type: integer
- *                       description: Total number of pages
- *                       example: 1
+ *                   $ref: '#/components/schemas/PaginationResponse'
  *             example:
  *               feedback:
  *                 - id: 123
@@ -2240,7 +2930,7 @@ router.post('/:id/feedback/:feedback_id/replies', [
  *                 limit: 50
  *                 pages: 1
  *       400:
- *         description: Invalid user ID
+ *         description: Invalid user ID or cursor
  *         content:
  *           application/json:
  *             schema:
@@ -2254,7 +2944,7 @@ router.post('/:id/feedback/:feedback_id/replies', [
  *       500:
  *         description: Server error
  */
-router.get('/feedback/admin/:user_id', authenticateToken, TaskController.getPendingFeedback);
+router.get('/feedback/admin/:user_id', authenticateToken, applySavedView('feedback'), TaskController.getPendingFeedback);
 /**
  * @swagger
  * /api/tasks/feedback/id-name/{user_id}:
@@ -2393,7 +3083,7 @@ router.get('/feedback/id-name/:user_id', authenticateToken, TaskController.getPe
  *       500:
  *         description: Server error
  */
-router.get('/:id/feedback/:feedback_id/replies', authenticateToken, TaskController.getFeedbackReplies);
+router.get('/:id/feedback/:feedback_id/replies', authenticateToken, authorize.access(loadTask()), TaskController.getFeedbackReplies);
 /**
  * @swagger
  * /api/tasks/{id}/daily-updates:
@@ -2444,14 +3134,14 @@ router.get('/:id/feedback/:feedback_id/replies', authenticateToken, TaskControll
  *       500:
  *         description: Server error
  */
-router.get('/:id/daily-updates', authenticateToken, TaskController.getDailyUpdates);
+router.get('/:id/daily-updates', authenticateToken, authorize.access(loadTask()), TaskController.getDailyUpdates);
 
 /**
  * @swagger
  * /api/tasks/{id}/daily-updates:
  *   post:
  *     summary: Add a daily update to a task
- *     description: Add a daily update to a task with optional status change. If status is provided, it will also update the task's status.
+ *     description: Add a daily update to a task with optional status change. If status is provided, it will also update the task's status. Needs the contributor project role, or being the task's creator or assignee.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -2483,9 +3173,11 @@ router.get('/:id/daily-updates', authenticateToken, TaskController.getDailyUpdat
  *                 daily_update:
  *                   $ref: '#/components/schemas/DailyUpdate'
  *       400:
- *         description: Validation error
+ *         description: Validation error, a status change the workflow does not allow (allowed_statuses lists the options), a done status while subtasks are open (open_subtasks counts them), or work starts while tasks it depends on are open (blocked_by lists them)
  *       401:
  *         description: Not authenticated
+ *       403:
+ *         description: Viewers cannot add daily updates
  *       404:
  *         description: Task not found
  *       500:
@@ -2493,8 +3185,9 @@ router.get('/:id/daily-updates', authenticateToken, TaskController.getDailyUpdat
  */
 router.post('/:id/daily-updates', [
   authenticateToken,
+  authorize.access(loadTask(undefined, 'contributor')),
   check('content').notEmpty().withMessage('Daily update content is required'),
-  check('status').optional().isIn(['new', 'in_progress', 'completed']).withMessage('Invalid status value')
+  check('status').optional().isString().trim().notEmpty().withMessage('Status must not be empty')
 ], TaskController.addDailyUpdate);
 
 /**
@@ -2533,7 +3226,7 @@ router.post('/:id/daily-updates', [
  *       500:
  *         description: Server error
  */
-router.get('/:id/time', authenticateToken, TaskController.getTimeEntries);
+router.get('/:id/time', authenticateToken, authorize.access(loadTask()), TaskController.getTimeEntries);
 
 /**
  * @swagger
@@ -2582,9 +3275,947 @@ router.get('/:id/time', authenticateToken, TaskController.getTimeEntries);
  */
 router.post('/:id/time', [
   authenticateToken,
+  authorize.access(loadTask(undefined, 'contributor')),
   check('hours').isNumeric().withMessage('Hours must be a number'),
   check('minutes').optional().isInt({ min: 0, max: 59 }).withMessage('Minutes must be between 0 and 59'),
   check('work_date').optional().isDate().withMessage('Work date must be a valid date')
 ], TaskController.trackTime);
 
-export default router;
\ No newline at end of file
+/**
+ * @swagger
+ * /api/tasks/{id}/attachments:
+ *   get:
+ *     summary: Get the attachments of a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Attachments, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 attachments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TaskAttachment'
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Task not found
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Upload an attachment to a task
+ *     description: |
+ *       Accepts one file of at most ATTACHMENT_MAX_SIZE_MB (default 10 MB). Images, PDF, text, CSV,
+ *       Office documents and ZIP archives are accepted unless ATTACHMENT_ALLOWED_TYPES says otherwise.
+ *       Project viewers cannot upload.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Attachment uploaded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 attachment:
+ *                   $ref: '#/components/schemas/TaskAttachment'
+ *       400:
+ *         description: Missing file or unsupported file type
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Viewers cannot upload attachments
+ *       404:
+ *         description: Task not found
+ *       413:
+ *         description: File too large
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/attachments', authenticateToken, authorize.access(loadTask()), AttachmentController.getAttachments);
+router.post('/:id/attachments', [
+  authenticateToken,
+  authorize.access(loadTask(undefined, 'contributor')),
+  uploadSingle('file', getAttachmentUploadLimits)
+], AttachmentController.uploadAttachment);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Download an attachment
+ *     description: Only users who can see the task can download its attachments
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Attachment ID
+ *     responses:
+ *       200:
+ *         description: File contents
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid attachment ID
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Task or attachment not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete an attachment
+ *     description: Uploaders can delete their own attachments; other attachments need task:update on the task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Attachment ID
+ *     responses:
+ *       200:
+ *         description: Attachment deleted
+ *       400:
+ *         description: Invalid attachment ID
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to delete this attachment
+ *       404:
+ *         description: Task or attachment not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/attachments/:attachmentId', authenticateToken, authorize.access(loadTask()), AttachmentController.downloadAttachment);
+router.delete('/:id/attachments/:attachmentId', authenticateToken, authorize.access(loadTask(undefined, 'contributor')), AttachmentController.deleteAttachment);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/assignees:
+ *   get:
+ *     summary: List the assignees of a task
+ *     description: The owner comes first, then the collaborators in the order they were assigned
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Assignees of the task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 assignees:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TaskAssignee'
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Task not found
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Assign a user to a task
+ *     description: Adds a collaborator or sets the owner; assigning an existing assignee changes their role. A new owner replaces the current one, who stays on the task as a collaborator. Needs task:update on the task; the user is added to the project team as contributor if needed.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_id
+ *             properties:
+ *               user_id:
+ *                 type: integer
+ *                 example: 7
+ *               role:
+ *                 type: string
+ *                 enum: [owner, collaborator]
+ *                 default: collaborator
+ *     responses:
+ *       200:
+ *         description: Role of an existing assignee changed
+ *       201:
+ *         description: User assigned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 assignees:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TaskAssignee'
+ *       400:
+ *         description: Validation error, unknown or inactive user, or user already assigned with that role
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to update this task
+ *       404:
+ *         description: Task not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/assignees', authenticateToken, authorize.access(loadTask()), AssigneeController.getAssignees);
+router.post('/:id/assignees', [
+  authenticateToken,
+  authorize.can('task:update', loadTask(['created_by', 'assignee_ids'])),
+  check('user_id').isInt({ min: 1 }).withMessage('User ID is required'),
+  check('role').optional().isIn(['owner', 'collaborator']).withMessage('Role must be owner or collaborator')
+], AssigneeController.addAssignee);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/assignees/{userId}:
+ *   delete:
+ *     summary: Remove a user from a task
+ *     description: Removing the owner leaves the task without one. Needs task:update on the task.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Assigned user ID
+ *     responses:
+ *       200:
+ *         description: Assignee removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 assignees:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TaskAssignee'
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to update this task
+ *       404:
+ *         description: Task not found, or the user is not assigned to it
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  '/:id/assignees/:userId',
+  authenticateToken,
+  authorize.can('task:update', loadTask(['created_by', 'assignee_ids'])),
+  AssigneeController.removeAssignee
+);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/subtasks:
+ *   get:
+ *     summary: List the subtasks of a task
+ *     description: Direct subtasks only; each one reports its own subtask_count. Create subtasks with POST /api/tasks and parent_task_id.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Subtasks of the task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 subtasks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Task'
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Task not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/subtasks', authenticateToken, authorize.access(loadTask()), TaskController.getSubtasks);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/checklist:
+ *   get:
+ *     summary: Get the checklist of a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Checklist items in display order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ChecklistItem'
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Task not found
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Add a checklist item
+ *     description: The item is added at the end of the checklist. Needs the contributor role on the task.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: "Update the changelog"
+ *     responses:
+ *       201:
+ *         description: Checklist item added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 item:
+ *                   $ref: '#/components/schemas/ChecklistItem'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Viewers cannot change the checklist
+ *       404:
+ *         description: Task not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/checklist', authenticateToken, authorize.access(loadTask()), ChecklistController.getChecklist);
+router.post('/:id/checklist', [
+  authenticateToken,
+  authorize.access(loadTask(undefined, 'contributor')),
+  check('title').trim().notEmpty().withMessage('Title is required')
+    .isLength({ max: 255 }).withMessage('Title must be at most 255 characters')
+], ChecklistController.addChecklistItem);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/checklist/{itemId}:
+ *   patch:
+ *     summary: Update a checklist item
+ *     description: Rename, reorder or tick off an item. Needs the contributor role on the task.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Checklist item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               is_done:
+ *                 type: boolean
+ *               position:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: Checklist item updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 item:
+ *                   $ref: '#/components/schemas/ChecklistItem'
+ *       400:
+ *         description: Validation error or invalid item ID
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Viewers cannot change the checklist
+ *       404:
+ *         description: Task or checklist item not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a checklist item
+ *     description: Needs the contributor role on the task.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Checklist item ID
+ *     responses:
+ *       200:
+ *         description: Checklist item deleted
+ *       400:
+ *         description: Invalid item ID
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Viewers cannot change the checklist
+ *       404:
+ *         description: Task or checklist item not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id/checklist/:itemId', [
+  authenticateToken,
+  authorize.access(loadTask(undefined, 'contributor')),
+  check('title').optional().trim().notEmpty().withMessage('Title cannot be empty')
+    .isLength({ max: 255 }).withMessage('Title must be at most 255 characters'),
+  check('is_done').optional().isBoolean().withMessage('is_done must be a boolean').toBoolean(),
+  check('position').optional().isInt({ min: 1 }).withMessage('Position must be a positive integer').toInt()
+], ChecklistController.updateChecklistItem);
+router.delete('/:id/checklist/:itemId', authenticateToken, authorize.access(loadTask(undefined, 'contributor')), ChecklistController.deleteChecklistItem);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/dependencies:
+ *   get:
+ *     summary: Get the dependencies of a task
+ *     description: blocked_by lists the tasks that must finish before this task can start; blocks lists the tasks waiting for it.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Dependencies of the task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 blocked_by:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TaskDependency'
+ *                 blocks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TaskDependency'
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Task not found
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Make a task wait for another task
+ *     description: Adds a finish-to-start dependency. Both tasks must be in the same project and the dependency may not create a cycle. While a blocking task is open, the task cannot move to in_progress. Needs task:update on the task.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the task that waits
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - depends_on_task_id
+ *             properties:
+ *               depends_on_task_id:
+ *                 type: integer
+ *                 description: Task that has to finish first
+ *                 example: 12
+ *     responses:
+ *       201:
+ *         description: Dependency added
+ *       400:
+ *         description: Validation error, task not in a project, tasks in different projects, self-dependency, cycle, or dependency already exists
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to update this task
+ *       404:
+ *         description: Task not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/dependencies', authenticateToken, authorize.access(loadTask()), DependencyController.getDependencies);
+router.post('/:id/dependencies', [
+  authenticateToken,
+  authorize.can('task:update', loadTask(['created_by', 'assignee_ids'])),
+  check('depends_on_task_id').isInt({ min: 1 }).withMessage('Task ID to depend on is required')
+], DependencyController.addDependency);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/dependencies/{dependsOnTaskId}:
+ *   delete:
+ *     summary: Remove a dependency
+ *     description: Needs task:update on the task.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the task that waits
+ *       - in: path
+ *         name: dependsOnTaskId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the task it waits for
+ *     responses:
+ *       200:
+ *         description: Dependency removed
+ *       400:
+ *         description: Invalid task ID
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to update this task
+ *       404:
+ *         description: Task or dependency not found
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  '/:id/dependencies/:dependsOnTaskId',
+  authenticateToken,
+  authorize.can('task:update', loadTask(['created_by', 'assignee_ids'])),
+  DependencyController.removeDependency
+);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/recurrence:
+ *   get:
+ *     summary: Get the recurring series of a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of any task of the series
+ *     responses:
+ *       200:
+ *         description: Series with its rule and tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recurrence:
+ *                   $ref: '#/components/schemas/TaskRecurrence'
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Task not found, or not part of a recurring series
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Make a task repeat
+ *     description: The task becomes the first task of a new series that starts on its due date (today when it has none). A background job creates each following task when its date arrives or as soon as the current task is closed, copying the title, description, project, assignees, priority and estimate. Needs task:update on the task.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/RecurrenceRule'
+ *               - type: object
+ *                 required:
+ *                   - frequency
+ *     responses:
+ *       201:
+ *         description: Series created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 recurrence:
+ *                   $ref: '#/components/schemas/TaskRecurrence'
+ *       400:
+ *         description: Validation error, incomplete rule, rule without a further occurrence, or task already in an active series
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to update this task
+ *       404:
+ *         description: Task not found, or not part of a recurring series
+ *       500:
+ *         description: Server error
+ *   patch:
+ *     summary: Change the rule of a recurring series
+ *     description: Tasks already created keep their due dates; the next one is scheduled with the new rule. A rule without a further occurrence ends the series. Needs task:update on the task.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of any task of the series
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecurrenceRule'
+ *     responses:
+ *       200:
+ *         description: Series updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 recurrence:
+ *                   $ref: '#/components/schemas/TaskRecurrence'
+ *       400:
+ *         description: Validation error, incomplete rule, or series already ended
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to update this task
+ *       404:
+ *         description: Task not found, or not part of a recurring series
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: End a recurring series
+ *     description: No more tasks are created; the existing ones are kept. Needs task:update on the task.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of any task of the series
+ *     responses:
+ *       200:
+ *         description: Series ended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 recurrence:
+ *                   $ref: '#/components/schemas/TaskRecurrence'
+ *       400:
+ *         description: Series already ended
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to update this task
+ *       404:
+ *         description: Task not found, or not part of a recurring series
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/recurrence', authenticateToken, authorize.access(loadTask()), RecurrenceController.getRecurrence);
+router.post('/:id/recurrence', [
+  authenticateToken,
+  authorize.can('task:update', loadTask(['created_by', 'assignee_ids'])),
+  ...recurrenceValidation()
+], RecurrenceController.createRecurrence);
+router.patch('/:id/recurrence', [
+  authenticateToken,
+  authorize.can('task:update', loadTask(['created_by', 'assignee_ids'])),
+  ...recurrenceValidation(true)
+], RecurrenceController.updateRecurrence);
+router.delete(
+  '/:id/recurrence',
+  authenticateToken,
+  authorize.can('task:update', loadTask(['created_by', 'assignee_ids'])),
+  RecurrenceController.endRecurrence
+);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/recurrence/pause:
+ *   post:
+ *     summary: Pause a recurring series
+ *     description: No tasks are created until the series is resumed. Needs task:update on the task.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of any task of the series
+ *     responses:
+ *       200:
+ *         description: Series paused
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 recurrence:
+ *                   $ref: '#/components/schemas/TaskRecurrence'
+ *       400:
+ *         description: Series is not active
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to update this task
+ *       404:
+ *         description: Task not found, or not part of a recurring series
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/recurrence/pause',
+  authenticateToken,
+  authorize.can('task:update', loadTask(['created_by', 'assignee_ids'])),
+  RecurrenceController.pauseRecurrence
+);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/recurrence/resume:
+ *   post:
+ *     summary: Resume a paused recurring series
+ *     description: Occurrences that passed while the series was paused are skipped. Needs task:update on the task.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of any task of the series
+ *     responses:
+ *       200:
+ *         description: Series resumed, or ended when the rule has no further occurrence
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 recurrence:
+ *                   $ref: '#/components/schemas/TaskRecurrence'
+ *       400:
+ *         description: Series is not paused
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to update this task
+ *       404:
+ *         description: Task not found, or not part of a recurring series
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/recurrence/resume',
+  authenticateToken,
+  authorize.can('task:update', loadTask(['created_by', 'assignee_ids'])),
+  RecurrenceController.resumeRecurrence
+);
+
+export default router;
@@ -0,0 +1,283 @@
+import express from 'express';
+import ProjectTemplateController from '../controllers/projectTemplate.controller.js';
+import { authenticateToken, authorize } from '../middleware/auth.middleware.js';
+import { loadTemplate } from '../utils/resourceLoaders.utils.js';
+import { templateValidation } from '../utils/template.utils.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Project Templates
+ *   description: Reusable task lists to start new projects from
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TemplateTask:
+ *       type: object
+ *       required:
+ *         - title
+ *       properties:
+ *         title:
+ *           type: string
+ *           example: Kick-off meeting
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         priority:
+ *           type: string
+ *           enum: [low, medium, high, urgent]
+ *           default: medium
+ *         estimated_hours:
+ *           type: number
+ *           nullable: true
+ *           example: 2
+ *         due_offset_days:
+ *           type: integer
+ *           nullable: true
+ *           description: Days after the project start date the task is due; null for no due date
+ *           example: 3
+ *         default_role:
+ *           type: string
+ *           nullable: true
+ *           enum: [contributor, manager, owner]
+ *           description: The task is assigned to the team member with this project role (or the nearest higher one); null leaves it unassigned
+ *         position:
+ *           type: integer
+ *           description: Order within the template (the order of the tasks array when saving)
+ *           readOnly: true
+ *     ProjectTemplate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: Client website
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         priority:
+ *           type: string
+ *           enum: [low, medium, high, urgent]
+ *           description: Priority of projects created from the template
+ *         project_type:
+ *           type: string
+ *           nullable: true
+ *         duration_days:
+ *           type: integer
+ *           nullable: true
+ *           description: Days from the project start to its end date
+ *         created_by:
+ *           type: integer
+ *         creator_name:
+ *           type: string
+ *         task_count:
+ *           type: integer
+ *           description: Only in lists
+ *         tasks:
+ *           type: array
+ *           description: Only on a single template
+ *           items:
+ *             $ref: '#/components/schemas/TemplateTask'
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     ProjectTemplateRequest:
+ *       type: object
+ *       required:
+ *         - name
+ *         - tasks
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Client website
+ *         description:
+ *           type: string
+ *         priority:
+ *           type: string
+ *           enum: [low, medium, high, urgent]
+ *         project_type:
+ *           type: string
+ *         duration_days:
+ *           type: integer
+ *           example: 60
+ *         tasks:
+ *           type: array
+ *           minItems: 1
+ *           maxItems: 500
+ *           items:
+ *             $ref: '#/components/schemas/TemplateTask'
+ */
+
+/**
+ * @swagger
+ * /api/project-templates:
+ *   get:
+ *     summary: Get all project templates
+ *     tags: [Project Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates, most recently updated first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 templates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProjectTemplate'
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Create a project template
+ *     description: Any user can create templates. To save an existing project as a template use POST /api/projects/{id}/save-as-template.
+ *     tags: [Project Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProjectTemplateRequest'
+ *     responses:
+ *       201:
+ *         description: Template created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 template:
+ *                   $ref: '#/components/schemas/ProjectTemplate'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authenticateToken, ProjectTemplateController.getTemplates);
+router.post('/', [authenticateToken, ...templateValidation], ProjectTemplateController.createTemplate);
+
+/**
+ * @swagger
+ * /api/project-templates/{id}:
+ *   get:
+ *     summary: Get a project template with its tasks
+ *     tags: [Project Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Template ID
+ *     responses:
+ *       200:
+ *         description: Template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 template:
+ *                   $ref: '#/components/schemas/ProjectTemplate'
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Replace a project template and its tasks
+ *     description: Needs template:manage (own for templates the user created). Projects already created from it do not change.
+ *     tags: [Project Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Template ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProjectTemplateRequest'
+ *     responses:
+ *       200:
+ *         description: Template updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 template:
+ *                   $ref: '#/components/schemas/ProjectTemplate'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to change this template
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a project template
+ *     description: Needs template:manage (own for templates the user created). Projects created from it are kept.
+ *     tags: [Project Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Template ID
+ *     responses:
+ *       200:
+ *         description: Template deleted
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to delete this template
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authenticateToken, authorize.access(loadTemplate), ProjectTemplateController.getTemplateById);
+router.put('/:id', [
+  authenticateToken,
+  authorize.can('template:manage', loadTemplate),
+  ...templateValidation
+], ProjectTemplateController.updateTemplate);
+router.delete('/:id', authenticateToken, authorize.can('template:manage', loadTemplate), ProjectTemplateController.deleteTemplate);
+
+export default router;
@@ -0,0 +1,77 @@
+import express from 'express';
+import { check } from 'express-validator';
+import TrashController from '../controllers/trash.controller.js';
+import { authenticateToken, authorize } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Trash
+ *   description: |
+ *     Deleted tasks, projects, users and vendors stay in the trash, from where they can be restored
+ *     (GET /api/tasks/trash, POST /api/tasks/{id}/restore and likewise for projects, users and vendors).
+ *     A background job purges what has been in the trash longer than TRASH_RETENTION_DAYS (default 30),
+ *     every TRASH_PURGE_INTERVAL_MINUTES (default 60, 0 disables it). Tasks and users with daily updates
+ *     are billing history and are never purged, nor are the projects of such tasks.
+ */
+
+/**
+ * @swagger
+ * /api/trash/purge:
+ *   post:
+ *     summary: Purge the trash now
+ *     description: Permanently deletes what has been in the trash longer than retention_days, like the purge job does.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               retention_days:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Only purge rows deleted longer ago than this; defaults to TRASH_RETENTION_DAYS. 0 purges everything purgeable.
+ *     responses:
+ *       200:
+ *         description: Trash purged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 retention_days:
+ *                   type: number
+ *                 purged:
+ *                   type: object
+ *                   properties:
+ *                     tasks:
+ *                       type: integer
+ *                     projects:
+ *                       type: integer
+ *                     vendors:
+ *                       type: integer
+ *                     users:
+ *                       type: integer
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Missing the trash:purge permission
+ *       500:
+ *         description: Server error
+ */
+router.post('/purge', [
+  authenticateToken,
+  authorize.can('trash:purge'),
+  check('retention_days').optional().isFloat({ min: 0 }).withMessage('retention_days must be a number of days (0 or more)').toFloat()
+], TrashController.purge);
+
+export default router;
@@ -1,7 +1,9 @@
 import express from 'express';
-import {check} from 'express-validator';
+import {check, query} from 'express-validator';
 import UserController from '../controllers/user.controller.js';
 import  { authenticateToken, authorize }  from '../middleware/auth.middleware.js'
+import { loadUser } from '../utils/resourceLoaders.utils.js';
+import { uploadSingle } from '../middleware/upload.middleware.js';
 const router = express.Router();
 
 /**
@@ -25,8 +27,7 @@ const router = express.Router();
  *           description: Designation
  *         role:
  *           type: string
- *           enum: [admin, manager, employee, consultant, vendor]
- *           description: User role
+ *           description: User role (a role name from /api/roles)
  *         type:
  *           type: string
  *           description: User type
@@ -78,8 +79,7 @@ const router = express.Router();
  *           description: Designation
  *         role:
  *           type: string
- *           enum: [admin, manager, employee, consultant, vendor]
- *           description: User role
+ *           description: User role (a role name from /api/roles)
  *         type:
  *           type: string
  *           description: User type
@@ -110,8 +110,7 @@ const router = express.Router();
  *           description: email
  *         role:
  *           type: string
- *           enum: [admin, manager, employee, consultant, vendor]
- *           description: User role
+ *           description: User role (a role name from /api/roles)
  *         designation:
  *           type: string
  *           description: Designation
@@ -136,6 +135,37 @@ const router = express.Router();
  *           type: string
  *           enum: [active, inactive, suspended]
  *           description: Account status
+ *     UserImportReport:
+ *       type: object
+ *       properties:
+ *         dryRun:
+ *           type: boolean
+ *         total:
+ *           type: integer
+ *           description: Number of users in the file
+ *         valid:
+ *           type: integer
+ *         invalid:
+ *           type: integer
+ *         rows:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *                 description: Row number in the file
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *               working_for:
+ *                 type: integer
+ *                 nullable: true
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: string
  *     DashboardOverview:
  *       type: object
  *       properties:
@@ -264,6 +294,41 @@ router.get('/dashboard/overview', authenticateToken, UserController.getDashboard
  *           type: integer
  *           default: 10
  *         description: Results per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive, suspended]
+ *         description: Filter by account status
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Filter by role
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for name or email
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           enum: [created_at, first_name, last_name, email, role, status, id]
+ *           default: created_at
+ *         description: Field to sort by; rows without a value come last
+ *       - in: query
+ *         name: sort_order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Sort order
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: next_cursor of the previous page. Continues after the last row of that page (page is then ignored); keep the same filters and sort.
  *     responses:
  *       200:
  *         description: List of users
@@ -277,26 +342,104 @@ router.get('/dashboard/overview', authenticateToken, UserController.getDashboard
  *                   items:
  *                     $ref: '#/components/schemas/User'
  *                 pagination:
- *                   type: object
- *                   properties:
- *                     total:
- *                       type: integer
- *                       example: 50
- *                     page:
- *                       type: integer
- *                       example: 1
- *                     limit:
- *                       type: integer
- *                       example: 10
- *                     pages:
- *                       type: integer
- *                       example: 5
+ *                   $ref: '#/components/schemas/PaginationResponse'
+ *       400:
+ *         description: Unknown sort_by or invalid cursor
  *       401:
  *         description: Not authenticated
  *       500:
  *         description: Server error
  */
 router.get('/', authenticateToken, UserController.getAllUsers);
+
+/**
+ * @swagger
+ * /api/users/trash:
+ *   get:
+ *     summary: Get the user trash
+ *     description: Deleted users, most recently deleted first. Requires user:delete
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Results per page
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Filter by role
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for the name or email
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           enum: [deleted_at, first_name, last_name, email, id]
+ *           default: deleted_at
+ *         description: Field to sort by
+ *       - in: query
+ *         name: sort_order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Sort order
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: next_cursor of the previous page. Continues after the last row of that page (page is then ignored); keep the same filters and sort.
+ *     responses:
+ *       200:
+ *         description: Deleted users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/User'
+ *                       - type: object
+ *                         properties:
+ *                           deleted_at:
+ *                             type: string
+ *                             format: date-time
+ *                           deleted_by:
+ *                             type: integer
+ *                           deleted_by_name:
+ *                             type: string
+ *                           has_daily_updates:
+ *                             type: boolean
+ *                             description: The user is part of the billing history and is never purged
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationResponse'
+ *       400:
+ *         description: Unknown sort_by or invalid cursor
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/trash', [authenticateToken, authorize.can('user:delete')], UserController.getDeletedUsers);
 /**
  * @swagger
  * /api/users/id-names:
@@ -394,6 +537,124 @@ router.get('/id-admin', authenticateToken, UserController.getAllUserIdsAndNamesf
  */
 router.get('/roles', authenticateToken, UserController.getUserRoles);
 
+/**
+ * @swagger
+ * /api/users/import:
+ *   post:
+ *     summary: Import users from a CSV or XLSX file
+ *     description: |
+ *       Every row becomes an invite and is checked with the same rules as POST /api/auth/invites.
+ *       The first row holds the column names (email, first_name, last_name and phone_no are required, as for
+ *       registration; role, department, position, designation, type, working_type and working_for are optional).
+ *       With dry_run=true only the per-row report is returned. Otherwise all invites are created in one
+ *       transaction and the invite emails are sent; if any row has errors nothing is created.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only validate the file
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV or XLSX file (at most 500 users, 5 MB)
+ *     responses:
+ *       200:
+ *         description: Dry run report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserImportReport'
+ *       201:
+ *         description: Users invited. mailFailures lists invites whose email could not be sent.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserImportReport'
+ *       400:
+ *         description: Missing or unreadable file, or rows with errors (see rows[].errors)
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       413:
+ *         description: File too large
+ *       500:
+ *         description: Server error
+ */
+router.post('/import', authenticateToken, uploadSingle('file', {
+  maxSize: 5 * 1024 * 1024,
+  extensions: ['.csv', '.xlsx']
+}), [
+  query('dry_run').optional().isIn(['true', 'false']).withMessage('dry_run must be true or false')
+], UserController.importUsers);
+
+/**
+ * @swagger
+ * /api/users/export:
+ *   get:
+ *     summary: Export users as CSV or XLSX
+ *     description: Uses the columns of the import file. With user:read:own only the user and the users working for them are exported.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *         description: File format
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive, suspended]
+ *         description: Filter by status
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Filter by role
+ *     responses:
+ *       200:
+ *         description: Export file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/export', authenticateToken, [
+  query('format').optional().isIn(['csv', 'xlsx']).withMessage('format must be csv or xlsx'),
+  query('status').optional().isIn(['active', 'inactive', 'suspended']).withMessage('Invalid status')
+], UserController.exportUsers);
+
 /**
  * @swagger
  * /api/users/{id}:
@@ -467,6 +728,7 @@ router.get('/:id', authenticateToken, UserController.getUserById);
  */
 router.put('/:id', [
   authenticateToken,
+  authorize.can('user:update', loadUser()),
   check('first_name').optional().notEmpty().withMessage('First name cannot be empty if provided'),
   check('last_name').optional().notEmpty().withMessage('Last name cannot be empty if provided'),
   check('working_for').optional().isInt({ min: 1 }).withMessage('working_for must be a valid vendor ID')
@@ -477,7 +739,7 @@ router.put('/:id', [
  * /api/users/{id}/status:
  *   patch:
  *     summary: Update user status
- *     description: Admin role required
+ *     description: Requires user:update-status
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -510,10 +772,40 @@ router.put('/:id', [
  */
 router.patch('/:id/status', [
   authenticateToken, 
-  authorize('admin'),
+  authorize.can('user:update-status'),
   check('status').isIn(['active', 'inactive', 'suspended']).withMessage('Invalid status value')
 ], UserController.updateUserStatus);
 
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock a user account
+ *     description: Clears the failed login counter and temporary lock of an account. Requires user:unlock
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User account unlocked
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/unlock', [authenticateToken, authorize.can('user:unlock')], UserController.unlockUser);
+
 /**
  * @swagger
  * /api/users/{id}/working-for:
@@ -595,7 +887,7 @@ router.patch('/:id/status', [
  *       500:
  *         description: Server error
  */
-router.get('/:id/working-for', authenticateToken, UserController.getUserWorkingFor);
+router.get('/:id/working-for', authenticateToken, authorize.can('user:read', loadUser()), UserController.getUserWorkingFor);
 
 /**
  * @swagger
@@ -709,7 +1001,7 @@ router.get('/:id/working-for', authenticateToken, UserController.getUserWorkingF
  *       500:
  *         description: Server error
  */
-router.get('/:id/projects', authenticateToken, UserController.getUserProjects);
+router.get('/:id/projects', authenticateToken, authorize.can('user:read', loadUser()), UserController.getUserProjects);
 
 /**
  * @swagger
@@ -790,14 +1082,14 @@ router.get('/:id/projects', authenticateToken, UserController.getUserProjects);
  *       500:
  *         description: Server error
  */
-router.get('/working-for/:workingForId', authenticateToken, UserController.getUsersWorkingFor);
+router.get('/working-for/:workingForId', authenticateToken, authorize.can('user:read', loadUser('workingForId')), UserController.getUsersWorkingFor);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   delete:
  *     summary: Delete a user
- *     description: Admin role required
+ *     description: Requires user:delete. Moves the user to the trash, from where they can be restored until they are purged (see Trash); their sessions and API tokens are revoked.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -822,6 +1114,46 @@ router.get('/working-for/:workingForId', authenticateToken, UserController.getUs
  *       500:
  *         description: Server error
  */
-router.delete('/:id', [authenticateToken, authorize('admin')], UserController.deleteUser);
+router.delete('/:id', [authenticateToken, authorize.can('user:delete')], UserController.deleteUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/restore:
+ *   post:
+ *     summary: Restore a user from the trash
+ *     description: Requires user:delete. The user can log in again with their old password.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "User restored successfully"
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: User not found in the trash
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/restore', [authenticateToken, authorize.can('user:delete')], UserController.restoreUser);
 
 export default router;
\ No newline at end of file
@@ -17,9 +17,12 @@ import {
   assignTaskToConsultant,
   getAllVendorIdsAndNames,
   getMyConsultants,
-  getMyConsultantsIDAandName
+  getMyConsultantsIDAandName,
+  getDeletedVendors,
+  restoreVendor
 }from '../controllers/vendor.controller.js';
 import { authenticateToken, authorize } from '../middleware/auth.middleware.js';
+import { loadVendor, loadConsultant } from '../utils/resourceLoaders.utils.js';
 
 /**
  * @swagger
@@ -59,7 +62,7 @@ import { authenticateToken, authorize } from '../middleware/auth.middleware.js';
  *       500:
  *         description: Server error
  */
-router.get('/ids-names', authenticateToken, authorize(['admin', 'vendor']), getAllVendorIdsAndNames);
+router.get('/ids-names', authenticateToken, authorize.can('vendor:read'), getAllVendorIdsAndNames);
 /**
  * @swagger
  * /api/vendors/my-consultants:
@@ -78,7 +81,7 @@ router.get('/ids-names', authenticateToken, authorize(['admin', 'vendor']), getA
  *       500:
  *         description: Server error
  */
-router.get('/my-consultants', authenticateToken, authorize(['vendor', 'admin']), getMyConsultants);
+router.get('/my-consultants', authenticateToken, authorize.can('vendor:view-consultants'), getMyConsultants);
 /**
  * @swagger
  * /api/vendors/my-consultantsId:
@@ -119,7 +122,7 @@ router.get('/my-consultants', authenticateToken, authorize(['vendor', 'admin']),
 router.get(
   '/my-consultantsId',
   authenticateToken,
-  authorize(['vendor', 'admin']),
+  authorize.can('vendor:view-consultants'),
   getMyConsultantsIDAandName
 );
 
@@ -142,15 +145,105 @@ router.get(
  *         schema:
  *           type: integer
  *         description: Number of items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive, suspended]
+ *         description: Filter by the status of the vendor's user account
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for company name, contact name or email
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           enum: [created_at, company_name, id]
+ *           default: created_at
+ *         description: Field to sort by; rows without a value come last
+ *       - in: query
+ *         name: sort_order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Sort order
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: next_cursor of the previous page. Continues after the last row of that page (page is then ignored); keep the same filters and sort.
  *     responses:
  *       200:
  *         description: List of vendors retrieved successfully
+ *       400:
+ *         description: Unknown sort_by or invalid cursor
  *       401:
  *         description: Unauthorized
  *       500:
  *         description: Server error
  */
-router.get('/', authenticateToken, authorize(['admin','vendor']), getAllVendors);
+router.get('/', authenticateToken, authorize.can('vendor:read'), getAllVendors);
+
+/**
+ * @swagger
+ * /api/vendors/trash:
+ *   get:
+ *     summary: Get the vendor trash
+ *     description: Deleted vendor profiles, most recently deleted first. Requires vendor:delete
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for company name, contact name or email
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           enum: [deleted_at, company_name, id]
+ *           default: deleted_at
+ *         description: Field to sort by
+ *       - in: query
+ *         name: sort_order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Sort order
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: next_cursor of the previous page. Continues after the last row of that page (page is then ignored); keep the same filters and sort.
+ *     responses:
+ *       200:
+ *         description: Deleted vendors retrieved successfully
+ *       400:
+ *         description: Unknown sort_by or invalid cursor
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/trash', authenticateToken, authorize.can('vendor:delete'), getDeletedVendors);
 
 /**
  * @swagger
@@ -177,7 +270,7 @@ router.get('/', authenticateToken, authorize(['admin','vendor']), getAllVendors)
  *       500:
  *         description: Server error
  */
-router.get('/:id', authenticateToken,  getVendorById);
+router.get('/:id', authenticateToken, authorize.can('vendor:read', loadVendor), getVendorById);
 
 /**
  * @swagger
@@ -237,7 +330,7 @@ router.get('/:id', authenticateToken,  getVendorById);
  *       500:
  *         description: Server error
  */
-router.post('/', authenticateToken, authorize(['admin']), createVendor);
+router.post('/', authenticateToken, authorize.can('vendor:create'), createVendor);
 
 /**
  * @swagger
@@ -291,13 +384,14 @@ router.post('/', authenticateToken, authorize(['admin']), createVendor);
  *       500:
  *         description: Server error
  */
-router.put('/:id', authenticateToken, authorize(['admin', 'vendor']),  updateVendor);
+router.put('/:id', authenticateToken, authorize.can('vendor:update', loadVendor), updateVendor);
 
 /**
  * @swagger
  * /api/vendors/{id}:
  *   delete:
  *     summary: Delete a vendor
+ *     description: Moves the vendor profile to the trash, from where it can be restored until it is purged (see Trash).
  *     tags: [Vendors]
  *     security:
  *       - bearerAuth: []
@@ -318,7 +412,34 @@ router.put('/:id', authenticateToken, authorize(['admin', 'vendor']),  updateVen
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authenticateToken, authorize(['admin']), deleteVendor);
+router.delete('/:id', authenticateToken, authorize.can('vendor:delete'), deleteVendor);
+
+/**
+ * @swagger
+ * /api/vendors/{id}/restore:
+ *   post:
+ *     summary: Restore a vendor from the trash
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Vendor ID
+ *     responses:
+ *       200:
+ *         description: Vendor restored successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Vendor not found in the trash
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/restore', authenticateToken, authorize.can('vendor:delete'), restoreVendor);
 
 /**
  * @swagger
@@ -445,6 +566,6 @@ router.get('/:id/tasks', authenticateToken,  getVendorTasks);
  *       500:
  *         description: Server error
  */
-router.post('/consultants/:consultantId/tasks', authenticateToken, authorize(['admin', 'vendor']),  assignTaskToConsultant);
+router.post('/consultants/:consultantId/tasks', authenticateToken, authorize.can('vendor:assign-consultant', loadConsultant), assignTaskToConsultant);
 
 export default router;
\ No newline at end of file
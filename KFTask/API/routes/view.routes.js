@@ -0,0 +1,283 @@
+import express from 'express';
+import { query } from 'express-validator';
+import ViewController from '../controllers/view.controller.js';
+import { authenticateToken, authorize } from '../middleware/auth.middleware.js';
+import { loadView } from '../utils/resourceLoaders.utils.js';
+import { VIEW_LISTS, viewValidation } from '../utils/view.utils.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Views
+ *   description: |
+ *     Saved views: a named set of filters, sort and columns for a listing, applied with its view query parameter
+ *     (GET /api/tasks?view={id}, GET /api/tasks/daily-updates?view={id}, GET /api/tasks/feedback/{user_id}?view={id}
+ *     and GET /api/tasks/feedback/admin/{user_id}?view={id}).
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SavedView:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: My overdue work
+ *         list:
+ *           type: string
+ *           enum: [tasks, daily_updates, feedback]
+ *         filters:
+ *           type: object
+ *           additionalProperties: true
+ *           example: { assignee_id: 12, status: [todo, in_progress], due_date_end: 2026-10-31 }
+ *         sort_by:
+ *           type: string
+ *           nullable: true
+ *           example: due_date
+ *         sort_order:
+ *           type: string
+ *           enum: [asc, desc]
+ *           nullable: true
+ *         columns:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: string
+ *           description: Columns the client shows, in order
+ *           example: [title, status, due_date, assignees]
+ *         visibility:
+ *           type: string
+ *           enum: [private, project]
+ *         project_id:
+ *           type: integer
+ *           nullable: true
+ *         project_title:
+ *           type: string
+ *           nullable: true
+ *         owner_id:
+ *           type: integer
+ *         owner_name:
+ *           type: string
+ *         is_owner:
+ *           type: boolean
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     SavedViewRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *           example: My overdue work
+ *         list:
+ *           type: string
+ *           enum: [tasks, daily_updates, feedback]
+ *         filters:
+ *           type: object
+ *           additionalProperties: true
+ *           description: |
+ *             Query parameters of the listing; lists are sent comma-separated. Allowed keys:
+ *             tasks - project_id, assignee_id, created_by, status, priority, due_date_start, due_date_end, search;
+ *             daily_updates - task_id, project_id, assignee_id, created_by, working_for, update_date_start, update_date_end;
+ *             feedback - project_id, task_id, reply_status, feedback_creator_id
+ *           example: { assignee_id: 12, status: [todo, in_progress], due_date_end: 2026-10-31 }
+ *         sort_by:
+ *           type: string
+ *           nullable: true
+ *           description: Only for tasks - due_date, priority, status, title, created_at, updated_at, estimated_hours or id
+ *         sort_order:
+ *           type: string
+ *           enum: [asc, desc]
+ *           nullable: true
+ *         columns:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: string
+ *         visibility:
+ *           type: string
+ *           enum: [private, project]
+ *           default: private
+ *           description: project shares the view with the team of project_id
+ *         project_id:
+ *           type: integer
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/views:
+ *   get:
+ *     summary: Get the saved views the user can apply
+ *     description: The user's own views first, then the views shared with the teams of their projects.
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: list
+ *         schema:
+ *           type: string
+ *           enum: [tasks, daily_updates, feedback]
+ *         description: Only views of this listing
+ *     responses:
+ *       200:
+ *         description: Views
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 views:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SavedView'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Save a view
+ *     description: Views shared with a project can only be saved by members of its team.
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SavedViewRequest'
+ *               - required: [name, list]
+ *     responses:
+ *       201:
+ *         description: View created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 view:
+ *                   $ref: '#/components/schemas/SavedView'
+ *       400:
+ *         description: Validation error, unknown filter or project the user is not on
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/', [
+  authenticateToken,
+  query('list').optional().isIn(Object.keys(VIEW_LISTS))
+    .withMessage(`list must be one of: ${Object.keys(VIEW_LISTS).join(', ')}`)
+], ViewController.getViews);
+router.post('/', [authenticateToken, ...viewValidation()], ViewController.createView);
+
+/**
+ * @swagger
+ * /api/views/{id}:
+ *   get:
+ *     summary: Get a saved view
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: View ID
+ *     responses:
+ *       200:
+ *         description: View
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 view:
+ *                   $ref: '#/components/schemas/SavedView'
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: View not found or not shared with the user
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Update a saved view
+ *     description: Only the owner can change a view.
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: View ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedViewRequest'
+ *     responses:
+ *       200:
+ *         description: View updated
+ *       400:
+ *         description: Validation error, unknown filter or project the user is not on
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not the owner of the view
+ *       404:
+ *         description: View not found or not shared with the user
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a saved view
+ *     description: Only the owner can delete a view.
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: View ID
+ *     responses:
+ *       200:
+ *         description: View deleted
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not the owner of the view
+ *       404:
+ *         description: View not found or not shared with the user
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authenticateToken, authorize.access(loadView()), ViewController.getViewById);
+router.put('/:id', [authenticateToken, authorize.access(loadView(true)), ...viewValidation(true)], ViewController.updateView);
+router.delete('/:id', authenticateToken, authorize.access(loadView(true)), ViewController.deleteView);
+
+export default router;
@@ -0,0 +1,169 @@
+import express from 'express';
+import WorkflowController from '../controllers/workflow.controller.js';
+import { authenticateToken, authorize } from '../middleware/auth.middleware.js';
+import { workflowValidation } from '../utils/workflow.utils.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Workflows
+ *   description: Task statuses and the allowed moves between them
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WorkflowState:
+ *       type: object
+ *       required:
+ *         - status
+ *         - name
+ *         - category
+ *       properties:
+ *         status:
+ *           type: string
+ *           description: Key stored in tasks.status (lower-case letters, digits and underscores)
+ *           example: in_review
+ *         name:
+ *           type: string
+ *           example: In review
+ *         category:
+ *           type: string
+ *           enum: [todo, in_progress, done, cancelled]
+ *           description: What the status means to the API. in_progress starts work (and is blocked by open dependencies); done and cancelled close a task.
+ *         is_initial:
+ *           type: boolean
+ *           description: Status new tasks start in; exactly one state has it
+ *         position:
+ *           type: integer
+ *           description: Display order (the order of the states array when saving)
+ *     WorkflowTransition:
+ *       type: object
+ *       required:
+ *         - from_status
+ *         - to_status
+ *       properties:
+ *         from_status:
+ *           type: string
+ *           example: in_progress
+ *         to_status:
+ *           type: string
+ *           example: completed
+ *         requires_verification:
+ *           type: boolean
+ *           description: The move is requested with a daily update and only applied once it is verified (PUT /api/tasks/{id}/verify)
+ *     Workflow:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         project_id:
+ *           type: integer
+ *           nullable: true
+ *           description: null for the default workflow
+ *         name:
+ *           type: string
+ *         is_default:
+ *           type: boolean
+ *         states:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/WorkflowState'
+ *         transitions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/WorkflowTransition'
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     WorkflowRequest:
+ *       type: object
+ *       required:
+ *         - name
+ *         - states
+ *         - transitions
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Engineering workflow
+ *         states:
+ *           type: array
+ *           description: Needs exactly one initial state and at least one done state; statuses tasks still have must be kept
+ *           items:
+ *             $ref: '#/components/schemas/WorkflowState'
+ *         transitions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/WorkflowTransition'
+ */
+
+/**
+ * @swagger
+ * /api/workflows/default:
+ *   get:
+ *     summary: Get the default workflow
+ *     description: Used by tasks outside projects and by projects without their own workflow
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Default workflow
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 workflow:
+ *                   $ref: '#/components/schemas/Workflow'
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Replace the default workflow
+ *     description: Requires workflow:manage
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WorkflowRequest'
+ *     responses:
+ *       200:
+ *         description: Workflow saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 workflow:
+ *                   $ref: '#/components/schemas/Workflow'
+ *       400:
+ *         description: Validation error, inconsistent workflow, or tasks still have a status the workflow drops
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/default', authenticateToken, WorkflowController.getDefaultWorkflow);
+router.put('/default', [
+  authenticateToken,
+  authorize.can('workflow:manage'),
+  ...workflowValidation
+], WorkflowController.updateDefaultWorkflow);
+
+export default router;
@@ -30,6 +30,18 @@ import projectRoutes from './routes/project.routes.js';
 import taskRoutes from './routes/task.routes.js';
 import vendorRoutes from './routes/vendor.routes.js';
 import reportRoutes from './routes/report.routes.js';
+import roleRoutes from './routes/role.routes.js';
+import auditRoutes from './routes/audit.routes.js';
+import workflowRoutes from './routes/workflow.routes.js';
+import templateRoutes from './routes/template.routes.js';
+import sprintRoutes from './routes/sprint.routes.js';
+import milestoneRoutes from './routes/milestone.routes.js';
+import searchRoutes from './routes/search.routes.js';
+import viewRoutes from './routes/view.routes.js';
+import trashRoutes from './routes/trash.routes.js';
+import { startScheduler, getIntervalFromEnv } from './utils/scheduler.utils.js';
+import { spawnDueRecurringTasks, DEFAULT_RECURRING_TASKS_INTERVAL_MINUTES } from './utils/recurringTasks.utils.js';
+import { purgeTrash, DEFAULT_TRASH_PURGE_INTERVAL_MINUTES } from './utils/trash.utils.js';
 
 
 // Load environment variables
@@ -86,9 +98,6 @@ app.use(morgan('dev'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Static files
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
-
 // API Documentation Route
 app.use('/api-docs', swaggerUI.serve, swaggerUI.setup(swaggerDocs));
 
@@ -99,6 +108,15 @@ app.use('/api/projects', projectRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/vendors', vendorRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/workflows', workflowRoutes);
+app.use('/api/project-templates', templateRoutes);
+app.use('/api/sprints', sprintRoutes);
+app.use('/api/milestones', milestoneRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/views', viewRoutes);
+app.use('/api/trash', trashRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -118,4 +136,16 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`API Documentation available at http://localhost:${PORT}/api-docs`);
+
+  // Background jobs
+  startScheduler(
+    'recurring tasks',
+    getIntervalFromEnv('RECURRING_TASKS_INTERVAL_MINUTES', DEFAULT_RECURRING_TASKS_INTERVAL_MINUTES),
+    spawnDueRecurringTasks
+  );
+  startScheduler(
+    'trash purge',
+    getIntervalFromEnv('TRASH_PURGE_INTERVAL_MINUTES', DEFAULT_TRASH_PURGE_INTERVAL_MINUTES),
+    () => purgeTrash()
+  );
 });
\ No newline at end of file
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeCriticalPath } from '../utils/criticalPath.utils.js';
+
+const task = (id, estimated_hours, due_date = null) => ({
+  id,
+  title: `Task ${id}`,
+  status: 'todo',
+  status_category: 'todo',
+  estimated_hours,
+  due_date
+});
+
+test('follows the chain with the most estimated hours', () => {
+  const result = computeCriticalPath(
+    [task(1, 4), task(2, 2), task(3, 3)],
+    [{ task_id: 3, depends_on_task_id: 1 }, { task_id: 3, depends_on_task_id: 2 }]
+  );
+
+  assert.equal(result.total_hours, 7);
+  assert.deepEqual(result.path.map(node => node.id), [1, 3]);
+  assert.equal(result.tasks.find(node => node.id === 2).slack, 2);
+});
+
+test('handles a first blocker without an estimate', () => {
+  const result = computeCriticalPath(
+    [task(1, null), task(2, 5)],
+    [{ task_id: 2, depends_on_task_id: 1 }]
+  );
+
+  assert.equal(result.total_hours, 5);
+  assert.deepEqual(result.path.map(node => node.id), [1, 2]);
+  assert.equal(result.tasks.find(node => node.id === 2).earliest_start, 0);
+});
+
+test('prefers the blocker with the later due date on equal hours', () => {
+  const result = computeCriticalPath(
+    [task(1, 0, '2026-01-01'), task(2, 0, '2026-02-01'), task(3, 1)],
+    [{ task_id: 3, depends_on_task_id: 1 }, { task_id: 3, depends_on_task_id: 2 }]
+  );
+
+  assert.deepEqual(result.path.map(node => node.id), [2, 3]);
+});
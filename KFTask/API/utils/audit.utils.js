@@ -1,40 +1,159 @@
 // const db = require('../config/db');
 import db from '../config/db.js';
+
 /**
- * Log user actions for audit trail
- * @param {Number} userId - ID of the user performing the action
- * @param {String} action - Short description of the action performed
- * @param {String} description - Detailed description of the action
- * @param {String} ipAddress - IP address of the user (optional)
- * @returns {Promise<Object>} - The created log entry
+ * Entity types recorded in the audit trail
+ */
+export const AUDIT_ENTITY_TYPES = ['user', 'invite', 'project', 'task', 'vendor', 'feedback', 'role', 'api_token', 'setting', 'workflow', 'template', 'sprint', 'milestone'];
+
+// Columns whose values never end up in the audit trail; a change is recorded without the values
+const REDACTED_FIELDS = ['password', 'totp_secret', 'token_hash', 'refresh_token_hash', 'previous_refresh_token_hash'];
+
+// Columns that change on every write and say nothing about what was changed
+const IGNORED_FIELDS = ['created_at', 'updated_at', 'last_login'];
+
+const REDACTED_VALUE = '[redacted]';
+
+/**
+ * Normalize a column value so that equal values compare equal (dates, numbers from strings, ...)
+ * @param {*} value - Column value
+ * @returns {*} - JSON friendly value
+ */
+const normalizeValue = (value) => {
+  if (value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value;
+};
+
+/**
+ * Build the diff of two versions of a row.
+ * On update only the columns present in both versions are compared, so joined
+ * columns of a detailed row (names, counts) do not show up as changes.
+ * @param {Object|null} before - Row before the change (null on create)
+ * @param {Object|null} after - Row after the change (null on delete)
+ * @returns {Object|null} - `{ column: { from, to } }`, null when nothing changed
+ */
+export const diffChanges = (before, after) => {
+  const oldRow = before || {};
+  const newRow = after || {};
+  const columns = before && after
+    ? Object.keys(newRow).filter(column => Object.hasOwn(oldRow, column))
+    : Object.keys(before ? oldRow : newRow);
+
+  const changes = {};
+  for (const column of columns) {
+    if (IGNORED_FIELDS.includes(column)) {
+      continue;
+    }
+
+    const from = normalizeValue(oldRow[column]);
+    const to = normalizeValue(newRow[column]);
+    if (JSON.stringify(from) === JSON.stringify(to)) {
+      continue;
+    }
+
+    changes[column] = REDACTED_FIELDS.includes(column)
+      ? { from: from === null ? null : REDACTED_VALUE, to: to === null ? null : REDACTED_VALUE }
+      : { from, to };
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Write an entry to the audit trail.
+ * Without a client, failures are only logged so that auditing never breaks the main request.
+ * With a client the error is thrown, so the surrounding transaction is rolled back.
+ * @param {Object} entry - Audit entry
+ * @param {String} entry.entityType - Type of the changed entity (see AUDIT_ENTITY_TYPES)
+ * @param {Number} entry.entityId - ID of the changed entity (optional)
+ * @param {Number} entry.actorId - ID of the user performing the action (null for anonymous actions)
+ * @param {String} entry.action - Short action name (e.g. 'create', 'update', 'login')
+ * @param {String} entry.description - Detailed description (optional)
+ * @param {Object} entry.changes - Diff built with diffChanges (optional)
+ * @param {String} entry.ipAddress - IP address of the actor (optional)
+ * @param {Object} client - Database client (optional, for transactions)
+ * @returns {Promise<Object|null>} - The created audit entry
  */
-export const logUserAction = async (userId, action, description, ipAddress = null) => {
+export const logAudit = async ({
+  entityType,
+  entityId = null,
+  actorId = null,
+  action,
+  description = null,
+  changes = null,
+  ipAddress = null
+}, client = null) => {
   try {
-    const result = await db.query(
-      `INSERT INTO user_logs (
-        user_id, 
-        action, 
-        description, 
-        ip_address
-      ) 
-      VALUES ($1, $2, $3, $4) 
-      RETURNING *`,
-      [
-        userId,
-        action,
-        description,
-        ipAddress
-      ]
+    const { rows } = await (client || db).query(
+      `INSERT INTO audit_logs (entity_type, entity_id, actor_id, action, description, changes, ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [entityType, entityId, actorId, action, description, changes ? JSON.stringify(changes) : null, ipAddress]
     );
-    
-    return result.rows[0];
+    return rows[0];
   } catch (error) {
-    console.error('Error logging user action:', error);
-    // Don't throw the error to prevent it from affecting the main functionality
+    if (client) {
+      throw error;
+    }
+    console.error('Error writing audit log:', error);
+    return null;
+  }
+};
+
+/**
+ * Record a create, update or delete of an entity together with the changed fields.
+ * Updates that did not change anything are not recorded.
+ * @param {Object} req - Express request object (actor and IP address)
+ * @param {String} entityType - Type of the entity (see AUDIT_ENTITY_TYPES)
+ * @param {String} action - 'create', 'update', 'delete' or a more specific action
+ * @param {Object} data - Change details
+ * @param {Object} data.before - Row before the change (omit on create)
+ * @param {Object} data.after - Row after the change (omit on delete)
+ * @param {Number} data.entityId - Entity ID (defaults to the id of the row)
+ * @param {String} data.description - Detailed description (optional)
+ * @param {Object} client - Database client (optional, for transactions)
+ * @returns {Promise<Object|null>} - The created audit entry
+ */
+export const logEntityChange = async (req, entityType, action, { before = null, after = null, entityId, description = null }, client = null) => {
+  const changes = diffChanges(before, after);
+  if (before && after && !changes) {
     return null;
   }
+
+  return logAudit({
+    entityType,
+    entityId: entityId ?? (after || before)?.id ?? null,
+    actorId: req.user?.id ?? null,
+    action,
+    description,
+    changes,
+    ipAddress: req.ip
+  }, client);
 };
 
+/**
+ * Log user actions for audit trail
+ * The entry is recorded against the user's own account (logins, password and 2FA changes, report access)
+ * @param {Number} userId - ID of the user performing the action
+ * @param {String} action - Short description of the action performed
+ * @param {String} description - Detailed description of the action
+ * @param {String} ipAddress - IP address of the user (optional)
+ * @returns {Promise<Object>} - The created log entry
+ */
+export const logUserAction = async (userId, action, description, ipAddress = null) => logAudit({
+  entityType: 'user',
+  entityId: userId,
+  actorId: userId,
+  action,
+  description,
+  ipAddress
+});
+
 /**
  * Get recent user actions for a specific user
  * @param {Number} userId - ID of the user
@@ -44,17 +163,17 @@ export const logUserAction = async (userId, action, description, ipAddress = nul
 export const getUserRecentActions = async (userId, limit = 10) => {
   try {
     const result = await db.query(
-      `SELECT * 
-       FROM user_logs 
-       WHERE user_id = $1 
-       ORDER BY created_at DESC 
+      `SELECT *
+       FROM audit_logs
+       WHERE actor_id = $1
+       ORDER BY created_at DESC
        LIMIT $2`,
       [userId, limit]
     );
-    
+
     return result.rows;
   } catch (error) {
     console.error('Error getting user recent actions:', error);
     return [];
   }
-};
\ No newline at end of file
+};
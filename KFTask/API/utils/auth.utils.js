@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import SessionModel from '../models/session.model.js';
+
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+
+// Personal API tokens start with this so they can be told apart from JWTs
+export const API_TOKEN_PREFIX = 'kft_';
+
+/**
+ * Get login throttling settings from the environment
+ * @returns {Object} - maxAttempts, lockoutMinutes, ipMaxAttempts and ipWindowMinutes
+ */
+export const getLoginThrottleSettings = () => ({
+  // Failed passwords in a row before the account is locked
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  // Failed logins (any account) from one IP inside the window before it is throttled
+  ipMaxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20,
+  ipWindowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15
+});
+
+/**
+ * Generate a random opaque token
+ * @param {Number} bytes - Number of random bytes (default: 48)
+ * @returns {String} - Hex encoded token
+ */
+export const generateToken = (bytes = 48) => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * Hash a token before it is stored or looked up.
+ * Only hashes of refresh tokens are kept in the database.
+ * @param {String} token - Plain token
+ * @returns {String} - SHA-256 hex digest
+ */
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Generate a new personal API token
+ * @returns {Object} - token (shown to the user once), token_prefix (kept for display) and token_hash (stored)
+ */
+export const generateApiToken = () => {
+  const token = `${API_TOKEN_PREFIX}${generateToken(32)}`;
+  return {
+    token,
+    token_prefix: token.slice(0, API_TOKEN_PREFIX.length + 8),
+    token_hash: hashToken(token)
+  };
+};
+
+/**
+ * Check whether a bearer token is a personal API token rather than a JWT
+ * @param {String} token - Bearer token
+ * @returns {Boolean}
+ */
+export const isApiToken = (token) => typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+
+/**
+ * Get the expiry date for a newly issued refresh token
+ * @returns {Date} - Expiry date
+ */
+export const getRefreshTokenExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || DEFAULT_REFRESH_TOKEN_DAYS;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {Object} user - User row
+ * @param {Number} sessionId - Session ID the token belongs to
+ * @returns {String} - Signed JWT
+ */
+export const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    sid: sessionId
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.JWT_EXPIRES_IN }
+);
+
+/**
+ * Start a new session for a user and issue the token pair
+ * @param {Object} user - User row
+ * @param {Object} req - Express request object (for IP and user agent)
+ * @returns {Promise<Object>} - Access token, refresh token and session
+ */
+export const startSession = async (user, req) => {
+  const refreshToken = generateToken();
+  const session = await SessionModel.create({
+    user_id: user.id,
+    refresh_token_hash: hashToken(refreshToken),
+    user_agent: req.headers['user-agent'],
+    ip_address: req.ip,
+    expires_at: getRefreshTokenExpiry()
+  });
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken,
+    refreshTokenExpiresAt: session.expires_at,
+    session
+  };
+};
@@ -0,0 +1,39 @@
+/**
+ * Distance between the ranks of neighbouring tasks after a column is renumbered
+ */
+export const RANK_STEP = 1024;
+
+// Below this gap the midpoint of two ranks is no longer reliably between them
+const MIN_RANK_GAP = 1e-6;
+
+/**
+ * Get a rank between two neighbours of a column
+ * @param {number|null} previousRank - Rank of the task above (null at the top)
+ * @param {number|null} nextRank - Rank of the task below (null at the bottom)
+ * @returns {number|null} - New rank, null when the column needs to be renumbered first
+ */
+export const rankBetween = (previousRank, nextRank) => {
+  if (previousRank === null && nextRank === null) {
+    return RANK_STEP;
+  }
+  if (nextRank === null) {
+    return previousRank + RANK_STEP;
+  }
+  const lower = previousRank ?? 0;
+  return nextRank - lower > MIN_RANK_GAP ? (lower + nextRank) / 2 : null;
+};
+
+/**
+ * Get the rank for a task dropped at a position of a column
+ * @param {Array<Object>} column - Other tasks of the column in board order ({ board_rank })
+ * @param {number} position - Index the task is dropped at (0 = top)
+ * @returns {number|null} - New rank, null when the column needs to be renumbered first
+ */
+export const rankAtPosition = (column, position) => {
+  const previous = column[position - 1];
+  const next = column[position];
+  if ((previous && previous.board_rank === null) || (next && next.board_rank === null)) {
+    return null;
+  }
+  return rankBetween(previous?.board_rank ?? null, next?.board_rank ?? null);
+};
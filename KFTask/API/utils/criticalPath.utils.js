@@ -0,0 +1,144 @@
+/**
+ * Round hours to two decimals so that sums of estimates compare cleanly
+ * @param {Number} hours - Hours
+ * @returns {Number}
+ */
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+/**
+ * Compare two due dates; tasks without a due date come first
+ * @param {Date|String|null} a - Due date
+ * @param {Date|String|null} b - Due date
+ * @returns {Number} - Positive when a is later than b
+ */
+const compareDueDates = (a, b) => {
+  const timeA = a ? new Date(a).getTime() : -Infinity;
+  const timeB = b ? new Date(b).getTime() : -Infinity;
+  if (timeA === timeB) {
+    return 0;
+  }
+  return timeA > timeB ? 1 : -1;
+};
+
+/**
+ * Compute the critical path of a project: the chain of finish-to-start dependencies
+ * with the most estimated hours (tasks without an estimate count as 0 hours).
+ * When two chains are equally long, the one ending with the later due date wins.
+ * Tasks with a cancelled status are left out. Every task gets its earliest/latest start and finish
+ * in hours from the project start and its slack; tasks without slack are critical.
+ * @param {Array<Object>} tasks - Tasks (id, title, status, status_category, estimated_hours, due_date)
+ * @param {Array<Object>} dependencies - Dependencies (task_id, depends_on_task_id)
+ * @returns {Object} - total_hours, path, tasks and due_date_conflicts
+ */
+export const computeCriticalPath = (tasks, dependencies) => {
+  const nodes = new Map();
+  for (const task of tasks) {
+    if (task.status_category === 'cancelled') {
+      continue;
+    }
+    nodes.set(task.id, {
+      task,
+      duration: parseFloat(task.estimated_hours) || 0,
+      blockers: [],
+      dependents: []
+    });
+  }
+
+  const dueDateConflicts = [];
+  for (const { task_id, depends_on_task_id } of dependencies) {
+    const node = nodes.get(task_id);
+    const blocker = nodes.get(depends_on_task_id);
+    if (!node || !blocker) {
+      continue;
+    }
+    node.blockers.push(blocker);
+    blocker.dependents.push(node);
+
+    // A task due before a task it waits for cannot be finished on time
+    if (node.task.due_date && blocker.task.due_date && compareDueDates(node.task.due_date, blocker.task.due_date) < 0) {
+      dueDateConflicts.push({
+        task_id,
+        due_date: node.task.due_date,
+        depends_on_task_id,
+        depends_on_due_date: blocker.task.due_date
+      });
+    }
+  }
+
+  // Topological order (Kahn); the API rejects cycles, so every task is reached
+  const remaining = new Map([...nodes.values()].map(node => [node, node.blockers.length]));
+  const queue = [...nodes.values()].filter(node => node.blockers.length === 0);
+  const order = [];
+  while (queue.length > 0) {
+    const node = queue.shift();
+    order.push(node);
+    for (const dependent of node.dependents) {
+      remaining.set(dependent, remaining.get(dependent) - 1);
+      if (remaining.get(dependent) === 0) {
+        queue.push(dependent);
+      }
+    }
+  }
+
+  // Forward pass: a task starts when its last blocker finishes
+  for (const node of order) {
+    node.earliestStart = 0;
+    node.previous = null;
+    for (const blocker of node.blockers) {
+      const isLater = !node.previous || blocker.earliestFinish > node.earliestStart;
+      const isTieWithLaterDueDate = node.previous && blocker.earliestFinish === node.earliestStart
+        && compareDueDates(blocker.task.due_date, node.previous.task.due_date) > 0;
+      if (isLater || isTieWithLaterDueDate) {
+        node.earliestStart = blocker.earliestFinish;
+        node.previous = blocker;
+      }
+    }
+    node.earliestFinish = roundHours(node.earliestStart + node.duration);
+  }
+
+  // On equal due dates the task further down the chain ends the path
+  let last = null;
+  for (const node of order) {
+    if (!last || node.earliestFinish > last.earliestFinish
+      || (node.earliestFinish === last.earliestFinish && compareDueDates(node.task.due_date, last.task.due_date) >= 0)) {
+      last = node;
+    }
+  }
+  const totalHours = last ? last.earliestFinish : 0;
+
+  // Backward pass: a task must finish before its first dependent has to start
+  for (const node of [...order].reverse()) {
+    node.latestFinish = node.dependents.length > 0
+      ? Math.min(...node.dependents.map(dependent => dependent.latestStart))
+      : totalHours;
+    node.latestStart = roundHours(node.latestFinish - node.duration);
+  }
+
+  const path = [];
+  for (let node = last; node; node = node.previous) {
+    path.unshift(node);
+  }
+
+  const describe = (node) => ({
+    id: node.task.id,
+    title: node.task.title,
+    status: node.task.status,
+    estimated_hours: node.duration,
+    due_date: node.task.due_date,
+    earliest_start: node.earliestStart,
+    earliest_finish: node.earliestFinish,
+    latest_start: node.latestStart,
+    latest_finish: node.latestFinish,
+    slack: roundHours(node.latestStart - node.earliestStart)
+  });
+
+  return {
+    total_hours: totalHours,
+    path: path.map(describe),
+    tasks: order.map(node => {
+      const schedule = describe(node);
+      return { ...schedule, critical: schedule.slack === 0 };
+    }),
+    due_date_conflicts: dueDateConflicts
+  };
+};
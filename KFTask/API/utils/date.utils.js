@@ -0,0 +1,55 @@
+/**
+ * Date-only helpers for DATE columns (due dates, start dates).
+ * Calculations run on UTC day numbers so that time zones and DST never shift a date.
+ */
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Turn a DATE value into YYYY-MM-DD. pg returns DATE columns as local midnight.
+ * @param {Date|String} value - Date or date string
+ * @returns {String|null}
+ */
+export const toDateString = (value) => {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+/**
+ * Days since 1970-01-01 for a date
+ * @param {Date|String} value - Date or date string
+ * @returns {number}
+ */
+export const toDayNumber = (value) => {
+  const [year, month, day] = toDateString(value).split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+};
+
+/**
+ * Turn a day number back into a date
+ * @param {number} dayNumber - Days since 1970-01-01
+ * @returns {String} - YYYY-MM-DD
+ */
+export const fromDayNumber = (dayNumber) => new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Add days to a date
+ * @param {Date|String} value - Date or date string
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {String} - YYYY-MM-DD
+ */
+export const addDays = (value, days) => fromDayNumber(toDayNumber(value) + days);
+
+/**
+ * Count the days from one date to another
+ * @param {Date|String} from - Start date
+ * @param {Date|String} to - End date
+ * @returns {number} - Negative when `to` comes first
+ */
+export const daysBetween = (from, to) => toDayNumber(to) - toDayNumber(from);
@@ -0,0 +1,177 @@
+import jwt from 'jsonwebtoken';
+import { check } from 'express-validator';
+import UserModel from '../models/user.model.js';
+import InviteModel from '../models/invite.model.js';
+import RoleModel from '../models/role.model.js';
+import { hasPermission } from './permission.utils.js';
+import { sendMail, buildAppUrl } from './mail.utils.js';
+import { generateToken, hashToken } from './auth.utils.js';
+
+const DEFAULT_INVITE_EXPIRES_HOURS = 72;
+
+// Roles that need user:create-privileged to be invited
+const PRIVILEGED_ROLES = ['admin', 'vendor'];
+
+// With user:invite:own (vendors) only consultants can be invited, into the inviter's own organisation
+const OWN_INVITABLE_ROLES = ['consultant'];
+
+/**
+ * Field rules for a new invite, shared by POST /api/auth/invites and the bulk user import.
+ * Names and phone number are required as they were for registration, so accepting never lacks them.
+ */
+export const inviteValidation = [
+  check('first_name').trim().notEmpty().withMessage('First name is required'),
+  check('last_name').trim().notEmpty().withMessage('Last name is required'),
+  check('email').isEmail().withMessage('Please provide a valid email'),
+  check('phone_no').trim().notEmpty().withMessage('Phone number is required'),
+  check('role').optional().trim().notEmpty().withMessage('Role must not be empty'),
+  check('working_for').optional({ nullable: true }).isInt({ min: 1 }).withMessage('working_for must be the user ID of a vendor')
+];
+
+/**
+ * Check whether a user may send an invite and work out what is stored.
+ * Vendors (user:invite:own) always invite into their own organisation.
+ * @param {Object} inviter - User sending the invite (req.user)
+ * @param {Number|null} scope - getPermissionScope(inviter, 'user:invite'), must not be false
+ * @param {Object} data - Invite fields (see InviteRequest)
+ * @returns {Promise<Object>} - `{ invite }` with the fields to store, or `{ status, message }` when it is refused
+ */
+export const prepareInvite = async (inviter, scope, data) => {
+  const role = data.role || (scope ? OWN_INVITABLE_ROLES[0] : 'employee');
+  let workingFor = data.working_for ? parseInt(data.working_for) : null;
+
+  if (await UserModel.findByEmail(data.email, { includeDeleted: true })) {
+    return { status: 400, message: 'Email is already registered' };
+  }
+
+  if (await InviteModel.findPendingByEmail(data.email)) {
+    return { status: 400, message: 'There is already a pending invite for this email. Resend it instead.' };
+  }
+
+  if (!await RoleModel.findByName(role)) {
+    return { status: 400, message: 'Invalid role' };
+  }
+
+  if (scope) {
+    if (!OWN_INVITABLE_ROLES.includes(role)) {
+      return { status: 403, message: `You can only invite users with the role: ${OWN_INVITABLE_ROLES.join(', ')}` };
+    }
+    if (workingFor && workingFor !== inviter.id) {
+      return { status: 403, message: 'You can only invite users into your own organisation' };
+    }
+    workingFor = inviter.id;
+  } else if (PRIVILEGED_ROLES.includes(role) && !await hasPermission(inviter, 'user:create-privileged')) {
+    return { status: 403, message: 'You do not have permission to invite users with this role' };
+  }
+
+  if (workingFor && !await UserModel.findActiveVendor(workingFor)) {
+    return { status: 400, message: 'working_for must be the user ID of an active vendor' };
+  }
+
+  return {
+    invite: {
+      email: data.email,
+      first_name: data.first_name,
+      last_name: data.last_name,
+      role,
+      department: data.department,
+      position: data.position,
+      designation: data.designation,
+      type: data.type,
+      working_type: data.working_type,
+      working_for: workingFor,
+      phone_no: data.phone_no,
+      invited_by: inviter.id
+    }
+  };
+};
+
+/**
+ * Get how long an invite link stays valid
+ * @returns {Number} - Hours
+ */
+export const getInviteExpiryHours = () => parseInt(process.env.INVITE_EXPIRES_HOURS) || DEFAULT_INVITE_EXPIRES_HOURS;
+
+/**
+ * Create the secret part of a new invite link.
+ * Only the hash is stored, so resending an invite replaces the nonce and older links stop working.
+ * @returns {Object} - nonce (goes into the link), token_hash (stored) and expires_at
+ */
+export const generateInviteNonce = () => {
+  const nonce = generateToken(16);
+  return {
+    nonce,
+    token_hash: hashToken(nonce),
+    expires_at: new Date(Date.now() + getInviteExpiryHours() * 60 * 60 * 1000)
+  };
+};
+
+/**
+ * Sign the token carried by an invite link
+ * @param {Object} invite - Invite row
+ * @param {String} nonce - Nonce from generateInviteNonce
+ * @returns {String} - Signed invite token
+ */
+export const signInviteToken = (invite, nonce) => jwt.sign(
+  { inviteId: invite.id, nonce, purpose: 'invite' },
+  process.env.JWT_SECRET,
+  { expiresIn: `${getInviteExpiryHours()}h` }
+);
+
+/**
+ * Verify an invite token
+ * @param {String} token - Token from the invite link
+ * @returns {Object|null} - Decoded payload, null if invalid or expired
+ */
+export const verifyInviteToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'invite' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Email the invite link to the invitee
+ * @param {Object} invite - Invite row
+ * @param {String} nonce - Nonce of the current link
+ * @param {Object} inviter - User sending the invite (req.user)
+ * @returns {Promise<Object>} - Transport specific delivery info
+ */
+export const sendInviteMail = async (invite, nonce, inviter) => {
+  const inviteLink = buildAppUrl(`/accept-invite?token=${signInviteToken(invite, nonce)}`);
+  const inviterName = [inviter.firstName, inviter.lastName].filter(Boolean).join(' ') || inviter.email;
+
+  return sendMail({
+    to: invite.email,
+    subject: 'You have been invited to KF Task Manager',
+    text: [
+      `Hello${invite.first_name ? ` ${invite.first_name}` : ''},`,
+      '',
+      `${inviterName} has invited you to join KF Task Manager. Use the link below to choose your password and activate your account:`,
+      inviteLink,
+      '',
+      `The link expires in ${getInviteExpiryHours()} hours and can only be used once.`,
+      'If you were not expecting this invitation you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Email an invite link, reporting failures instead of throwing.
+ * The invite is kept either way so it can be resent.
+ * @param {Object} invite - Invite row
+ * @param {String} nonce - Nonce of the current link
+ * @param {Object} inviter - User sending the invite (req.user)
+ * @returns {Promise<Boolean>} - True if the mail was handed to the transport
+ */
+export const deliverInvite = async (invite, nonce, inviter) => {
+  try {
+    await sendInviteMail(invite, nonce, inviter);
+    return true;
+  } catch (error) {
+    console.error(`Error sending invite ${invite.id}:`, error);
+    return false;
+  }
+};
@@ -0,0 +1,183 @@
+import db from '../config/db.js';
+
+/**
+ * Error for list requests that cannot be answered: unknown sort field or a bad cursor.
+ * Controllers answer it with 400.
+ */
+export class ListQueryError extends Error {}
+
+/**
+ * Sort expression ranking priorities (of tasks and projects) from low to urgent
+ * @param {String} column - Priority column (e.g. 't.priority')
+ * @returns {String}
+ */
+export const priorityRank = (column) =>
+  `CASE ${column} WHEN 'low' THEN 1 WHEN 'medium' THEN 2 WHEN 'high' THEN 3 WHEN 'urgent' THEN 4 END`;
+
+/**
+ * Encode the position after a row as an opaque cursor
+ * @param {Object} position - s (sort field), o (sort order), v (sort value as text or null) and id (row ID)
+ * @returns {String}
+ */
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+/**
+ * Decode a cursor created by encodeCursor
+ * @param {String} cursor - Cursor from a previous page
+ * @returns {Object} - Position
+ */
+const decodeCursor = (cursor) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ListQueryError('Invalid cursor');
+  }
+  if (!position || typeof position !== 'object' || !Number.isInteger(position.id)
+    || (position.v !== null && typeof position.v !== 'string')) {
+    throw new ListQueryError('Invalid cursor');
+  }
+  return position;
+};
+
+/**
+ * Build the WHERE conditions of a listing from its filter definition.
+ * Filters whose value is undefined, null or an empty string are skipped.
+ * @param {Object} list - List definition (see runListQuery)
+ * @param {Object} filters - Filter values by name
+ * @param {Function} param - Adds a query parameter and returns its placeholder
+ * @returns {Array<String>} - SQL conditions
+ */
+const buildConditions = (list, filters, param) => {
+  const conditions = [...(list.where || [])];
+  for (const [name, condition] of Object.entries(list.filters)) {
+    const value = filters[name];
+    if (value !== undefined && value !== null && value !== '') {
+      conditions.push(condition(value, param));
+    }
+  }
+  return conditions;
+};
+
+/**
+ * Run a listing: one page of rows, the total for the same filters and the cursor of the next page.
+ *
+ * Pages are ordered by the sort field, rows without a value last, then by the row ID in the same
+ * direction, so that the order is stable. With a cursor the page starts after the row the cursor
+ * points to (keyset pagination, unaffected by rows added or removed in between); without one the
+ * page number is used.
+ *
+ * @param {Object} list - List definition
+ * @param {String} list.select - Selected columns
+ * @param {String} list.from - Table with its joins; shared by the page and the count, so filters may use the joined tables
+ * @param {Array<String>} list.where - Conditions applied to every request (optional)
+ * @param {Object} list.filters - Filter name => (value, param) => SQL condition, param(value) returning a placeholder
+ * @param {Object} list.sortFields - Sort field name => SQL expression; only these can be sorted on
+ * @param {String} list.defaultSort - Sort field used when none is requested
+ * @param {String} list.defaultOrder - asc or desc
+ * @param {String} list.idColumn - Unique column that breaks ties (e.g. 't.id')
+ * @param {Object} filters - Filter values by name
+ * @param {Object} options - Sort and page
+ * @param {String} options.sortBy - Sort field name (optional)
+ * @param {String} options.sortOrder - asc or desc (optional)
+ * @param {number} options.limit - Rows per page
+ * @param {number} options.page - Page number, used without a cursor
+ * @param {String} options.cursor - next_cursor of the previous page (optional)
+ * @param {Object} client - Database client (optional)
+ * @returns {Promise<Object>} - rows, total and nextCursor (null on the last page)
+ */
+export const runListQuery = async (list, filters, { sortBy, sortOrder, limit, page = 1, cursor }, client = db) => {
+  const sortField = sortBy || list.defaultSort;
+  const sortExpression = list.sortFields[sortField];
+  if (!sortExpression) {
+    throw new ListQueryError(`sort_by must be one of: ${Object.keys(list.sortFields).join(', ')}`);
+  }
+  const order = (sortOrder || (sortBy ? 'asc' : list.defaultOrder)).toLowerCase() === 'desc' ? 'desc' : 'asc';
+
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const conditions = buildConditions(list, filters, param);
+  const filterParamCount = params.length;
+
+  const pageConditions = [...conditions];
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (position.s !== sortField || position.o !== order) {
+      throw new ListQueryError('The cursor belongs to a different sort order; start again without it');
+    }
+
+    const operator = order === 'desc' ? '<' : '>';
+    const idParam = param(position.id);
+    if (position.v === null) {
+      pageConditions.push(`((${sortExpression}) IS NULL AND ${list.idColumn} ${operator} ${idParam})`);
+    } else {
+      const valueParam = param(position.v);
+      pageConditions.push(`(
+        (${sortExpression}) IS NULL
+        OR (${sortExpression}) ${operator} ${valueParam}
+        OR ((${sortExpression}) = ${valueParam} AND ${list.idColumn} ${operator} ${idParam})
+      )`);
+    }
+  }
+
+  const countQuery = client.query(
+    `SELECT COUNT(*) FROM ${list.from} ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}`,
+    params.slice(0, filterParamCount)
+  );
+  // One row more than the page tells whether there is a next page
+  const pageQuery = client.query(
+    `SELECT ${list.select},
+       (${sortExpression})::text AS list_sort_value,
+       ${list.idColumn} AS list_row_id
+     FROM ${list.from}
+     ${pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+     ORDER BY (${sortExpression}) IS NULL, ${sortExpression} ${order.toUpperCase()}, ${list.idColumn} ${order.toUpperCase()}
+     LIMIT ${param(limit + 1)}${cursor ? '' : ` OFFSET ${param((page - 1) * limit)}`}`,
+    params
+  );
+
+  const [{ rows }, countResult] = await Promise.all([pageQuery, countQuery]);
+  const hasMore = rows.length > limit;
+  const pageRows = rows.slice(0, limit);
+  const last = pageRows[pageRows.length - 1];
+
+  return {
+    rows: pageRows.map(({ list_sort_value, list_row_id, ...row }) => row),
+    total: parseInt(countResult.rows[0].count),
+    nextCursor: hasMore ? encodeCursor({ s: sortField, o: order, v: last.list_sort_value, id: last.list_row_id }) : null
+  };
+};
+
+// Largest page a listing returns, whatever limit is asked for
+const MAX_LIST_LIMIT = 100;
+
+/**
+ * Read the paging and sorting query parameters of a listing
+ * @param {Object} query - req.query
+ * @param {number} defaultLimit - Rows per page when no limit is given
+ * @returns {Object} - page, limit (at most MAX_LIST_LIMIT), cursor, sortBy and sortOrder for runListQuery
+ */
+export const parseListOptions = (query, defaultLimit = 10) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_LIST_LIMIT),
+  cursor: query.cursor || null,
+  sortBy: query.sort_by || null,
+  sortOrder: query.sort_order || null
+});
+
+/**
+ * Build the pagination block of a listing response
+ * @param {Object} result - Result of runListQuery
+ * @param {Object} options - Options from parseListOptions
+ * @returns {Object} - total, page (null when paging by cursor), limit, pages and next_cursor
+ */
+export const toPagination = ({ total, nextCursor }, { page, limit, cursor }) => ({
+  total,
+  page: cursor ? null : page,
+  limit,
+  pages: Math.ceil(total / limit),
+  next_cursor: nextCursor
+});
@@ -0,0 +1,99 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Mail transports keyed by name.
+ * A transport is an async function that receives the message and delivers it.
+ * The active transport is chosen with the MAIL_TRANSPORT environment variable;
+ * outside production it defaults to console.
+ */
+const transports = {
+  /**
+   * Print the message to the server log (local development)
+   */
+  console: async (message) => {
+    console.log('--- Outgoing email ---');
+    console.log(`From: ${message.from}`);
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('----------------------');
+    return { transport: 'console' };
+  },
+
+  /**
+   * Write the message as a JSON file into the outbox directory (local development)
+   */
+  file: async (message) => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../mail-outbox');
+    if (!fs.existsSync(outboxDir)) {
+      fs.mkdirSync(outboxDir, { recursive: true });
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = `${timestamp}_${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+    const filepath = path.join(outboxDir, filename);
+
+    fs.writeFileSync(filepath, JSON.stringify(message, null, 2));
+    return { transport: 'file', path: filepath };
+  }
+};
+
+/**
+ * Register a mail transport (e.g. SMTP or a provider API)
+ * @param {String} name - Transport name used in MAIL_TRANSPORT
+ * @param {Function} send - Async function receiving { from, to, subject, text, html }
+ */
+export const registerMailTransport = (name, send) => {
+  if (typeof send !== 'function') {
+    throw new Error('Mail transport must be a function');
+  }
+  transports[name] = send;
+};
+
+/**
+ * Send an email through the configured transport.
+ * In production MAIL_TRANSPORT must be set, so that mails are never only written to the log.
+ * @param {Object} message - Message to send
+ * @param {String} message.to - Recipient address
+ * @param {String} message.subject - Subject line
+ * @param {String} message.text - Plain text body
+ * @param {String} message.html - HTML body (optional)
+ * @returns {Promise<Object>} - Transport specific delivery info
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  return transport({
+    from: process.env.MAIL_FROM || 'no-reply@kf-taskmanager.com',
+    to,
+    subject,
+    text,
+    html: html || null
+  });
+};
+
+/**
+ * Build an absolute link into the frontend application
+ * @param {String} pathname - Path including query string
+ * @returns {String} - Absolute URL
+ */
+export const buildAppUrl = (pathname) => {
+  const baseUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${baseUrl}${pathname}`;
+};
@@ -0,0 +1,118 @@
+import RoleModel from '../models/role.model.js';
+import { WILDCARD_PERMISSION, OWN_SUFFIX } from '../config/permissions.js';
+
+const PERMISSION_CACHE_MS = 60 * 1000;
+
+// Role → Set of permissions. Checked on most requests, so it is cached for a short while
+let permissionCache = { roles: null, loadedAt: 0 };
+
+/**
+ * Forget cached role permissions (call after roles are changed)
+ */
+export const clearPermissionCache = () => {
+  permissionCache = { roles: null, loadedAt: 0 };
+};
+
+/**
+ * Get the permissions granted to a role
+ * @param {String} role - Role name
+ * @returns {Promise<Set<String>>} - Granted permissions
+ */
+export const getRolePermissions = async (role) => {
+  if (!permissionCache.roles || Date.now() - permissionCache.loadedAt >= PERMISSION_CACHE_MS) {
+    const rows = await RoleModel.findAllPermissions();
+    const roles = new Map();
+    for (const { role_name, permission } of rows) {
+      if (!roles.has(role_name)) {
+        roles.set(role_name, new Set());
+      }
+      roles.get(role_name).add(permission);
+    }
+    permissionCache = { roles, loadedAt: Date.now() };
+  }
+
+  return permissionCache.roles.get(role) || new Set();
+};
+
+/**
+ * Check whether the API token a request was made with allows a permission.
+ * Requests made with a session (no token scopes) are not limited.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {String} permission - Permission key or `<key>:own`
+ * @returns {Boolean}
+ */
+const tokenAllows = (user, permission) => {
+  if (!Array.isArray(user.tokenScopes)) {
+    return true;
+  }
+  return user.tokenScopes.includes(WILDCARD_PERMISSION) || user.tokenScopes.includes(permission);
+};
+
+/**
+ * Check whether a user may perform an action on any resource
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {String} permission - Permission key from config/permissions.js
+ * @returns {Promise<Boolean>}
+ */
+export const hasPermission = async (user, permission) => {
+  if (!user) {
+    return false;
+  }
+  const granted = await getRolePermissions(user.role);
+  return (granted.has(WILDCARD_PERMISSION) || granted.has(permission)) && tokenAllows(user, permission);
+};
+
+/**
+ * Check whether a user may perform an action on a specific resource,
+ * either through the permission itself or through `<permission>:own` when they own it.
+ * For API tokens both the role and the token scopes must allow it.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {String} permission - Permission key from config/permissions.js
+ * @param {Array<Number>} ownerIds - IDs of the users that own the resource
+ * @returns {Promise<Boolean>}
+ */
+export const hasPermissionOn = async (user, permission, ownerIds = []) => {
+  if (!user) {
+    return false;
+  }
+  const granted = await getRolePermissions(user.role);
+  const ownPermission = `${permission}${OWN_SUFFIX}`;
+  if ((granted.has(WILDCARD_PERMISSION) || granted.has(permission)) && tokenAllows(user, permission)) {
+    return true;
+  }
+  return (granted.has(WILDCARD_PERMISSION) || granted.has(permission) || granted.has(ownPermission))
+    && (tokenAllows(user, permission) || tokenAllows(user, ownPermission))
+    && ownerIds.some(ownerId => ownerId !== null && ownerId !== undefined && Number(ownerId) === user.id);
+};
+
+/**
+ * Decide how far a permission reaches for listings that are not tied to a single resource
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {String} permission - Permission key from config/permissions.js
+ * @returns {Promise<Number|null|false>} - null when it applies to everything, the user's ID
+ *   when only `<permission>:own` is granted, false when it is not granted at all
+ */
+export const getPermissionScope = async (user, permission) => {
+  if (await hasPermission(user, permission)) {
+    return null;
+  }
+  if (await hasPermissionOn(user, permission, [user.id])) {
+    return user.id;
+  }
+  return false;
+};
+
+/**
+ * Define a resource loader for authorize.can / authorize.access
+ * The load function receives the request and returns `{ resource, ownerIds, forbidden }`,
+ * or null when the resource does not exist or must look as if it did not.
+ * `forbidden` (optional) rejects the request even if the permission is granted.
+ * @param {String} resourceName - Name used in the 404 message (e.g. 'Task')
+ * @param {Function} load - Async function (req) => { resource, ownerIds, forbidden } | null
+ * @returns {Function} - Resource loader
+ */
+export const defineResourceLoader = (resourceName, load) => {
+  const loader = async (req) => load(req);
+  loader.resourceName = resourceName;
+  return loader;
+};
@@ -0,0 +1,193 @@
+import db from '../config/db.js';
+import { hasPermission } from './permission.utils.js';
+
+/**
+ * Project roles, from least to most privileged.
+ * Each role includes everything the roles before it may do.
+ *   viewer      - read the project and its tasks
+ *   contributor - also create tasks, post daily updates, track time and reply to feedback
+ *   manager     - also update the project, manage its team and update/delete any of its tasks
+ *   owner       - also delete the project
+ */
+export const PROJECT_ROLES = ['viewer', 'contributor', 'manager', 'owner'];
+
+/**
+ * Check whether a value is a project role
+ * @param {String} role - Role name
+ * @returns {Boolean}
+ */
+export const isProjectRole = (role) => PROJECT_ROLES.includes(role);
+
+/**
+ * Check whether a project role is at least the given role
+ * @param {String|null} role - Role of the user in the project
+ * @param {String} minimumRole - Required role
+ * @returns {Boolean}
+ */
+export const hasProjectRole = (role, minimumRole) => {
+  if (!isProjectRole(role)) {
+    return false;
+  }
+  return PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(minimumRole);
+};
+
+/**
+ * Pick the more privileged of two project roles
+ * @param {String|null} a - Project role
+ * @param {String|null} b - Project role
+ * @returns {String|null}
+ */
+const higherRole = (a, b) => (PROJECT_ROLES.indexOf(a) >= PROJECT_ROLES.indexOf(b) ? a : b);
+
+/**
+ * Users with 'project:access-all' see every project as if they owned it
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Boolean>}
+ */
+export const canAccessAllProjects = (user) => hasPermission(user, 'project:access-all');
+
+/**
+ * Get the user ID that project and task listings must be limited to
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Number|null>} - User ID, or null when the user may see everything
+ */
+export const getAccessScope = async (user) => (await canAccessAllProjects(user) ? null : user.id);
+
+/**
+ * Get the role of a user in a project
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Number} projectId - Project ID
+ * @returns {Promise<String|null>} - Project role, null when the user is not a member
+ */
+export const getProjectRole = async (user, projectId) => {
+  if (await canAccessAllProjects(user)) {
+    return 'owner';
+  }
+
+  const { rows } = await db.query(
+    'SELECT role FROM project_team_members WHERE project_id = $1 AND user_id = $2',
+    [projectId, user.id]
+  );
+  return rows.length > 0 ? rows[0].role : null;
+};
+
+/**
+ * Get the IDs of the users assigned to a task (owner and collaborators)
+ * @param {Object} task - Task row; assignee_ids is used when the row already has it
+ * @returns {Promise<Array<Number>>}
+ */
+const getAssigneeIds = async (task) => {
+  if (Array.isArray(task.assignee_ids)) {
+    return task.assignee_ids;
+  }
+  const { rows } = await db.query('SELECT user_id FROM task_assignments WHERE task_id = $1', [task.id]);
+  return rows.map(row => row.user_id);
+};
+
+/**
+ * Get the role a user effectively has on a task.
+ * Besides the project role, the creator and the assignees act as contributors
+ * and the vendors the assignees work for may view the task.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} task - Task row (needs id, project_id, created_by)
+ * @returns {Promise<String|null>} - Project role, null when the user has no access
+ */
+export const getTaskRole = async (user, task) => {
+  let role = task.project_id ? await getProjectRole(user, task.project_id) : null;
+
+  if (!task.project_id && await canAccessAllProjects(user)) {
+    role = 'owner';
+  }
+
+  const assigneeIds = await getAssigneeIds(task);
+  if (task.created_by === user.id || assigneeIds.includes(user.id)) {
+    return higherRole(role, 'contributor');
+  }
+
+  if (!role && assigneeIds.length > 0) {
+    const { rows } = await db.query(
+      'SELECT 1 FROM users WHERE id = ANY($1::int[]) AND working_for = $2 LIMIT 1',
+      [assigneeIds, user.id]
+    );
+    if (rows.length > 0) {
+      return 'viewer';
+    }
+  }
+
+  return role;
+};
+
+/**
+ * SQL condition limiting projects to those a user is a member of
+ * @param {String} projectIdColumn - Column holding the project ID (e.g. 'p.id')
+ * @param {String} userParam - Placeholder of the user ID (e.g. '$3')
+ * @returns {String}
+ */
+export const projectAccessCondition = (projectIdColumn, userParam) =>
+  `${projectIdColumn} IN (SELECT project_id FROM project_team_members WHERE user_id = ${userParam})`;
+
+/**
+ * SQL condition limiting tasks to those a user is assigned to, as owner or collaborator
+ * @param {String} alias - Alias of the tasks table (e.g. 't')
+ * @param {String} userParam - Placeholder of the user ID (e.g. '$3')
+ * @returns {String}
+ */
+export const taskAssigneeCondition = (alias, userParam) =>
+  `EXISTS (SELECT 1 FROM task_assignments assignee_ta WHERE assignee_ta.task_id = ${alias}.id AND assignee_ta.user_id = ${userParam})`;
+
+/**
+ * SQL condition limiting tasks to those a user may see (same rules as getTaskRole)
+ * @param {String} alias - Alias of the tasks table (e.g. 't')
+ * @param {String} userParam - Placeholder of the user ID (e.g. '$3')
+ * @returns {String}
+ */
+export const taskAccessCondition = (alias, userParam) => `(
+    ${projectAccessCondition(`${alias}.project_id`, userParam)}
+    OR ${alias}.created_by = ${userParam}
+    OR EXISTS (
+      SELECT 1 FROM task_assignments access_ta
+      JOIN users access_u ON access_ta.user_id = access_u.id
+      WHERE access_ta.task_id = ${alias}.id
+        AND (access_ta.user_id = ${userParam} OR access_u.working_for = ${userParam})
+    )
+  )`;
+
+/**
+ * Make sure a user is on a project team, without lowering an existing role.
+ * Task assignees are added with ensureAssigneesOnProject.
+ * @param {Number} projectId - Project ID
+ * @param {Number} userId - User ID
+ * @param {String} role - Role to give a new member
+ * @param {Object} client - Database client (optional, for transactions)
+ */
+export const ensureProjectMember = async (projectId, userId, role = 'contributor', client = db) => {
+  if (!projectId || !userId) {
+    return;
+  }
+  await client.query(
+    `INSERT INTO project_team_members (project_id, user_id, role)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (project_id, user_id) DO NOTHING`,
+    [projectId, userId, role]
+  );
+};
+
+/**
+ * Put everyone assigned to the given tasks on the project team as a contributor (existing
+ * roles are kept), so that assignees can see the project of their tasks.
+ * Used whenever tasks get new assignees or move to another project.
+ * @param {Number} projectId - Project the tasks are in
+ * @param {Array<Number>} taskIds - Task IDs
+ * @param {Object} client - Database client (optional, for transactions)
+ */
+export const ensureAssigneesOnProject = async (projectId, taskIds, client = db) => {
+  if (!projectId || taskIds.length === 0) {
+    return;
+  }
+  await client.query(
+    `INSERT INTO project_team_members (project_id, user_id, role)
+     SELECT DISTINCT $1::int, user_id, 'contributor' FROM task_assignments WHERE task_id = ANY($2::int[])
+     ON CONFLICT (project_id, user_id) DO NOTHING`,
+    [projectId, taskIds]
+  );
+};
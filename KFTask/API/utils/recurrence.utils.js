@@ -0,0 +1,148 @@
+import { check } from 'express-validator';
+import { DAY_MS, toDateString, toDayNumber, fromDayNumber } from './date.utils.js';
+
+/**
+ * How often a recurring series repeats
+ */
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+/**
+ * RRULE weekday codes, indexed like Date.getUTCDay() (0 = Sunday)
+ */
+export const RECURRENCE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Fields of a series that make up its schedule rule
+ */
+export const RECURRENCE_RULE_FIELDS = ['frequency', 'interval_count', 'weekdays', 'month_day', 'ends_on', 'max_occurrences'];
+
+/**
+ * Field rules for the schedule rule of a series.
+ * @param {Boolean} partial - Fields are optional (PATCH /api/tasks/{id}/recurrence)
+ * @returns {Array} - express-validator chains
+ */
+export const recurrenceValidation = (partial = false) => [
+  (partial ? check('frequency').optional() : check('frequency'))
+    .isIn(RECURRENCE_FREQUENCIES)
+    .withMessage(`frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`),
+  check('interval_count').optional().isInt({ min: 1, max: 365 })
+    .withMessage('interval_count must be between 1 and 365').toInt(),
+  check('weekdays').optional({ values: 'null' }).isArray({ min: 1 })
+    .withMessage('weekdays must be a non-empty array'),
+  check('weekdays.*').isIn(RECURRENCE_WEEKDAYS)
+    .withMessage(`weekdays must be RRULE day codes: ${RECURRENCE_WEEKDAYS.join(', ')}`),
+  check('month_day').optional({ values: 'null' }).isInt({ min: 1, max: 31 })
+    .withMessage('month_day must be between 1 and 31').toInt(),
+  check('ends_on').optional({ values: 'null' }).isISO8601({ strict: true })
+    .withMessage('ends_on must be a date (YYYY-MM-DD)'),
+  check('max_occurrences').optional({ values: 'null' }).isInt({ min: 1 })
+    .withMessage('max_occurrences must be a positive integer').toInt()
+];
+
+const daysInMonth = (year, monthIndex) => new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+/**
+ * Check that a rule is complete for its frequency
+ * @param {Object} rule - Schedule rule with starts_on (shape checked by recurrenceValidation)
+ * @returns {String|null} - Error message, null if the rule is valid
+ */
+export const validateRecurrenceRule = (rule) => {
+  if (rule.frequency === 'weekly' && !(rule.weekdays?.length > 0)) {
+    return 'Weekly series need weekdays';
+  }
+  if (rule.frequency === 'monthly' && !rule.month_day) {
+    return 'Monthly series need month_day';
+  }
+  if (rule.ends_on && toDayNumber(rule.ends_on) < toDayNumber(rule.starts_on)) {
+    return 'ends_on must not be before the start of the series';
+  }
+  return null;
+};
+
+/**
+ * Keep only the rule fields that apply to the frequency
+ * @param {Object} rule - Schedule rule
+ * @returns {Object} - Rule with weekdays and month_day cleared when unused
+ */
+export const normalizeRecurrenceRule = (rule) => ({
+  ...rule,
+  interval_count: rule.interval_count || 1,
+  weekdays: rule.frequency === 'weekly'
+    ? RECURRENCE_WEEKDAYS.filter(code => (rule.weekdays || []).includes(code))
+    : null,
+  month_day: rule.frequency === 'monthly' ? rule.month_day : null,
+  ends_on: toDateString(rule.ends_on),
+  max_occurrences: rule.max_occurrences || null
+});
+
+/**
+ * Get the first occurrence of a rule after a date.
+ * Occurrences are counted from starts_on: every interval_count days, weeks (on the given
+ * weekdays) or months (on month_day, or the last day of shorter months).
+ * @param {Object} rule - Schedule rule with starts_on
+ * @param {Date|String} after - Date the occurrence must come after
+ * @returns {String|null} - YYYY-MM-DD, null when the series ends before
+ */
+export const getNextOccurrence = (rule, after) => {
+  const start = toDayNumber(rule.starts_on);
+  const from = Math.max(toDayNumber(after) + 1, start);
+  const interval = rule.interval_count || 1;
+  let next = null;
+
+  if (rule.frequency === 'daily') {
+    next = start + Math.ceil((from - start) / interval) * interval;
+  } else if (rule.frequency === 'weekly') {
+    // Weeks start on Monday; 1970-01-01 was a Thursday
+    const weekStart = (day) => day - ((day + 3) % 7);
+    const firstWeek = weekStart(start);
+    for (let day = from; day < from + 7 * (interval + 1); day++) {
+      const weekIndex = (weekStart(day) - firstWeek) / 7;
+      if (weekIndex % interval === 0 && rule.weekdays.includes(RECURRENCE_WEEKDAYS[(day + 4) % 7])) {
+        next = day;
+        break;
+      }
+    }
+  } else if (rule.frequency === 'monthly') {
+    const startDate = new Date(start * DAY_MS);
+    const fromDate = new Date(from * DAY_MS);
+    const firstMonth = startDate.getUTCFullYear() * 12 + startDate.getUTCMonth();
+    for (let month = fromDate.getUTCFullYear() * 12 + fromDate.getUTCMonth(); next === null; month++) {
+      if ((month - firstMonth) % interval !== 0) {
+        continue;
+      }
+      const year = Math.floor(month / 12);
+      const day = Math.min(rule.month_day, daysInMonth(year, month % 12));
+      const candidate = Date.UTC(year, month % 12, day) / DAY_MS;
+      if (candidate >= from) {
+        next = candidate;
+      }
+    }
+  }
+
+  if (next === null || (rule.ends_on && next > toDayNumber(rule.ends_on))) {
+    return null;
+  }
+  return fromDayNumber(next);
+};
+
+/**
+ * Describe a rule as an RRULE string (RFC 5545)
+ * @param {Object} rule - Schedule rule
+ * @returns {String} - e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10
+ */
+export const toRRule = (rule) => {
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`, `INTERVAL=${rule.interval_count || 1}`];
+  if (rule.frequency === 'weekly' && rule.weekdays?.length) {
+    parts.push(`BYDAY=${rule.weekdays.join(',')}`);
+  }
+  if (rule.frequency === 'monthly' && rule.month_day) {
+    parts.push(`BYMONTHDAY=${rule.month_day}`);
+  }
+  if (rule.ends_on) {
+    parts.push(`UNTIL=${toDateString(rule.ends_on).replace(/-/g, '')}`);
+  }
+  if (rule.max_occurrences) {
+    parts.push(`COUNT=${rule.max_occurrences}`);
+  }
+  return parts.join(';');
+};
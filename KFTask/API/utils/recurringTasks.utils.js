@@ -0,0 +1,131 @@
+import db from '../config/db.js';
+import TaskModel from '../models/task.model.js';
+import RecurrenceModel from '../models/recurrence.model.js';
+import WorkflowModel from '../models/workflow.model.js';
+import { getInitialStatus } from './workflow.utils.js';
+import { getNextOccurrence } from './recurrence.utils.js';
+import { toDateString } from './date.utils.js';
+import { logAudit } from './audit.utils.js';
+
+/**
+ * Minutes between two runs of the recurring task job.
+ * RECURRING_TASKS_INTERVAL_MINUTES overrides it; 0 disables the job on this instance.
+ */
+export const DEFAULT_RECURRING_TASKS_INTERVAL_MINUTES = 5;
+
+/**
+ * End a series: it creates no more tasks
+ * @param {Object} series - Series row
+ * @param {Object} client - Database client (optional, for transactions)
+ * @returns {Promise<Object>} - Updated series
+ */
+export const endSeries = (series, client = db) =>
+  RecurrenceModel.update(series.id, { ...series, next_due_date: null, status: 'ended' }, client);
+
+/**
+ * Create the next task of a locked series by copying its newest instance.
+ * Occurrences missed while the job did not run are skipped: the new task gets the
+ * latest occurrence up to today, or the upcoming one when the current task was closed early.
+ * @param {Object} series - Series row, locked by the transaction
+ * @param {Object} client - Database client of the transaction
+ * @returns {Promise<Object|null>} - Created task, null when the series ended instead
+ */
+const spawnNextInstance = async (series, client) => {
+  const latest = await RecurrenceModel.findLatestInstance(series.id, client);
+  if (!latest || (series.max_occurrences && series.occurrence_count >= series.max_occurrences)) {
+    await endSeries(series, client);
+    return null;
+  }
+
+  const today = toDateString(new Date());
+  let occurrence = toDateString(series.next_due_date);
+  while (occurrence < today) {
+    const following = getNextOccurrence(series, occurrence);
+    if (!following || following > today) {
+      break;
+    }
+    occurrence = following;
+  }
+
+  const workflow = await WorkflowModel.findForProject(latest.project_id, client);
+  const assignees = await TaskModel.getAssignees(latest.id, client);
+
+  const task = await TaskModel.create({
+    title: latest.title,
+    description: latest.description,
+    project_id: latest.project_id,
+    parent_task_id: latest.parent_task_id,
+    assignee_id: latest.assignee_id,
+    collaborator_ids: assignees.filter(a => a.role === 'collaborator').map(a => a.user_id),
+    status: getInitialStatus(workflow),
+    priority: latest.priority,
+    due_date: occurrence,
+    estimated_hours: latest.estimated_hours,
+    recurrence_id: series.id,
+    created_by: series.created_by
+  }, client);
+
+  const occurrenceCount = series.occurrence_count + 1;
+  const nextDueDate = getNextOccurrence(series, occurrence);
+  const ended = !nextDueDate || (series.max_occurrences && occurrenceCount >= series.max_occurrences);
+  await RecurrenceModel.update(series.id, {
+    ...series,
+    next_due_date: ended ? null : nextDueDate,
+    occurrence_count: occurrenceCount,
+    status: ended ? 'ended' : 'active'
+  }, client);
+
+  await logAudit({
+    entityType: 'task',
+    entityId: task.id,
+    action: 'recurrence_spawn',
+    description: `Created occurrence ${occurrenceCount} of recurring series ${series.id} from task ${latest.id}`
+  }, client);
+
+  return task;
+};
+
+/**
+ * Create the tasks of every active series that is due: its next date has arrived or
+ * its current task was closed. Each series is handled in its own transaction and gets
+ * at most one task per run; a series that fails is rolled back and skipped.
+ * @returns {Promise<number>} - Number of tasks created
+ */
+export const spawnDueRecurringTasks = async () => {
+  const handledIds = [];
+  let created = 0;
+
+  for (;;) {
+    const client = await db.pool.connect();
+    let series = null;
+    try {
+      await client.query('BEGIN');
+      series = await RecurrenceModel.lockNextDue(client, handledIds);
+      if (!series) {
+        await client.query('COMMIT');
+        break;
+      }
+      handledIds.push(series.id);
+
+      if (await spawnNextInstance(series, client)) {
+        created++;
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      // A broken series must not hold back the others; it is retried on the next run
+      if (!series) {
+        throw error;
+      }
+      console.error(`Recurring tasks: series ${series.id} failed:`, error);
+      continue;
+    } finally {
+      client.release();
+    }
+  }
+
+  if (created > 0) {
+    console.log(`Recurring tasks: created ${created} task(s)`);
+  }
+  return created;
+};
@@ -16,6 +16,8 @@ import  {
    
   isConsultantFromVendor }
  from './vendor.utils.js';
+import { getAccessScope, projectAccessCondition, taskAccessCondition } from './projectAccess.utils.js';
+import { taskStatusCategory } from './workflow.utils.js';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 
@@ -62,7 +64,7 @@ export const generateTaskReport = async (req) => {
     JOIN users u ON ta.user_id = u.id
     LEFT JOIN users cu ON t.created_by = cu.id
     JOIN projects p ON t.project_id = p.id
-    WHERE 1=1
+    WHERE t.deleted_at IS NULL
   `;
   
   // Apply filters
@@ -91,28 +93,11 @@ export const generateTaskReport = async (req) => {
     query += ` AND t.created_at <= $${queryParams.length}::date`;
   }
   
-  // Check permissions for non-admin users
-  if (req.user.role !== 'admin') {
-    if (req.user.role === 'vendor') {
-      // Vendors can only see their consultants' tasks
-      const vendorId = await getVendorIdByUserId(req.user.id);
-      if (!vendorId) {
-        return [];
-      }
-      
-      const consultantIds = await getVendorConsultantIds(vendorId);
-      if (consultantIds.length === 0) {
-        return [];
-      }
-      
-      // Add filter for vendor's consultants
-      queryParams.push(consultantIds);
-      query += ` AND ta.user_id = ANY($${queryParams.length})`;
-    } else {
-      // Regular users can only see their own tasks
-      queryParams.push(req.user.id);
-      query += ` AND ta.user_id = $${queryParams.length}`;
-    }
+  // Only tasks the user may see (project team, own tasks, tasks of their consultants)
+  const accessibleTo = await getAccessScope(req.user);
+  if (accessibleTo) {
+    queryParams.push(accessibleTo);
+    query += ` AND ${taskAccessCondition('t', `$${queryParams.length}`)}`;
   }
   
   // Add order by
@@ -165,19 +150,19 @@ export const generateUserPerformanceReport = async (req) => {
       u.department,
       u.position,
       COUNT(t.id) AS total_tasks,
-      SUM(CASE WHEN t.status = 'completed' THEN 1 ELSE 0 END) AS completed_tasks,
+      SUM(CASE WHEN ${taskStatusCategory('t')} = 'done' THEN 1 ELSE 0 END) AS completed_tasks,
       SUM(CASE WHEN t.status = 'in_progress' THEN 1 ELSE 0 END) AS in_progress_tasks,
       SUM(CASE WHEN t.status = 'todo' THEN 1 ELSE 0 END) AS pending_tasks,
-      SUM(CASE WHEN t.due_date < CURRENT_DATE AND t.status != 'completed' THEN 1 ELSE 0 END) AS overdue_tasks,
-      ROUND(AVG(CASE WHEN t.status = 'completed' THEN 
+      SUM(CASE WHEN t.due_date < CURRENT_DATE AND ${taskStatusCategory('t')} IS DISTINCT FROM 'done' THEN 1 ELSE 0 END) AS overdue_tasks,
+      ROUND(AVG(CASE WHEN ${taskStatusCategory('t')} = 'done' THEN 
         EXTRACT(EPOCH FROM (t.updated_at - t.created_at))/3600/24 
       ELSE NULL END), 2) AS avg_completion_days,
       SUM(COALESCE(du.hours_spent, 0)) AS total_hours_logged
     FROM users u
     LEFT JOIN task_assignments ta ON u.id = ta.user_id
-    LEFT JOIN tasks t ON ta.task_id = t.id
+    LEFT JOIN tasks t ON ta.task_id = t.id AND t.deleted_at IS NULL
     LEFT JOIN daily_updates du ON u.id = du.user_id AND t.id = du.task_id
-    WHERE 1=1
+    WHERE u.deleted_at IS NULL
   `;
   
   // Apply filters
@@ -285,19 +270,19 @@ export const generateProjectStatusReport = async (req) => {
       p.client_name,
       p.budget,
       COUNT(t.id) AS total_tasks,
-      SUM(CASE WHEN t.status = 'completed' THEN 1 ELSE 0 END) AS completed_tasks,
+      SUM(CASE WHEN ${taskStatusCategory('t')} = 'done' THEN 1 ELSE 0 END) AS completed_tasks,
       SUM(CASE WHEN t.status = 'in_progress' THEN 1 ELSE 0 END) AS in_progress_tasks,
       SUM(CASE WHEN t.status = 'todo' THEN 1 ELSE 0 END) AS todo_tasks,
       SUM(CASE WHEN t.status = 'review' THEN 1 ELSE 0 END) AS review_tasks,
-      SUM(CASE WHEN t.due_date < CURRENT_DATE AND t.status != 'completed' THEN 1 ELSE 0 END) AS overdue_tasks,
+      SUM(CASE WHEN t.due_date < CURRENT_DATE AND ${taskStatusCategory('t')} IS DISTINCT FROM 'done' THEN 1 ELSE 0 END) AS overdue_tasks,
       CASE 
         WHEN COUNT(t.id) = 0 THEN 0 
-        ELSE ROUND((SUM(CASE WHEN t.status = 'completed' THEN 1 ELSE 0 END)::float / COUNT(t.id)) * 100, 2)
+        ELSE ROUND((SUM(CASE WHEN ${taskStatusCategory('t')} = 'done' THEN 1 ELSE 0 END)::float / COUNT(t.id)) * 100, 2)
       END AS completion_percentage
     FROM projects p
     LEFT JOIN users u ON p.manager_id = u.id
-    LEFT JOIN tasks t ON p.id = t.project_id
-    WHERE 1=1
+    LEFT JOIN tasks t ON p.id = t.project_id AND t.deleted_at IS NULL
+    WHERE p.deleted_at IS NULL
   `;
   
   // Apply project_id filter if provided
@@ -306,29 +291,11 @@ export const generateProjectStatusReport = async (req) => {
     query += ` AND p.id = $${queryParams.length}`;
   }
   
-  // For vendor users, restrict to their own projects
-  if (req.user.role === 'vendor') {
-    const vendorId = await getVendorIdByUserId(req.user.id);
-    
-    if (!vendorId) {
-      return [];
-    }
-    
-    // Get vendor company name
-    const vendorResult = await db.query(
-      'SELECT company_name FROM vendors WHERE id = $1',
-      [vendorId]
-    );
-    
-    if (vendorResult.rows.length === 0) {
-      return [];
-    }
-    
-    const companyName = vendorResult.rows[0].company_name;
-    
-    // Filter projects by vendor
-    queryParams.push(`%Vendor - ${companyName}%`);
-    query += ` AND p.project_type LIKE $${queryParams.length}`;
+  // Only projects the user is a team member of
+  const accessibleTo = await getAccessScope(req.user);
+  if (accessibleTo) {
+    queryParams.push(accessibleTo);
+    query += ` AND ${projectAccessCondition('p.id', `$${queryParams.length}`)}`;
   }
   
   // Group and order by
@@ -349,11 +316,11 @@ export const generateProjectStatusReport = async (req) => {
         u.first_name || ' ' || u.last_name AS name, 
         u.role,
         COUNT(t.id) AS assigned_tasks,
-        SUM(CASE WHEN t.status = 'completed' THEN 1 ELSE 0 END) AS completed_tasks
+        SUM(CASE WHEN ${taskStatusCategory('t')} = 'done' THEN 1 ELSE 0 END) AS completed_tasks
       FROM users u
       JOIN task_assignments ta ON u.id = ta.user_id
       JOIN tasks t ON ta.task_id = t.id
-      WHERE t.project_id = $1
+      WHERE t.project_id = $1 AND t.deleted_at IS NULL
       GROUP BY u.id, u.first_name, u.last_name, u.role
       ORDER BY u.role, u.first_name, u.last_name
     `;
@@ -394,24 +361,24 @@ export const generateVendorPerformanceReport = async (req) => {
       COUNT(DISTINCT p.id) AS total_projects,
       COUNT(DISTINCT c.id) AS total_consultants,
       COUNT(t.id) AS total_tasks,
-      SUM(CASE WHEN t.status = 'completed' THEN 1 ELSE 0 END) AS completed_tasks,
+      SUM(CASE WHEN ${taskStatusCategory('t')} = 'done' THEN 1 ELSE 0 END) AS completed_tasks,
       SUM(CASE WHEN t.status = 'in_progress' THEN 1 ELSE 0 END) AS in_progress_tasks,
-      SUM(CASE WHEN t.due_date < CURRENT_DATE AND t.status != 'completed' THEN 1 ELSE 0 END) AS overdue_tasks,
+      SUM(CASE WHEN t.due_date < CURRENT_DATE AND ${taskStatusCategory('t')} IS DISTINCT FROM 'done' THEN 1 ELSE 0 END) AS overdue_tasks,
       CASE 
         WHEN COUNT(t.id) = 0 THEN 0 
-        ELSE ROUND((SUM(CASE WHEN t.status = 'completed' THEN 1 ELSE 0 END)::float / COUNT(t.id)) * 100, 2)
+        ELSE ROUND((SUM(CASE WHEN ${taskStatusCategory('t')} = 'done' THEN 1 ELSE 0 END)::float / COUNT(t.id)) * 100, 2)
       END AS completion_rate,
-      ROUND(AVG(CASE WHEN t.status = 'completed' THEN 
+      ROUND(AVG(CASE WHEN ${taskStatusCategory('t')} = 'done' THEN 
         EXTRACT(EPOCH FROM (t.updated_at - t.created_at))/3600/24 
       ELSE NULL END), 2) AS avg_completion_days
     FROM vendors v
     LEFT JOIN users u ON v.user_id = u.id
-    LEFT JOIN projects p ON p.project_type LIKE '%Vendor - ' || v.company_name || '%'
+    LEFT JOIN projects p ON p.project_type LIKE '%Vendor - ' || v.company_name || '%' AND p.deleted_at IS NULL
     LEFT JOIN users c ON c.working_for = v.user_id
     LEFT JOIN consultants con ON con.user_id = c.id
     LEFT JOIN task_assignments ta ON c.id = ta.user_id
-    LEFT JOIN tasks t ON ta.task_id = t.id
-    WHERE 1=1
+    LEFT JOIN tasks t ON ta.task_id = t.id AND t.deleted_at IS NULL
+    WHERE v.deleted_at IS NULL
   `;
   
   // Apply filters
@@ -449,13 +416,13 @@ export const generateVendorPerformanceReport = async (req) => {
         c.specialization,
         c.hourly_rate,
         COUNT(t.id) AS total_tasks,
-        SUM(CASE WHEN t.status = 'completed' THEN 1 ELSE 0 END) AS completed_tasks,
-        SUM(CASE WHEN t.due_date < CURRENT_DATE AND t.status != 'completed' THEN 1 ELSE 0 END) AS overdue_tasks
+        SUM(CASE WHEN ${taskStatusCategory('t')} = 'done' THEN 1 ELSE 0 END) AS completed_tasks,
+        SUM(CASE WHEN t.due_date < CURRENT_DATE AND ${taskStatusCategory('t')} IS DISTINCT FROM 'done' THEN 1 ELSE 0 END) AS overdue_tasks
       FROM users u
       JOIN consultants c ON u.id = c.user_id
       JOIN vendors v ON u.working_for = v.user_id
       LEFT JOIN task_assignments ta ON u.id = ta.user_id
-      LEFT JOIN tasks t ON ta.task_id = t.id
+      LEFT JOIN tasks t ON ta.task_id = t.id AND t.deleted_at IS NULL
       WHERE v.id = $1
     `;
     
@@ -488,10 +455,10 @@ export const generateVendorPerformanceReport = async (req) => {
         p.start_date,
         p.end_date,
         COUNT(t.id) AS total_tasks,
-        SUM(CASE WHEN t.status = 'completed' THEN 1 ELSE 0 END) AS completed_tasks
+        SUM(CASE WHEN ${taskStatusCategory('t')} = 'done' THEN 1 ELSE 0 END) AS completed_tasks
       FROM projects p
-      LEFT JOIN tasks t ON p.id = t.project_id
-      WHERE p.project_type LIKE '%Vendor - ${vendor.company_name}%'
+      LEFT JOIN tasks t ON p.id = t.project_id AND t.deleted_at IS NULL
+      WHERE p.project_type LIKE '%Vendor - ${vendor.company_name}%' AND p.deleted_at IS NULL
       GROUP BY p.id, p.title, p.status, p.start_date, p.end_date
       ORDER BY p.start_date DESC
     `;
@@ -503,67 +470,6 @@ export const generateVendorPerformanceReport = async (req) => {
   return result.rows;
 };
 
-/**
- * Generate user logs report
- * @param {Object} req - Express request object with filters in query
- * @returns {Promise<Array>} - Array of user logs data
- */
-export const generateUserLogsReport = async (req) => {
-  const { 
-    user_id,
-    start_date,
-    end_date,
-    action
-  } = req.query;
-  
-  // Initialize query parameters array
-  const queryParams = [];
-  
-  // Build base query for user logs
-  let query = `
-    SELECT 
-      ul.id AS log_id,
-      u.id AS user_id,
-      u.first_name || ' ' || u.last_name AS user_name,
-      u.role,
-      ul.action,
-      ul.description,
-      ul.created_at,
-      ul.ip_address
-    FROM user_logs ul
-    JOIN users u ON ul.user_id = u.id
-    WHERE 1=1
-  `;
-  
-  // Apply filters
-  if (user_id) {
-    queryParams.push(user_id);
-    query += ` AND ul.user_id = $${queryParams.length}`;
-  }
-  
-  if (action) {
-    queryParams.push(`%${action}%`);
-    query += ` AND ul.action LIKE $${queryParams.length}`;
-  }
-  
-  if (start_date) {
-    queryParams.push(start_date);
-    query += ` AND ul.created_at >= $${queryParams.length}::date`;
-  }
-  
-  if (end_date) {
-    queryParams.push(end_date);
-    query += ` AND ul.created_at <= ($${queryParams.length}::date + INTERVAL '1 day')`;
-  }
-  
-  // Order by created_at desc
-  query += ` ORDER BY ul.created_at DESC`;
-  
-  // Execute query
-  const result = await db.query(query, queryParams);
-  return result.rows;
-};
-
 /**
  * Export report data to a file (CSV or Excel)
  * @param {Array} data - Report data to export
@@ -0,0 +1,273 @@
+import db from '../config/db.js';
+import TaskModel from '../models/task.model.js';
+import ProjectModel from '../models/project.model.js';
+import UserModel from '../models/user.model.js';
+import InviteModel from '../models/invite.model.js';
+import ProjectTemplateModel from '../models/projectTemplate.model.js';
+import SprintModel from '../models/sprint.model.js';
+import MilestoneModel from '../models/milestone.model.js';
+import ViewModel from '../models/view.model.js';
+import { defineResourceLoader } from './permission.utils.js';
+import { getProjectRole, getTaskRole, hasProjectRole } from './projectAccess.utils.js';
+import { canUseView } from './view.utils.js';
+
+/**
+ * Parse a positive integer route parameter
+ * @param {String} value - Raw parameter
+ * @returns {Number|null} - Parsed ID, null if invalid
+ */
+const parseId = (value) => {
+  const id = parseInt(value);
+  return isNaN(id) || id <= 0 ? null : id;
+};
+
+/**
+ * Load the task in req.params.id.
+ * Tasks the user cannot see are reported as missing. Project managers and owners
+ * count as owners of every task in their project.
+ * @param {Array<String>} ownerFields - Task fields holding the IDs of its owners (an ID or a list of IDs)
+ * @param {String} minimumRole - Project role needed on the task (see projectAccess.utils.js)
+ * @returns {Function} - Resource loader
+ */
+export const loadTask = (ownerFields = ['created_by', 'assignee_ids'], minimumRole = 'viewer') => defineResourceLoader('Task', async (req) => {
+  const taskId = parseId(req.params.id);
+  const task = taskId ? await TaskModel.findById(taskId) : null;
+  if (!task) {
+    return null;
+  }
+
+  const role = await getTaskRole(req.user, task);
+  if (!role) {
+    return null;
+  }
+
+  const ownerIds = ownerFields.flatMap(field => task[field]);
+  if (hasProjectRole(role, 'manager')) {
+    ownerIds.push(req.user.id);
+  }
+  task.my_role = role;
+  return { resource: task, ownerIds, forbidden: !hasProjectRole(role, minimumRole) };
+});
+
+/**
+ * Load the task in req.params.id from the trash, to restore it.
+ * Like loadTask, tasks the user cannot see are missing; the creator and the project managers own it.
+ */
+export const loadDeletedTask = defineResourceLoader('Task', async (req) => {
+  const taskId = parseId(req.params.id);
+  const task = taskId ? await TaskModel.findById(taskId, { deleted: true }) : null;
+  if (!task) {
+    return null;
+  }
+
+  const role = await getTaskRole(req.user, task);
+  if (!role) {
+    return null;
+  }
+
+  const ownerIds = [task.created_by];
+  if (hasProjectRole(role, 'manager')) {
+    ownerIds.push(req.user.id);
+  }
+  return { resource: task, ownerIds };
+});
+
+/**
+ * Load the task in req.params.id for verification.
+ * The owners are the vendors the assignees work for and the project managers.
+ */
+export const loadTaskForVerification = defineResourceLoader('Task', async (req) => {
+  const taskId = parseId(req.params.id);
+  if (!taskId) {
+    return null;
+  }
+
+  const { rows } = await db.query(
+    `SELECT t.*,
+       ARRAY(SELECT user_id FROM task_assignments WHERE task_id = t.id) AS assignee_ids,
+       ARRAY(
+         SELECT u.working_for FROM task_assignments ta
+         JOIN users u ON ta.user_id = u.id
+         WHERE ta.task_id = t.id AND u.working_for IS NOT NULL
+       ) AS assignee_vendor_ids
+     FROM tasks t
+     WHERE t.id = $1 AND t.deleted_at IS NULL`,
+    [taskId]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const task = rows[0];
+  const role = await getTaskRole(req.user, task);
+  if (!role) {
+    return null;
+  }
+
+  const ownerIds = [...task.assignee_vendor_ids];
+  if (hasProjectRole(role, 'manager')) {
+    ownerIds.push(req.user.id);
+  }
+  return { resource: task, ownerIds };
+});
+
+/**
+ * Load a project from a route parameter.
+ * Non-members get a 404; members whose project role is at least ownerRole count as owners.
+ * @param {String} ownerRole - Project role that owns the project for this action
+ * @param {String} param - Name of the route parameter holding the project ID
+ * @returns {Function} - Resource loader
+ */
+export const loadProject = (ownerRole = 'manager', param = 'id') => defineResourceLoader('Project', async (req) => {
+  const projectId = parseId(req.params[param]);
+  const project = projectId ? await ProjectModel.findById(projectId) : null;
+  if (!project) {
+    return null;
+  }
+
+  const role = await getProjectRole(req.user, project.id);
+  if (!role) {
+    return null;
+  }
+
+  project.my_role = role;
+  return { resource: project, ownerIds: hasProjectRole(role, ownerRole) ? [req.user.id] : [] };
+});
+
+/**
+ * Load the project in req.params.id from the trash, to restore it.
+ * Like loadProject, it is missing for non-members; its owners own it.
+ */
+export const loadDeletedProject = defineResourceLoader('Project', async (req) => {
+  const projectId = parseId(req.params.id);
+  const project = projectId ? await ProjectModel.findById(projectId, { deleted: true }) : null;
+  if (!project) {
+    return null;
+  }
+
+  const role = await getProjectRole(req.user, project.id);
+  if (!role) {
+    return null;
+  }
+  return { resource: project, ownerIds: hasProjectRole(role, 'owner') ? [req.user.id] : [] };
+});
+
+/**
+ * Load a row that belongs to a project (sprint, milestone) from req.params.id.
+ * Like projects, they are missing for non-members and owned by members with at least ownerRole.
+ * @param {String} resourceName - Name used in error messages
+ * @param {Function} findById - Loads the row by ID; the row has a project_id
+ * @returns {Function} - Loader factory taking the owner role
+ */
+const projectItemLoader = (resourceName, findById) => (ownerRole = 'manager') => defineResourceLoader(resourceName, async (req) => {
+  const id = parseId(req.params.id);
+  const item = id ? await findById(id) : null;
+  if (!item) {
+    return null;
+  }
+
+  const role = await getProjectRole(req.user, item.project_id);
+  if (!role) {
+    return null;
+  }
+  return { resource: item, ownerIds: hasProjectRole(role, ownerRole) ? [req.user.id] : [] };
+});
+
+/**
+ * Load the sprint in req.params.id (see projectItemLoader)
+ */
+export const loadSprint = projectItemLoader('Sprint', id => SprintModel.findById(id));
+
+/**
+ * Load the milestone in req.params.id (see projectItemLoader)
+ */
+export const loadMilestone = projectItemLoader('Milestone', id => MilestoneModel.findById(id));
+
+/**
+ * Load the project template in req.params.id. Every user can see templates; the owner is their creator.
+ */
+export const loadTemplate = defineResourceLoader('Template', async (req) => {
+  const templateId = parseId(req.params.id);
+  const template = templateId ? await ProjectTemplateModel.findById(templateId) : null;
+  if (!template) {
+    return null;
+  }
+  return { resource: template, ownerIds: [template.created_by] };
+});
+
+/**
+ * Load the saved view in req.params.id.
+ * Views the user cannot apply are reported as missing; only the owner may change a view.
+ * @param {Boolean} requireOwner - Forbid the action to users other than the owner
+ * @returns {Function} - Resource loader
+ */
+export const loadView = (requireOwner = false) => defineResourceLoader('View', async (req) => {
+  const viewId = parseId(req.params.id);
+  const view = viewId ? await ViewModel.findById(viewId) : null;
+  if (!view || !await canUseView(req.user, view)) {
+    return null;
+  }
+  view.is_owner = view.owner_id === req.user.id;
+  return { resource: view, ownerIds: [view.owner_id], forbidden: requireOwner && !view.is_owner };
+});
+
+/**
+ * Load a user from a route parameter. The owner is the user themselves.
+ * @param {String} param - Name of the route parameter holding the user ID
+ * @returns {Function} - Resource loader
+ */
+export const loadUser = (param = 'id') => defineResourceLoader('User', async (req) => {
+  const userId = parseId(req.params[param]);
+  const user = userId ? await UserModel.findById(userId) : null;
+  if (!user) {
+    return null;
+  }
+  return { resource: user, ownerIds: [user.id] };
+});
+
+/**
+ * Load the vendor profile in req.params.id. The owner is the vendor's user account.
+ */
+export const loadVendor = defineResourceLoader('Vendor', async (req) => {
+  const vendorId = parseId(req.params.id);
+  if (!vendorId) {
+    return null;
+  }
+
+  const { rows } = await db.query('SELECT * FROM vendors WHERE id = $1 AND deleted_at IS NULL', [vendorId]);
+  if (rows.length === 0) {
+    return null;
+  }
+  return { resource: rows[0], ownerIds: [rows[0].user_id] };
+});
+
+/**
+ * Load the consultant in req.params.consultantId. The owner is the vendor they work for.
+ */
+export const loadConsultant = defineResourceLoader('Consultant', async (req) => {
+  const consultantId = parseId(req.params.consultantId);
+  if (!consultantId) {
+    return null;
+  }
+
+  const { rows } = await db.query(
+    'SELECT id, first_name, last_name, status, working_for, role FROM users WHERE id = $1 AND deleted_at IS NULL',
+    [consultantId]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+  return { resource: rows[0], ownerIds: [rows[0].working_for] };
+});
+
+/**
+ * Load the invite in req.params.id. The owners are the inviter and the vendor the invitee will work for.
+ */
+export const loadInvite = defineResourceLoader('Invite', async (req) => {
+  const inviteId = parseId(req.params.id);
+  const invite = inviteId ? await InviteModel.findById(inviteId) : null;
+  if (!invite) {
+    return null;
+  }
+  return { resource: invite, ownerIds: [invite.invited_by, invite.working_for] };
+});
@@ -0,0 +1,47 @@
+/**
+ * Run a background job in this process: once at start, then every intervalMs.
+ * A run is skipped while the previous one is still busy; the timer does not keep the process alive.
+ * Each job locks the rows it works on, so several API instances can run the same job.
+ * @param {String} name - Job name, used in logs
+ * @param {number} intervalMs - Milliseconds between runs; 0 disables the job
+ * @param {Function} job - Async function doing one run
+ * @returns {Function} - Stops the job
+ */
+export const startScheduler = (name, intervalMs, job) => {
+  if (!(intervalMs > 0)) {
+    console.log(`Scheduled job "${name}" is disabled`);
+    return () => {};
+  }
+
+  let running = false;
+  const run = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await job();
+    } catch (error) {
+      console.error(`Scheduled job "${name}" error:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+
+  return () => clearInterval(timer);
+};
+
+/**
+ * Read a job interval in minutes from the environment
+ * @param {String} variable - Environment variable name
+ * @param {number} defaultMinutes - Minutes used when the variable is not set
+ * @returns {number} - Interval in milliseconds (0 when set to 0, which disables the job)
+ */
+export const getIntervalFromEnv = (variable, defaultMinutes) => {
+  const minutes = parseFloat(process.env[variable]);
+  return (Number.isNaN(minutes) ? defaultMinutes : minutes) * 60 * 1000;
+};
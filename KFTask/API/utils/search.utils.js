@@ -0,0 +1,56 @@
+import { query } from 'express-validator';
+
+/**
+ * Text search configuration of the search_documents vectors (see the database script)
+ */
+export const SEARCH_CONFIG = 'english';
+
+/**
+ * What GET /api/search can return, as used in the type filter and in the results
+ */
+export const SEARCH_TYPES = ['task', 'project', 'comment', 'feedback_reply', 'daily_update'];
+
+// Matches are marked with control characters by PostgreSQL and turned into <mark> tags after
+// the rest of the text is HTML-escaped, so user content can never inject markup
+const HIGHLIGHT_START = '\u0001';
+const HIGHLIGHT_STOP = '\u0002';
+
+/**
+ * ts_headline options for snippets of long text
+ */
+export const SNIPPET_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" ... "`;
+
+/**
+ * ts_headline options for titles, which are shown whole
+ */
+export const TITLE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, HighlightAll=true`;
+
+/**
+ * Query string rules for GET /api/search
+ */
+export const searchValidation = [
+  query('q').isString().trim().isLength({ min: 2, max: 200 })
+    .withMessage('q must be between 2 and 200 characters'),
+  query('type').optional().custom(value => String(value).split(',').every(type => SEARCH_TYPES.includes(type.trim())))
+    .withMessage(`type must be a comma-separated list of: ${SEARCH_TYPES.join(', ')}`),
+  query('project_id').optional().isInt({ min: 1 }).withMessage('project_id must be a positive integer'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+];
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Turn a ts_headline result into HTML: the text is escaped and matches are wrapped in <mark>
+ * @param {String|null} headline - ts_headline output marked with the highlight characters
+ * @returns {String|null}
+ */
+export const toHighlightHtml = (headline) => {
+  if (headline === null || headline === undefined) {
+    return null;
+  }
+  return headline
+    .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+    .replaceAll(HIGHLIGHT_START, '<mark>')
+    .replaceAll(HIGHLIGHT_STOP, '</mark>');
+};
@@ -0,0 +1,164 @@
+import { check } from 'express-validator';
+import { addDays, daysBetween, toDateString } from './date.utils.js';
+
+/**
+ * Lifecycle of a sprint: planned → active (started) → closed
+ */
+export const SPRINT_STATUSES = ['planned', 'active', 'closed'];
+
+/**
+ * Statuses of a milestone
+ */
+export const MILESTONE_STATUSES = ['open', 'completed'];
+
+/**
+ * Longest sprint in days; keeps burndown series bounded
+ */
+export const MAX_SPRINT_DAYS = 366;
+
+/**
+ * Field rules for creating and updating sprints.
+ * @param {Boolean} partial - Fields are optional (PUT /api/sprints/{id})
+ * @returns {Array} - express-validator chains
+ */
+export const sprintValidation = (partial = false) => [
+  (partial ? check('name').optional() : check('name')).isString().trim().notEmpty().withMessage('Name is required')
+    .isLength({ max: 255 }).withMessage('Name must be at most 255 characters'),
+  check('goal').optional({ values: 'null' }).isString().withMessage('Goal must be text'),
+  (partial ? check('start_date').optional() : check('start_date')).isISO8601({ strict: true })
+    .withMessage('start_date must be a date (YYYY-MM-DD)'),
+  (partial ? check('end_date').optional() : check('end_date')).isISO8601({ strict: true })
+    .withMessage('end_date must be a date (YYYY-MM-DD)')
+];
+
+/**
+ * Field rules for creating and updating milestones.
+ * @param {Boolean} partial - Fields are optional (PUT /api/milestones/{id})
+ * @returns {Array} - express-validator chains
+ */
+export const milestoneValidation = (partial = false) => [
+  (partial ? check('name').optional() : check('name')).isString().trim().notEmpty().withMessage('Name is required')
+    .isLength({ max: 255 }).withMessage('Name must be at most 255 characters'),
+  check('description').optional({ values: 'null' }).isString().withMessage('Description must be text'),
+  check('due_date').optional({ values: 'null' }).isISO8601({ strict: true })
+    .withMessage('due_date must be a date (YYYY-MM-DD)'),
+  check('status').optional().isIn(MILESTONE_STATUSES)
+    .withMessage(`Status must be one of: ${MILESTONE_STATUSES.join(', ')}`)
+];
+
+/**
+ * Check the dates of a sprint
+ * @param {Object} sprint - start_date and end_date
+ * @returns {String|null} - Error message, null if the dates are valid
+ */
+export const validateSprintDates = ({ start_date, end_date }) => {
+  const days = daysBetween(start_date, end_date);
+  if (days < 0) {
+    return 'end_date must not be before start_date';
+  }
+  if (days >= MAX_SPRINT_DAYS) {
+    return `A sprint can last at most ${MAX_SPRINT_DAYS} days`;
+  }
+  return null;
+};
+
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+/**
+ * Count tasks and sum their estimates (tasks without an estimate count as 0 hours)
+ * @param {Array<Object>} tasks - Tasks with estimated_hours
+ * @returns {Object} - { tasks, hours }
+ */
+const summarize = (tasks) => ({
+  tasks: tasks.length,
+  hours: roundHours(tasks.reduce((sum, task) => sum + Number(task.estimated_hours || 0), 0))
+});
+
+/**
+ * Build the statistics and burndown of a sprint.
+ *
+ * The scope is the tasks in the sprint: for a closed sprint the ones it completed, rolled over or
+ * that stayed in it; otherwise the tasks currently in it. A task burns down on the day it was closed
+ * (closed_on); open tasks and tasks that were reopened stay in the remaining work. Days after today
+ * (or after the sprint was closed) only have the ideal line.
+ * @param {Object} sprint - Sprint row
+ * @param {Array<Object>} tasks - Tasks of the sprint and the ones it committed to
+ *   (id, estimated_hours, in_sprint, status_category, closed_on)
+ * @param {Array<Object>} timeEntries - Hours logged on those tasks per day within the sprint (work_date, hours)
+ * @param {Date|String} today - Current date
+ * @returns {Object} - committed, added, completed, cancelled, remaining, rolled_over, logged_hours,
+ *   completion_rate and burndown
+ */
+export const buildSprintReport = (sprint, tasks, timeEntries, today) => {
+  const isClosed = sprint.status === 'closed';
+  const committedIds = new Set(sprint.committed_task_ids || []);
+  const completedIds = new Set(isClosed ? sprint.completed_task_ids : []);
+  const rolledOverIds = new Set(isClosed ? sprint.rolled_over_task_ids : []);
+
+  const isCompleted = (task) => (isClosed ? completedIds.has(task.id) : task.in_sprint && task.status_category === 'done');
+  const isCancelled = (task) => task.in_sprint && task.status_category === 'cancelled' && !isCompleted(task);
+  const inScope = (task) => task.in_sprint || completedIds.has(task.id) || rolledOverIds.has(task.id);
+
+  const scope = tasks.filter(inScope);
+  const completed = scope.filter(isCompleted);
+  const remaining = isClosed
+    ? scope.filter(task => rolledOverIds.has(task.id))
+    : scope.filter(task => !isCompleted(task) && !isCancelled(task));
+  const committed = tasks.filter(task => committedIds.has(task.id));
+  const completedCommitted = committed.filter(isCompleted);
+
+  // The burndown stops at the last day with data
+  const lastDay = toDateString(isClosed ? sprint.closed_at : today);
+  const loggedByDay = new Map();
+  for (const entry of timeEntries) {
+    const day = toDateString(entry.work_date);
+    loggedByDay.set(day, (loggedByDay.get(day) || 0) + Number(entry.hours));
+  }
+
+  const closedOn = (task) => (isCompleted(task) || isCancelled(task) ? toDateString(task.closed_on) : null);
+  const startHours = sprint.committed_hours !== null && sprint.committed_hours !== undefined
+    ? Number(sprint.committed_hours)
+    : summarize(scope).hours;
+  const lastIndex = daysBetween(sprint.start_date, sprint.end_date);
+  const burndown = [];
+  let loggedHours = 0;
+
+  for (let index = 0; index <= lastIndex; index++) {
+    const date = addDays(sprint.start_date, index);
+    const ideal = roundHours(lastIndex === 0 ? 0 : startHours * (1 - index / lastIndex));
+    if (sprint.status === 'planned' || date > lastDay) {
+      burndown.push({ date, ideal_hours: ideal, remaining_tasks: null, remaining_hours: null, logged_hours: null });
+      continue;
+    }
+
+    loggedHours += loggedByDay.get(date) || 0;
+    const open = scope.filter(task => {
+      const day = closedOn(task);
+      return !day || day > date;
+    });
+    const openSummary = summarize(open);
+    burndown.push({
+      date,
+      ideal_hours: ideal,
+      remaining_tasks: openSummary.tasks,
+      remaining_hours: openSummary.hours,
+      logged_hours: roundHours(loggedHours)
+    });
+  }
+
+  return {
+    committed: sprint.committed_task_ids
+      ? { tasks: committed.length, hours: roundHours(startHours) }
+      : null,
+    added: summarize(scope.filter(task => !committedIds.has(task.id))),
+    completed: summarize(completed),
+    cancelled: summarize(scope.filter(isCancelled)),
+    remaining: summarize(remaining),
+    rolled_over: isClosed ? summarize(scope.filter(task => rolledOverIds.has(task.id))) : null,
+    logged_hours: roundHours([...loggedByDay.values()].reduce((sum, hours) => sum + hours, 0)),
+    completion_rate: committed.length > 0
+      ? Math.round((completedCommitted.length / committed.length) * 100)
+      : null,
+    burndown
+  };
+};
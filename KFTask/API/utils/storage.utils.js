@@ -0,0 +1,109 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Get the directory the local driver stores files in
+ * @returns {String} - Absolute path
+ */
+const getLocalRoot = () => path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../storage'));
+
+/**
+ * Map a storage key to a path inside the local storage directory
+ * @param {String} key - Storage key
+ * @returns {String} - Absolute file path
+ */
+const resolveLocalPath = (key) => {
+  const root = getLocalRoot();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+/**
+ * Storage drivers keyed by name.
+ * A driver stores files under a key and implements:
+ *   put(key, buffer, { contentType })  - store a file, replacing an existing one
+ *   get(key)                           - resolve to a readable stream, or null if the file does not exist
+ *   remove(key)                        - delete a file (missing files are ignored)
+ * New uploads use the driver named in STORAGE_DRIVER; every stored file remembers its driver.
+ */
+const drivers = {
+  /**
+   * Files on the local disk, in STORAGE_LOCAL_DIR (default: API/storage).
+   * The directory is not served statically; downloads go through authorized routes.
+   */
+  local: {
+    async put(key, buffer) {
+      const filePath = resolveLocalPath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async get(key) {
+      const filePath = resolveLocalPath(key);
+      try {
+        await fs.promises.access(filePath, fs.constants.R_OK);
+      } catch (error) {
+        return null;
+      }
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveLocalPath(key), { force: true });
+    }
+  }
+};
+
+/**
+ * Register a storage driver (e.g. an S3-compatible object store)
+ * @param {String} name - Driver name used in STORAGE_DRIVER and stored with each file
+ * @param {Object} driver - Object implementing put, get and remove
+ */
+export const registerStorageDriver = (name, driver) => {
+  if (!driver || ['put', 'get', 'remove'].some(method => typeof driver[method] !== 'function')) {
+    throw new Error('Storage driver must implement put, get and remove');
+  }
+  drivers[name] = driver;
+};
+
+/**
+ * Get the name of the driver new files are stored with
+ * @returns {String} - Driver name
+ */
+export const getDefaultStorageDriverName = () => process.env.STORAGE_DRIVER || 'local';
+
+/**
+ * Get a storage driver
+ * @param {String} name - Driver name (default: the one new files are stored with)
+ * @returns {Object} - Storage driver
+ */
+export const getStorageDriver = (name = getDefaultStorageDriverName()) => {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
+
+/**
+ * Delete stored files, logging failures instead of throwing.
+ * Used after the database rows pointing to the files are gone.
+ * @param {Array<Object>} files - Rows with storage_driver and file_path
+ */
+export const removeStoredFiles = async (files) => {
+  for (const file of files) {
+    try {
+      await getStorageDriver(file.storage_driver).remove(file.file_path);
+    } catch (error) {
+      console.error(`Error removing stored file ${file.file_path}:`, error);
+    }
+  }
+};
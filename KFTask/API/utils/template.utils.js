@@ -0,0 +1,58 @@
+import { check } from 'express-validator';
+
+/**
+ * Project roles a template task can be assigned to by default
+ */
+export const TEMPLATE_TASK_ROLES = ['contributor', 'manager', 'owner'];
+
+/**
+ * Priorities of templates and their tasks, as on projects and tasks
+ */
+export const TEMPLATE_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+/**
+ * Field rules for POST /api/project-templates and PUT /api/project-templates/{id}
+ */
+export const templateValidation = [
+  check('name').trim().notEmpty().withMessage('Name is required')
+    .isLength({ max: 255 }).withMessage('Name must be at most 255 characters'),
+  check('description').optional({ values: 'null' }).isString().withMessage('Description must be text'),
+  check('priority').optional().isIn(TEMPLATE_PRIORITIES)
+    .withMessage(`Priority must be one of: ${TEMPLATE_PRIORITIES.join(', ')}`),
+  check('project_type').optional({ values: 'null' }).isString().trim()
+    .isLength({ max: 100 }).withMessage('Project type must be at most 100 characters'),
+  check('duration_days').optional({ values: 'null' }).isInt({ min: 0 })
+    .withMessage('duration_days must be a non-negative integer').toInt(),
+  check('tasks').isArray({ min: 1, max: 500 }).withMessage('tasks must be an array of 1 to 500 tasks'),
+  check('tasks.*.title').isString().trim().notEmpty().withMessage('Every task needs a title')
+    .isLength({ max: 255 }).withMessage('Task titles must be at most 255 characters'),
+  check('tasks.*.description').optional({ values: 'null' }).isString().withMessage('Task descriptions must be text'),
+  check('tasks.*.priority').optional().isIn(TEMPLATE_PRIORITIES)
+    .withMessage(`Task priority must be one of: ${TEMPLATE_PRIORITIES.join(', ')}`),
+  check('tasks.*.estimated_hours').optional({ values: 'null' }).isFloat({ min: 0, max: 999.99 })
+    .withMessage('estimated_hours must be between 0 and 999.99').toFloat(),
+  check('tasks.*.due_offset_days').optional({ values: 'null' }).isInt({ min: 0 })
+    .withMessage('due_offset_days must be a non-negative integer').toInt(),
+  check('tasks.*.default_role').optional({ values: 'null' }).isIn(TEMPLATE_TASK_ROLES)
+    .withMessage(`default_role must be one of: ${TEMPLATE_TASK_ROLES.join(', ')}`)
+];
+
+/**
+ * Pick who gets the tasks of each default role in a new project: the first member with that
+ * role, otherwise the member for the nearest higher role (a project without its own manager
+ * gives manager tasks to its owner).
+ * @param {Array<Object>} members - Team members ({ user_id, role }) in order of precedence
+ * @returns {Object} - User ID per default role (missing when nobody can take the role)
+ */
+export const resolveRoleAssignees = (members) => {
+  const assignees = {};
+  for (const role of [...TEMPLATE_TASK_ROLES].reverse()) {
+    const member = members.find(m => m.role === role);
+    const higherRole = TEMPLATE_TASK_ROLES[TEMPLATE_TASK_ROLES.indexOf(role) + 1];
+    const userId = member?.user_id ?? assignees[higherRole];
+    if (userId) {
+      assignees[role] = userId;
+    }
+  }
+  return assignees;
+};
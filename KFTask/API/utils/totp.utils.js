@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding), the format authenticator apps expect
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} - Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {String} input - Base32 string (case, spaces and padding are ignored)
+ * @returns {Buffer} - Decoded bytes
+ */
+export const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {String} - Base32 encoded 160 bit secret
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get the time step a timestamp falls into
+ * @param {Number} timestamp - Milliseconds since epoch (default: now)
+ * @returns {Number} - Time step counter
+ */
+export const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Generate the code for a given time step (RFC 6238 with HMAC-SHA1, 6 digits)
+ * @param {String} secret - Base32 encoded secret
+ * @param {Number} step - Time step counter
+ * @returns {String} - Zero padded code
+ */
+export const generateTotp = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Verify a code against a secret.
+ * Codes from one step before or after the current one are accepted to allow for clock drift.
+ * @param {String} secret - Base32 encoded secret
+ * @param {String} code - Code entered by the user
+ * @param {Object} options - Verification options
+ * @param {Number} options.window - Number of steps accepted on each side (default: 1)
+ * @param {Number|null} options.lastUsedStep - Last step accepted for this secret; it and older steps are rejected
+ * @returns {Number|null} - Matching time step, null if the code is invalid
+ */
+export const verifyTotp = (secret, code, { window = 1, lastUsedStep = null } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// provisioning URI that authenticator apps read from a QR code
+ * @param {Object} params - URI parameters
+ * @param {String} params.secret - Base32 encoded secret
+ * @param {String} params.accountName - Account label (usually the email)
+ * @param {String} params.issuer - Issuer shown in the app (default: TOTP_ISSUER or 'KF Task Manager')
+ * @returns {String} - Provisioning URI
+ */
+export const buildOtpAuthUri = ({ secret, accountName, issuer = process.env.TOTP_ISSUER || 'KF Task Manager' }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Derive the key used to encrypt TOTP secrets at rest.
+ * TOTP_ENCRYPTION_KEY should be set in production; JWT_SECRET is used as a fallback.
+ * @returns {Buffer} - 32 byte key
+ */
+const getEncryptionKey = () => {
+  const keyMaterial = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!keyMaterial) {
+    throw new Error('TOTP_ENCRYPTION_KEY is not configured');
+  }
+  return crypto.createHash('sha256').update(keyMaterial).digest();
+};
+
+/**
+ * Encrypt a TOTP secret before it is stored (AES-256-GCM)
+ * @param {String} secret - Base32 encoded secret
+ * @returns {String} - iv:authTag:ciphertext, hex encoded
+ */
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join(':');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {String} payload - Value produced by encryptSecret
+ * @returns {String} - Base32 encoded secret
+ */
+export const decryptSecret = (payload) => {
+  const [iv, authTag, encrypted] = String(payload).split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]).toString('utf8');
+};
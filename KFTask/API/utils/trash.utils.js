@@ -0,0 +1,113 @@
+import db from '../config/db.js';
+import TaskModel from '../models/task.model.js';
+import ProjectModel from '../models/project.model.js';
+import UserModel from '../models/user.model.js';
+import AttachmentModel from '../models/attachment.model.js';
+import { removeStoredFiles } from './storage.utils.js';
+import { logAudit } from './audit.utils.js';
+
+/**
+ * Days a deleted task, project, user or vendor stays in the trash before it is purged.
+ * TRASH_RETENTION_DAYS overrides it.
+ */
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Minutes between two runs of the trash purge job.
+ * TRASH_PURGE_INTERVAL_MINUTES overrides it; 0 disables the job on this instance.
+ */
+export const DEFAULT_TRASH_PURGE_INTERVAL_MINUTES = 60;
+
+/**
+ * Read the trash retention period from the environment
+ * @returns {number} - Days
+ */
+export const getTrashRetentionDays = () => {
+  const days = parseFloat(process.env.TRASH_RETENTION_DAYS);
+  return Number.isNaN(days) || days < 0 ? DEFAULT_TRASH_RETENTION_DAYS : days;
+};
+
+/**
+ * Lock and permanently delete the vendor profiles that have been in the trash longer than the retention period
+ * @param {number} retentionDays - Days a vendor stays in the trash
+ * @param {Object} client - Database client of the transaction
+ * @returns {Promise<Array>} - Purged vendors (id, company_name)
+ */
+const purgeVendors = async (retentionDays, client) => {
+  const { rows } = await client.query(
+    `DELETE FROM vendors
+     WHERE id IN (
+       SELECT id FROM vendors
+       WHERE deleted_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 day'
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id, company_name`,
+    [retentionDays]
+  );
+  return rows;
+};
+
+/**
+ * Permanently delete everything that has been in the trash longer than the retention period.
+ * Tasks go first, so that deleted projects without tasks left can follow. Daily updates are the
+ * billing history: tasks and users that have them stay in the trash, and so do the projects of
+ * such tasks. Everything is purged in one transaction; the stored files of the purged attachments
+ * are removed after it is committed.
+ * @param {number} retentionDays - Days rows stay in the trash (default: getTrashRetentionDays())
+ * @param {number|null} actorId - User who started the purge (null for the scheduled job)
+ * @returns {Promise<Object>} - Number of purged tasks, projects, vendors and users
+ */
+export const purgeTrash = async (retentionDays = getTrashRetentionDays(), actorId = null) => {
+  const client = await db.pool.connect();
+  let purged;
+  let files = [];
+
+  try {
+    await client.query('BEGIN');
+
+    const tasks = await TaskModel.lockPurgeable(retentionDays, client);
+    if (tasks.length > 0) {
+      const taskIds = tasks.map(task => task.id);
+      files = await AttachmentModel.findFilesByTasks(taskIds, client);
+      await TaskModel.purge(taskIds, client);
+    }
+
+    const projects = await ProjectModel.lockPurgeable(retentionDays, client);
+    if (projects.length > 0) {
+      await ProjectModel.purge(projects.map(project => project.id), client);
+    }
+
+    const vendors = await purgeVendors(retentionDays, client);
+
+    const users = await UserModel.lockPurgeable(retentionDays, client);
+    if (users.length > 0) {
+      await UserModel.purge(users.map(user => user.id), client);
+    }
+
+    const entries = [
+      ...tasks.map(task => ['task', task.id, `Task "${task.title}" purged from the trash`]),
+      ...projects.map(project => ['project', project.id, `Project "${project.title}" purged from the trash`]),
+      ...vendors.map(vendor => ['vendor', vendor.id, `Vendor "${vendor.company_name}" purged from the trash`]),
+      ...users.map(user => ['user', user.id, `User ${user.email} purged from the trash`])
+    ];
+    for (const [entityType, entityId, description] of entries) {
+      await logAudit({ entityType, entityId, actorId, action: 'purge', description }, client);
+    }
+
+    await client.query('COMMIT');
+    purged = { tasks: tasks.length, projects: projects.length, vendors: vendors.length, users: users.length };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await removeStoredFiles(files);
+
+  const total = purged.tasks + purged.projects + purged.vendors + purged.users;
+  if (total > 0) {
+    console.log(`Trash purge: removed ${purged.tasks} task(s), ${purged.projects} project(s), ${purged.vendors} vendor(s) and ${purged.users} user(s)`);
+  }
+  return purged;
+};
@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import UserModel from '../models/user.model.js';
+import RecoveryCodeModel from '../models/recoveryCode.model.js';
+import SettingModel from '../models/setting.model.js';
+import { hashToken } from './auth.utils.js';
+import { verifyTotp, decryptSecret } from './totp.utils.js';
+
+export const TWO_FACTOR_ROLES_SETTING = 'two_factor_required_roles';
+const RECOVERY_CODE_COUNT = 10;
+const REQUIRED_ROLES_CACHE_MS = 60 * 1000;
+
+// The policy is read on every authenticated request, so it is cached for a short while
+let requiredRolesCache = { roles: null, loadedAt: 0 };
+
+/**
+ * Get the roles that must use two-factor authentication
+ * @returns {Promise<Array<String>>} - Role names
+ */
+export const getTwoFactorRequiredRoles = async () => {
+  if (requiredRolesCache.roles && Date.now() - requiredRolesCache.loadedAt < REQUIRED_ROLES_CACHE_MS) {
+    return requiredRolesCache.roles;
+  }
+
+  const roles = await SettingModel.get(TWO_FACTOR_ROLES_SETTING);
+  requiredRolesCache = { roles: Array.isArray(roles) ? roles : [], loadedAt: Date.now() };
+  return requiredRolesCache.roles;
+};
+
+/**
+ * Change the roles that must use two-factor authentication
+ * @param {Array<String>} roles - Role names
+ * @param {Number} updatedBy - ID of the admin making the change
+ * @returns {Promise<Array<String>>} - Stored role names
+ */
+export const setTwoFactorRequiredRoles = async (roles, updatedBy) => {
+  const uniqueRoles = [...new Set(roles)];
+  await SettingModel.set(TWO_FACTOR_ROLES_SETTING, uniqueRoles, updatedBy);
+  requiredRolesCache = { roles: uniqueRoles, loadedAt: Date.now() };
+  return uniqueRoles;
+};
+
+/**
+ * Check whether two-factor authentication is mandatory for a role
+ * @param {String} role - Role name
+ * @returns {Promise<Boolean>}
+ */
+export const isTwoFactorRequired = async (role) => {
+  const roles = await getTwoFactorRequiredRoles();
+  return roles.includes(role);
+};
+
+/**
+ * Sign the short-lived challenge returned by /login when a second factor is needed.
+ * The challenge proves the password was correct; it is not an access token.
+ * @param {Object} user - User row
+ * @returns {String} - Signed challenge token
+ */
+export const signTwoFactorChallenge = (user) => jwt.sign(
+  { id: user.id, email: user.email, purpose: '2fa' },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m' }
+);
+
+/**
+ * Verify a two-factor challenge token
+ * @param {String} challengeToken - Token returned by /login
+ * @returns {Object|null} - Decoded payload, null if invalid or expired
+ */
+export const verifyTwoFactorChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Normalize a recovery code as typed by a user before hashing it
+ * @param {String} code - Recovery code
+ * @returns {String} - Lower-case code without spaces or dashes
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * Generate a fresh set of recovery codes for a user and store their hashes
+ * @param {Number} userId - User ID
+ * @returns {Promise<Array<String>>} - Plain codes, shown to the user only once
+ */
+export const issueRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await RecoveryCodeModel.replaceForUser(
+    userId,
+    codes.map(code => hashToken(normalizeRecoveryCode(code)))
+  );
+
+  return codes;
+};
+
+/**
+ * Check a TOTP code for a user with two-factor authentication enabled.
+ * Accepted codes are marked used so they cannot be replayed.
+ * @param {Object} user - User row including totp_secret and totp_last_used_step
+ * @param {String} code - Code entered by the user
+ * @returns {Promise<Boolean>}
+ */
+export const verifyUserTotp = async (user, code) => {
+  if (!user.totp_secret) {
+    return false;
+  }
+
+  const step = verifyTotp(decryptSecret(user.totp_secret), code, {
+    lastUsedStep: user.totp_last_used_step !== null && user.totp_last_used_step !== undefined
+      ? Number(user.totp_last_used_step)
+      : null
+  });
+
+  if (step === null) {
+    return false;
+  }
+
+  return UserModel.markTotpStepUsed(user.id, step);
+};
+
+/**
+ * Verify the second factor of a user: either a TOTP code or an unused recovery code
+ * @param {Object} user - User row including totp_secret and totp_last_used_step
+ * @param {Object} factor - What the user entered
+ * @param {String} factor.code - TOTP code
+ * @param {String} factor.recoveryCode - Recovery code
+ * @returns {Promise<String|null>} - 'totp' or 'recovery_code', null if invalid
+ */
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code && await verifyUserTotp(user, code)) {
+    return 'totp';
+  }
+
+  if (recoveryCode && await RecoveryCodeModel.consume(user.id, hashToken(normalizeRecoveryCode(recoveryCode)))) {
+    return 'recovery_code';
+  }
+
+  return null;
+};
@@ -0,0 +1,143 @@
+import { Readable } from 'stream';
+import path from 'path';
+import Excel from 'exceljs';
+import { Parser } from 'json2csv';
+
+// Columns of the user import file; the export uses the same ones so an export can be edited and imported again
+export const USER_IMPORT_COLUMNS = [
+  'email',
+  'first_name',
+  'last_name',
+  'role',
+  'department',
+  'position',
+  'designation',
+  'type',
+  'working_type',
+  'working_for',
+  'phone_no'
+];
+
+// Largest number of data rows accepted in one import
+export const MAX_IMPORT_ROWS = 500;
+
+/**
+ * Turn a header cell into a column key ("First name" -> "first_name")
+ * @param {String} header - Header text
+ * @returns {String} - Column key
+ */
+const toColumnKey = (header) => String(header || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+/**
+ * Read the plain value of a worksheet cell (hyperlinks, rich text and formulas included)
+ * @param {*} value - exceljs cell value
+ * @returns {String} - Trimmed text, empty string for empty cells
+ */
+const cellText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString().split('T')[0];
+  }
+  if (typeof value === 'object') {
+    if (value.richText) {
+      return value.richText.map(part => part.text).join('').trim();
+    }
+    if (value.text !== undefined) {
+      return cellText(value.text);
+    }
+    if (value.result !== undefined) {
+      return cellText(value.result);
+    }
+    return '';
+  }
+  return String(value).trim();
+};
+
+/**
+ * Read the rows of an uploaded user import file
+ * @param {Object} file - Uploaded file (req.file from multer memory storage)
+ * @returns {Promise<Object>} - `{ rows }` with `{ rowNumber, data }` per non-empty row, or `{ error }`
+ */
+export const parseUserImportFile = async (file) => {
+  const workbook = new Excel.Workbook();
+  let worksheet;
+
+  try {
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      worksheet = await workbook.csv.read(Readable.from(file.buffer));
+    } else {
+      await workbook.xlsx.load(file.buffer);
+      worksheet = workbook.worksheets[0];
+    }
+  } catch (error) {
+    return { error: 'The file could not be read. Upload a CSV or XLSX file.' };
+  }
+
+  if (!worksheet || worksheet.rowCount === 0) {
+    return { error: 'The file is empty' };
+  }
+
+  // Map column numbers to known columns; unknown columns are ignored
+  const columns = {};
+  worksheet.getRow(1).eachCell((cell, columnNumber) => {
+    const key = toColumnKey(cellText(cell.value));
+    if (USER_IMPORT_COLUMNS.includes(key)) {
+      columns[columnNumber] = key;
+    }
+  });
+
+  if (!Object.values(columns).includes('email')) {
+    return { error: `The first row must contain the column names. Required: email. Supported: ${USER_IMPORT_COLUMNS.join(', ')}` };
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) {
+      return;
+    }
+
+    const data = {};
+    Object.entries(columns).forEach(([columnNumber, key]) => {
+      const text = cellText(row.getCell(Number(columnNumber)).value);
+      if (text !== '') {
+        data[key] = text;
+      }
+    });
+
+    if (Object.keys(data).length > 0) {
+      rows.push({ rowNumber, data });
+    }
+  });
+
+  if (rows.length === 0) {
+    return { error: 'The file does not contain any users' };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { error: `The file contains ${rows.length} users, the limit is ${MAX_IMPORT_ROWS} per import` };
+  }
+
+  return { rows };
+};
+
+/**
+ * Build a user export file with the import columns
+ * @param {Array} users - User rows
+ * @param {String} format - csv or xlsx
+ * @returns {Promise<Buffer|String>} - File contents
+ */
+export const buildUserExportFile = async (users, format = 'csv') => {
+  if (format === 'xlsx') {
+    const workbook = new Excel.Workbook();
+    const worksheet = workbook.addWorksheet('users');
+
+    worksheet.columns = USER_IMPORT_COLUMNS.map(key => ({ header: key, key, width: 20 }));
+    worksheet.addRows(users);
+    worksheet.getRow(1).font = { bold: true };
+
+    return workbook.xlsx.writeBuffer();
+  }
+
+  return new Parser({ fields: USER_IMPORT_COLUMNS }).parse(users);
+};
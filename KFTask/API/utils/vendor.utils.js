@@ -1,5 +1,6 @@
 // const db = require('../config/db');
 import db from '../config/db.js';
+import { taskStatusCategory } from './workflow.utils.js';
 /**
  * Check if a user is a vendor
  * @param {Number} userId - User ID to check
@@ -8,7 +9,7 @@ import db from '../config/db.js';
 export const isUserVendor = async (userId) => {
   try {
     const result = await db.query(
-      'SELECT COUNT(*) FROM vendors WHERE user_id = $1',
+      'SELECT COUNT(*) FROM vendors WHERE user_id = $1 AND deleted_at IS NULL',
       [userId]
     );
     
@@ -27,7 +28,7 @@ export const isUserVendor = async (userId) => {
 export const getVendorIdByUserId = async (userId) => {
   try {
     const result = await db.query(
-      'SELECT id FROM vendors WHERE user_id = $1',
+      'SELECT id FROM vendors WHERE user_id = $1 AND deleted_at IS NULL',
       [userId]
     );
     
@@ -51,7 +52,7 @@ export const getVendorConsultantIds = async (vendorId) => {
   try {
     // Get vendor user ID first
     const vendorResult = await db.query(
-      'SELECT user_id FROM vendors WHERE id = $1',
+      'SELECT user_id FROM vendors WHERE id = $1 AND deleted_at IS NULL',
       [vendorId]
     );
     
@@ -66,7 +67,7 @@ export const getVendorConsultantIds = async (vendorId) => {
       `SELECT c.user_id
        FROM consultants c
        JOIN users u ON c.user_id = u.id
-       WHERE u.working_for = $1`,
+       WHERE u.working_for = $1 AND u.deleted_at IS NULL`,
       [vendorUserId]
     );
     
@@ -87,7 +88,7 @@ export const canVendorAccessProject = async (vendorId, projectId) => {
   try {
     // Get vendor details
     const vendorResult = await db.query(
-      'SELECT company_name FROM vendors WHERE id = $1',
+      'SELECT company_name FROM vendors WHERE id = $1 AND deleted_at IS NULL',
       [vendorId]
     );
     
@@ -101,7 +102,7 @@ export const canVendorAccessProject = async (vendorId, projectId) => {
     const projectResult = await db.query(
       `SELECT COUNT(*) 
        FROM projects 
-       WHERE id = $1 AND project_type LIKE $2`,
+       WHERE id = $1 AND project_type LIKE $2 AND deleted_at IS NULL`,
       [projectId, `%Vendor - ${companyName}%`]
     );
     
@@ -121,7 +122,7 @@ export const getVendorTaskStats = async (vendorId) => {
   try {
     // Get vendor user ID first
     const vendorResult = await db.query(
-      'SELECT user_id FROM vendors WHERE id = $1',
+      'SELECT user_id FROM vendors WHERE id = $1 AND deleted_at IS NULL',
       [vendorId]
     );
     
@@ -140,13 +141,13 @@ export const getVendorTaskStats = async (vendorId) => {
     const statsResult = await db.query(
       `SELECT 
         COUNT(*) as total,
-        SUM(CASE WHEN t.status = 'completed' THEN 1 ELSE 0 END) as completed,
+        SUM(CASE WHEN ${taskStatusCategory('t')} = 'done' THEN 1 ELSE 0 END) as completed,
         SUM(CASE WHEN t.status = 'in_progress' THEN 1 ELSE 0 END) as in_progress,
-        SUM(CASE WHEN t.due_date < CURRENT_DATE AND t.status != 'completed' THEN 1 ELSE 0 END) as overdue
+        SUM(CASE WHEN t.due_date < CURRENT_DATE AND ${taskStatusCategory('t')} IS DISTINCT FROM 'done' THEN 1 ELSE 0 END) as overdue
       FROM tasks t
       JOIN task_assignments ta ON t.id = ta.task_id
       JOIN users u ON ta.user_id = u.id
-      WHERE u.working_for = $1`,
+      WHERE u.working_for = $1 AND t.deleted_at IS NULL`,
       [vendorUserId]
     );
     
@@ -177,7 +178,7 @@ export const isConsultantFromVendor = async (vendorId, consultantId) => {
   try {
     // Get vendor user ID first
     const vendorResult = await db.query(
-      'SELECT user_id FROM vendors WHERE id = $1',
+      'SELECT user_id FROM vendors WHERE id = $1 AND deleted_at IS NULL',
       [vendorId]
     );
     
@@ -0,0 +1,123 @@
+import { check } from 'express-validator';
+import { getProjectRole } from './projectAccess.utils.js';
+
+/**
+ * Listings a view can be saved for, with the query parameters it may store
+ * (the same ones the listing accepts) and the fields it may sort by
+ */
+export const VIEW_LISTS = {
+  // GET /api/tasks
+  tasks: {
+    filters: ['include', 'archive', 'project_id', 'assignee_id', 'created_by', 'status', 'priority', 'due_date_start', 'due_date_end', 'search'],
+    sortFields: ['due_date', 'priority', 'status', 'title', 'created_at', 'updated_at', 'estimated_hours', 'id']
+  },
+  // GET /api/tasks/daily-updates
+  daily_updates: {
+    filters: ['task_id', 'project_id', 'assignee_id', 'created_by', 'working_for', 'update_date_start', 'update_date_end'],
+    sortFields: []
+  },
+  // GET /api/tasks/feedback/{user_id} and GET /api/tasks/feedback/admin/{user_id}
+  feedback: {
+    filters: ['project_id', 'task_id', 'reply_status', 'feedback_creator_id'],
+    sortFields: []
+  }
+};
+
+/**
+ * Who can see a view: its owner only, or the team of its project
+ */
+export const VIEW_VISIBILITIES = ['private', 'project'];
+
+/**
+ * Field rules for creating and updating views.
+ * @param {Boolean} partial - Fields are optional (PUT /api/views/{id})
+ * @returns {Array} - express-validator chains
+ */
+export const viewValidation = (partial = false) => [
+  (partial ? check('name').optional() : check('name')).isString().trim().notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  (partial ? check('list').optional() : check('list')).isIn(Object.keys(VIEW_LISTS))
+    .withMessage(`list must be one of: ${Object.keys(VIEW_LISTS).join(', ')}`),
+  check('filters').optional().isObject().withMessage('filters must be an object of query parameters'),
+  check('sort_by').optional({ values: 'null' }).isString().withMessage('sort_by must be a field name'),
+  check('sort_order').optional({ values: 'null' }).isIn(['asc', 'desc']).withMessage('sort_order must be asc or desc'),
+  check('columns').optional({ values: 'null' }).isArray({ max: 50 }).withMessage('columns must be an array of column names'),
+  check('columns.*').isString().trim().notEmpty().isLength({ max: 50 }).withMessage('Column names must be non-empty text'),
+  check('visibility').optional().isIn(VIEW_VISIBILITIES)
+    .withMessage(`visibility must be one of: ${VIEW_VISIBILITIES.join(', ')}`),
+  check('project_id').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('project_id must be a positive integer').toInt()
+];
+
+/**
+ * Check the filters and sort of a view against its listing
+ * @param {Object} view - list, filters, sort_by, visibility and project_id
+ * @returns {String|null} - Error message, null if the view is valid
+ */
+export const validateViewDefinition = ({ list, filters, sort_by, visibility, project_id }) => {
+  const { filters: allowedFilters, sortFields } = VIEW_LISTS[list];
+  const unknownFilters = Object.keys(filters).filter(key => !allowedFilters.includes(key));
+  if (unknownFilters.length > 0) {
+    return `Unknown filter(s) for ${list}: ${unknownFilters.join(', ')}. Allowed: ${allowedFilters.join(', ')}`;
+  }
+
+  const invalidValues = Object.entries(filters).filter(([, value]) => {
+    const values = Array.isArray(value) ? value : [value];
+    return values.length === 0 || values.some(item => !['string', 'number'].includes(typeof item) || String(item).length > 200);
+  });
+  if (invalidValues.length > 0) {
+    return `Filter values must be text, numbers or lists of them: ${invalidValues.map(([key]) => key).join(', ')}`;
+  }
+
+  if (sort_by && !sortFields.includes(sort_by)) {
+    return sortFields.length > 0
+      ? `sort_by must be one of: ${sortFields.join(', ')}`
+      : `The ${list} listing cannot be sorted`;
+  }
+  if (visibility === 'project' && !project_id) {
+    return 'Views shared with a project team need a project_id';
+  }
+  return null;
+};
+
+/**
+ * Check whether a user may see and apply a view
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} view - View row
+ * @returns {Promise<Boolean>}
+ */
+export const canUseView = async (user, view) => {
+  if (view.owner_id === user.id) {
+    return true;
+  }
+  return view.visibility === 'project' && Boolean(await getProjectRole(user, view.project_id));
+};
+
+/**
+ * Turn a view into the query parameters of its listing; lists become comma-separated values
+ * @param {Object} view - View row
+ * @returns {Object} - Query parameters
+ */
+export const toViewQuery = (view) => {
+  const query = {};
+  for (const [key, value] of Object.entries(view.filters || {})) {
+    query[key] = Array.isArray(value) ? value.join(',') : String(value);
+  }
+  if (view.sort_by) {
+    query.sort_by = view.sort_by;
+  }
+  if (view.sort_order) {
+    query.sort_order = view.sort_order;
+  }
+  return query;
+};
+
+/**
+ * Describe the view applied to a listing for its response
+ * @param {Object|undefined} view - Applied view (req.view)
+ * @returns {Object|undefined} - id, name and columns of the view, undefined when no view was applied
+ */
+export const describeAppliedView = (view) => view && {
+  id: view.id,
+  name: view.name,
+  columns: view.columns
+};
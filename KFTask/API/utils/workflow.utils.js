@@ -0,0 +1,284 @@
+import { check, query } from 'express-validator';
+import db from '../config/db.js';
+
+/**
+ * Categories every workflow status belongs to. The API only relies on categories,
+ * never on status names: 'in_progress' means work has started, 'done' and 'cancelled' close a task.
+ */
+export const WORKFLOW_CATEGORIES = ['todo', 'in_progress', 'done', 'cancelled'];
+
+/**
+ * Categories of statuses that close a task
+ */
+export const CLOSED_CATEGORIES = ['done', 'cancelled'];
+
+/**
+ * Field rules for PUT /api/projects/{id}/workflow and PUT /api/workflows/default
+ */
+export const workflowValidation = [
+  check('name').trim().notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  check('states').isArray({ min: 1 }).withMessage('states must be a non-empty array'),
+  check('states.*.status').isString().trim().matches(/^[a-z][a-z0-9_]{0,49}$/)
+    .withMessage('Status keys must be lower-case letters, digits and underscores (at most 50)'),
+  check('states.*.name').isString().trim().notEmpty().withMessage('Every state needs a name')
+    .isLength({ max: 100 }).withMessage('State names must be at most 100 characters'),
+  check('states.*.category').isIn(WORKFLOW_CATEGORIES)
+    .withMessage(`State category must be one of: ${WORKFLOW_CATEGORIES.join(', ')}`),
+  check('states.*.is_initial').optional().isBoolean().withMessage('is_initial must be a boolean').toBoolean(),
+  check('transitions').isArray().withMessage('transitions must be an array'),
+  check('transitions.*.from_status').isString().trim().notEmpty().withMessage('Every transition needs from_status'),
+  check('transitions.*.to_status').isString().trim().notEmpty().withMessage('Every transition needs to_status'),
+  check('transitions.*.requires_verification').optional().isBoolean()
+    .withMessage('requires_verification must be a boolean').toBoolean()
+];
+
+/**
+ * Check that a workflow definition is consistent
+ * @param {Object} definition - states and transitions (shape checked by workflowValidation)
+ * @returns {String|null} - Error message, null if the definition is valid
+ */
+export const validateWorkflowDefinition = ({ states, transitions }) => {
+  const statuses = states.map(state => state.status);
+  const duplicates = statuses.filter((status, index) => statuses.indexOf(status) !== index);
+  if (duplicates.length > 0) {
+    return `Duplicate status(es): ${[...new Set(duplicates)].join(', ')}`;
+  }
+
+  if (states.filter(state => state.is_initial).length !== 1) {
+    return 'Exactly one state must be the initial state';
+  }
+  if (!states.some(state => state.category === 'done')) {
+    return 'At least one state must be in the done category';
+  }
+
+  const seen = new Set();
+  for (const { from_status: from, to_status: to } of transitions) {
+    if (!statuses.includes(from) || !statuses.includes(to)) {
+      return `Transition ${from} → ${to} uses an unknown status`;
+    }
+    if (from === to) {
+      return `Transition ${from} → ${to} does not change the status`;
+    }
+    if (seen.has(`${from}→${to}`)) {
+      return `Transition ${from} → ${to} is listed twice`;
+    }
+    seen.add(`${from}→${to}`);
+  }
+
+  return null;
+};
+
+/**
+ * Find a status of a workflow
+ * @param {Object} workflow - Workflow with states (WorkflowModel)
+ * @param {String} status - Status key
+ * @returns {Object|undefined} - State
+ */
+export const findState = (workflow, status) => workflow.states.find(state => state.status === status);
+
+/**
+ * Get the category of a status, undefined for statuses the workflow does not know
+ * @param {Object} workflow - Workflow with states
+ * @param {String} status - Status key
+ * @returns {String|undefined}
+ */
+export const getStatusCategory = (workflow, status) => findState(workflow, status)?.category;
+
+/**
+ * Get the status new tasks start in
+ * @param {Object} workflow - Workflow with states
+ * @returns {String}
+ */
+export const getInitialStatus = (workflow) => (workflow.states.find(state => state.is_initial) || workflow.states[0]).status;
+
+/**
+ * Check whether a status change means work on the task starts
+ * @param {Object} workflow - Workflow with states
+ * @param {String} fromStatus - Current status
+ * @param {String} toStatus - Requested status
+ * @returns {Boolean}
+ */
+export const startsWork = (workflow, fromStatus, toStatus) =>
+  getStatusCategory(workflow, toStatus) === 'in_progress'
+  && getStatusCategory(workflow, fromStatus) !== 'in_progress';
+
+/**
+ * Check a status change against the states and transitions of a workflow (see checkStatusChange)
+ * @param {Object} workflow - Workflow with states and transitions
+ * @param {String|null} fromStatus - Current status, null for a new task
+ * @param {String} toStatus - Requested status
+ * @param {Object} options - allowVerification and verified, see checkStatusChange
+ * @returns {Object} - `{ requiresVerification }`, or `{ status, message, allowed_statuses }` when it is refused
+ */
+const checkTransition = (workflow, fromStatus, toStatus, { allowVerification = false, verified = false } = {}) => {
+  if (!findState(workflow, toStatus)) {
+    return {
+      status: 400,
+      message: `Unknown status "${toStatus}"`,
+      allowed_statuses: workflow.states.map(state => state.status)
+    };
+  }
+
+  const initialStatus = getInitialStatus(workflow);
+  const from = fromStatus ?? initialStatus;
+  if (from === toStatus || !findState(workflow, from)) {
+    return { requiresVerification: false };
+  }
+
+  const canVerify = verified || (fromStatus !== null && allowVerification);
+  const transition = workflow.transitions.find(t => t.from_status === from && t.to_status === toStatus);
+  const allowedStatuses = workflow.transitions
+    .filter(t => t.from_status === from && (canVerify || !t.requires_verification))
+    .map(t => t.to_status);
+
+  if (!transition) {
+    return {
+      status: 400,
+      message: fromStatus === null
+        ? `New tasks cannot start as "${toStatus}"`
+        : `A task cannot move from "${from}" to "${toStatus}"`,
+      allowed_statuses: fromStatus === null ? [initialStatus, ...allowedStatuses] : allowedStatuses
+    };
+  }
+
+  if (transition.requires_verification && !canVerify) {
+    return {
+      status: 400,
+      message: fromStatus === null
+        ? `New tasks cannot start as "${toStatus}"`
+        : `Moving a task from "${from}" to "${toStatus}" needs verification; report it with a daily update`,
+      allowed_statuses: fromStatus === null ? [initialStatus, ...allowedStatuses] : allowedStatuses
+    };
+  }
+
+  return { requiresVerification: Boolean(transition.requires_verification) && !verified };
+};
+
+/**
+ * Count the subtasks (at any depth) of a task that are neither done nor cancelled
+ * @param {number} taskId - Parent task ID
+ * @returns {Promise<number>}
+ */
+const countOpenSubtasks = async (taskId) => {
+  const query = `
+    WITH RECURSIVE subtree AS (
+      SELECT id, project_id, status FROM tasks WHERE parent_task_id = $1 AND deleted_at IS NULL
+      UNION
+      SELECT c.id, c.project_id, c.status FROM tasks c JOIN subtree s ON c.parent_task_id = s.id
+      WHERE c.deleted_at IS NULL
+    )
+    SELECT COUNT(*) as total FROM subtree s WHERE ${taskOpenCondition('s')}
+  `;
+  const { rows } = await db.query(query, [taskId]);
+  return parseInt(rows[0].total);
+};
+
+/**
+ * The single check for every task status change.
+ * New tasks (fromStatus null) start in the initial status or in a status the initial status
+ * leads to without verification. Tasks whose current status is unknown to the workflow
+ * (e.g. after moving to another project) may move to any of its statuses.
+ * A task only moves to a done status once all of its subtasks are done or cancelled.
+ * @param {Object} workflow - Workflow with states and transitions
+ * @param {String|null} fromStatus - Current status, null for a new task
+ * @param {String} toStatus - Requested status
+ * @param {Object} options - Options
+ * @param {Number} options.taskId - The task being changed (omitted for a new task)
+ * @param {Boolean} options.allowVerification - The caller can hold the change until it is verified
+ *   (daily updates); otherwise changes that need verification are refused
+ * @param {Boolean} options.verified - The change is being verified (PUT /api/tasks/{id}/verify)
+ * @returns {Promise<Object>} - `{ requiresVerification }`, or `{ status, message, allowed_statuses }`
+ *   (`open_subtasks` for a parent with open subtasks) when it is refused
+ */
+export const checkStatusChange = async (workflow, fromStatus, toStatus, { taskId = null, ...options } = {}) => {
+  const result = checkTransition(workflow, fromStatus, toStatus, options);
+  if (result.status || !taskId || fromStatus === toStatus || getStatusCategory(workflow, toStatus) !== 'done') {
+    return result;
+  }
+
+  const openSubtasks = await countOpenSubtasks(taskId);
+  if (openSubtasks > 0) {
+    return {
+      status: 400,
+      message: `Task has ${openSubtasks} open subtask(s); complete or cancel them first`,
+      open_subtasks: openSubtasks
+    };
+  }
+  return result;
+};
+
+/**
+ * SQL expression for the workflow category of a task's status (NULL for unknown statuses)
+ * @param {String} alias - Alias of the tasks table (e.g. 't')
+ * @returns {String}
+ */
+export const taskStatusCategory = (alias) => `task_status_category(${alias}.project_id, ${alias}.status)`;
+
+/**
+ * SQL condition matching tasks that are not closed; statuses unknown to the workflow count as open
+ * @param {String} alias - Alias of the tasks table (e.g. 't')
+ * @returns {String}
+ */
+export const taskOpenCondition = (alias) =>
+  `COALESCE(${taskStatusCategory(alias)}, 'todo') NOT IN (${CLOSED_CATEGORIES.map(category => `'${category}'`).join(', ')})`;
+
+/**
+ * Which tasks a task listing returns (include query parameter):
+ * active - open and not past due (the work queue), overdue - open and past due,
+ * completed - done, all - every task. Several can be combined, comma-separated.
+ */
+export const TASK_INCLUDE_OPTIONS = ['active', 'completed', 'overdue', 'all'];
+
+/**
+ * Query string rule for the include parameter of task listings
+ */
+export const taskIncludeValidation = [
+  query('include').optional().custom(value => String(value).split(',').every(option => TASK_INCLUDE_OPTIONS.includes(option.trim())))
+    .withMessage(`include must be a comma-separated list of: ${TASK_INCLUDE_OPTIONS.join(', ')}`)
+];
+
+/**
+ * Query string rule for the archive parameter of paged task listings (closed tasks instead of include)
+ */
+export const taskArchiveValidation = [
+  query('archive').optional().isBoolean().withMessage('archive must be true or false')
+    .custom((value, { req }) => !['true', '1'].includes(String(value)) || req.query.include === undefined)
+    .withMessage('archive cannot be combined with include')
+];
+
+/**
+ * Read the include parameter of a task listing
+ * @param {String|undefined} value - Comma-separated include options
+ * @param {Array<String>} defaultInclude - Options used when none are given
+ * @returns {Array<String>} - Include options
+ */
+export const parseTaskInclude = (value, defaultInclude = ['active']) => {
+  const include = value ? String(value).split(',').map(option => option.trim()) : defaultInclude;
+  return include.includes('all') ? ['all'] : [...new Set(include)];
+};
+
+/**
+ * SQL condition matching the tasks of the given include options
+ * @param {String} alias - Alias of the tasks table (e.g. 't')
+ * @param {Array<String>} include - Include options (see TASK_INCLUDE_OPTIONS)
+ * @returns {String}
+ */
+export const taskIncludeCondition = (alias, include) => {
+  if (include.includes('all')) {
+    return 'TRUE';
+  }
+  const conditions = {
+    active: `(${taskOpenCondition(alias)} AND (${alias}.due_date IS NULL OR ${alias}.due_date >= CURRENT_DATE))`,
+    overdue: `(${taskOpenCondition(alias)} AND ${alias}.due_date < CURRENT_DATE)`,
+    completed: `${taskStatusCategory(alias)} = 'done'`
+  };
+  return `(${include.map(option => conditions[option]).join(' OR ')})`;
+};
+
+/**
+ * SQL condition matching closed tasks (done or cancelled), the task archive
+ * @param {String} alias - Alias of the tasks table (e.g. 't')
+ * @returns {String}
+ */
+export const taskArchivedCondition = (alias) => `NOT (${taskOpenCondition(alias)})`;
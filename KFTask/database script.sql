@@ -1,6 +1,30 @@
 -- KF Task Manager Database Schema
 
 -- Drop tables if they exist
+DROP TABLE IF EXISTS saved_views CASCADE;
+DROP TABLE IF EXISTS search_documents CASCADE;
+DROP TABLE IF EXISTS project_milestones CASCADE;
+DROP TABLE IF EXISTS project_sprints CASCADE;
+DROP TABLE IF EXISTS project_wip_limits CASCADE;
+DROP TABLE IF EXISTS project_template_tasks CASCADE;
+DROP TABLE IF EXISTS project_templates CASCADE;
+DROP TABLE IF EXISTS task_recurrences CASCADE;
+DROP TABLE IF EXISTS task_workflow_transitions CASCADE;
+DROP TABLE IF EXISTS task_workflow_states CASCADE;
+DROP TABLE IF EXISTS task_workflows CASCADE;
+DROP TABLE IF EXISTS task_dependencies CASCADE;
+DROP TABLE IF EXISTS task_checklist_items CASCADE;
+DROP TABLE IF EXISTS user_invites CASCADE;
+DROP TABLE IF EXISTS audit_logs CASCADE;
+DROP TABLE IF EXISTS api_tokens CASCADE;
+DROP TABLE IF EXISTS project_team_members CASCADE;
+DROP TABLE IF EXISTS role_permissions CASCADE;
+DROP TABLE IF EXISTS roles CASCADE;
+DROP TABLE IF EXISTS app_settings CASCADE;
+DROP TABLE IF EXISTS user_recovery_codes CASCADE;
+DROP TABLE IF EXISTS login_attempts CASCADE;
+DROP TABLE IF EXISTS password_reset_tokens CASCADE;
+DROP TABLE IF EXISTS user_sessions CASCADE;
 DROP TABLE IF EXISTS task_comments CASCADE;
 DROP TABLE IF EXISTS task_attachments CASCADE;
 DROP TABLE IF EXISTS task_assignments CASCADE;
@@ -176,4 +200,747 @@ CREATE TRIGGER update_consultants_modtime BEFORE UPDATE ON consultants FOR EACH
 CREATE TRIGGER update_projects_modtime BEFORE UPDATE ON projects FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
 CREATE TRIGGER update_tasks_modtime BEFORE UPDATE ON tasks FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
 CREATE TRIGGER update_task_comments_modtime BEFORE UPDATE ON task_comments FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
-CREATE TRIGGER update_daily_updates_modtime BEFORE UPDATE ON daily_updates FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
\ No newline at end of file
+CREATE TRIGGER update_daily_updates_modtime BEFORE UPDATE ON daily_updates FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+
+-- Create user_sessions table (one row per login, holds the hash of the current refresh token)
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+    previous_refresh_token_hash VARCHAR(64),
+    user_agent TEXT,
+    ip_address VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(50)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token ON user_sessions(previous_refresh_token_hash);
+
+-- Users created with the shared default password must choose their own on first login
+ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN DEFAULT FALSE;
+
+-- Create password_reset_tokens table (hashed, single-use, expiring)
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    requested_ip VARCHAR(50),
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+
+-- Failed login tracking and temporary account lockout
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+-- Create login_attempts table (used to throttle by IP)
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(100),
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    ip_address VARCHAR(50),
+    success BOOLEAN NOT NULL DEFAULT FALSE,
+    attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, attempted_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts(email, attempted_at);
+
+-- TOTP two-factor authentication (secret is stored encrypted)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+
+-- Create user_recovery_codes table (hashed, single-use)
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+
+-- Create app_settings table (runtime settings changed by admins)
+CREATE TABLE IF NOT EXISTS app_settings (
+    key VARCHAR(100) PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Two-factor authentication is optional for every role until an admin changes this
+INSERT INTO app_settings (key, value) VALUES ('two_factor_required_roles', '[]')
+ON CONFLICT (key) DO NOTHING;
+
+-- Roles and their permissions (permission keys are defined in API/config/permissions.js)
+CREATE TABLE IF NOT EXISTS roles (
+    name VARCHAR(50) PRIMARY KEY,
+    description TEXT,
+    is_system BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_name VARCHAR(50) NOT NULL REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE,
+    permission VARCHAR(100) NOT NULL,
+    PRIMARY KEY (role_name, permission)
+);
+
+INSERT INTO roles (name, description, is_system) VALUES
+    ('admin', 'Full access to everything', TRUE),
+    ('manager', 'Manages projects and the tasks in them', TRUE),
+    ('employee', 'Works on assigned tasks', TRUE),
+    ('consultant', 'External consultant working on assigned tasks', TRUE),
+    ('vendor', 'Vendor organisation managing its consultants', TRUE)
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_name, permission) VALUES
+    ('admin', '*'),
+
+    ('manager', 'user:read:own'),
+    ('manager', 'user:update:own'),
+    ('manager', 'project:update:own'),
+    ('manager', 'project:delete:own'),
+    ('manager', 'project:manage-team:own'),
+    ('manager', 'task:update'),
+    ('manager', 'task:delete'),
+    ('manager', 'task:verify'),
+    ('manager', 'report:user-performance'),
+
+    ('employee', 'user:read:own'),
+    ('employee', 'user:update:own'),
+    ('employee', 'project:update:own'),
+    ('employee', 'project:delete:own'),
+    ('employee', 'project:manage-team:own'),
+    ('employee', 'task:update:own'),
+    ('employee', 'task:delete:own'),
+
+    ('consultant', 'user:read:own'),
+    ('consultant', 'user:update:own'),
+    ('consultant', 'project:update:own'),
+    ('consultant', 'project:delete:own'),
+    ('consultant', 'project:manage-team:own'),
+    ('consultant', 'task:update:own'),
+    ('consultant', 'task:delete:own'),
+
+    ('vendor', 'user:invite:own'),
+    ('vendor', 'user:read:own'),
+    ('vendor', 'user:update:own'),
+    ('vendor', 'project:update:own'),
+    ('vendor', 'project:delete:own'),
+    ('vendor', 'project:manage-team:own'),
+    ('vendor', 'task:update:own'),
+    ('vendor', 'task:delete:own'),
+    ('vendor', 'task:verify:own'),
+    ('vendor', 'vendor:read'),
+    ('vendor', 'vendor:update:own'),
+    ('vendor', 'vendor:view-consultants'),
+    ('vendor', 'vendor:assign-consultant:own'),
+    ('vendor', 'report:user-performance'),
+    ('vendor', 'audit:read:own')
+ON CONFLICT DO NOTHING;
+
+-- users.role now references the roles table instead of a fixed list
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'fk_users_role') THEN
+        ALTER TABLE users ADD CONSTRAINT fk_users_role
+            FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
+    END IF;
+END $$;
+
+-- Project teams: membership and project role decide who can see and change a project and its tasks
+CREATE TABLE IF NOT EXISTS project_team_members (
+    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'contributor',
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (project_id, user_id)
+);
+
+-- Older rows used free-form roles ('member', 'developer', ...); they become contributors
+UPDATE project_team_members SET role = 'contributor'
+WHERE role NOT IN ('owner', 'manager', 'contributor', 'viewer');
+
+ALTER TABLE project_team_members DROP CONSTRAINT IF EXISTS project_team_members_role_check;
+ALTER TABLE project_team_members ADD CONSTRAINT project_team_members_role_check
+    CHECK (role IN ('owner', 'manager', 'contributor', 'viewer'));
+
+CREATE INDEX IF NOT EXISTS idx_project_team_members_user ON project_team_members(user_id);
+
+-- Existing project managers own their projects, people working on tasks contribute to them
+INSERT INTO project_team_members (project_id, user_id, role)
+SELECT id, manager_id, 'owner' FROM projects WHERE manager_id IS NOT NULL
+ON CONFLICT (project_id, user_id) DO UPDATE SET role = 'owner';
+
+INSERT INTO project_team_members (project_id, user_id, role)
+SELECT DISTINCT t.project_id, ta.user_id, 'contributor'
+FROM task_assignments ta
+JOIN tasks t ON t.id = ta.task_id
+WHERE t.project_id IS NOT NULL
+ON CONFLICT (project_id, user_id) DO NOTHING;
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'tasks' AND column_name = 'assignee_id') THEN
+        INSERT INTO project_team_members (project_id, user_id, role)
+        SELECT DISTINCT project_id, assignee_id, 'contributor'
+        FROM tasks
+        WHERE project_id IS NOT NULL AND assignee_id IS NOT NULL
+        ON CONFLICT (project_id, user_id) DO NOTHING;
+    END IF;
+END $$;
+
+-- Personal API tokens for scripts and integrations. Only the SHA-256 hash of the token is stored
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    token_prefix VARCHAR(20) NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL DEFAULT '{*}',
+    read_only BOOLEAN NOT NULL DEFAULT FALSE,
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    last_used_ip VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id);
+
+-- Audit trail: one row per change to users, projects, tasks, vendors, feedback and other entities.
+-- changes holds the changed fields as { "field": { "from": ..., "to": ... } }
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id BIGSERIAL PRIMARY KEY,
+    entity_type VARCHAR(30) NOT NULL,
+    entity_id INTEGER,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    action VARCHAR(100) NOT NULL,
+    description TEXT,
+    changes JSONB,
+    ip_address VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_entity ON audit_logs(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_actor ON audit_logs(actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at);
+
+-- Copy the old user_logs, task_logs and project_logs into the audit trail (only once, while it is empty).
+-- The old tables are no longer written to.
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM audit_logs) THEN
+        INSERT INTO audit_logs (entity_type, entity_id, actor_id, action, description, ip_address, created_at)
+        SELECT 'user', user_id, user_id, action, description, ip_address, created_at FROM user_logs;
+
+        IF to_regclass('task_logs') IS NOT NULL THEN
+            INSERT INTO audit_logs (entity_type, entity_id, actor_id, action, description, created_at)
+            SELECT 'task', task_id, user_id, action, description, created_at FROM task_logs;
+        END IF;
+
+        IF to_regclass('project_logs') IS NOT NULL THEN
+            INSERT INTO audit_logs (entity_type, entity_id, actor_id, action, description, created_at)
+            SELECT 'project', project_id, user_id, action, description, created_at FROM project_logs;
+        END IF;
+    END IF;
+END $$;
+
+-- The user activity report was replaced by /api/audit
+UPDATE role_permissions SET permission = 'audit:read:own'
+WHERE permission = 'report:user-logs'
+  AND NOT EXISTS (
+      SELECT 1 FROM role_permissions rp
+      WHERE rp.role_name = role_permissions.role_name AND rp.permission = 'audit:read:own'
+  );
+DELETE FROM role_permissions WHERE permission = 'report:user-logs';
+
+-- Invites replace direct registration. Only the hash of the current link nonce is stored;
+-- resending an invite replaces it so older links stop working.
+CREATE TABLE IF NOT EXISTS user_invites (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
+    role VARCHAR(50) NOT NULL REFERENCES roles(name) ON UPDATE CASCADE,
+    department VARCHAR(100),
+    position VARCHAR(100),
+    designation VARCHAR(100),
+    type VARCHAR(50),
+    working_type VARCHAR(50),
+    working_for INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    phone_no VARCHAR(20),
+    token_hash VARCHAR(64) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    last_sent_at TIMESTAMP,
+    send_count INTEGER NOT NULL DEFAULT 1,
+    accepted_at TIMESTAMP,
+    accepted_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_invites_email ON user_invites(LOWER(email));
+CREATE INDEX IF NOT EXISTS idx_user_invites_invited_by ON user_invites(invited_by);
+CREATE INDEX IF NOT EXISTS idx_user_invites_working_for ON user_invites(working_for);
+
+-- user:create (direct registration) was replaced by user:invite; vendors invite their own consultants
+DELETE FROM role_permissions WHERE permission = 'user:create';
+INSERT INTO role_permissions (role_name, permission) VALUES
+    ('vendor', 'user:invite:own')
+ON CONFLICT DO NOTHING;
+
+-- Attachment files live in a storage driver (local disk by default); file_path is the key in that driver
+ALTER TABLE task_attachments ADD COLUMN IF NOT EXISTS storage_driver VARCHAR(20) NOT NULL DEFAULT 'local';
+CREATE INDEX IF NOT EXISTS idx_task_attachments_task_id ON task_attachments(task_id);
+
+-- Task assignees: task_assignments is the single source of truth, with at most one owner
+-- per task and any number of collaborators. tasks.assignee_id is a copy of the owner that
+-- TaskModel writes together with task_assignments; never update it on its own.
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS assignee_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE task_assignments ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'collaborator';
+
+ALTER TABLE task_assignments DROP CONSTRAINT IF EXISTS task_assignments_role_check;
+ALTER TABLE task_assignments ADD CONSTRAINT task_assignments_role_check
+    CHECK (role IN ('owner', 'collaborator'));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_task_assignments_owner ON task_assignments(task_id) WHERE role = 'owner';
+
+-- Tasks assigned through tasks.assignee_id get that user as their owner
+INSERT INTO task_assignments (task_id, user_id, assigned_by, role)
+SELECT id, assignee_id, created_by, 'owner'
+FROM tasks
+WHERE assignee_id IS NOT NULL
+ON CONFLICT (task_id, user_id) DO UPDATE SET role = 'owner';
+
+-- Tasks only assigned through task_assignments (e.g. by a vendor) are owned by their first assignee
+UPDATE task_assignments SET role = 'owner'
+WHERE id IN (
+    SELECT DISTINCT ON (ta.task_id) ta.id
+    FROM task_assignments ta
+    WHERE NOT EXISTS (
+        SELECT 1 FROM task_assignments o WHERE o.task_id = ta.task_id AND o.role = 'owner'
+    )
+    ORDER BY ta.task_id, ta.assigned_at, ta.id
+);
+
+UPDATE tasks t SET assignee_id = ta.user_id
+FROM task_assignments ta
+WHERE ta.task_id = t.id AND ta.role = 'owner' AND t.assignee_id IS DISTINCT FROM ta.user_id;
+
+-- Subtasks: a task can be split into child tasks in the same project.
+-- Subtasks of a deleted task become top-level tasks.
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS parent_task_id INTEGER REFERENCES tasks(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_parent_task_id ON tasks(parent_task_id);
+
+-- Checklists: lightweight to-do items on a task
+CREATE TABLE IF NOT EXISTS task_checklist_items (
+    id SERIAL PRIMARY KEY,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    title VARCHAR(255) NOT NULL,
+    is_done BOOLEAN NOT NULL DEFAULT FALSE,
+    position INTEGER NOT NULL DEFAULT 1,
+    done_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    done_at TIMESTAMP,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_checklist_items_task_id ON task_checklist_items(task_id, position);
+
+-- Finish-to-start dependencies: task_id cannot start before depends_on_task_id is finished.
+-- Both tasks are in the same project; the API rejects cycles.
+CREATE TABLE IF NOT EXISTS task_dependencies (
+    id SERIAL PRIMARY KEY,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    depends_on_task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (task_id, depends_on_task_id),
+    CHECK (task_id <> depends_on_task_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_depends_on ON task_dependencies(depends_on_task_id);
+
+-- Task workflows: the statuses a task can have and the allowed moves between them.
+-- A project uses its own workflow if it has one, otherwise the global default (project_id IS NULL).
+-- Every status belongs to a category (todo, in_progress, done, cancelled) that the rest of the API
+-- relies on, e.g. for blocking rules and progress. Transitions with requires_verification are only
+-- applied once a verifier approves them (see PUT /api/tasks/{id}/verify).
+CREATE TABLE IF NOT EXISTS task_workflows (
+    id SERIAL PRIMARY KEY,
+    project_id INTEGER UNIQUE REFERENCES projects(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_task_workflows_default ON task_workflows((project_id IS NULL)) WHERE project_id IS NULL;
+
+CREATE TABLE IF NOT EXISTS task_workflow_states (
+    workflow_id INTEGER NOT NULL REFERENCES task_workflows(id) ON DELETE CASCADE,
+    status VARCHAR(50) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    category VARCHAR(20) NOT NULL CHECK (category IN ('todo', 'in_progress', 'done', 'cancelled')),
+    is_initial BOOLEAN NOT NULL DEFAULT FALSE,
+    position INTEGER NOT NULL DEFAULT 1,
+    PRIMARY KEY (workflow_id, status)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_task_workflow_states_initial ON task_workflow_states(workflow_id) WHERE is_initial;
+
+CREATE TABLE IF NOT EXISTS task_workflow_transitions (
+    workflow_id INTEGER NOT NULL,
+    from_status VARCHAR(50) NOT NULL,
+    to_status VARCHAR(50) NOT NULL,
+    requires_verification BOOLEAN NOT NULL DEFAULT FALSE,
+    PRIMARY KEY (workflow_id, from_status, to_status),
+    FOREIGN KEY (workflow_id, from_status) REFERENCES task_workflow_states(workflow_id, status) ON DELETE CASCADE,
+    FOREIGN KEY (workflow_id, to_status) REFERENCES task_workflow_states(workflow_id, status) ON DELETE CASCADE,
+    CHECK (from_status <> to_status)
+);
+
+INSERT INTO task_workflows (project_id, name)
+SELECT NULL, 'Default workflow'
+WHERE NOT EXISTS (SELECT 1 FROM task_workflows WHERE project_id IS NULL);
+
+INSERT INTO task_workflow_states (workflow_id, status, name, category, is_initial, position)
+SELECT w.id, s.status, s.name, s.category, s.is_initial, s.position
+FROM task_workflows w
+CROSS JOIN (VALUES
+    ('todo', 'To do', 'todo', TRUE, 1),
+    ('in_progress', 'In progress', 'in_progress', FALSE, 2),
+    ('on_hold', 'On hold', 'todo', FALSE, 3),
+    ('review', 'In review', 'in_progress', FALSE, 4),
+    ('completed', 'Completed', 'done', FALSE, 5),
+    ('cancelled', 'Cancelled', 'cancelled', FALSE, 6)
+) AS s(status, name, category, is_initial, position)
+WHERE w.project_id IS NULL
+ON CONFLICT (workflow_id, status) DO NOTHING;
+
+INSERT INTO task_workflow_transitions (workflow_id, from_status, to_status, requires_verification)
+SELECT w.id, t.from_status, t.to_status, t.requires_verification
+FROM task_workflows w
+CROSS JOIN (VALUES
+    ('todo', 'in_progress', FALSE),
+    ('todo', 'on_hold', FALSE),
+    ('todo', 'cancelled', FALSE),
+    ('in_progress', 'on_hold', FALSE),
+    ('in_progress', 'review', FALSE),
+    ('in_progress', 'completed', TRUE),
+    ('in_progress', 'cancelled', FALSE),
+    ('on_hold', 'in_progress', FALSE),
+    ('on_hold', 'cancelled', FALSE),
+    ('review', 'in_progress', FALSE),
+    ('review', 'completed', TRUE),
+    ('review', 'cancelled', FALSE),
+    ('completed', 'in_progress', FALSE),
+    ('cancelled', 'todo', FALSE)
+) AS t(from_status, to_status, requires_verification)
+WHERE w.project_id IS NULL
+ON CONFLICT (workflow_id, from_status, to_status) DO NOTHING;
+
+-- Category of a task status in the workflow of the task's project (NULL for unknown statuses)
+CREATE OR REPLACE FUNCTION task_status_category(p_project_id INTEGER, p_status VARCHAR)
+RETURNS VARCHAR AS $$
+    SELECT s.category
+    FROM task_workflow_states s
+    WHERE s.status = p_status
+      AND s.workflow_id = COALESCE(
+          (SELECT id FROM task_workflows WHERE project_id = p_project_id),
+          (SELECT id FROM task_workflows WHERE project_id IS NULL)
+      )
+$$ LANGUAGE SQL STABLE;
+
+-- The workflow decides which statuses exist. Older code created tasks as 'new' or 'to_do'.
+ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_status_check;
+UPDATE tasks SET status = 'todo' WHERE status IN ('new', 'to_do');
+
+-- Status a completion report asks for; applied when the report is verified
+ALTER TABLE daily_updates ADD COLUMN IF NOT EXISTS requested_status VARCHAR(50);
+
+-- Recurring tasks: a series creates a new task for every occurrence of its rule.
+-- Each instance points at its series; the newest instance is copied for the next one.
+-- weekdays uses RRULE day codes (MO, TU, WE, TH, FR, SA, SU).
+CREATE TABLE IF NOT EXISTS task_recurrences (
+    id SERIAL PRIMARY KEY,
+    frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly')),
+    interval_count INTEGER NOT NULL DEFAULT 1 CHECK (interval_count > 0),
+    weekdays TEXT[],
+    month_day SMALLINT CHECK (month_day BETWEEN 1 AND 31),
+    starts_on DATE NOT NULL,
+    ends_on DATE,
+    max_occurrences INTEGER CHECK (max_occurrences > 0),
+    occurrence_count INTEGER NOT NULL DEFAULT 1,
+    next_due_date DATE,
+    status VARCHAR(10) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'ended')),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ended_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_recurrences_due ON task_recurrences(next_due_date) WHERE status = 'active';
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_id INTEGER REFERENCES task_recurrences(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_recurrence_id ON tasks(recurrence_id);
+
+-- Project templates: reusable task lists for new projects (POST /api/projects/from-template/:templateId).
+-- Task due dates are offsets in days from the project start date; default_role picks the
+-- team member (by project role) the task is assigned to.
+CREATE TABLE IF NOT EXISTS project_templates (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    priority VARCHAR(20) NOT NULL DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'urgent')),
+    project_type VARCHAR(100),
+    duration_days INTEGER CHECK (duration_days >= 0),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS project_template_tasks (
+    id SERIAL PRIMARY KEY,
+    template_id INTEGER NOT NULL REFERENCES project_templates(id) ON DELETE CASCADE,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    priority VARCHAR(20) NOT NULL DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'urgent')),
+    estimated_hours DECIMAL(5, 2),
+    due_offset_days INTEGER CHECK (due_offset_days >= 0),
+    default_role VARCHAR(20) CHECK (default_role IN ('owner', 'manager', 'contributor')),
+    position INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_template_tasks_template_id ON project_template_tasks(template_id, position);
+
+INSERT INTO role_permissions (role_name, permission) VALUES
+    ('manager', 'template:manage'),
+    ('employee', 'template:manage:own'),
+    ('consultant', 'template:manage:own'),
+    ('vendor', 'template:manage:own')
+ON CONFLICT DO NOTHING;
+
+-- Kanban board: board_rank orders the tasks within a column (project + status).
+-- Ranks are fractional: a moved task gets the midpoint of its new neighbours, and a column
+-- is renumbered in steps of 1024 when two neighbours get too close.
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS board_rank DOUBLE PRECISION;
+UPDATE tasks SET board_rank = ranked.board_rank
+FROM (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY project_id, status ORDER BY created_at, id) * 1024 AS board_rank
+    FROM tasks
+) ranked
+WHERE tasks.id = ranked.id AND tasks.board_rank IS NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_board ON tasks(project_id, status, board_rank);
+
+-- Work-in-progress limits per board column (status) of a project
+CREATE TABLE IF NOT EXISTS project_wip_limits (
+    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    status VARCHAR(50) NOT NULL,
+    wip_limit INTEGER NOT NULL CHECK (wip_limit > 0),
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (project_id, status)
+);
+
+-- Sprints: time-boxed iterations of a project. A project has at most one active sprint.
+-- committed_* are recorded when the sprint starts, completed_task_ids and rolled_over_task_ids when it closes.
+CREATE TABLE IF NOT EXISTS project_sprints (
+    id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    goal TEXT,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'planned' CHECK (status IN ('planned', 'active', 'closed')),
+    committed_task_ids INTEGER[],
+    committed_hours DECIMAL(8, 2),
+    completed_task_ids INTEGER[],
+    rolled_over_task_ids INTEGER[],
+    rolled_over_to INTEGER REFERENCES project_sprints(id) ON DELETE SET NULL,
+    started_at TIMESTAMP,
+    closed_at TIMESTAMP,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date >= start_date)
+);
+CREATE INDEX IF NOT EXISTS idx_project_sprints_project ON project_sprints(project_id, start_date);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_project_sprints_active ON project_sprints(project_id) WHERE status = 'active';
+
+-- Milestones: dated targets of a project (e.g. releases)
+CREATE TABLE IF NOT EXISTS project_milestones (
+    id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    due_date DATE,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'completed')),
+    completed_at TIMESTAMP,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_project_milestones_project ON project_milestones(project_id, due_date);
+
+-- A task belongs to at most one sprint and one milestone of its project
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS sprint_id INTEGER REFERENCES project_sprints(id) ON DELETE SET NULL;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS milestone_id INTEGER REFERENCES project_milestones(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_sprint_id ON tasks(sprint_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_milestone_id ON tasks(milestone_id);
+
+-- Columns and tables the search reads as the API uses them, for databases created from the tables above:
+-- projects.title (was name), task_comments.content (was comment), daily_updates.content (was work_done)
+-- and the replies to feedback comments
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS title VARCHAR(255);
+UPDATE projects SET title = name WHERE title IS NULL;
+ALTER TABLE task_comments ADD COLUMN IF NOT EXISTS content TEXT;
+UPDATE task_comments SET content = comment WHERE content IS NULL;
+ALTER TABLE daily_updates ADD COLUMN IF NOT EXISTS content TEXT;
+UPDATE daily_updates SET content = work_done WHERE content IS NULL;
+CREATE TABLE IF NOT EXISTS task_feedback_replies (
+    id SERIAL PRIMARY KEY,
+    feedback_id INTEGER NOT NULL REFERENCES task_comments(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    content TEXT NOT NULL,
+    reply_status VARCHAR(20) DEFAULT 'pending',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_task_feedback_replies_feedback ON task_feedback_replies(feedback_id);
+
+-- Full-text search (GET /api/search). The search vectors live in their own table, kept up to date by
+-- triggers, so that SELECT * on the searched tables does not return them. Titles weigh more than
+-- descriptions. The text search configuration must match SEARCH_CONFIG in utils/search.utils.js.
+CREATE TABLE IF NOT EXISTS search_documents (
+    source VARCHAR(30) NOT NULL CHECK (source IN ('task', 'project', 'comment', 'feedback_reply', 'daily_update')),
+    source_id INTEGER NOT NULL,
+    search_vector tsvector NOT NULL,
+    PRIMARY KEY (source, source_id)
+);
+CREATE INDEX IF NOT EXISTS idx_search_documents_vector ON search_documents USING GIN (search_vector);
+
+-- Rows with a title and a description (tasks, projects); the source name is the trigger argument
+CREATE OR REPLACE FUNCTION search_documents_sync_title() RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        DELETE FROM search_documents WHERE source = TG_ARGV[0] AND source_id = OLD.id;
+        RETURN OLD;
+    END IF;
+    INSERT INTO search_documents (source, source_id, search_vector)
+    VALUES (
+        TG_ARGV[0],
+        NEW.id,
+        setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(NEW.description, '')), 'B')
+    )
+    ON CONFLICT (source, source_id) DO UPDATE SET search_vector = EXCLUDED.search_vector;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Rows with a content column (comments, feedback replies, daily updates)
+CREATE OR REPLACE FUNCTION search_documents_sync_content() RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        DELETE FROM search_documents WHERE source = TG_ARGV[0] AND source_id = OLD.id;
+        RETURN OLD;
+    END IF;
+    INSERT INTO search_documents (source, source_id, search_vector)
+    VALUES (TG_ARGV[0], NEW.id, to_tsvector('english', COALESCE(NEW.content, '')))
+    ON CONFLICT (source, source_id) DO UPDATE SET search_vector = EXCLUDED.search_vector;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS search_tasks ON tasks;
+CREATE TRIGGER search_tasks AFTER INSERT OR UPDATE OF title, description OR DELETE ON tasks
+FOR EACH ROW EXECUTE PROCEDURE search_documents_sync_title('task');
+DROP TRIGGER IF EXISTS search_projects ON projects;
+CREATE TRIGGER search_projects AFTER INSERT OR UPDATE OF title, description OR DELETE ON projects
+FOR EACH ROW EXECUTE PROCEDURE search_documents_sync_title('project');
+DROP TRIGGER IF EXISTS search_task_comments ON task_comments;
+CREATE TRIGGER search_task_comments AFTER INSERT OR UPDATE OF content OR DELETE ON task_comments
+FOR EACH ROW EXECUTE PROCEDURE search_documents_sync_content('comment');
+DROP TRIGGER IF EXISTS search_task_feedback_replies ON task_feedback_replies;
+CREATE TRIGGER search_task_feedback_replies AFTER INSERT OR UPDATE OF content OR DELETE ON task_feedback_replies
+FOR EACH ROW EXECUTE PROCEDURE search_documents_sync_content('feedback_reply');
+DROP TRIGGER IF EXISTS search_daily_updates ON daily_updates;
+CREATE TRIGGER search_daily_updates AFTER INSERT OR UPDATE OF content OR DELETE ON daily_updates
+FOR EACH ROW EXECUTE PROCEDURE search_documents_sync_content('daily_update');
+
+-- Index the existing rows
+INSERT INTO search_documents (source, source_id, search_vector)
+SELECT 'task', id, setweight(to_tsvector('english', COALESCE(title, '')), 'A') || setweight(to_tsvector('english', COALESCE(description, '')), 'B') FROM tasks
+UNION ALL
+SELECT 'project', id, setweight(to_tsvector('english', COALESCE(title, '')), 'A') || setweight(to_tsvector('english', COALESCE(description, '')), 'B') FROM projects
+UNION ALL
+SELECT 'comment', id, to_tsvector('english', COALESCE(content, '')) FROM task_comments
+UNION ALL
+SELECT 'feedback_reply', id, to_tsvector('english', COALESCE(content, '')) FROM task_feedback_replies
+UNION ALL
+SELECT 'daily_update', id, to_tsvector('english', COALESCE(content, '')) FROM daily_updates
+ON CONFLICT (source, source_id) DO NOTHING;
+
+-- Saved views: named filters, sort and columns of a listing (GET /api/tasks?view=<id> and friends).
+-- Private views are only seen by their owner; project views by the whole project team.
+CREATE TABLE IF NOT EXISTS saved_views (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    list VARCHAR(30) NOT NULL CHECK (list IN ('tasks', 'daily_updates', 'feedback')),
+    filters JSONB NOT NULL DEFAULT '{}',
+    sort_by VARCHAR(50),
+    sort_order VARCHAR(4) CHECK (sort_order IN ('asc', 'desc')),
+    columns TEXT[],
+    visibility VARCHAR(20) NOT NULL DEFAULT 'private' CHECK (visibility IN ('private', 'project')),
+    project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+    owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (visibility = 'private' OR project_id IS NOT NULL)
+);
+CREATE INDEX IF NOT EXISTS idx_saved_views_owner ON saved_views(owner_id, list);
+CREATE INDEX IF NOT EXISTS idx_saved_views_project ON saved_views(project_id) WHERE visibility = 'project';
+
+-- Soft delete: deleting a task, project, user or vendor only marks it with deleted_at/deleted_by and
+-- moves it to the trash, from where it can be restored. Deleting a project also marks its tasks with the
+-- same deleted_at; restoring the project brings exactly those back. The purge job removes rows that have
+-- been in the trash longer than the retention period (TRASH_RETENTION_DAYS).
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE vendors ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE vendors ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_projects_deleted_at ON projects(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_users_deleted_at ON users(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_vendors_deleted_at ON vendors(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Daily updates are the billing history: the task and the user they were logged for can no longer be
+-- removed while they exist (the purge job keeps such rows in the trash instead)
+ALTER TABLE daily_updates DROP CONSTRAINT IF EXISTS daily_updates_task_id_fkey;
+ALTER TABLE daily_updates ADD CONSTRAINT daily_updates_task_id_fkey
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE RESTRICT;
+ALTER TABLE daily_updates DROP CONSTRAINT IF EXISTS daily_updates_user_id_fkey;
+ALTER TABLE daily_updates ADD CONSTRAINT daily_updates_user_id_fkey
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE RESTRICT;